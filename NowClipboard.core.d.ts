@@ -0,0 +1,14 @@
+// NowClipboard 核心模块类型定义（nowclipboard/core）
+// 文本复制 / 读取、剪贴板提供者、变更监听、诊断与错误类；Node.js 系统剪贴板需要另外导入 nowclipboard/node
+
+export {
+  copy, cut, read, write, types, checkSupport, diagnose, node, queryPermission, onChange,
+  copyFiles, readFiles, registerProvider, unregisterProvider, setProviders, getProviders, isRetryable,
+  NowClipboardError, NotSupportedError, PermissionDeniedError, InsecureContextError, TimeoutError,
+  AbortError, BackendMissingError, FetchFailedError, InvalidArgumentError
+} from './NowClipboard';
+export type {
+  RetryOptions, RetryPolicy, RetryInfo, SelectionOptions, BackendOptions, ProviderOptions, ClipboardProvider,
+  ProviderOperation, ProviderItems, ReadOptions, ChangeData, ChangeListener, ChangeOptions, PermissionResult,
+  SupportAction, DiagnoseReport, NodeControls, NowClipboardErrorCode, NowClipboardErrorDetails, KilledProcessError
+} from './NowClipboard';
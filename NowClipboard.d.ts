@@ -1,14 +1,209 @@
 // NowClipboard TypeScript 类型定义 v1.1.9
 
+import type { Readable, Writable } from 'stream';
+
 export interface RetryOptions {
   /** 最大重试次数，默认 2 */
   retries?: number;
-  /** 基础重试延迟 ms，默认 100（指数退避） */
+  /** 基础重试延迟 ms，默认 100（退避方式见 retry.backoff） */
   retryDelay?: number;
-  /** 超时 ms，默认 0（不超时） */
+  /** 超时 ms，默认 0（不超时）；Node.js 中超时会终止剪贴板命令的进程树 */
   timeout?: number;
-  /** AbortSignal，用于取消操作 */
+  /** AbortSignal，用于取消操作；Node.js 中取消会终止剪贴板命令的进程树 */
   signal?: AbortSignal | null;
+  /** 重试策略 */
+  retry?: RetryPolicy;
+}
+
+/** 每次重试前传给 onRetry 的信息 */
+export interface RetryInfo {
+  /** 本次失败的错误 */
+  error: Error;
+  /** 已失败的次数（从 1 开始） */
+  attempt: number;
+  /** 下一次尝试前的等待时间 ms */
+  delay: number;
+  /** 正在重试的方法，如 'NowClipboard.copy()' */
+  method: string | null;
+}
+
+/** 重试策略 */
+export interface RetryPolicy {
+  /** 是否重试该错误，默认 NowClipboard.isRetryable（权限拒绝、非安全上下文和参数错误不重试） */
+  shouldRetry?: (error: Error, attempt: number) => boolean;
+  /** 随机抖动：true 表示在 0 到延迟之间随机，数字（0-1）表示随机减少延迟的最大比例；默认不抖动 */
+  jitter?: boolean | number;
+  /** 单次延迟上限 ms，默认不限制 */
+  maxDelay?: number;
+  /** 退避方式，默认 'exponential'（retryDelay * 2^(attempt-1)）；'linear' 为 retryDelay * attempt；函数返回延迟 ms */
+  backoff?: 'exponential' | 'linear' | ((attempt: number, retryDelay: number) => number);
+  /** 每次重试前调用，可用于日志；抛出的错误会被忽略 */
+  onRetry?: (info: RetryInfo) => void;
+}
+
+/** 错误码，在各版本间保持稳定，可用于程序判断 */
+export type NowClipboardErrorCode =
+  | 'UNKNOWN'
+  | 'NOT_SUPPORTED'
+  | 'PERMISSION_DENIED'
+  | 'INSECURE_CONTEXT'
+  | 'TIMEOUT'
+  | 'ABORTED'
+  | 'BACKEND_MISSING'
+  | 'FETCH_FAILED'
+  | 'INVALID_ARGUMENT';
+
+/** 错误附加信息 */
+export interface NowClipboardErrorDetails {
+  /** 原始错误（如浏览器抛出的 DOMException） */
+  cause?: unknown;
+  /** 已尝试次数，默认 0 */
+  attempts?: number;
+  /** 失败的方法，如 'NowClipboard.copy()' */
+  method?: string | null;
+}
+
+/** 库抛出的所有错误的基类 */
+export declare class NowClipboardError extends Error {
+  constructor(message: string, details?: NowClipboardErrorDetails);
+  /** 稳定的错误码 */
+  readonly code: NowClipboardErrorCode;
+  /** 原始错误 */
+  cause?: unknown;
+  /** 失败前的尝试次数（含重试），参数校验失败时为 0 */
+  attempts: number;
+  /** 失败的方法，如 'NowClipboard.copy()'、'NowClipboard#copy()' */
+  method: string | null;
+  /** 出错时所在的运行环境 */
+  environment: 'browser' | 'node' | 'unknown';
+}
+
+/** 当前环境不支持该操作（code 'NOT_SUPPORTED'） */
+export declare class NotSupportedError extends NowClipboardError {
+  readonly code: 'NOT_SUPPORTED';
+}
+
+/** 浏览器拒绝了剪贴板权限（code 'PERMISSION_DENIED'） */
+export declare class PermissionDeniedError extends NowClipboardError {
+  readonly code: 'PERMISSION_DENIED';
+}
+
+/** 页面不是安全上下文（非 HTTPS），剪贴板 API 不可用（code 'INSECURE_CONTEXT'） */
+export declare class InsecureContextError extends NowClipboardError {
+  readonly code: 'INSECURE_CONTEXT';
+}
+
+/** 操作超时（code 'TIMEOUT'） */
+export declare class TimeoutError extends NowClipboardError {
+  readonly code: 'TIMEOUT';
+}
+
+/** 操作通过 AbortSignal 被取消（code 'ABORTED'） */
+export declare class AbortError extends NowClipboardError {
+  readonly code: 'ABORTED';
+}
+
+/** Node.js 中找不到可用的剪贴板命令或后端（code 'BACKEND_MISSING'） */
+export declare class BackendMissingError extends NowClipboardError {
+  readonly code: 'BACKEND_MISSING';
+}
+
+/** 图片等资源加载失败（code 'FETCH_FAILED'） */
+export declare class FetchFailedError extends NowClipboardError {
+  readonly code: 'FETCH_FAILED';
+}
+
+/** 参数无效（code 'INVALID_ARGUMENT'）；为兼容旧版本，同时也是 TypeError 的实例 */
+export declare class InvalidArgumentError extends NowClipboardError {
+  readonly code: 'INVALID_ARGUMENT';
+}
+
+/** Node.js 剪贴板命令因超时或取消被终止时的错误（TimeoutError 或 AbortError） */
+export interface KilledProcessError extends NowClipboardError {
+  readonly code: 'TIMEOUT' | 'ABORTED';
+  /** 进程已被终止 */
+  killed: true;
+  /** 被终止的命令，如 'xclip' */
+  command: string;
+}
+
+/** 剪贴板选区：'clipboard'（默认）| 'primary' | 'secondary'（后两者仅 Linux Node.js 可用） */
+export type ClipboardSelection = 'clipboard' | 'primary' | 'secondary';
+
+export interface SelectionOptions {
+  /** 目标选区，默认 'clipboard'；'primary'/'secondary' 仅 Linux（X11/Wayland）Node.js 环境可用，其他平台会报错 */
+  selection?: ClipboardSelection;
+}
+
+/** OSC 52 终端转义序列后端配置 */
+export interface Osc52Options {
+  /** 输出流，默认写入控制终端 /dev/tty */
+  stream?: { write(data: string, callback: (err?: Error | null) => void): any };
+  /** 转义序列最大字节数，默认 100000，<=0 表示不限制 */
+  maxBytes?: number;
+  /** 终端复用器透传方式，默认根据 TMUX / STY / TERM 自动检测 */
+  passthrough?: 'tmux' | 'screen' | 'none';
+}
+
+/**
+ * Node.js 后端
+ * 'auto' 自动检测；'xclip' / 'xsel' / 'wl' 仅使用对应的 Linux 命令；'x11' 内置的 X11 选区客户端（无需外部命令）；
+ * 'osc52' 终端转义序列（仅写入文本）；
+ * 'file' 基于文件的剪贴板（多个进程共享）；'none' 禁用剪贴板访问
+ */
+export type NodeBackend = 'auto' | 'xclip' | 'xsel' | 'wl' | 'x11' | 'osc52' | 'file' | 'none';
+
+/** 基于文件的剪贴板配置 */
+export interface FileBackendOptions {
+  /** 存储目录，默认 NOWCLIPBOARD_DIR，其次 $XDG_RUNTIME_DIR/nowclipboard，否则为系统临时目录下的用户目录 */
+  dir?: string;
+}
+
+/** Node.js 后端选择配置 */
+export interface BackendOptions {
+  /**
+   * 强制使用指定后端。未传入时读取 NOWCLIPBOARD_BACKEND 环境变量或 .nowclipboardrc，
+   * 都未设置时自动检测（在 SSH 且无显示服务时使用 OSC 52）
+   */
+  backend?: NodeBackend;
+  /** 'file' 时在没有系统剪贴板（无显示服务或未安装剪贴板命令）时使用基于文件的剪贴板；默认读取 NOWCLIPBOARD_FALLBACK，否则为 'none' */
+  fallback?: 'none' | 'file';
+  /** OSC 52 后端配置 */
+  osc52?: Osc52Options;
+  /** 基于文件的剪贴板配置 */
+  file?: FileBackendOptions;
+}
+
+/** 剪贴板提供者操作名 */
+export type ProviderOperation = 'writeText' | 'readText' | 'write' | 'read' | 'types';
+
+/** MIME 类型到内容的映射（提供者 write/read 使用） */
+export interface ProviderItems {
+  [mimeType: string]: Blob | string | Uint8Array;
+}
+
+/**
+ * 剪贴板提供者
+ * 内置提供者：'clipboard-api'、'exec-command'、'node'
+ */
+export interface ClipboardProvider {
+  /** 能力检测，未实现时视为支持所有已实现的操作 */
+  isSupported?(operation: ProviderOperation, options: any): boolean;
+  /** 写入文本 */
+  writeText?(text: string, options: any): Promise<string>;
+  /** 读取文本 */
+  readText?(options: any): Promise<string>;
+  /** 写入多种 MIME 类型 */
+  write?(items: ProviderItems, options: any): Promise<any>;
+  /** 读取所有 MIME 类型 */
+  read?(options: any): Promise<ProviderItems>;
+  /** 列出可用的 MIME 类型（不读取内容） */
+  types?(options: any): Promise<string[]>;
+}
+
+export interface ProviderOptions {
+  /** 本次调用使用的提供者顺序，默认使用全局顺序 */
+  providers?: string[];
 }
 
 export interface NowClipboardOptions extends RetryOptions {
@@ -95,6 +290,18 @@ export interface ChangeData {
   text: string;
 }
 
+/** 变更监听配置（其余读取选项会传给 read） */
+export interface ChangeOptions extends SelectionOptions, BackendOptions, ProviderOptions {
+  /** 轮询间隔 ms，默认 1000 */
+  interval?: number;
+  /** Node.js 中剪贴板无变化时轮询间隔的上限 ms，默认 interval * 5 */
+  maxInterval?: number;
+  /** Node.js 中是否使用系统原生变更通知（Wayland 下的 wl-paste --watch），默认 true */
+  native?: boolean;
+  /** 读取失败或原生监听异常退出时的回调（默认忽略） */
+  onError?: (error: Error) => void;
+}
+
 /** 剪贴板历史条目 */
 export interface HistoryEntry {
   /** 文本内容 */
@@ -115,6 +322,12 @@ export interface HistoryOptions {
   storageKey?: string;
   /** 轮询间隔 ms，默认 1000 */
   pollInterval?: number;
+  /** 读取失败或原生监听异常退出时的回调 */
+  onError?: (error: Error) => void;
+  /** 每记录一条新条目时调用 */
+  onEntry?: (entry: HistoryEntry) => void;
+  /** 传给 onChange 的其他选项（selection、maxInterval、native 等） */
+  watch?: ChangeOptions;
 }
 
 /** 跨标签同步事件数据 */
@@ -159,6 +372,162 @@ export type ImageSource = Blob | File | HTMLImageElement | HTMLCanvasElement | s
 /** Node.js 环境下的图片源类型 */
 export type NodeImageSource = Buffer | Blob | string;
 
+/** 未写入的格式 */
+export interface DroppedFormat {
+  /** MIME 类型 */
+  type: string;
+  /** 未写入的原因 */
+  reason: string;
+}
+
+/** writeFormats 配置 */
+export interface WriteFormatsOptions extends RetryOptions, SelectionOptions, BackendOptions, ProviderOptions {
+  /** Node.js：报告未写入的格式 */
+  onDropped?: (dropped: DroppedFormat[]) => void;
+}
+
+/** read 配置 */
+export interface ReadOptions extends RetryOptions, SelectionOptions, BackendOptions, ProviderOptions {
+  /** 保留原始内容，不去掉末尾换行（仅 Node.js 有效，默认 false） */
+  raw?: boolean;
+  /** Node.js：'buffer' 返回原始字节，其他 Buffer 编码（如 'latin1'）用于解码，默认 'utf8'；浏览器中传入会报 TypeError */
+  encoding?: BufferEncoding | 'buffer';
+}
+
+/** copyFiles 配置 */
+export interface CopyFilesOptions extends RetryOptions, SelectionOptions, BackendOptions {
+  /** 'copy'（默认）或 'cut'；macOS 不支持 'cut' */
+  operation?: 'copy' | 'cut';
+}
+
+/** readFiles 结果 */
+export interface ClipboardFiles {
+  /** 复制还是剪切 */
+  operation: 'copy' | 'cut';
+  /** 文件的绝对路径 */
+  paths: string[];
+}
+
+/** NowClipboard.node：Node.js 专用控制 */
+export interface NodeControls {
+  /**
+   * 启动常驻辅助进程（Windows 为 PowerShell，其他平台为 sh），之后的剪贴板命令交给它执行，不再每次启动新进程
+   * 辅助进程意外退出时自动回退为按次启动
+   * @returns 辅助进程就绪后 resolve
+   */
+  startHelper(): Promise<void>;
+  /**
+   * 停止常驻辅助进程（已发送的请求仍会完成）
+   * @returns 辅助进程退出后 resolve
+   */
+  stopHelper(): Promise<void>;
+  /** 常驻辅助进程是否在运行 */
+  isHelperRunning(): boolean;
+  /** 丢弃已加载的配置文件（按工作目录缓存），下次调用时重新查找并读取 .nowclipboardrc / NOWCLIPBOARD_CONFIG */
+  reloadConfig(): void;
+  /**
+   * 创建直接写入剪贴板命令标准输入的 Writable（带背压，不经过常驻辅助进程）
+   * 命令成功退出后触发 'finish'
+   * @param options - 选区、后端和取消配置（不支持 OSC 52）
+   * @throws 选项无效或未安装剪贴板命令时抛出
+   */
+  createWriteStream(options?: StreamOptions): Writable;
+  /**
+   * 创建读取剪贴板命令标准输出的 Readable（原样输出，不去掉末尾换行）
+   * @param options - 选区、编码和取消配置
+   * @throws 选项无效或未安装剪贴板命令时抛出
+   */
+  createReadStream(options?: StreamOptions & { encoding?: BufferEncoding }): Readable;
+}
+
+/** 剪贴板流配置 */
+export interface StreamOptions extends SelectionOptions, BackendOptions {
+  /** 超时 ms，超时后终止命令并让流报错 */
+  timeout?: number;
+  /** AbortSignal，取消时终止命令并让流报错 */
+  signal?: AbortSignal | null;
+}
+
+/** checkSupport 可检测的操作 */
+export type SupportAction = 'copy' | 'cut' | 'write' | 'read' | 'image' | 'formats';
+
+/** 单项操作的支持情况 */
+export interface OperationSupport {
+  /** 是否支持 */
+  supported: boolean;
+  /** 将使用的后端，如 'xclip'、'wl-copy'、'osc52'、'file'、'clipboard-api'、'exec-command' */
+  backend: string | null;
+  /** 可读的原因说明 */
+  reason: string;
+  /** 不支持时的安装 / 配置建议 */
+  hint: string | null;
+}
+
+/** 被环境变量或配置文件覆盖的选项 */
+export interface OverrideSetting<T> {
+  /** 生效的值 */
+  value: T;
+  /** 来源：环境变量名或配置文件路径 */
+  source: string;
+}
+
+/** diagnose() 报告中的覆盖设置（NOWCLIPBOARD_* 环境变量 / .nowclipboardrc） */
+export interface NodeOverrides {
+  /** 使用的配置文件路径，没有时为 null */
+  config: string | null;
+  /** NOWCLIPBOARD_BACKEND / backend */
+  backend: OverrideSetting<NodeBackend> | null;
+  /** NOWCLIPBOARD_SELECTION / selection */
+  selection: OverrideSetting<'clipboard' | 'primary' | 'secondary'> | null;
+  /** NOWCLIPBOARD_TIMEOUT / timeout */
+  timeout: OverrideSetting<number> | null;
+  /** NOWCLIPBOARD_FALLBACK / fallback */
+  fallback: OverrideSetting<'none' | 'file'> | null;
+  /** NOWCLIPBOARD_DIR / dir（绝对路径，配置文件中的相对路径相对于配置文件所在目录） */
+  dir: OverrideSetting<string> | null;
+  /** 配置文件或环境变量无效时的错误信息 */
+  error?: string;
+}
+
+/** diagnose() 报告 */
+export interface DiagnoseReport {
+  /** 运行环境 */
+  environment: 'browser' | 'node' | 'unknown';
+  /** Node.js 平台（process.platform） */
+  platform: string | null;
+  /** Linux 显示服务器 */
+  display: { wayland: boolean; x11: boolean } | null;
+  /** 是否有可用于 OSC 52 的控制终端 */
+  tty: boolean;
+  /** 是否处于 SSH 会话（SSH_TTY） */
+  ssh: boolean;
+  /** 浏览器是否为安全上下文 */
+  secureContext?: boolean | null;
+  /** 已探测的命令及其路径（未找到为 null） */
+  commands: { [command: string]: string | null };
+  /** Node.js：环境变量和配置文件的覆盖设置及其来源；浏览器中为 null */
+  overrides: NodeOverrides | null;
+  /** 各操作的支持情况 */
+  operations: {
+    /** 写入文本 */
+    text: OperationSupport;
+    /** 写入图片 */
+    image: OperationSupport;
+    /** 读取 */
+    read: OperationSupport;
+    /** 多格式写入 */
+    formats: OperationSupport;
+  };
+}
+
+/** readImage 配置 */
+export interface ReadImageOptions extends RetryOptions, SelectionOptions, BackendOptions, ProviderOptions {
+  /** Node.js：同时将图片保存到该文件路径 */
+  path?: string;
+  /** Node.js：'buffer' 时返回原始字节 Buffer，而不是 Blob */
+  encoding?: 'blob' | 'buffer';
+}
+
 /** 事件映射 */
 type EventMap = {
   success: SuccessEvent;
@@ -241,7 +610,7 @@ declare class NowClipboard {
    * @param options - 重试配置
    * @returns 复制的文本
    */
-  static copy(text: string, options?: RetryOptions & { container?: Element }): Promise<string>;
+  static copy(text: string, options?: RetryOptions & ProviderOptions & { container?: Element }): Promise<string>;
 
   /**
    * 剪切元素内容（仅浏览器）
@@ -256,14 +625,29 @@ declare class NowClipboard {
    * @param options - 重试配置
    * @returns 剪贴板文本内容
    */
-  static read(options?: RetryOptions): Promise<string>;
+  static read(options?: ReadOptions & { encoding?: BufferEncoding }): Promise<string>;
+  /**
+   * 读取剪贴板原始字节（仅 Node.js）
+   * @param options - encoding: 'buffer'
+   * @returns 未做任何处理的 Buffer
+   */
+  static read(options: ReadOptions & { encoding: 'buffer' }): Promise<Buffer>;
 
   /**
-   * 读取剪贴板富内容（文本、HTML、图片）（仅浏览器，需要 HTTPS + 现代浏览器）
+   * 读取剪贴板富内容（文本、HTML、图片）
+   * 浏览器需要 HTTPS + 现代浏览器；Node.js 在 Linux 上按 TARGETS 读取，macOS / Windows 读取文本和图片
    * @param options - 重试配置
    * @returns 剪贴板富内容
    */
-  static readRich(options?: RetryOptions): Promise<ReadRichResult>;
+  static readRich(options?: RetryOptions & SelectionOptions & BackendOptions & ProviderOptions): Promise<ReadRichResult>;
+
+  /**
+   * 列出剪贴板中可用的 MIME 类型，不读取内容
+   * 浏览器使用 clipboard.read() 条目的 types；Node.js 使用 xclip TARGETS / wl-paste --list-types（Linux）、osascript（macOS）、PowerShell（Windows）
+   * @param options - 重试配置
+   * @returns MIME 类型列表，如 ['text/plain', 'text/html', 'image/png']
+   */
+  static types(options?: RetryOptions & SelectionOptions & BackendOptions & ProviderOptions): Promise<string[]>;
 
   /**
    * 写入文本到剪贴板（浏览器和 Node.js 均可用）
@@ -271,32 +655,69 @@ declare class NowClipboard {
    * @param options - 重试配置
    * @returns 写入的文本
    */
-  static write(text: string, options?: RetryOptions & { container?: Element }): Promise<string>;
+  static write(text: string, options?: RetryOptions & SelectionOptions & BackendOptions & ProviderOptions & { container?: Element }): Promise<string>;
 
   /**
    * 写入图片到剪贴板（浏览器和 Node.js 均可用）
    * 浏览器需要 HTTPS + 现代浏览器
-   * Node.js 支持 Buffer、Blob 或文件路径
+   * Node.js 支持 Buffer、Blob 或文件路径，图片类型按文件头、扩展名检测，默认 image/png
    * @param source - 图片源
    * @param options - 重试配置
    * @returns 写入的 Blob
    */
-  static writeImage(source: ImageSource | NodeImageSource, options?: RetryOptions): Promise<Blob>;
+  static writeImage(source: ImageSource | NodeImageSource, options?: RetryOptions & SelectionOptions & BackendOptions & ProviderOptions): Promise<Blob>;
 
   /**
-   * 一次性写入多种 MIME 格式到剪贴板（仅浏览器）
+   * 从剪贴板读取图片（浏览器和 Node.js 均可用）
+   * Node.js：Linux 使用 wl-paste / xclip（image/png），macOS 使用 osascript，Windows 使用 PowerShell
+   * @param options - 读取配置，path 可直接保存到文件
+   * @returns 图片 Blob（type 为根据文件头检测的 MIME 类型），encoding 为 'buffer' 时返回 Buffer
+   */
+  static readImage(options: ReadImageOptions & { encoding: 'buffer' }): Promise<Buffer>;
+  static readImage(options?: ReadImageOptions): Promise<Blob>;
+
+  /**
+   * 一次性写入多种 MIME 格式到剪贴板
+   * Node.js 中 Windows 同时写入纯文本和 HTML；其他系统命令一次只能提供一种类型（图片 > HTML > 纯文本 > 自定义，需要同时提供多种类型时使用 x11 后端），其余通过 onDropped 报告
    * @param formats - MIME 类型到内容的映射，如 { 'text/plain': 'hello', 'text/html': '<b>hello</b>' }
    * @param options - 重试配置
-   * @returns 写入的格式映射
+   * @returns 实际写入的格式映射
    */
-  static writeFormats(formats: FormatsMap, options?: RetryOptions): Promise<FormatsMap>;
+  static writeFormats(formats: FormatsMap | { [mimeType: string]: string | Blob | Buffer }, options?: WriteFormatsOptions): Promise<FormatsMap>;
 
   /**
-   * 检测环境是否支持剪贴板操作
+   * 检测环境是否支持剪贴板操作（基于 diagnose()）
    * @param actions - 要检测的操作（默认 ['copy', 'cut']）
    * @returns 是否支持
    */
-  static checkSupport(actions?: string | string[]): boolean;
+  static checkSupport(actions?: SupportAction | SupportAction[]): boolean;
+
+  /**
+   * 探测当前环境的剪贴板后端（Node.js：PATH 中的命令、DISPLAY / WAYLAND_DISPLAY、OSC 52 终端；浏览器：Clipboard API、execCommand）
+   * Node.js 的探测结果会缓存，环境变化后传入 { refresh: true } 重新探测
+   * @param options - 探测配置
+   * @returns 诊断报告
+   */
+  static diagnose(options?: { refresh?: boolean }): DiagnoseReport;
+
+  /**
+   * 把文件放到剪贴板，供文件管理器粘贴（仅 Node.js）
+   * Linux 写入 x-special/gnome-copied-files（GNOME 系桌面或剪切）或 text/uri-list；macOS 写入文件 URL；Windows 写入文件列表
+   * @param paths - 文件路径（相对路径按当前工作目录解析，文件必须存在）
+   * @param options - operation 及重试配置
+   * @returns 绝对路径列表
+   */
+  static copyFiles(paths: string | string[], options?: CopyFilesOptions): Promise<string[]>;
+
+  /**
+   * 读取剪贴板中的文件（仅 Node.js）
+   * @param options - 重试配置
+   * @returns 操作类型和文件路径；剪贴板中没有文件时 reject
+   */
+  static readFiles(options?: RetryOptions & SelectionOptions & BackendOptions): Promise<ClipboardFiles>;
+
+  /** Node.js 专用控制 */
+  static node: NodeControls;
 
   /**
    * 查询剪贴板权限
@@ -314,12 +735,13 @@ declare class NowClipboard {
   static onPaste(target: string | Element | null, callback: (data: PasteData) => void): PasteListener;
 
   /**
-   * 监听剪贴板内容变更（仅浏览器，轮询方式）
+   * 监听剪贴板内容变更
+   * 浏览器中固定间隔轮询；Node.js 中优先使用系统原生通知（Wayland 下的 wl-paste --watch），否则自适应轮询
    * @param callback - 变更回调，接收 { text }
-   * @param interval - 轮询间隔 ms，默认 1000
+   * @param options - 轮询间隔 ms（默认 1000）或配置
    * @returns 监听器对象，包含 destroy 方法
    */
-  static onChange(callback: (data: ChangeData) => void, interval?: number): ChangeListener;
+  static onChange(callback: (data: ChangeData) => void, options?: number | ChangeOptions): ChangeListener;
 
   /**
    * 跨标签页同步（仅浏览器，基于 BroadcastChannel）
@@ -352,27 +774,75 @@ declare class NowClipboard {
    */
   static copyRich(options: RichTextOptions): Promise<{ text: string; html: string }>;
 
+  /**
+   * 注册剪贴板提供者（同名则替换），新提供者追加到全局顺序末尾
+   * @param name - 提供者名称
+   * @param provider - 提供者实现
+   */
+  static registerProvider(name: string, provider: ClipboardProvider): void;
+
+  /**
+   * 移除剪贴板提供者
+   * @param name - 提供者名称
+   * @returns 是否移除成功
+   */
+  static unregisterProvider(name: string): boolean;
+
+  /**
+   * 设置全局提供者顺序
+   * @param order - 提供者名称列表，按顺序尝试
+   */
+  static setProviders(order: string[]): void;
+
+  /** 获取全局提供者顺序 */
+  static getProviders(): string[];
+
+  /** 默认重试判断：权限拒绝、非安全上下文和参数错误（TypeError）返回 false */
+  static isRetryable(error: Error): boolean;
+
   /** 剪贴板历史类 */
   static History: typeof ClipboardHistory;
+
+  /** 错误类，可用于 instanceof 判断 */
+  static NowClipboardError: typeof NowClipboardError;
+  static NotSupportedError: typeof NotSupportedError;
+  static PermissionDeniedError: typeof PermissionDeniedError;
+  static InsecureContextError: typeof InsecureContextError;
+  static TimeoutError: typeof TimeoutError;
+  static AbortError: typeof AbortError;
+  static BackendMissingError: typeof BackendMissingError;
+  static FetchFailedError: typeof FetchFailedError;
+  static InvalidArgumentError: typeof InvalidArgumentError;
 }
 
 export default NowClipboard;
 export { NowClipboard };
 
-// ESM 命名导出（对应 src/NowClipboard.esm.js）
+// ESM 命名导出（对应 src/NowClipboard.js 与 src/NowClipboard.browser.js）
 export var copy: typeof NowClipboard.copy;
 export var cut: typeof NowClipboard.cut;
 export var read: typeof NowClipboard.read;
 export var readRich: typeof NowClipboard.readRich;
+export var types: typeof NowClipboard.types;
 export var copyImage: typeof NowClipboard.copyImage;
 export var copyBlob: typeof NowClipboard.copyBlob;
 export var copyRich: typeof NowClipboard.copyRich;
 export var write: typeof NowClipboard.write;
 export var writeImage: typeof NowClipboard.writeImage;
+export var readImage: typeof NowClipboard.readImage;
 export var writeFormats: typeof NowClipboard.writeFormats;
+export var copyFiles: typeof NowClipboard.copyFiles;
+export var readFiles: typeof NowClipboard.readFiles;
 export var onPaste: typeof NowClipboard.onPaste;
 export var onChange: typeof NowClipboard.onChange;
 export var onSync: typeof NowClipboard.onSync;
 export var queryPermission: typeof NowClipboard.queryPermission;
 export var checkSupport: typeof NowClipboard.checkSupport;
+export var diagnose: typeof NowClipboard.diagnose;
+export var node: typeof NowClipboard.node;
+export var registerProvider: typeof NowClipboard.registerProvider;
+export var unregisterProvider: typeof NowClipboard.unregisterProvider;
+export var setProviders: typeof NowClipboard.setProviders;
+export var getProviders: typeof NowClipboard.getProviders;
+export var isRetryable: typeof NowClipboard.isRetryable;
 export var History: typeof ClipboardHistory;
@@ -0,0 +1,77 @@
+// NowClipboard 守护进程类型定义（nowclipboard/daemon，仅 Node.js）
+
+import type { History, HistoryEntry, HistoryOptions, NowClipboardErrorCode } from './NowClipboard';
+
+/** 守护进程配置 */
+export interface DaemonOptions {
+  /** 本地套接字路径，默认 defaultSocketPath()；false 不监听 */
+  socket?: string | false;
+  /** 127.0.0.1 上的 HTTP/WebSocket 端口（0 自动分配）；默认 false 不监听 */
+  port?: number | false;
+  /** HTTP 接口的 Bearer 令牌，默认随机生成 */
+  token?: string;
+  /** 允许通过浏览器访问 HTTP 接口的来源，'*' 表示任意来源 */
+  origins?: string[];
+  /** 剪贴板历史配置 */
+  history?: HistoryOptions;
+}
+
+/** 各方法的参数与结果 */
+export interface DaemonMethods {
+  copy: { params: { text: string; selection?: string }; result: { length: number } };
+  paste: { params: { selection?: string; raw?: boolean }; result: { text: string } };
+  types: { params: { selection?: string }; result: { types: string[] } };
+  history: { params: { limit?: number }; result: { entries: HistoryEntry[] } };
+}
+
+/** 套接字 / WebSocket 请求消息 */
+export interface DaemonRequest {
+  id?: string | number | null;
+  method: keyof DaemonMethods | 'subscribe' | 'unsubscribe';
+  params?: object;
+}
+
+/** 套接字 / WebSocket 响应消息 */
+export type DaemonResponse =
+  | { id: string | number | null; result: object }
+  | { id: string | number | null; error: { name: string; message: string; code?: NowClipboardErrorCode } };
+
+/** 订阅后推送的剪贴板变更事件 */
+export interface DaemonChangeEvent {
+  event: 'change';
+  entry: HistoryEntry;
+}
+
+/** 剪贴板守护进程：通过本地套接字和本机 HTTP/WebSocket 共享剪贴板与历史 */
+export declare class ClipboardDaemon {
+  constructor(options?: DaemonOptions);
+  /** 本地套接字路径（未监听时为 null） */
+  readonly socketPath: string | null;
+  /** HTTP 端口（开始监听后为实际端口；未监听时为 null） */
+  readonly port: number | null;
+  /** HTTP 地址，如 'http://127.0.0.1:7370'（未监听时为 null） */
+  readonly url: string | null;
+  /** HTTP 接口的 Bearer 令牌 */
+  readonly token: string;
+  /** 允许的浏览器来源 */
+  readonly origins: string[];
+  /** 剪贴板历史（开始监听后可用） */
+  readonly history: InstanceType<typeof History> | null;
+  /** close() 完成后 resolve */
+  readonly closed: Promise<void>;
+
+  /** 启动历史记录并开始监听 */
+  listen(): Promise<this>;
+  /** 执行一个方法（所有传输方式共用） */
+  call<M extends keyof DaemonMethods>(method: M, params?: DaemonMethods[M]['params']): Promise<DaemonMethods[M]['result']>;
+  /** 订阅剪贴板变更，返回取消订阅函数 */
+  subscribe(listener: (entry: HistoryEntry) => void): () => void;
+  /** 关闭所有连接与服务，停止历史记录并删除套接字文件 */
+  close(): Promise<void>;
+}
+
+/** 创建并启动守护进程 */
+export declare function startDaemon(options?: DaemonOptions): Promise<ClipboardDaemon>;
+
+/** 默认套接字路径：$XDG_RUNTIME_DIR/nowclipboard.sock，否则为临时目录下的用户专属套接字；Windows 上为命名管道 */
+export declare function defaultSocketPath(): string;
@@ -0,0 +1,13 @@
+// NowClipboard DOM 绑定类型定义（nowclipboard/dom-binding）
+
+import type { NowClipboard as NowClipboardInstance, NowClipboardOptions } from './NowClipboard';
+
+/** NowClipboard 类（只有实例 API；静态方法从 'nowclipboard' 或对应子路径导入） */
+export declare const NowClipboard: {
+  new (trigger: string | Element | NodeList, options?: NowClipboardOptions): NowClipboardInstance;
+  prototype: NowClipboardInstance;
+};
+export type NowClipboard = NowClipboardInstance;
+
+export { onPaste } from './NowClipboard';
+export type { NowClipboardOptions, SuccessEvent, ErrorEvent, PasteData, PasteListener } from './NowClipboard';
@@ -0,0 +1,4 @@
+// NowClipboard 剪贴板历史类型定义（nowclipboard/history）
+
+export { History } from './NowClipboard';
+export type { HistoryEntry, HistoryOptions } from './NowClipboard';
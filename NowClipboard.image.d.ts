@@ -0,0 +1,4 @@
+// NowClipboard 图片类型定义（nowclipboard/image）
+
+export { copyImage, copyBlob, writeImage, readImage } from './NowClipboard';
+export type { ImageSource, NodeImageSource, ReadImageOptions } from './NowClipboard';
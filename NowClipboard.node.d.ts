@@ -0,0 +1,5 @@
+// NowClipboard Node.js 适配器类型定义（nowclipboard/node，仅 Node.js）
+// 导入该模块即为 nowclipboard/core 安装 Node.js 适配器
+
+export { node, copyFiles, readFiles } from './NowClipboard';
+export type { NodeControls, NodeBackend, BackendOptions, StreamOptions, CopyFilesOptions, ClipboardFiles } from './NowClipboard';
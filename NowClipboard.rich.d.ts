@@ -0,0 +1,4 @@
+// NowClipboard 富文本类型定义（nowclipboard/rich）
+
+export { readRich, copyRich, writeFormats } from './NowClipboard';
+export type { RichTextOptions, ReadRichResult, FormatsMap, WriteFormatsOptions, DroppedFormat } from './NowClipboard';
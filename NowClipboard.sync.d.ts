@@ -0,0 +1,4 @@
+// NowClipboard 跨标签页同步类型定义（nowclipboard/sync）
+
+export { onSync } from './NowClipboard';
+export type { SyncData, SyncOptions, SyncInstance } from './NowClipboard';
@@ -0,0 +1,96 @@
+// NowClipboard 测试工具类型定义（nowclipboard/testing）
+
+/** 模拟剪贴板内容：MIME 类型到内容的映射（文本类型保存为字符串，其余为 Blob） */
+export interface FakeClipboardItems {
+  [mimeType: string]: string | Blob;
+}
+
+/** 权限状态 */
+export type FakePermissionState = 'granted' | 'denied' | 'prompt';
+
+/** 模拟剪贴板配置 */
+export interface FakeClipboardOptions {
+  /** 初始内容（多种 MIME 类型） */
+  items?: FakeClipboardItems;
+  /** 初始 text/plain 内容 */
+  text?: string;
+  /** 初始权限状态，默认均为 'granted' */
+  permissions?: { read?: FakePermissionState; write?: FakePermissionState };
+  /** 每次异步操作的延迟 ms，默认 0 */
+  latency?: number;
+  /**
+   * 安装方式：
+   * 'dom' 替换 navigator.clipboard / ClipboardItem / navigator.permissions / document.execCommand；
+   * 'provider' 注册名为 'fake' 的提供者；
+   * 'auto'（默认）有 DOM 时使用 'dom'，否则使用 'provider'
+   */
+  mode?: 'auto' | 'dom' | 'provider';
+}
+
+/** 模拟 ClipboardItem */
+export declare class FakeClipboardItem {
+  constructor(data: { [mimeType: string]: string | Blob | Promise<string | Blob> });
+  readonly types: string[];
+  getType(type: string): Promise<Blob>;
+}
+
+/** 内存模拟剪贴板 */
+export declare class FakeClipboard {
+  constructor(options?: FakeClipboardOptions);
+  /** 实际安装方式 */
+  readonly mode: 'dom' | 'provider';
+  /** 每次成功写入的内容记录 */
+  writes: FakeClipboardItems[];
+
+  /** 设置纯文本内容 */
+  setText(text: string): this;
+  /** 获取 text/plain 内容（无则为空字符串） */
+  getText(): string;
+  /** 设置多种 MIME 类型内容 */
+  setItems(items: FakeClipboardItems): this;
+  /** 获取当前内容副本 */
+  getItems(): FakeClipboardItems;
+  /** 当前内容的 MIME 类型 */
+  types(): string[];
+  /** 清空内容和写入记录 */
+  clear(): this;
+
+  /** 设置权限状态，'denied' 时操作以 NotAllowedError 拒绝 */
+  setPermission(name: 'read' | 'write', state: FakePermissionState): this;
+  /** 设置异步操作延迟 */
+  setLatency(ms: number): this;
+  /** 让下一次匹配的操作失败 */
+  failNext(kind?: 'read' | 'write' | null, error?: Error): this;
+  /** 派发携带剪贴板内容的 paste 事件（仅 DOM 环境） */
+  paste(target?: string | Element): Event;
+
+  /** 安装（会先卸载其他已安装的模拟剪贴板） */
+  install(): this;
+  /** 卸载并恢复所有被替换的对象 */
+  uninstall(): this;
+}
+
+/** 剪贴板断言，可链式调用，失败时抛出 AssertionError */
+export interface ClipboardAssertions {
+  /** text/plain 等于期望值 */
+  toHaveText(expected: string): ClipboardAssertions;
+  /** text/plain 包含期望值 */
+  toContainText(expected: string): ClipboardAssertions;
+  /** text/html 等于期望值 */
+  toHaveHtml(expected: string): ClipboardAssertions;
+  /** 包含指定 MIME 类型 */
+  toHaveType(type: string): ClipboardAssertions;
+  /** 剪贴板为空 */
+  toBeEmpty(): ClipboardAssertions;
+  /** 写入次数（不传则至少一次） */
+  toHaveBeenWritten(times?: number): ClipboardAssertions;
+}
+
+/** 创建并安装模拟剪贴板 */
+export declare function installFakeClipboard(options?: FakeClipboardOptions): FakeClipboard;
+
+/** 卸载当前模拟剪贴板 */
+export declare function uninstallFakeClipboard(): void;
+
+/** 对剪贴板内容断言，默认使用当前已安装的模拟剪贴板 */
+export declare function expectClipboard(fake?: FakeClipboard): ClipboardAssertions;
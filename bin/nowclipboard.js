@@ -0,0 +1,432 @@
+#!/usr/bin/env node
+/**
+ * NowClipboard Command-Line Tool
+ *
+ *   nowclipboard copy [text...]        Copy arguments, or stdin when none are given
+ *   nowclipboard paste                 Print the clipboard text to stdout
+ *   nowclipboard copy-image <file>     Copy an image file
+ *   nowclipboard daemon                Serve the clipboard over a local socket and localhost HTTP
+ *
+ * Exit codes: 0 success, 1 clipboard failure, 2 usage error, 124 timeout
+ */
+'use strict';
+
+var EXIT_OK = 0;
+var EXIT_FAILURE = 1;
+var EXIT_USAGE = 2;
+var EXIT_TIMEOUT = 124;
+
+var DAEMON_PORT = 7370;
+
+// Set by runDetached() on the child that becomes the X11 selection owner
+var OWNER_ENV = 'NOWCLIPBOARD_SELECTION_OWNER';
+
+var USAGE = [
+  'Usage: nowclipboard <command> [options]',
+  '',
+  'Commands:',
+  '  copy [text...]         Copy text from arguments, or from stdin when none are given',
+  '  paste                  Write the clipboard text to stdout',
+  '  copy-image <file>      Copy an image file to the clipboard',
+  '  daemon                 Serve the clipboard and its history until interrupted',
+  '',
+  'Options:',
+  '  -s, --selection <name> Target selection: clipboard (default), primary, secondary',
+  '  -r, --raw              Keep content exactly: no trailing newline stripped from stdin on copy',
+  '                         or from the clipboard on paste, none added on paste',
+  '  -t, --timeout <ms>     Give up after the given number of milliseconds',
+  '  -j, --json             Print machine-readable JSON results',
+  '  -h, --help             Show this help',
+  '  -v, --version          Show the version',
+  '',
+  'Daemon options:',
+  '  --socket <path>        Local socket path (default: $XDG_RUNTIME_DIR/nowclipboard.sock)',
+  '  --no-socket            Do not listen on a local socket',
+  '  --port <n>             HTTP/WebSocket port on 127.0.0.1 (default: 7370, 0 picks a free one)',
+  '  --no-http              Do not listen for HTTP',
+  '  --token <token>        Bearer token for the HTTP API (default: $NOWCLIPBOARD_TOKEN or random)',
+  '  --origin <url>         Allow browser pages from this origin (repeatable)',
+  '',
+  'Environment:',
+  '  NOWCLIPBOARD_BACKEND     Force a backend: auto, xclip, xsel, wl, x11, osc52, file, none',
+  '  NOWCLIPBOARD_SELECTION   Default selection when --selection is not given',
+  '  NOWCLIPBOARD_TIMEOUT     Kill clipboard commands after the given number of milliseconds',
+  '  NOWCLIPBOARD_FALLBACK    Set to "file" to use a file-backed clipboard when there is no system one',
+  '  NOWCLIPBOARD_DIR         Directory of the file-backed clipboard',
+  '  NOWCLIPBOARD_CONFIG      Config file to use instead of the nearest .nowclipboardrc',
+  '  NOWCLIPBOARD_TOKEN       Bearer token of the daemon HTTP API'
+].join('\n');
+
+/**
+ * Error raised for invalid command-line usage
+ */
+function UsageError(message) {
+  var err = new Error(message);
+  err.name = 'UsageError';
+  return err;
+}
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments without the node/script prefix
+ * @returns {{ command: string|null, args: string[], selection: string|undefined, raw: boolean,
+ *   timeout: number|undefined, json: boolean, help: boolean, version: boolean,
+ *   socket: string|false|undefined, port: number|false|undefined, token: string|undefined, origins: string[] }}
+ * @throws {Error} UsageError for unknown or malformed options
+ */
+function parseArgs(argv) {
+  var parsed = {
+    command: null,
+    args: [],
+    selection: undefined,
+    raw: false,
+    timeout: undefined,
+    json: false,
+    help: false,
+    version: false,
+    socket: undefined,
+    port: undefined,
+    token: undefined,
+    origins: []
+  };
+  var onlyPositional = false;
+
+  function takeValue(name, inline, i) {
+    if (inline != null) return { value: inline, next: i };
+    if (i + 1 >= argv.length) throw UsageError('Option ' + name + ' requires a value');
+    return { value: argv[i + 1], next: i + 1 };
+  }
+
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+
+    if (onlyPositional || arg === '-' || arg.charAt(0) !== '-') {
+      if (parsed.command === null) parsed.command = arg;
+      else parsed.args.push(arg);
+      continue;
+    }
+    if (arg === '--') {
+      onlyPositional = true;
+      continue;
+    }
+
+    var eq = arg.indexOf('=');
+    var name = eq === -1 ? arg : arg.slice(0, eq);
+    var inline = eq === -1 ? null : arg.slice(eq + 1);
+    var taken;
+
+    switch (name) {
+      case '-s':
+      case '--selection':
+        taken = takeValue(name, inline, i);
+        parsed.selection = taken.value;
+        i = taken.next;
+        break;
+      case '-t':
+      case '--timeout':
+        taken = takeValue(name, inline, i);
+        parsed.timeout = Number(taken.value);
+        if (!isFinite(parsed.timeout) || parsed.timeout < 0) {
+          throw UsageError('Option ' + name + ' expects a non-negative number of milliseconds');
+        }
+        i = taken.next;
+        break;
+      case '-r':
+      case '--raw':
+        parsed.raw = true;
+        break;
+      case '-j':
+      case '--json':
+        parsed.json = true;
+        break;
+      case '--socket':
+        taken = takeValue(name, inline, i);
+        parsed.socket = taken.value;
+        i = taken.next;
+        break;
+      case '--no-socket':
+        parsed.socket = false;
+        break;
+      case '--port':
+        taken = takeValue(name, inline, i);
+        parsed.port = Number(taken.value);
+        if (!/^\d+$/.test(taken.value) || parsed.port > 65535) {
+          throw UsageError('Option ' + name + ' expects a port number between 0 and 65535');
+        }
+        i = taken.next;
+        break;
+      case '--no-http':
+        parsed.port = false;
+        break;
+      case '--token':
+        taken = takeValue(name, inline, i);
+        parsed.token = taken.value;
+        i = taken.next;
+        break;
+      case '--origin':
+        taken = takeValue(name, inline, i);
+        parsed.origins.push(taken.value);
+        i = taken.next;
+        break;
+      case '-h':
+      case '--help':
+        parsed.help = true;
+        break;
+      case '-v':
+      case '--version':
+        parsed.version = true;
+        break;
+      default:
+        throw UsageError('Unknown option: ' + arg);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Read a whole stream into a string
+ * @param {ReadableStream} stream
+ * @returns {Promise<string>}
+ */
+function readStream(stream) {
+  return new Promise(function (resolve, reject) {
+    var chunks = [];
+    stream.on('data', function (chunk) {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    });
+    stream.on('end', function () {
+      resolve(Buffer.concat(chunks).toString('utf8'));
+    });
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Map an error to an exit code
+ * @param {Error} err
+ * @returns {number}
+ */
+function exitCodeFor(err) {
+  // Library argument errors (code INVALID_ARGUMENT) extend TypeError
+  if (err.name === 'UsageError' || err instanceof TypeError) return EXIT_USAGE;
+  if (err.code === 'TIMEOUT') return EXIT_TIMEOUT;
+  return EXIT_FAILURE;
+}
+
+/**
+ * Load a library module from src/, which is kept in sync with the code in a checkout and
+ * published alongside the bundles (the root bundles are only rebuilt on release)
+ * @param {string} file - File name in src/
+ * @returns {Promise<Object>} Module namespace
+ */
+function loadSource(file) {
+  return import('../src/' + file);
+}
+
+/**
+ * Run a copy in a detached child process that keeps serving the X11 selection after this one
+ * exits, the way xclip forks: with the built-in X11 client, the owning process is the clipboard.
+ * The child reads stdin itself and reports its output and exit code over IPC (see the end of this file).
+ * @param {string[]} argv - Arguments without the node/script prefix
+ * @param {WritableStream} stdout
+ * @param {WritableStream} stderr
+ * @returns {Promise<number>} Exit code of the copy
+ */
+function runDetached(argv, stdout, stderr) {
+  return new Promise(function (resolve, reject) {
+    var env = Object.assign({}, process.env);
+    env[OWNER_ENV] = '1';
+    var child = require('child_process').spawn(process.execPath, [__filename].concat(argv), {
+      env: env,
+      detached: true,
+      stdio: ['inherit', 'ignore', 'ignore', 'ipc']
+    });
+    child.on('message', function (result) {
+      stdout.write(result.stdout);
+      stderr.write(result.stderr);
+      child.disconnect();
+      child.unref();
+      resolve(result.code);
+    });
+    child.on('error', reject);
+    child.on('exit', function (code, signal) {
+      reject(new Error('The X11 selection owner exited with ' + (signal || 'code ' + code) + ' before copying'));
+    });
+  });
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without the node/script prefix
+ * @param {Object} [io] - { NowClipboard, daemon, stdin, stdout, stderr, detach } (defaults to the real
+ *   modules and process streams; `detach` hands copies with the x11 backend to runDetached())
+ * @returns {Promise<number>} Exit code
+ */
+function run(argv, io) {
+  var env = io || {};
+  if (!env.NowClipboard) {
+    return loadSource('NowClipboard.js').then(function (mod) {
+      return run(argv, Object.assign({}, env, { NowClipboard: mod.default }));
+    });
+  }
+  var stdin = env.stdin || process.stdin;
+  var stdout = env.stdout || process.stdout;
+  var stderr = env.stderr || process.stderr;
+  var NowClipboard = env.NowClipboard;
+  var opts;
+
+  function report(result) {
+    if (opts && opts.json) {
+      stdout.write(JSON.stringify(result) + '\n');
+    }
+  }
+
+  function fail(err) {
+    var code = exitCodeFor(err);
+    if (opts && opts.json) {
+      var error = { name: err.name, message: err.message };
+      if (err instanceof NowClipboard.NowClipboardError) error.code = err.code;
+      stdout.write(JSON.stringify({ ok: false, error: error, exitCode: code }) + '\n');
+    } else {
+      stderr.write('nowclipboard: ' + err.message + '\n');
+      if (code === EXIT_USAGE && err.name === 'UsageError') {
+        stderr.write('Run "nowclipboard --help" for usage.\n');
+      }
+    }
+    return code;
+  }
+
+  try {
+    opts = parseArgs(argv);
+  } catch (e) {
+    return Promise.resolve(fail(e));
+  }
+
+  if (opts.help) {
+    stdout.write(USAGE + '\n');
+    return Promise.resolve(EXIT_OK);
+  }
+  if (opts.version) {
+    stdout.write(require('../package.json').version + '\n');
+    return Promise.resolve(EXIT_OK);
+  }
+
+  var copying = opts.command === 'copy' || opts.command === 'copy-image';
+  if (copying && env.detach && NowClipboard.diagnose().operations.text.backend === 'x11') {
+    return runDetached(argv, stdout, stderr).catch(fail);
+  }
+
+  var options = { selection: opts.selection, timeout: opts.timeout };
+
+  var operation;
+  switch (opts.command) {
+    case 'copy':
+      var textPromise = opts.args.length
+        ? Promise.resolve(opts.args.join(' '))
+        : readStream(stdin).then(function (text) {
+          // `echo foo | nowclipboard copy` should copy "foo", not "foo\n"
+          return opts.raw ? text : text.replace(/\r?\n$/, '');
+        });
+      operation = textPromise.then(function (text) {
+        return NowClipboard.write(text, options);
+      }).then(function (text) {
+        report({ ok: true, command: 'copy', length: text.length });
+      });
+      break;
+
+    case 'paste':
+      if (opts.args.length) {
+        return Promise.resolve(fail(UsageError('paste does not take arguments')));
+      }
+      operation = NowClipboard.read({ selection: opts.selection, timeout: opts.timeout, raw: opts.raw }).then(function (text) {
+        if (opts.json) {
+          report({ ok: true, command: 'paste', text: text });
+        } else {
+          stdout.write(opts.raw || !stdout.isTTY ? text : text + '\n');
+        }
+      });
+      break;
+
+    case 'copy-image':
+      if (opts.args.length !== 1) {
+        return Promise.resolve(fail(UsageError('copy-image expects exactly one file path')));
+      }
+      operation = NowClipboard.writeImage(opts.args[0], options).then(function (blob) {
+        report({ ok: true, command: 'copy-image', file: opts.args[0], size: blob.size != null ? blob.size : blob.length });
+      });
+      break;
+
+    case 'daemon':
+      if (opts.args.length) {
+        return Promise.resolve(fail(UsageError('daemon does not take arguments')));
+      }
+      if (opts.socket === false && opts.port === false) {
+        return Promise.resolve(fail(UsageError('daemon needs a socket or HTTP; drop --no-socket or --no-http')));
+      }
+      var generatedToken = !opts.token && !process.env.NOWCLIPBOARD_TOKEN;
+      var startDaemon = function (daemonModule) {
+        return daemonModule.startDaemon({
+          socket: opts.socket,
+          port: opts.port === undefined ? DAEMON_PORT : opts.port,
+          token: opts.token || process.env.NOWCLIPBOARD_TOKEN || undefined,
+          origins: opts.origins,
+          history: { watch: { selection: opts.selection } }
+        });
+      };
+      operation = (env.daemon ? startDaemon(env.daemon) : loadSource('NowClipboard.daemon.js').then(startDaemon)).then(function (daemon) {
+        function stop() {
+          daemon.close();
+        }
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+
+        if (opts.json) {
+          report({ ok: true, command: 'daemon', socket: daemon.socketPath, url: daemon.url, token: generatedToken ? daemon.token : undefined });
+        } else {
+          if (daemon.socketPath) stderr.write('nowclipboard: listening on ' + daemon.socketPath + '\n');
+          if (daemon.url) stderr.write('nowclipboard: listening on ' + daemon.url + '\n');
+          // A generated token is only known to this process, so the user needs to see it
+          if (daemon.url && generatedToken) stderr.write('nowclipboard: token ' + daemon.token + '\n');
+        }
+
+        return daemon.closed.then(function () {
+          process.removeListener('SIGINT', stop);
+          process.removeListener('SIGTERM', stop);
+        });
+      });
+      break;
+
+    case null:
+      stderr.write(USAGE + '\n');
+      return Promise.resolve(EXIT_USAGE);
+
+    default:
+      return Promise.resolve(fail(UsageError('Unknown command: ' + opts.command)));
+  }
+
+  return operation.then(function () {
+    return EXIT_OK;
+  }, fail);
+}
+
+module.exports = { run: run, parseArgs: parseArgs };
+
+if (require.main === module && process.env[OWNER_ENV] && process.send) {
+  // Started by runDetached(): hand the output to the parent, then live on while owning the selection
+  delete process.env[OWNER_ENV];
+  var output = { stdout: '', stderr: '' };
+  run(process.argv.slice(2), {
+    stdout: { write: function (text) { output.stdout += text; } },
+    stderr: { write: function (text) { output.stderr += text; } }
+  }).then(function (code) {
+    process.exitCode = code;
+    process.send({ code: code, stdout: output.stdout, stderr: output.stderr }, function () {
+      process.disconnect();
+    });
+  });
+} else if (require.main === module) {
+  run(process.argv.slice(2), { detach: true }).then(function (code) {
+    process.exitCode = code;
+  });
+}
@@ -1,9 +1,9 @@
 /**
  * NowClipboard Build Script v1.1.9
- * Uses esbuild to generate UMD, ESM, and minified bundles
+ * Uses esbuild to generate UMD, ESM, and minified bundles, plus the unbundled ES module tree
  */
 import { build } from 'esbuild';
-import { readFileSync, mkdirSync, copyFileSync } from 'fs';
+import { readFileSync, readdirSync, mkdirSync, copyFileSync, rmSync } from 'fs';
 
 const pkg = JSON.parse(readFileSync('./package.json', 'utf8'));
 const version = pkg.version;
@@ -18,6 +18,16 @@ const banner = `/**
 // Ensure dist/ directory exists
 mkdirSync('dist', { recursive: true });
 
+// The bundles run where CommonJS `require` exists (or in browsers), so they leave out the
+// createRequire() loader that the esm/ tree needs on Node.js older than 20.16
+const withoutNodeRequire = {
+  name: 'without-node-require',
+  setup(pluginBuild) {
+    pluginBuild.onResolve({ filter: /\/node-require\.js$/ }, (args) => ({ path: args.path, namespace: 'node-require' }));
+    pluginBuild.onLoad({ filter: /.*/, namespace: 'node-require' }, () => ({ contents: 'export default null;' }));
+  },
+};
+
 // Common build options
 const commonOptions = {
   bundle: true,
@@ -26,23 +36,41 @@ const commonOptions = {
   sourcemap: true,
   // Mark Node.js built-ins as external so they are not bundled
   // (they are resolved at runtime in Node.js environment)
-  external: ['child_process'],
+  external: ['child_process', 'fs', 'os', 'path', 'stream', 'url'],
+  plugins: [withoutNodeRequire],
+};
+
+// The iife keeps the entry's module namespace in a variable; wrap it in a UMD factory that hands
+// the default export to CommonJS (require('nowclipboard') and the CLI), AMD loaders or a global
+const umdHeader = `(function (root, factory) {
+  if (typeof module === 'object' && typeof module.exports === 'object') {
+    module.exports = factory();
+  } else if (typeof define === 'function' && define.amd) {
+    define([], factory);
+  } else {
+    root.NowClipboard = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {`;
+const umdOptions = {
+  format: 'iife',
+  globalName: 'NowClipboard',
+  banner: { js: `${banner}\n${umdHeader}` },
+  footer: { js: 'return NowClipboard.default;\n});' },
 };
 
 // Build UMD (完整版)
 await build({
   ...commonOptions,
+  ...umdOptions,
   entryPoints: ['src/NowClipboard.js'],
-  format: 'iife',
-  globalName: 'NowClipboard',
   outfile: 'dist/NowClipboard.js',
   platform: 'neutral',
 });
 
-// Build ESM (with named exports via ESM entry point)
+// Build ESM (single file with named exports, for CDNs and <script type="module">)
 await build({
   ...commonOptions,
-  entryPoints: ['src/NowClipboard.esm.js'],
+  entryPoints: ['src/NowClipboard.js'],
   format: 'esm',
   outfile: 'dist/NowClipboard.esm.mjs',
   platform: 'neutral',
@@ -51,21 +79,100 @@ await build({
 // Build minified UMD
 await build({
   ...commonOptions,
+  ...umdOptions,
   entryPoints: ['src/NowClipboard.js'],
-  format: 'iife',
-  globalName: 'NowClipboard',
   outfile: 'dist/NowClipboard.min.js',
   minify: true,
   platform: 'neutral',
 });
 
+// Build the ES module tree (esm/) that package.json "exports" points to: one file per
+// source module, so bundlers only keep the modules an application imports
+// (nowclipboard/core, nowclipboard/history, ...)
+rmSync('esm', { recursive: true, force: true });
+await build({
+  entryPoints: [
+    'src/NowClipboard.js',
+    'src/NowClipboard.browser.js',
+    ...readdirSync('src/modules').map((file) => `src/modules/${file}`),
+  ],
+  outbase: 'src',
+  outdir: 'esm',
+  bundle: false,
+  format: 'esm',
+  target: ['es2015'],
+  // modules/node-require.js resolves require() from its own URL; only Node.js loads it
+  supported: { 'import-meta': true },
+  platform: 'neutral',
+});
+// Marks esm/ as ES modules and lists the only module with side effects (installing the Node.js adapter)
+copyFileSync('src/package.json', 'esm/package.json');
+
+// The testing kit must drive the same library instance as the application,
+// so './NowClipboard.js' stays an import of the published entry instead of being inlined
+function externalLibrary(path) {
+  return {
+    name: 'external-library',
+    setup(pluginBuild) {
+      pluginBuild.onResolve({ filter: /^\.\/NowClipboard\.js$/ }, () => ({ path, external: true }));
+    },
+  };
+}
+
+// Build testing kit (nowclipboard/testing) - ESM + CommonJS
+await build({
+  ...commonOptions,
+  entryPoints: ['src/NowClipboard.testing.js'],
+  format: 'esm',
+  outfile: 'dist/NowClipboard.testing.mjs',
+  platform: 'neutral',
+  plugins: [externalLibrary('./esm/NowClipboard.js')],
+});
+
+await build({
+  ...commonOptions,
+  entryPoints: ['src/NowClipboard.testing.js'],
+  format: 'cjs',
+  outfile: 'dist/NowClipboard.testing.js',
+  platform: 'neutral',
+  plugins: [externalLibrary('./NowClipboard.js')],
+});
+
+// Build daemon (nowclipboard/daemon) - ESM + CommonJS, Node.js only
+await build({
+  ...commonOptions,
+  entryPoints: ['src/NowClipboard.daemon.js'],
+  format: 'esm',
+  outfile: 'dist/NowClipboard.daemon.mjs',
+  platform: 'node',
+  plugins: [externalLibrary('./esm/NowClipboard.js')],
+});
+
+await build({
+  ...commonOptions,
+  entryPoints: ['src/NowClipboard.daemon.js'],
+  format: 'cjs',
+  outfile: 'dist/NowClipboard.daemon.js',
+  platform: 'node',
+  plugins: [externalLibrary('./NowClipboard.js')],
+});
+
 // Copy type definitions
 copyFileSync('NowClipboard.d.ts', 'dist/NowClipboard.d.ts');
+copyFileSync('NowClipboard.testing.d.ts', 'dist/NowClipboard.testing.d.ts');
+copyFileSync('NowClipboard.daemon.d.ts', 'dist/NowClipboard.daemon.d.ts');
+for (const name of ['core', 'dom-binding', 'rich', 'image', 'node', 'history', 'sync']) {
+  copyFileSync(`NowClipboard.${name}.d.ts`, `dist/NowClipboard.${name}.d.ts`);
+}
 
 // Copy dist/ files to root for npm publish (package.json "files" field references root)
 copyFileSync('dist/NowClipboard.js', 'NowClipboard.js');
 copyFileSync('dist/NowClipboard.esm.mjs', 'NowClipboard.esm.mjs');
 copyFileSync('dist/NowClipboard.min.js', 'NowClipboard.min.js');
+copyFileSync('dist/NowClipboard.testing.mjs', 'NowClipboard.testing.mjs');
+copyFileSync('dist/NowClipboard.testing.js', 'NowClipboard.testing.js');
+copyFileSync('dist/NowClipboard.daemon.mjs', 'NowClipboard.daemon.mjs');
+copyFileSync('dist/NowClipboard.daemon.js', 'NowClipboard.daemon.js');
 // Source maps
 copyFileSync('dist/NowClipboard.js.map', 'NowClipboard.js.map');
 copyFileSync('dist/NowClipboard.esm.mjs.map', 'NowClipboard.esm.mjs.map');
@@ -74,6 +181,9 @@ copyFileSync('dist/NowClipboard.min.js.map', 'NowClipboard.min.js.map');
 console.log(`✅ Build complete: NowClipboard v${version}`);
 console.log('  dist/NowClipboard.js        (UMD)');
 console.log('  dist/NowClipboard.esm.mjs   (ESM with named exports)');
+console.log('  esm/                        (ES modules, one per sub-path: core, dom-binding, rich, image, node, history, sync)');
 console.log('  dist/NowClipboard.min.js   (UMD minified)');
 console.log('  dist/NowClipboard.d.ts      (TypeScript definitions)');
+console.log('  dist/NowClipboard.testing.* (nowclipboard/testing, ESM + CJS)');
+console.log('  dist/NowClipboard.daemon.*  (nowclipboard/daemon, ESM + CJS)');
 console.log('  (+ copied to root for npm publish)');
@@ -0,0 +1,72 @@
+/**
+ * NowClipboard Browser Entry
+ * The whole library except the Node.js adapter. Bundlers pick this file through the
+ * "browser" export condition; every static is also a named export, so
+ * `import { copy } from 'nowclipboard'` only pulls in the modules copy() needs.
+ */
+import {
+  _assign, copy, cut, read, types, write, checkSupport, diagnose, node, queryPermission, onChange,
+  copyFiles, readFiles, registerProvider, unregisterProvider, setProviders, getProviders, isRetryable,
+  NowClipboardError, NotSupportedError, PermissionDeniedError, InsecureContextError, TimeoutError,
+  AbortError, BackendMissingError, FetchFailedError, InvalidArgumentError
+} from './modules/core.js';
+import { NowClipboard, onPaste } from './modules/dom-binding.js';
+import { readRich, copyRich, writeFormats } from './modules/rich.js';
+import { copyImage, copyBlob, writeImage, readImage } from './modules/image.js';
+import { History } from './modules/history.js';
+import { onSync } from './modules/sync.js';
+
+/**
+ * Attach the static API to the NowClipboard class
+ * @returns {Function} NowClipboard
+ */
+function _assembleNowClipboard() {
+  return _assign(NowClipboard, {
+    copy: copy,
+    cut: cut,
+    read: read,
+    readRich: readRich,
+    types: types,
+    checkSupport: checkSupport,
+    diagnose: diagnose,
+    node: node,
+    queryPermission: queryPermission,
+    onPaste: onPaste,
+    onChange: onChange,
+    copyImage: copyImage,
+    copyBlob: copyBlob,
+    copyRich: copyRich,
+    write: write,
+    writeImage: writeImage,
+    readImage: readImage,
+    writeFormats: writeFormats,
+    copyFiles: copyFiles,
+    readFiles: readFiles,
+    registerProvider: registerProvider,
+    unregisterProvider: unregisterProvider,
+    setProviders: setProviders,
+    getProviders: getProviders,
+    isRetryable: isRetryable,
+    History: History,
+    onSync: onSync,
+    NowClipboardError: NowClipboardError,
+    NotSupportedError: NotSupportedError,
+    PermissionDeniedError: PermissionDeniedError,
+    InsecureContextError: InsecureContextError,
+    TimeoutError: TimeoutError,
+    AbortError: AbortError,
+    BackendMissingError: BackendMissingError,
+    FetchFailedError: FetchFailedError,
+    InvalidArgumentError: InvalidArgumentError
+  });
+}
+
+export default /* @__PURE__ */ _assembleNowClipboard();
+
+export {
+  copy, cut, read, readRich, types, copyImage, copyBlob, copyRich, write, writeImage, readImage,
+  writeFormats, copyFiles, readFiles, onPaste, onChange, onSync, queryPermission, checkSupport,
+  diagnose, node, registerProvider, unregisterProvider, setProviders, getProviders, isRetryable, History,
+  NowClipboardError, NotSupportedError, PermissionDeniedError, InsecureContextError, TimeoutError,
+  AbortError, BackendMissingError, FetchFailedError, InvalidArgumentError
+};
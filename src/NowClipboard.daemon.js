@@ -0,0 +1,808 @@
+/**
+ * NowClipboard Daemon
+ * A long-running Node.js process that owns clipboard access and keeps a history, so scripts,
+ * editor plugins and browser pages share one clipboard service
+ *
+ * Transports:
+ *   Local socket (Unix socket / Windows named pipe) - newline-delimited JSON messages
+ *   HTTP on 127.0.0.1 - REST routes plus a WebSocket at /events; requires the bearer token
+ *
+ * Messages are { id, method, params } and are answered with { id, result } or { id, error }:
+ *   copy      { text, selection }  -> { length }
+ *   paste     { selection, raw }   -> { text }
+ *   types     { selection }        -> { types }
+ *   history   { limit }            -> { entries }
+ *   subscribe / unsubscribe        -> { subscribed }, then { event: 'change', entry } messages
+ */
+import net from 'net';
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import NowClipboard from './NowClipboard.js';
+
+/**
+ * GUID appended to Sec-WebSocket-Key for the handshake (RFC 6455)
+ */
+var WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+/**
+ * Largest message accepted on any transport (bytes)
+ */
+var MAX_MESSAGE = 16 * 1024 * 1024;
+
+/**
+ * Host names the HTTP server answers to (anything else may be a DNS rebinding attack)
+ */
+var LOCAL_HOSTS = ['127.0.0.1', 'localhost', '[::1]'];
+
+// Error classes of the library instance the daemon drives, so instanceof and `code` match it
+var InvalidArgumentError = NowClipboard.InvalidArgumentError;
+var NotSupportedError = NowClipboard.NotSupportedError;
+var PermissionDeniedError = NowClipboard.PermissionDeniedError;
+
+/**
+ * Error answered to the client, with the HTTP status to use
+ * 401/403 are PermissionDeniedError, 404/405/426 NotSupportedError, anything else InvalidArgumentError.
+ * @param {string} message
+ * @param {number} [status=400]
+ * @returns {NowClipboardError}
+ */
+function _requestError(message, status) {
+  var code = status || 400;
+  var ErrorClass = code === 401 || code === 403 ? PermissionDeniedError
+    : code === 404 || code === 405 || code === 426 ? NotSupportedError
+      : InvalidArgumentError;
+  var err = new ErrorClass(message);
+  err.status = code;
+  return err;
+}
+
+/**
+ * Serialize an error for a response: { name, message } plus `code` for library errors
+ * @param {Error} err
+ * @returns {{ name: string, message: string, code?: string }}
+ */
+function _errorBody(err) {
+  var body = { name: err.name || 'Error', message: err.message || String(err) };
+  if (err instanceof NowClipboard.NowClipboardError) body.code = err.code;
+  return body;
+}
+
+/**
+ * Default socket path: $XDG_RUNTIME_DIR/nowclipboard.sock, else a per-user socket in the system
+ * temp directory; a per-user named pipe on Windows
+ * @returns {string}
+ */
+export function defaultSocketPath() {
+  if (process.platform === 'win32') {
+    return '\\\\.\\pipe\\nowclipboard-' + os.userInfo().username;
+  }
+  if (process.env.XDG_RUNTIME_DIR) {
+    return path.join(process.env.XDG_RUNTIME_DIR, 'nowclipboard.sock');
+  }
+  return path.join(os.tmpdir(), 'nowclipboard-' + (process.getuid ? process.getuid() : os.userInfo().username) + '.sock');
+}
+
+/**
+ * Serve the WebSocket protocol on an upgraded socket
+ * Text and binary messages (fragmented or not) are passed to onMessage as strings; pings are
+ * answered. Client frames must be masked.
+ * @param {net.Socket} socket
+ * @param {Function} onMessage - Receives each message
+ * @param {Function} onClose - Called once when the connection ends
+ * @returns {{ send: Function, close: Function }}
+ */
+function _webSocket(socket, onMessage, onClose) {
+  var buffer = Buffer.alloc(0);
+  var fragments = [];
+  var fragmentsLength = 0;
+  var closed = false;
+
+  function frame(opcode, payload) {
+    var length = payload.length;
+    var header;
+    if (length < 126) {
+      header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+      header = Buffer.alloc(4);
+      header[1] = 126;
+      header.writeUInt16BE(length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[1] = 127;
+      header.writeUInt32BE(Math.floor(length / 0x100000000), 2);
+      header.writeUInt32BE(length >>> 0, 6);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+  }
+
+  function close(code) {
+    if (closed) return;
+    closed = true;
+    var payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    socket.end(frame(0x8, payload));
+    onClose();
+  }
+
+  socket.on('data', function (chunk) {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (!closed && buffer.length >= 2) {
+      var fin = (buffer[0] & 0x80) !== 0;
+      var opcode = buffer[0] & 0x0f;
+      var masked = (buffer[1] & 0x80) !== 0;
+      var length = buffer[1] & 0x7f;
+      var offset = 2;
+      if (length === 126) {
+        if (buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) return;
+        length = buffer.readUInt32BE(2) * 0x100000000 + buffer.readUInt32BE(6);
+        offset = 10;
+      }
+      if (!masked) {
+        close(1002);
+        return;
+      }
+      if (length > MAX_MESSAGE || fragmentsLength + length > MAX_MESSAGE) {
+        close(1009);
+        return;
+      }
+      if (buffer.length < offset + 4 + length) return;
+
+      var mask = buffer.slice(offset, offset + 4);
+      var payload = Buffer.from(buffer.slice(offset + 4, offset + 4 + length));
+      for (var i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+      buffer = buffer.slice(offset + 4 + length);
+
+      if (opcode === 0x8) {
+        close(1000);
+      } else if (opcode === 0x9) {
+        socket.write(frame(0xA, payload));
+      } else if (opcode === 0x0 || opcode === 0x1 || opcode === 0x2) {
+        fragments.push(payload);
+        fragmentsLength += payload.length;
+        if (fin) {
+          var message = Buffer.concat(fragments).toString('utf8');
+          fragments = [];
+          fragmentsLength = 0;
+          onMessage(message);
+        }
+      } else if (opcode !== 0xA) {
+        close(1002);
+      }
+    }
+  });
+  socket.on('close', function () {
+    if (closed) return;
+    closed = true;
+    onClose();
+  });
+  socket.on('error', function () {
+    // Followed by 'close'
+  });
+
+  return {
+    send: function (message) {
+      if (!closed) socket.write(frame(0x1, Buffer.from(JSON.stringify(message), 'utf8')));
+    },
+    close: function () {
+      close(1001);
+    }
+  };
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ * @param {Object} [headers]
+ */
+function _sendJson(res, status, body, headers) {
+  var data = JSON.stringify(body);
+  res.writeHead(status, Object.assign({
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(data),
+    'Cache-Control': 'no-store'
+  }, headers));
+  res.end(data);
+}
+
+/**
+ * Collect a request body up to MAX_MESSAGE bytes
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Buffer>}
+ */
+function _readBody(req) {
+  return new Promise(function (resolve, reject) {
+    var chunks = [];
+    var length = 0;
+    req.on('data', function (chunk) {
+      length += chunk.length;
+      if (length > MAX_MESSAGE) {
+        reject(_requestError('Request body exceeds ' + MAX_MESSAGE + ' bytes', 413));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', function () {
+      resolve(Buffer.concat(chunks));
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * ClipboardDaemon - Clipboard service over a local socket and localhost HTTP
+ * @constructor
+ * @param {Object} [options]
+ * @param {string|false} [options.socket] - Socket path (default: defaultSocketPath()), false to disable
+ * @param {number|false} [options.port=false] - HTTP port on 127.0.0.1 (0 picks a free one), false to disable
+ * @param {string} [options.token] - Bearer token required by the HTTP API (default: random)
+ * @param {string[]} [options.origins] - Origins allowed to call the HTTP API from a browser ('*' for any)
+ * @param {Object} [options.history] - NowClipboard.History options (maxSize, pollInterval, watch, ...)
+ */
+export function ClipboardDaemon(options) {
+  if (!(this instanceof ClipboardDaemon)) {
+    return new ClipboardDaemon(options);
+  }
+
+  var opts = options || {};
+  if (opts.token != null && (typeof opts.token !== 'string' || opts.token === '')) {
+    throw new InvalidArgumentError('ClipboardDaemon expects token to be a non-empty string', { method: 'ClipboardDaemon()' });
+  }
+  this.socketPath = opts.socket === false ? null : opts.socket || defaultSocketPath();
+  this.port = opts.port == null || opts.port === false ? null : opts.port;
+  this.url = null;
+  this.token = opts.token || crypto.randomBytes(24).toString('hex');
+  this.origins = opts.origins || [];
+  this.history = null;
+  this._historyOptions = opts.history || {};
+  this._subscribers = [];
+  this._connections = [];
+  this._servers = [];
+  this._closed = false;
+  this._ownsSocket = false;
+  var self = this;
+  /**
+   * Resolves once close() has finished
+   */
+  this.closed = new Promise(function (resolve) {
+    self._resolveClosed = resolve;
+  });
+}
+
+/**
+ * Start the history and open the transports
+ * @returns {Promise<ClipboardDaemon>} Resolves once listening
+ */
+ClipboardDaemon.prototype.listen = function () {
+  var self = this;
+  var onEntry = this._historyOptions.onEntry;
+  if (this.history) {
+    return Promise.reject(new NotSupportedError('ClipboardDaemon is already listening', { method: 'ClipboardDaemon#listen()' }));
+  }
+
+  this.history = new NowClipboard.History(Object.assign({}, this._historyOptions, {
+    onEntry: function (entry) {
+      if (onEntry) onEntry(entry);
+      self._subscribers.slice().forEach(function (subscriber) {
+        subscriber(entry);
+      });
+    }
+  })).start();
+
+  var started = [];
+  if (this.socketPath) started.push(this._listenSocket());
+  if (this.port !== null) started.push(this._listenHttp());
+
+  return Promise.all(started).then(function () {
+    return self;
+  }, function (err) {
+    return self.close().then(function () {
+      throw err;
+    });
+  });
+};
+
+/**
+ * Run one method (the same dispatch serves every transport)
+ * @param {string} method - 'copy' | 'paste' | 'types' | 'history'
+ * @param {Object} [params]
+ * @returns {Promise<Object>}
+ */
+ClipboardDaemon.prototype.call = function (method, params) {
+  var p = params || {};
+  var options = p.selection != null ? { selection: p.selection } : {};
+
+  switch (method) {
+    case 'copy':
+      if (typeof p.text !== 'string') {
+        return Promise.reject(_requestError('copy expects params.text to be a string'));
+      }
+      return NowClipboard.write(p.text, options).then(function (text) {
+        return { length: text.length };
+      });
+    case 'paste':
+      return NowClipboard.read(Object.assign(options, { raw: !!p.raw })).then(function (text) {
+        return { text: text };
+      });
+    case 'types':
+      return NowClipboard.types(options).then(function (types) {
+        return { types: types };
+      });
+    case 'history':
+      var entries = this.history ? this.history.list() : [];
+      var limit = p.limit != null ? Number(p.limit) : 0;
+      if (!(limit >= 0)) {
+        return Promise.reject(_requestError('history expects params.limit to be a non-negative number'));
+      }
+      return Promise.resolve({ entries: limit > 0 ? entries.slice(-limit) : entries });
+    default:
+      return Promise.reject(_requestError('Unknown method: ' + method, 404));
+  }
+};
+
+/**
+ * Register a change subscriber
+ * @param {Function} fn - Receives each new history entry
+ * @returns {Function} Unsubscribe
+ */
+ClipboardDaemon.prototype.subscribe = function (fn) {
+  var subscribers = this._subscribers;
+  subscribers.push(fn);
+  return function () {
+    var index = subscribers.indexOf(fn);
+    if (index !== -1) subscribers.splice(index, 1);
+  };
+};
+
+/**
+ * Message session of one connection
+ * @param {Function} send - Sends one message object to the client
+ * @returns {{ handle: Function, subscribe: Function, close: Function }}
+ */
+ClipboardDaemon.prototype._session = function (send) {
+  var self = this;
+  var unsubscribe = null;
+
+  function subscribe() {
+    if (!unsubscribe) {
+      unsubscribe = self.subscribe(function (entry) {
+        send({ event: 'change', entry: entry });
+      });
+    }
+  }
+
+  function handle(text) {
+    var message;
+    try {
+      message = JSON.parse(text);
+    } catch (e) {
+      send({ id: null, error: _errorBody(_requestError('Invalid JSON message')) });
+      return;
+    }
+    var id = message && message.id != null ? message.id : null;
+    if (!message || typeof message.method !== 'string') {
+      send({ id: id, error: _errorBody(_requestError('Expected a message like { id, method, params }')) });
+      return;
+    }
+
+    var result;
+    if (message.method === 'subscribe') {
+      subscribe();
+      result = Promise.resolve({ subscribed: true });
+    } else if (message.method === 'unsubscribe') {
+      if (unsubscribe) unsubscribe();
+      unsubscribe = null;
+      result = Promise.resolve({ subscribed: false });
+    } else {
+      result = self.call(message.method, message.params);
+    }
+    result.then(function (value) {
+      send({ id: id, result: value });
+    }, function (err) {
+      send({ id: id, error: _errorBody(err) });
+    });
+  }
+
+  return {
+    handle: handle,
+    subscribe: subscribe,
+    close: function () {
+      if (unsubscribe) unsubscribe();
+      unsubscribe = null;
+    }
+  };
+};
+
+/**
+ * Track a connection so close() can end it
+ * @param {Function} end
+ * @returns {Function} Untrack
+ */
+ClipboardDaemon.prototype._track = function (end) {
+  var connections = this._connections;
+  connections.push(end);
+  return function () {
+    var index = connections.indexOf(end);
+    if (index !== -1) connections.splice(index, 1);
+  };
+};
+
+/**
+ * Listen on the local socket
+ * A socket file left behind by a daemon that is gone is replaced; a live daemon is an error.
+ * @returns {Promise<void>}
+ */
+ClipboardDaemon.prototype._listenSocket = function () {
+  var self = this;
+  var socketPath = this.socketPath;
+  var pipe = process.platform === 'win32';
+
+  var stat = null;
+  if (!pipe) {
+    try {
+      stat = fs.statSync(socketPath);
+    } catch (e) {
+      // Nothing to replace
+    }
+  }
+  if (stat && !stat.isSocket()) {
+    return Promise.reject(new InvalidArgumentError(socketPath + ' exists and is not a socket', { method: 'ClipboardDaemon#listen()' }));
+  }
+
+  var ready = !stat ? Promise.resolve() : new Promise(function (resolve, reject) {
+    var probe = net.connect(socketPath);
+    probe.on('connect', function () {
+      probe.destroy();
+      reject(new NotSupportedError('A NowClipboard daemon is already listening on ' + socketPath, { method: 'ClipboardDaemon#listen()' }));
+    });
+    probe.on('error', function (err) {
+      if (err.code !== 'ECONNREFUSED' && err.code !== 'ENOENT') {
+        reject(err);
+        return;
+      }
+      try {
+        fs.unlinkSync(socketPath);
+      } catch (e) {
+        // Already gone
+      }
+      resolve();
+    });
+  });
+
+  return ready.then(function () {
+    // Bind inside a fresh 0700 directory and move the socket into place once it is 0600, so no
+    // other user can connect while the permissions are still the umask default
+    var privateDir = pipe ? null : fs.mkdtempSync(path.join(path.dirname(socketPath), '.nowclipboard-'));
+    var bindPath = pipe ? socketPath : path.join(privateDir, 'daemon.sock');
+
+    function removePrivateDir() {
+      if (privateDir) fs.rmSync(privateDir, { recursive: true, force: true });
+    }
+
+    return new Promise(function (resolve, reject) {
+      var server = net.createServer(function (conn) {
+        self._socketConnection(conn);
+      });
+      server.on('error', function (err) {
+        removePrivateDir();
+        reject(err);
+      });
+      server.listen(bindPath, function () {
+        server.removeAllListeners('error');
+        self._servers.push(server);
+        if (!pipe) {
+          try {
+            fs.chmodSync(bindPath, 384); // 0600: only this user may talk to the daemon
+            fs.renameSync(bindPath, socketPath);
+          } catch (e) {
+            removePrivateDir();
+            reject(e);
+            return;
+          }
+          removePrivateDir();
+          self._ownsSocket = true;
+        }
+        resolve();
+      });
+    });
+  });
+};
+
+/**
+ * Serve newline-delimited JSON on a local socket connection
+ * @param {net.Socket} conn
+ */
+ClipboardDaemon.prototype._socketConnection = function (conn) {
+  var buffered = '';
+  var session = this._session(function (message) {
+    if (!conn.destroyed) conn.write(JSON.stringify(message) + '\n');
+  });
+  var untrack = this._track(function () {
+    conn.destroy();
+  });
+
+  conn.setEncoding('utf8');
+  conn.on('data', function (chunk) {
+    buffered += chunk;
+    var lines = buffered.split('\n');
+    buffered = lines.pop();
+    if (buffered.length > MAX_MESSAGE) {
+      conn.end(JSON.stringify({ id: null, error: _errorBody(_requestError('Message exceeds ' + MAX_MESSAGE + ' bytes', 413)) }) + '\n');
+      return;
+    }
+    lines.forEach(function (line) {
+      if (line.trim()) session.handle(line);
+    });
+  });
+  conn.on('close', function () {
+    session.close();
+    untrack();
+  });
+  conn.on('error', function () {
+    // Followed by 'close'
+  });
+};
+
+/**
+ * Listen for HTTP on 127.0.0.1
+ * @returns {Promise<void>}
+ */
+ClipboardDaemon.prototype._listenHttp = function () {
+  var self = this;
+  return new Promise(function (resolve, reject) {
+    var server = http.createServer(function (req, res) {
+      self._handleHttp(req, res);
+    });
+    server.on('upgrade', function (req, socket, head) {
+      self._handleUpgrade(req, socket, head);
+    });
+    server.on('error', reject);
+    server.listen(self.port, '127.0.0.1', function () {
+      server.removeListener('error', reject);
+      self._servers.push(server);
+      self.port = server.address().port;
+      self.url = 'http://127.0.0.1:' + self.port;
+      resolve();
+    });
+  });
+};
+
+/**
+ * Whether a browser origin may call the HTTP API
+ * @param {string} origin
+ * @returns {boolean}
+ */
+ClipboardDaemon.prototype._allowedOrigin = function (origin) {
+  return this.origins.indexOf('*') !== -1 || this.origins.indexOf(origin) !== -1;
+};
+
+/**
+ * Check the Host, Origin and token of an HTTP request
+ * @param {http.IncomingMessage} req
+ * @param {URL} url
+ * @param {boolean} [skipToken] - For CORS preflights, which carry no credentials
+ * @returns {Error|null} Error with the HTTP status to answer
+ */
+ClipboardDaemon.prototype._checkRequest = function (req, url, skipToken) {
+  var host = String(req.headers.host || '').replace(/:\d+$/, '');
+  if (LOCAL_HOSTS.indexOf(host) === -1) {
+    return _requestError('Host not allowed: ' + host, 403);
+  }
+  var origin = req.headers.origin;
+  if (origin && !this._allowedOrigin(origin)) {
+    return _requestError('Origin not allowed: ' + origin, 403);
+  }
+  if (skipToken) return null;
+
+  var auth = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  // Browsers cannot set headers on WebSocket connections, so the token may come in the query
+  var token = auth ? auth[1] : url.searchParams.get('token');
+  var expected = Buffer.from(this.token);
+  var given = Buffer.from(token || '');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return _requestError(token ? 'Invalid token' : 'Missing token', 401);
+  }
+  return null;
+};
+
+/**
+ * Route an HTTP request
+ *   GET  /paste?selection=&raw=1  -> { text }
+ *   POST /copy?selection=         -> { length } (text/plain body, or JSON { text, selection })
+ *   GET  /types?selection=        -> { types }
+ *   GET  /history?limit=          -> { entries }
+ *   GET  /events                  -> WebSocket (see _handleUpgrade)
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+ClipboardDaemon.prototype._handleHttp = function (req, res) {
+  var self = this;
+  var url = new URL(req.url, 'http://127.0.0.1');
+  var query = url.searchParams;
+  var origin = req.headers.origin;
+  var headers = {};
+  if (origin && this._allowedOrigin(origin)) {
+    headers['Access-Control-Allow-Origin'] = origin;
+    headers['Vary'] = 'Origin';
+  }
+
+  function fail(err) {
+    var extra = Object.assign({}, headers);
+    if (err.status === 401) extra['WWW-Authenticate'] = 'Bearer';
+    _sendJson(res, err.status || 500, { error: _errorBody(err) }, extra);
+  }
+
+  if (req.method === 'OPTIONS') {
+    var preflightError = this._checkRequest(req, url, true);
+    if (preflightError) {
+      fail(preflightError);
+      return;
+    }
+    res.writeHead(204, Object.assign(headers, {
+      'Access-Control-Allow-Methods': 'GET, POST',
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+      'Access-Control-Max-Age': '600'
+    }));
+    res.end();
+    return;
+  }
+
+  var denied = this._checkRequest(req, url);
+  if (denied) {
+    fail(denied);
+    return;
+  }
+
+  var routes = { '/paste': 'GET', '/copy': 'POST', '/types': 'GET', '/history': 'GET', '/events': 'GET' };
+  var expected = routes[url.pathname];
+  if (!expected) {
+    fail(_requestError('Not found: ' + url.pathname, 404));
+    return;
+  }
+  if (req.method !== expected) {
+    headers['Allow'] = expected;
+    fail(_requestError(req.method + ' is not allowed on ' + url.pathname, 405));
+    return;
+  }
+
+  var result;
+  var selection = query.get('selection') || undefined;
+  if (url.pathname === '/paste') {
+    result = this.call('paste', { selection: selection, raw: query.get('raw') === '1' || query.get('raw') === 'true' });
+  } else if (url.pathname === '/types') {
+    result = this.call('types', { selection: selection });
+  } else if (url.pathname === '/history') {
+    result = this.call('history', { limit: query.get('limit') });
+  } else if (url.pathname === '/events') {
+    headers['Upgrade'] = 'websocket';
+    fail(_requestError('/events expects a WebSocket connection', 426));
+    return;
+  } else {
+    result = _readBody(req).then(function (body) {
+      if (/^application\/json/i.test(req.headers['content-type'] || '')) {
+        var params;
+        try {
+          params = JSON.parse(body.toString('utf8'));
+        } catch (e) {
+          throw _requestError('Invalid JSON body');
+        }
+        return self.call('copy', Object.assign({ selection: selection }, params));
+      }
+      return self.call('copy', { text: body.toString('utf8'), selection: selection });
+    });
+  }
+
+  result.then(function (value) {
+    _sendJson(res, 200, value, headers);
+  }, fail);
+};
+
+/**
+ * Accept a WebSocket connection on /events
+ * The connection is subscribed to changes right away and accepts the same messages as the
+ * local socket.
+ * @param {http.IncomingMessage} req
+ * @param {net.Socket} socket
+ * @param {Buffer} [head] - Bytes the client sent right after the handshake
+ */
+ClipboardDaemon.prototype._handleUpgrade = function (req, socket, head) {
+  var url = new URL(req.url, 'http://127.0.0.1');
+  var key = req.headers['sec-websocket-key'];
+  var denied = this._checkRequest(req, url);
+  if (!denied && url.pathname !== '/events') {
+    denied = _requestError('Not found: ' + url.pathname, 404);
+  }
+  if (!denied && (!key || String(req.headers.upgrade).toLowerCase() !== 'websocket' || req.headers['sec-websocket-version'] !== '13')) {
+    denied = _requestError('Expected a WebSocket handshake (version 13)');
+  }
+  if (denied) {
+    var body = JSON.stringify({ error: _errorBody(denied) });
+    socket.end('HTTP/1.1 ' + denied.status + ' ' + http.STATUS_CODES[denied.status] + '\r\n' +
+      'Content-Type: application/json; charset=utf-8\r\n' +
+      'Content-Length: ' + Buffer.byteLength(body) + '\r\n' +
+      'Connection: close\r\n\r\n' + body);
+    return;
+  }
+
+  var accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    'Sec-WebSocket-Accept: ' + accept + '\r\n\r\n');
+  // Frames that arrived together with the handshake are part of the WebSocket stream
+  if (head && head.length) socket.unshift(head);
+
+  var session = null;
+  var untrack = null;
+  var ws = _webSocket(socket, function (message) {
+    session.handle(message);
+  }, function () {
+    session.close();
+    untrack();
+  });
+  session = this._session(ws.send);
+  untrack = this._track(ws.close);
+  session.subscribe();
+};
+
+/**
+ * Stop the daemon: close every connection and server, stop the history and remove the socket file
+ * @returns {Promise<void>}
+ */
+ClipboardDaemon.prototype.close = function () {
+  if (this._closed) return Promise.resolve();
+  this._closed = true;
+
+  this._connections.slice().forEach(function (end) {
+    end();
+  });
+  this._subscribers = [];
+  if (this.history) this.history.destroy();
+
+  var self = this;
+  var socketPath = this._ownsSocket ? this.socketPath : null;
+  return Promise.all(this._servers.map(function (server) {
+    return new Promise(function (resolve) {
+      if (server.closeAllConnections) server.closeAllConnections();
+      server.close(function () {
+        resolve();
+      });
+    });
+  })).then(function () {
+    if (socketPath) {
+      try {
+        fs.unlinkSync(socketPath);
+      } catch (e) {
+        // Removed by the server already
+      }
+    }
+    self._resolveClosed();
+  });
+};
+
+/**
+ * Create and start a clipboard daemon
+ * @param {Object} [options] - See ClipboardDaemon
+ * @returns {Promise<ClipboardDaemon>}
+ */
+export function startDaemon(options) {
+  var daemon;
+  try {
+    daemon = new ClipboardDaemon(options);
+  } catch (e) {
+    return Promise.reject(e);
+  }
+  return daemon.listen();
+}
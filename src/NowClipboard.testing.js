@@ -0,0 +1,594 @@
+/**
+ * NowClipboard Testing Kit
+ * In-memory fake clipboard + assertion helpers for testing code that uses NowClipboard
+ *
+ * In DOM environments (browser, jsdom) the fake replaces navigator.clipboard, ClipboardItem,
+ * navigator.permissions and document.execCommand, so the real code paths are exercised.
+ * In Node.js it registers a 'fake' clipboard provider in front of the system commands.
+ */
+import NowClipboard from './NowClipboard.js';
+
+var _hasDOM = typeof window !== 'undefined' && typeof document !== 'undefined';
+
+/**
+ * Currently installed fake clipboard
+ */
+var _active = null;
+
+function _isString(val) {
+  return typeof val === 'string' || val instanceof String;
+}
+
+function _isBlob(val) {
+  return typeof Blob !== 'undefined' && val instanceof Blob;
+}
+
+function _delay(ms) {
+  if (!ms || ms <= 0) return Promise.resolve();
+  return new Promise(function (resolve) {
+    setTimeout(resolve, ms);
+  });
+}
+
+/**
+ * Create a DOMException-like error (Node.js < 17 has no DOMException)
+ */
+function _domError(message, name) {
+  if (typeof DOMException === 'function') {
+    return new DOMException(message, name);
+  }
+  var err = new Error(message);
+  err.name = name;
+  return err;
+}
+
+/**
+ * Normalize a stored value: text types are kept as strings, everything else as Blob
+ * @param {string} type - MIME type
+ * @param {string|Blob|Uint8Array} value
+ * @returns {Promise<string|Blob>}
+ */
+function _normalizeValue(type, value) {
+  if (type.indexOf('text/') === 0) {
+    if (_isBlob(value)) return value.text();
+    return Promise.resolve(String(value));
+  }
+  if (_isBlob(value) || typeof Blob === 'undefined') return Promise.resolve(value);
+  return Promise.resolve(new Blob([value], { type: type }));
+}
+
+/**
+ * Stand-in for ClipboardItem
+ * @param {Object} data - Map of MIME type to Blob, string, or Promise of either
+ */
+function FakeClipboardItem(data) {
+  this._data = data || {};
+  this.types = Object.keys(this._data);
+}
+
+FakeClipboardItem.prototype.getType = function (type) {
+  if (this.types.indexOf(type) === -1) {
+    return Promise.reject(_domError('The type was not found', 'NotFoundError'));
+  }
+  return Promise.resolve(this._data[type]).then(function (value) {
+    return _isBlob(value) ? value : new Blob([value], { type: type });
+  });
+};
+
+/**
+ * FakeClipboard - in-memory clipboard with MIME types, permissions, failures and latency
+ * @constructor
+ * @param {Object} [options]
+ * @param {Object} [options.items] - Initial contents, map of MIME type to string or Blob
+ * @param {string} [options.text] - Initial text/plain contents
+ * @param {{ read?: string, write?: string }} [options.permissions] - 'granted' | 'denied' | 'prompt'
+ * @param {number} [options.latency=0] - Delay in ms applied to every async operation
+ * @param {string} [options.mode='auto'] - 'dom' (shim browser APIs) | 'provider' (NowClipboard provider) | 'auto'
+ */
+function FakeClipboard(options) {
+  if (!(this instanceof FakeClipboard)) {
+    return new FakeClipboard(options);
+  }
+
+  var opts = options || {};
+  var permissions = opts.permissions || {};
+  this._items = {};
+  this._permissions = {
+    read: permissions.read || 'granted',
+    write: permissions.write || 'granted'
+  };
+  this._latency = opts.latency || 0;
+  this._failures = [];
+  this._restorers = [];
+  this._installed = false;
+  this.mode = opts.mode && opts.mode !== 'auto' ? opts.mode : (_hasDOM ? 'dom' : 'provider');
+  /** Every successful write, as a map of MIME type to value */
+  this.writes = [];
+
+  if (opts.items) {
+    for (var type in opts.items) {
+      if (Object.prototype.hasOwnProperty.call(opts.items, type)) {
+        this._items[type] = opts.items[type];
+      }
+    }
+  }
+  if (opts.text != null) {
+    this._items['text/plain'] = String(opts.text);
+  }
+}
+
+// ---- Contents ----
+
+/**
+ * Replace the clipboard contents with plain text
+ * @param {string} text
+ * @returns {FakeClipboard} this
+ */
+FakeClipboard.prototype.setText = function (text) {
+  this._items = { 'text/plain': String(text) };
+  return this;
+};
+
+/**
+ * Current text/plain contents ('' when there is none)
+ * @returns {string}
+ */
+FakeClipboard.prototype.getText = function () {
+  var text = this._items['text/plain'];
+  return _isString(text) ? String(text) : '';
+};
+
+/**
+ * Replace the clipboard contents with several MIME types
+ * @param {Object} items - Map of MIME type to string or Blob
+ * @returns {FakeClipboard} this
+ */
+FakeClipboard.prototype.setItems = function (items) {
+  this._items = {};
+  for (var type in items) {
+    if (Object.prototype.hasOwnProperty.call(items, type)) {
+      this._items[type] = items[type];
+    }
+  }
+  return this;
+};
+
+/**
+ * Copy of the current contents
+ * @returns {Object} Map of MIME type to string or Blob
+ */
+FakeClipboard.prototype.getItems = function () {
+  var copy = {};
+  for (var type in this._items) {
+    copy[type] = this._items[type];
+  }
+  return copy;
+};
+
+/**
+ * MIME types currently on the clipboard
+ * @returns {string[]}
+ */
+FakeClipboard.prototype.types = function () {
+  return Object.keys(this._items);
+};
+
+/**
+ * Empty the clipboard and the write log
+ * @returns {FakeClipboard} this
+ */
+FakeClipboard.prototype.clear = function () {
+  this._items = {};
+  this.writes = [];
+  return this;
+};
+
+// ---- Simulation ----
+
+/**
+ * Set a permission state
+ * Operations under a 'denied' permission reject with NotAllowedError
+ * @param {string} name - 'read' | 'write'
+ * @param {string} state - 'granted' | 'denied' | 'prompt'
+ * @returns {FakeClipboard} this
+ */
+FakeClipboard.prototype.setPermission = function (name, state) {
+  if (name !== 'read' && name !== 'write') {
+    throw new TypeError('setPermission() expects "read" or "write"');
+  }
+  this._permissions[name] = state;
+  return this;
+};
+
+/**
+ * Set the delay applied to every async operation
+ * @param {number} ms
+ * @returns {FakeClipboard} this
+ */
+FakeClipboard.prototype.setLatency = function (ms) {
+  this._latency = ms || 0;
+  return this;
+};
+
+/**
+ * Make the next matching operation fail
+ * @param {string} [kind] - 'read' | 'write', any operation when omitted
+ * @param {Error} [error] - Error to reject with
+ * @returns {FakeClipboard} this
+ */
+FakeClipboard.prototype.failNext = function (kind, error) {
+  this._failures.push({
+    kind: kind || null,
+    error: error || new Error('Simulated clipboard failure')
+  });
+  return this;
+};
+
+/**
+ * Check permissions and queued failures for an operation
+ * @param {string} kind - 'read' | 'write'
+ * @returns {Error|null}
+ */
+FakeClipboard.prototype._check = function (kind) {
+  if (this._permissions[kind] === 'denied') {
+    return _domError('Clipboard ' + kind + ' permission denied', 'NotAllowedError');
+  }
+  for (var i = 0; i < this._failures.length; i++) {
+    if (!this._failures[i].kind || this._failures[i].kind === kind) {
+      return this._failures.splice(i, 1)[0].error;
+    }
+  }
+  return null;
+};
+
+/**
+ * Run an async operation with latency, permission and failure simulation
+ * @param {string} kind - 'read' | 'write'
+ * @param {Function} fn - Returns the result (or a Promise of it)
+ * @returns {Promise}
+ */
+FakeClipboard.prototype._perform = function (kind, fn) {
+  var self = this;
+  return _delay(this._latency).then(function () {
+    var error = self._check(kind);
+    if (error) throw error;
+    return fn();
+  });
+};
+
+/**
+ * Store a map of MIME type to value as the new contents
+ * @param {Object} items
+ * @returns {Promise<Object>}
+ */
+FakeClipboard.prototype._store = function (items) {
+  var self = this;
+  var types = Object.keys(items);
+  return Promise.all(types.map(function (type) {
+    return _normalizeValue(type, items[type]);
+  })).then(function (values) {
+    var stored = {};
+    for (var i = 0; i < types.length; i++) {
+      stored[types[i]] = values[i];
+    }
+    self._items = stored;
+    self.writes.push(stored);
+    return items;
+  });
+};
+
+/**
+ * Dispatch a paste event carrying the clipboard contents (DOM only)
+ * @param {string|Element} [target] - Selector or element, defaults to the focused element
+ * @returns {Event} The dispatched event
+ */
+FakeClipboard.prototype.paste = function (target) {
+  if (!_hasDOM) {
+    throw new Error('FakeClipboard.paste() requires a DOM environment');
+  }
+  var el = _isString(target) ? document.querySelector(target) : target;
+  if (!el) {
+    el = document.activeElement || document.body;
+  }
+
+  var items = this._items;
+  var files = [];
+  for (var type in items) {
+    if (type.indexOf('text/') !== 0 && _isBlob(items[type])) {
+      files.push(typeof File === 'function'
+        ? new File([items[type]], 'clipboard.' + type.split('/')[1], { type: type })
+        : items[type]);
+    }
+  }
+
+  var event = new Event('paste', { bubbles: true, cancelable: true });
+  Object.defineProperty(event, 'clipboardData', {
+    value: {
+      types: Object.keys(items),
+      files: files,
+      getData: function (format) {
+        var value = items[format === 'text' ? 'text/plain' : format];
+        return _isString(value) ? String(value) : '';
+      },
+      setData: function () {}
+    }
+  });
+  el.dispatchEvent(event);
+  return event;
+};
+
+// ---- Installation ----
+
+/**
+ * Replace a property and remember how to restore it
+ */
+FakeClipboard.prototype._patch = function (obj, key, value) {
+  var descriptor = Object.getOwnPropertyDescriptor(obj, key);
+  Object.defineProperty(obj, key, { configurable: true, writable: true, value: value });
+  this._restorers.push(function () {
+    if (descriptor) {
+      Object.defineProperty(obj, key, descriptor);
+    } else {
+      delete obj[key];
+    }
+  });
+};
+
+/**
+ * Shim navigator.clipboard, ClipboardItem, navigator.permissions and document.execCommand
+ */
+FakeClipboard.prototype._installDOM = function () {
+  var self = this;
+  var globalObj = typeof globalThis !== 'undefined' ? globalThis : window;
+
+  this._patch(navigator, 'clipboard', {
+    writeText: function (text) {
+      return self._perform('write', function () {
+        return self._store({ 'text/plain': text }).then(function () {});
+      });
+    },
+    readText: function () {
+      return self._perform('read', function () {
+        return self.getText();
+      });
+    },
+    write: function (clipItems) {
+      return self._perform('write', function () {
+        var item = clipItems[0];
+        var items = {};
+        return Promise.all(item.types.map(function (type) {
+          return item.getType(type).then(function (blob) {
+            items[type] = blob;
+          });
+        })).then(function () {
+          return self._store(items);
+        }).then(function () {});
+      });
+    },
+    read: function () {
+      return self._perform('read', function () {
+        return self.types().length ? [new FakeClipboardItem(self.getItems())] : [];
+      });
+    }
+  });
+
+  this._patch(globalObj, 'ClipboardItem', FakeClipboardItem);
+
+  this._patch(navigator, 'permissions', {
+    query: function (descriptor) {
+      var name = descriptor && descriptor.name === 'clipboard-read' ? 'read' : 'write';
+      return Promise.resolve({ state: self._permissions[name] });
+    }
+  });
+
+  this._patch(document, 'queryCommandSupported', function (action) {
+    return action === 'copy' || action === 'cut';
+  });
+
+  this._patch(document, 'execCommand', function (action) {
+    if (action !== 'copy' && action !== 'cut') return false;
+    if (self._check('write')) return false;
+
+    var el = document.activeElement;
+    var isField = el && (el.nodeName === 'INPUT' || el.nodeName === 'TEXTAREA') && typeof el.selectionStart === 'number';
+    var text;
+    if (isField) {
+      text = el.value.slice(el.selectionStart, el.selectionEnd);
+    } else {
+      var sel = window.getSelection && window.getSelection();
+      text = sel ? sel.toString() : '';
+    }
+
+    self._items = { 'text/plain': text };
+    self.writes.push({ 'text/plain': text });
+
+    if (action === 'cut' && isField && !el.readOnly && !el.disabled) {
+      el.value = el.value.slice(0, el.selectionStart) + el.value.slice(el.selectionEnd);
+    }
+    return true;
+  });
+
+  // Never fall through to the real system clipboard (jsdom also looks like Node.js)
+  var order = NowClipboard.getProviders();
+  NowClipboard.setProviders(['clipboard-api', 'exec-command']);
+  this._restorers.push(function () {
+    NowClipboard.setProviders(order);
+  });
+};
+
+/**
+ * Register the fake as the only NowClipboard provider
+ */
+FakeClipboard.prototype._installProvider = function () {
+  var self = this;
+  var order = NowClipboard.getProviders();
+
+  NowClipboard.registerProvider('fake', {
+    writeText: function (text) {
+      return self._perform('write', function () {
+        return self._store({ 'text/plain': text }).then(function () {
+          return text;
+        });
+      });
+    },
+    readText: function (options) {
+      return self._perform('read', function () {
+        var text = self.getText();
+        return (options || {}).encoding === 'buffer' ? Buffer.from(text, 'utf8') : text;
+      });
+    },
+    write: function (items) {
+      return self._perform('write', function () {
+        return self._store(items);
+      });
+    },
+    read: function () {
+      return self._perform('read', function () {
+        return self.getItems();
+      });
+    },
+    types: function () {
+      return self._perform('read', function () {
+        return self.types();
+      });
+    }
+  });
+  NowClipboard.setProviders(['fake']);
+
+  this._restorers.push(function () {
+    NowClipboard.unregisterProvider('fake');
+    NowClipboard.setProviders(order.filter(function (name) {
+      return name !== 'fake';
+    }));
+  });
+};
+
+/**
+ * Install the fake clipboard (uninstalls any other active fake first)
+ * @returns {FakeClipboard} this
+ */
+FakeClipboard.prototype.install = function () {
+  if (this._installed) return this;
+  if (_active) _active.uninstall();
+
+  if (this.mode === 'dom') {
+    if (!_hasDOM) {
+      throw new Error('FakeClipboard mode "dom" requires a DOM environment');
+    }
+    this._installDOM();
+  } else {
+    this._installProvider();
+  }
+
+  this._installed = true;
+  _active = this;
+  return this;
+};
+
+/**
+ * Restore everything patched by install()
+ * @returns {FakeClipboard} this
+ */
+FakeClipboard.prototype.uninstall = function () {
+  if (!this._installed) return this;
+  while (this._restorers.length) {
+    this._restorers.pop()();
+  }
+  this._installed = false;
+  if (_active === this) _active = null;
+  return this;
+};
+
+/**
+ * Create and install a fake clipboard
+ * @param {Object} [options] - See FakeClipboard
+ * @returns {FakeClipboard}
+ */
+export function installFakeClipboard(options) {
+  return new FakeClipboard(options).install();
+}
+
+/**
+ * Uninstall the active fake clipboard, if any
+ */
+export function uninstallFakeClipboard() {
+  if (_active) _active.uninstall();
+}
+
+// ---- Assertions ----
+
+function _fail(message) {
+  var err = new Error(message);
+  err.name = 'AssertionError';
+  throw err;
+}
+
+function _describe(value) {
+  return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+/**
+ * Assertion helpers for the clipboard contents, usable with any test runner
+ * @param {FakeClipboard} [fake] - Defaults to the installed fake clipboard
+ * @returns {Object} Chainable assertions
+ */
+export function expectClipboard(fake) {
+  var clipboard = fake || _active;
+  if (!clipboard) {
+    throw new Error('expectClipboard() needs an installed fake clipboard. Call installFakeClipboard() first');
+  }
+
+  var assertions = {
+    /** text/plain equals `expected` */
+    toHaveText: function (expected) {
+      var text = clipboard._items['text/plain'];
+      if (text !== expected) {
+        _fail('Expected clipboard text to be ' + _describe(expected) + ', but it was ' + _describe(text));
+      }
+      return assertions;
+    },
+    /** text/plain contains `expected` */
+    toContainText: function (expected) {
+      var text = clipboard.getText();
+      if (text.indexOf(expected) === -1) {
+        _fail('Expected clipboard text to contain ' + _describe(expected) + ', but it was ' + _describe(text));
+      }
+      return assertions;
+    },
+    /** text/html equals `expected` */
+    toHaveHtml: function (expected) {
+      var html = clipboard._items['text/html'];
+      if (html !== expected) {
+        _fail('Expected clipboard HTML to be ' + _describe(expected) + ', but it was ' + _describe(html));
+      }
+      return assertions;
+    },
+    /** A MIME type is present */
+    toHaveType: function (type) {
+      if (clipboard.types().indexOf(type) === -1) {
+        _fail('Expected clipboard to have type ' + _describe(type) + ', but it had ' + _describe(clipboard.types()));
+      }
+      return assertions;
+    },
+    /** Nothing is on the clipboard */
+    toBeEmpty: function () {
+      if (clipboard.types().length !== 0) {
+        _fail('Expected clipboard to be empty, but it had ' + _describe(clipboard.types()));
+      }
+      return assertions;
+    },
+    /** Number of writes since install/clear */
+    toHaveBeenWritten: function (times) {
+      var count = clipboard.writes.length;
+      if (times == null ? count === 0 : count !== times) {
+        _fail('Expected clipboard to have been written ' + (times == null ? 'at least once' : times + ' time(s)') +
+          ', but it was written ' + count + ' time(s)');
+      }
+      return assertions;
+    }
+  };
+
+  return assertions;
+}
+
+export { FakeClipboard, FakeClipboardItem };
@@ -0,0 +1,1654 @@
+/**
+ * NowClipboard Core
+ * Environment detection, selection engine, clipboard providers, retries and the text API
+ * (copy / cut / read / write / types / onChange / diagnose).
+ * Node.js system clipboard access is plugged in by the node module (see _installNodeAdapter).
+ */
+
+// ========================================
+// 1. Utility Functions & Environment Detection
+// ========================================
+
+export var _isBrowser = typeof window !== 'undefined' && typeof document !== 'undefined';
+export var _isNode = typeof process !== 'undefined' && process.versions != null && process.versions.node != null;
+
+export function _isString(val) {
+  return typeof val === 'string' || val instanceof String;
+}
+
+export function _isFunction(val) {
+  return typeof val === 'function';
+}
+
+export function _isElement(val) {
+  return val != null && typeof val === 'object' && val.nodeType === 1;
+}
+
+export function _isNodeList(val) {
+  var s = Object.prototype.toString.call(val);
+  return val != null && (s === '[object NodeList]' || s === '[object HTMLCollection]') &&
+    'length' in val && (val.length === 0 || _isElement(val[0]));
+}
+
+/**
+ * Shallow-copy own properties of the sources into target (ES5 Object.assign)
+ */
+export function _assign(target) {
+  for (var i = 1; i < arguments.length; i++) {
+    var source = arguments[i];
+    if (source == null) continue;
+    for (var key in source) {
+      if (Object.prototype.hasOwnProperty.call(source, key)) {
+        target[key] = source[key];
+      }
+    }
+  }
+  return target;
+}
+
+/**
+ * Load a Node.js built-in module from CommonJS and native ESM alike
+ * process.getBuiltinModule() does not depend on `require`, which is undefined in ES modules;
+ * on older Node.js versions the adapter's createRequire() (see node-require.js) or the
+ * CommonJS `require` of the bundles is used
+ * @param {string} id - Built-in module name, e.g. 'child_process'
+ * @returns {Object}
+ * @throws {NotSupportedError} When none works (a bundled ES module on Node.js older than 20.16)
+ */
+export function _nodeRequire(id) {
+  if (typeof process.getBuiltinModule === 'function') {
+    return process.getBuiltinModule(id);
+  }
+  if (_nodeAdapter && _nodeAdapter.require) {
+    return _nodeAdapter.require(id);
+  }
+  try {
+    return require(id);
+  } catch (e) {
+    // Bundlers replace a missing `require` with a stub that throws "Dynamic require of ... is not supported"
+    throw new NotSupportedError('Loading the Node.js module "' + id + '" from a bundled ES module requires Node.js 20.16 or later; ' +
+      'import \'nowclipboard\' or use require(\'nowclipboard\') on older versions');
+  }
+}
+
+/**
+ * Detect the Linux display server from the environment
+ * @returns {{ wayland: boolean, x11: boolean }}
+ */
+export function _linuxDisplay() {
+  var env = process.env;
+  return {
+    wayland: !!env.WAYLAND_DISPLAY,
+    x11: !!env.DISPLAY
+  };
+}
+
+/**
+ * Detect iOS Safari (for clipboard workaround)
+ */
+var _isIOS = _isBrowser && /iPhone|iPad|iPod/.test(navigator.userAgent) && !window.MSStream;
+
+/**
+ * Check if modern Clipboard API is available
+ */
+function isClipboardAPIAvailable() {
+  return _isBrowser &&
+    navigator.clipboard != null &&
+    typeof navigator.clipboard.writeText === 'function';
+}
+
+/**
+ * Check if ClipboardItem API is available (for image/rich text copy)
+ */
+export function isClipboardItemSupported() {
+  return _isBrowser &&
+    navigator.clipboard != null &&
+    typeof navigator.clipboard.write === 'function' &&
+    typeof ClipboardItem === 'function';
+}
+
+/**
+ * Check if clipboard.read() is available (for rich read)
+ */
+function isClipboardReadSupported() {
+  return _isBrowser &&
+    navigator.clipboard != null &&
+    typeof navigator.clipboard.read === 'function';
+}
+
+/**
+ * Check if execCommand supports the specified action
+ */
+function isExecCommandSupported(action) {
+  if (!_isBrowser) return false;
+  try {
+    return !!document.queryCommandSupported && document.queryCommandSupported(action);
+  } catch (e) {
+    return false;
+  }
+}
+
+// ========================================
+// 2. Errors
+// ========================================
+
+/**
+ * Base class of the errors NowClipboard rejects with
+ * `code` is stable and meant for branching; `message` is for humans and may change.
+ * @constructor
+ * @param {string} message
+ * @param {Object} [details]
+ * @param {*} [details.cause] - Underlying error (DOMException, spawn error, ...)
+ * @param {number} [details.attempts=0] - Attempts made before giving up (0 when rejected up front)
+ * @param {string} [details.method] - Method that failed, e.g. 'NowClipboard.copy()'
+ */
+export function NowClipboardError(message, details) {
+  var opts = details || {};
+  this.message = message;
+  this.cause = opts.cause;
+  this.attempts = opts.attempts || 0;
+  this.method = opts.method || null;
+  this.environment = _isBrowser ? 'browser' : _isNode ? 'node' : 'unknown';
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor);
+  } else {
+    this.stack = new Error(message).stack;
+  }
+}
+
+/**
+ * Wire up an error class: prototype chain, name and code
+ * @param {Function} ErrorClass
+ * @param {Function} Parent - NowClipboardError, or a built-in error to stay compatible with
+ * @param {string} name
+ * @param {string} code
+ */
+function _defineError(ErrorClass, Parent, name, code) {
+  ErrorClass.prototype = Object.create(Parent.prototype);
+  ErrorClass.prototype.constructor = ErrorClass;
+  ErrorClass.prototype.name = name;
+  ErrorClass.prototype.code = code;
+}
+
+_defineError(NowClipboardError, Error, 'NowClipboardError', 'UNKNOWN');
+
+/** The operation is not available in this environment, browser or with this backend */
+export function NotSupportedError(message, details) {
+  NowClipboardError.call(this, message, details);
+}
+_defineError(NotSupportedError, NowClipboardError, 'NotSupportedError', 'NOT_SUPPORTED');
+
+/** The browser or the user denied clipboard access */
+export function PermissionDeniedError(message, details) {
+  NowClipboardError.call(this, message, details);
+}
+_defineError(PermissionDeniedError, NowClipboardError, 'PermissionDeniedError', 'PERMISSION_DENIED');
+
+/** The Clipboard API needs a secure context (HTTPS or localhost) */
+export function InsecureContextError(message, details) {
+  NowClipboardError.call(this, message, details);
+}
+_defineError(InsecureContextError, NowClipboardError, 'InsecureContextError', 'INSECURE_CONTEXT');
+
+/** options.timeout elapsed (a clipboard command still running was killed: `killed` is true) */
+export function TimeoutError(message, details) {
+  NowClipboardError.call(this, message, details);
+}
+_defineError(TimeoutError, NowClipboardError, 'TimeoutError', 'TIMEOUT');
+
+/** options.signal was aborted (a clipboard command still running was killed: `killed` is true) */
+export function AbortError(message, details) {
+  NowClipboardError.call(this, message, details);
+}
+_defineError(AbortError, NowClipboardError, 'AbortError', 'ABORTED');
+
+/** Node.js: none of the clipboard commands for the platform is installed */
+export function BackendMissingError(message, details) {
+  NowClipboardError.call(this, message, details);
+}
+_defineError(BackendMissingError, NowClipboardError, 'BackendMissingError', 'BACKEND_MISSING');
+
+/** An image source could not be loaded (network, CORS, unreadable file or canvas) */
+export function FetchFailedError(message, details) {
+  NowClipboardError.call(this, message, details);
+}
+_defineError(FetchFailedError, NowClipboardError, 'FetchFailedError', 'FETCH_FAILED');
+
+/**
+ * A method was called with a bad argument or option
+ * Extends TypeError, which bad arguments have always rejected with; NowClipboardError
+ * recognises it through Symbol.hasInstance below.
+ */
+export function InvalidArgumentError(message, details) {
+  NowClipboardError.call(this, message, details);
+}
+_defineError(InvalidArgumentError, TypeError, 'InvalidArgumentError', 'INVALID_ARGUMENT');
+
+Object.defineProperty(NowClipboardError, Symbol.hasInstance, {
+  value: function (value) {
+    return Object.prototype.isPrototypeOf.call(NowClipboardError.prototype, value) ||
+      Object.prototype.isPrototypeOf.call(InvalidArgumentError.prototype, value);
+  }
+});
+
+/**
+ * Turn an error from a platform API into a NowClipboardError, filling in method and attempts
+ * DOMExceptions are mapped by name; a NotAllowedError outside a secure context becomes an
+ * InsecureContextError. Errors without a matching class are returned unchanged.
+ * @param {*} err
+ * @param {{ method?: string, attempts?: number }} details
+ * @returns {*}
+ */
+export function _clipboardError(err, details) {
+  if (err instanceof NowClipboardError) {
+    if (!err.method) err.method = details.method || null;
+    if (!err.attempts) err.attempts = details.attempts || 0;
+    return err;
+  }
+  var name = err && err.name;
+  var opts = _assign({}, details, { cause: err });
+  var message = err && err.message ? err.message : String(err);
+  if (name === 'NotAllowedError' || name === 'SecurityError') {
+    if (_isBrowser && window.isSecureContext === false) {
+      return new InsecureContextError('The Clipboard API requires a secure context (HTTPS or localhost)', opts);
+    }
+    return new PermissionDeniedError(message, opts);
+  }
+  if (name === 'NotSupportedError') return new NotSupportedError(message, opts);
+  if (name === 'AbortError') return new AbortError(message, opts);
+  if (name === 'TimeoutError') return new TimeoutError(message, opts);
+  return err;
+}
+
+// ========================================
+// 3. EventEmitter
+// ========================================
+
+export function EventEmitter() {
+  this._events = {};
+}
+
+EventEmitter.prototype.on = function (event, fn, ctx) {
+  if (!_isString(event) || !_isFunction(fn)) return this;
+  var events = this._events[event] || (this._events[event] = []);
+  events.push({ fn: fn, ctx: ctx, once: false });
+  return this;
+};
+
+EventEmitter.prototype.once = function (event, fn, ctx) {
+  if (!_isString(event) || !_isFunction(fn)) return this;
+  var events = this._events[event] || (this._events[event] = []);
+  events.push({ fn: fn, ctx: ctx, once: true });
+  return this;
+};
+
+EventEmitter.prototype.off = function (event, fn) {
+  if (!_isString(event)) return this;
+  var events = this._events[event];
+  if (!events) return this;
+  if (!fn) {
+    delete this._events[event];
+    return this;
+  }
+  var remaining = [];
+  for (var i = 0; i < events.length; i++) {
+    if (events[i].fn !== fn) {
+      remaining.push(events[i]);
+    }
+  }
+  if (remaining.length) {
+    this._events[event] = remaining;
+  } else {
+    delete this._events[event];
+  }
+  return this;
+};
+
+EventEmitter.prototype.emit = function (event) {
+  var events = this._events[event];
+  if (!events || events.length === 0) return this;
+  var args = Array.prototype.slice.call(arguments, 1);
+  // Clone to prevent modification during callbacks
+  var listeners = events.slice();
+  var toRemove = [];
+  for (var j = 0; j < listeners.length; j++) {
+    listeners[j].fn.apply(listeners[j].ctx, args);
+    if (listeners[j].once) {
+      toRemove.push(listeners[j]);
+    }
+  }
+  // Remove one-time listeners
+  if (toRemove.length) {
+    var remaining = [];
+    for (var k = 0; k < events.length; k++) {
+      if (toRemove.indexOf(events[k]) === -1) {
+        remaining.push(events[k]);
+      }
+    }
+    if (remaining.length) {
+      this._events[event] = remaining;
+    } else {
+      delete this._events[event];
+    }
+  }
+  return this;
+};
+
+EventEmitter.prototype.removeAllListeners = function () {
+  this._events = {};
+  return this;
+};
+
+// ========================================
+// 4. Selection Engine - Text Selection
+// ========================================
+
+/**
+ * Select text in element and return its content
+ * Note: Does NOT modify the element's readonly attribute to avoid MutationObserver side effects
+ */
+function selectText(element) {
+  var text = '';
+  var nodeName = element.nodeName;
+
+  if (nodeName === 'SELECT') {
+    element.focus();
+    text = element.value;
+  } else if (nodeName === 'INPUT' || nodeName === 'TEXTAREA') {
+    element.focus();
+    try {
+      element.setSelectionRange(0, element.value.length);
+    } catch (e) {
+      // Some input types (e.g. number, email) don't support setSelectionRange
+      try { element.select(); } catch (e2) { /* ignore */ }
+    }
+    text = element.value;
+  } else {
+    if (element.hasAttribute('contenteditable')) {
+      element.focus();
+    }
+    var selection = window.getSelection();
+    var range = document.createRange();
+    range.selectNodeContents(element);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    text = selection.toString();
+  }
+
+  return text;
+}
+
+/**
+ * Create offscreen hidden textarea for fallback copy
+ * Uses iOS-compatible positioning to ensure execCommand works on mobile Safari
+ */
+function createOffscreenArea(text) {
+  var el = document.createElement('textarea');
+  el.style.fontSize = '16px'; // Prevent iOS auto-zoom on inputs < 16px
+  el.style.border = '0';
+  el.style.padding = '0';
+  el.style.margin = '0';
+
+  if (_isIOS) {
+    // iOS Safari requires elements to be in the visible viewport for execCommand('copy')
+    el.style.position = 'fixed';
+    el.style.left = '0';
+    el.style.top = '0';
+    el.style.width = '1px';
+    el.style.height = '1px';
+    el.style.opacity = '0.01';
+    el.style.zIndex = '99999';
+  } else {
+    el.style.position = 'absolute';
+    el.style.opacity = '0';
+    var isRTL = document.documentElement.getAttribute('dir') === 'rtl';
+    el.style[isRTL ? 'right' : 'left'] = '-9999px';
+    var yPos = window.pageYOffset || document.documentElement.scrollTop;
+    el.style.top = yPos + 'px';
+  }
+
+  el.setAttribute('readonly', '');
+  el.value = text;
+  return el;
+}
+
+/**
+ * Clear current page selection
+ */
+export function clearSelection() {
+  try {
+    if (window.getSelection) {
+      var sel = window.getSelection();
+      if (sel.removeAllRanges) {
+        sel.removeAllRanges();
+      } else if (sel.empty) {
+        sel.empty();
+      }
+    }
+  } catch (e) {
+    // ignore
+  }
+}
+
+// ========================================
+// 5. Clipboard Operations Core
+// ========================================
+
+/**
+ * Copy text using modern Clipboard API
+ */
+function modernCopy(text) {
+  return navigator.clipboard.writeText(text).then(function () {
+    return text;
+  });
+}
+
+/**
+ * Copy text using execCommand fallback
+ */
+function legacyCopy(text, container) {
+  var fakeEl = createOffscreenArea(text);
+  var containerEl = container || document.body;
+  containerEl.appendChild(fakeEl);
+
+  selectText(fakeEl);
+
+  var succeeded = false;
+  try {
+    succeeded = document.execCommand('copy');
+  } catch (e) {
+    succeeded = false;
+  }
+
+  if (fakeEl.parentNode) {
+    fakeEl.parentNode.removeChild(fakeEl);
+  }
+  clearSelection();
+
+  if (succeeded) {
+    return resolvedPromise(text);
+  }
+  return rejectedPromise(new NotSupportedError('execCommand copy failed'));
+}
+
+/**
+ * Copy text from element using execCommand fallback
+ */
+function legacyCopyFromElement(element, container) {
+  var text = selectText(element);
+  var succeeded = false;
+  try {
+    succeeded = document.execCommand('copy');
+  } catch (e) {
+    succeeded = false;
+  }
+
+  if (succeeded) {
+    return resolvedPromise(text);
+  }
+  // Fallback: copy via temporary element
+  return legacyCopy(text, container);
+}
+
+/**
+ * Cut content from element
+ * @param {Element} element - Target element
+ * @param {Object} [options] - Retry options (retries/retryDelay/timeout/signal)
+ */
+export function performCut(element, options, method) {
+  var text = selectText(element);
+  var succeeded = false;
+  try {
+    succeeded = document.execCommand('cut');
+  } catch (e) {
+    succeeded = false;
+  }
+
+  if (succeeded) {
+    return resolvedPromise(text);
+  }
+
+  // Fallback: copy first, then clear manually (with retry support)
+  return copyText(text, options, method).then(function (copiedText) {
+    // Clear editable element content
+    var nodeName = element.nodeName;
+    if (nodeName === 'INPUT' || nodeName === 'TEXTAREA') {
+      element.value = '';
+    } else if (element.hasAttribute('contenteditable')) {
+      element.innerHTML = '';
+    }
+    return copiedText;
+  });
+}
+
+/**
+ * Unified copy entry: runs the provider chain with retry support
+ */
+export function copyText(text, options, method) {
+  var opts = options || {};
+
+  return retryOperation(function () {
+    return runProviders('writeText', [text], opts, 'No clipboard method available in this environment');
+  }, opts, method);
+}
+
+/**
+ * Copy text from element
+ */
+export function copyFromElement(element, options, method) {
+  var opts = options || {};
+  var container = opts.container || document.body;
+
+  return retryOperation(function () {
+    // Get text first
+    var text = selectText(element);
+
+    if (isClipboardAPIAvailable()) {
+      return modernCopy(text).catch(function () {
+        clearSelection();
+        return legacyCopyFromElement(element, container);
+      });
+    }
+
+    return legacyCopyFromElement(element, container);
+  }, opts, method);
+}
+
+/**
+ * Read clipboard text using modern Clipboard API
+ * @returns {Promise<string>}
+ */
+function modernRead() {
+  return navigator.clipboard.readText();
+}
+
+/**
+ * Unified read entry: runs the provider chain with retry support
+ * @param {Object} [options] - Options (retries/retryDelay/timeout/signal/providers)
+ * @returns {Promise<string>}
+ */
+function readText(options, method) {
+  var opts = options || {};
+
+  return retryOperation(function () {
+    return runProviders('readText', [], opts, 'Clipboard read not supported in this environment');
+  }, opts, method);
+}
+
+// ========================================
+// 6. Clipboard Providers
+// ========================================
+
+/**
+ * Provider operations
+ * - writeText(text, options) -> Promise<string>
+ * - readText(options) -> Promise<string>
+ * - write(items, options) -> Promise<Object>, items map MIME types to Blob/Buffer/string
+ * - read(options) -> Promise<Object>, resolves a map of MIME types to Blob
+ *   (`options.types` lists the MIME types the caller wants, e.g. ['image/*']; providers may return more)
+ * - types(options) -> Promise<string[]>, lists the available MIME types without reading the content
+ */
+var PROVIDER_OPERATIONS = ['writeText', 'readText', 'write', 'read', 'types'];
+
+/**
+ * Built-in provider: async Clipboard API (navigator.clipboard + ClipboardItem)
+ */
+var clipboardApiProvider = {
+  isSupported: function (op) {
+    if (op === 'writeText') return isClipboardAPIAvailable();
+    if (op === 'readText') {
+      return _isBrowser && navigator.clipboard != null && typeof navigator.clipboard.readText === 'function';
+    }
+    if (op === 'write') return isClipboardItemSupported();
+    // read / types
+    return isClipboardReadSupported();
+  },
+  writeText: function (text) {
+    return modernCopy(text);
+  },
+  readText: function () {
+    return modernRead();
+  },
+  write: function (items) {
+    var itemData = {};
+    var keys = Object.keys(items);
+    for (var i = 0; i < keys.length; i++) {
+      var value = items[keys[i]];
+      // Safari requires Promise<Blob> as value
+      itemData[keys[i]] = Promise.resolve(value instanceof Blob ? value : new Blob([value], { type: keys[i] }));
+    }
+    return navigator.clipboard.write([new ClipboardItem(itemData)]).then(function () {
+      return items;
+    });
+  },
+  read: function () {
+    return navigator.clipboard.read().then(function (clipItems) {
+      var result = {};
+      var promises = [];
+      for (var i = 0; i < clipItems.length; i++) {
+        for (var j = 0; j < clipItems[i].types.length; j++) {
+          (function (item, type) {
+            promises.push(item.getType(type).then(function (blob) {
+              // Keep the first item's data for each type
+              if (!result[type]) result[type] = blob;
+            }));
+          })(clipItems[i], clipItems[i].types[j]);
+        }
+      }
+      return Promise.all(promises).then(function () {
+        return result;
+      });
+    });
+  },
+  types: function () {
+    // ClipboardItem.types is available without fetching any blob
+    return navigator.clipboard.read().then(function (clipItems) {
+      var types = [];
+      for (var i = 0; i < clipItems.length; i++) {
+        for (var j = 0; j < clipItems[i].types.length; j++) {
+          if (types.indexOf(clipItems[i].types[j]) === -1) types.push(clipItems[i].types[j]);
+        }
+      }
+      return types;
+    });
+  }
+};
+
+/**
+ * Built-in provider: document.execCommand('copy') fallback
+ */
+var execCommandProvider = {
+  isSupported: function (op) {
+    return op === 'writeText' && _isBrowser;
+  },
+  writeText: function (text, options) {
+    return legacyCopy(text, options.container || document.body);
+  }
+};
+
+/**
+ * Node.js adapter installed by the node module, or null when it is not loaded
+ * { writeText, readText, write, read, types } back the node provider; watch, diagnose, copyFiles,
+ * readFiles and the NowClipboard.node controls back the Node.js-only parts of the API.
+ */
+var _nodeAdapter = null;
+
+/**
+ * Install the Node.js adapter (called once by the node module when it is imported)
+ * @param {Object} adapter
+ */
+export function _installNodeAdapter(adapter) {
+  _nodeAdapter = adapter;
+  _diagnosis = null;
+}
+
+/**
+ * Error for a Node.js-only method that cannot run here
+ * @param {string} method - Method name used in the message
+ * @returns {Error}
+ */
+function _nodeOnlyError(method) {
+  if (_isBrowser || !_isNode) {
+    return new NotSupportedError(method + ' is only available in Node.js', { method: method });
+  }
+  return new NotSupportedError(method + ' needs the Node.js adapter; import \'nowclipboard/node\' or the full \'nowclipboard\' entry', { method: method });
+}
+
+/**
+ * Built-in provider: Node.js system commands (PowerShell / pbcopy / wl-clipboard / xclip / xsel / OSC 52)
+ */
+var nodeProvider = {
+  isSupported: function () {
+    return _isNode && _nodeAdapter !== null;
+  },
+  writeText: function (text, options) {
+    return _nodeAdapter.writeText(text, options);
+  },
+  readText: function (options) {
+    return _nodeAdapter.readText(options);
+  },
+  write: function (items, options) {
+    return _nodeAdapter.write(items, options);
+  },
+  read: function (options) {
+    return _nodeAdapter.read(options);
+  },
+  types: function (options) {
+    return _nodeAdapter.types(options);
+  }
+};
+
+/**
+ * Registered providers by name
+ */
+var _providers = {
+  'clipboard-api': clipboardApiProvider,
+  'exec-command': execCommandProvider,
+  'node': nodeProvider
+};
+
+/**
+ * Global provider order, overridable per call with `options.providers`
+ */
+var _providerOrder = ['clipboard-api', 'exec-command', 'node'];
+
+/**
+ * Check whether a provider can handle an operation
+ * Providers without isSupported() support every operation they implement
+ */
+function _providerSupports(provider, op, options) {
+  if (!_isFunction(provider[op])) return false;
+  if (!_isFunction(provider.isSupported)) return true;
+  try {
+    return !!provider.isSupported(op, options);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * List the providers that can handle an operation, in order
+ * @param {string} op
+ * @param {Object} options - Call options, `options.providers` overrides the global order
+ * @returns {Object[]}
+ * @throws {TypeError} For an invalid order or an unknown provider name
+ */
+export function providerCandidates(op, options) {
+  var order = options.providers || _providerOrder;
+  if (!Array.isArray(order)) {
+    throw new InvalidArgumentError('The providers option expects an array of provider names');
+  }
+
+  var candidates = [];
+  for (var i = 0; i < order.length; i++) {
+    var provider = _providers[order[i]];
+    if (!provider) {
+      throw new InvalidArgumentError('Unknown clipboard provider "' + order[i] + '"');
+    }
+    if (_providerSupports(provider, op, options)) {
+      candidates.push(provider);
+    }
+  }
+  return candidates;
+}
+
+/**
+ * Run an operation through the provider chain
+ * Providers are tried in order; unsupported ones are skipped and a failure moves on to the next one.
+ * Rejects with the last provider's error, or with `unsupportedMessage` when no provider applies.
+ * @param {string} op - Operation name (writeText/readText/write/read/types)
+ * @param {Array} args - Operation arguments (options are appended)
+ * @param {Object} options - Call options, `options.providers` overrides the global order
+ * @param {string} unsupportedMessage
+ * @returns {Promise}
+ */
+export function runProviders(op, args, options, unsupportedMessage) {
+  var candidates;
+  try {
+    candidates = providerCandidates(op, options);
+  } catch (e) {
+    return rejectedPromise(e);
+  }
+
+  if (candidates.length === 0) {
+    return rejectedPromise(new NotSupportedError(unsupportedMessage));
+  }
+
+  var index = 0;
+  var callArgs = args.concat([options]);
+
+  function next() {
+    var provider = candidates[index++];
+    var result;
+    try {
+      result = provider[op].apply(provider, callArgs);
+    } catch (e) {
+      result = rejectedPromise(e);
+    }
+    return resolvedPromise(result).catch(function (err) {
+      if (index >= candidates.length) throw err;
+      return next();
+    });
+  }
+
+  return next();
+}
+
+var _BACKOFFS = { exponential: true, linear: true };
+
+/**
+ * Parse retry config, merge with defaults
+ * @param {Object|number} [options] - Config object or retry count
+ * @returns {{ retries: number, retryDelay: number, timeout: number, signal: AbortSignal|null,
+ *   shouldRetry: Function, jitter: number, maxDelay: number, backoff: string|Function, onRetry: Function|null }}
+ */
+function parseRetryConfig(options) {
+  if (typeof options === 'number') options = { retries: options };
+  var opts = options || {};
+  var retry = opts.retry || {};
+  var signal = opts.signal || null;
+  // Validate signal
+  if (signal && typeof signal.aborted === 'undefined') {
+    signal = null;
+  }
+  var backoff = retry.backoff != null ? retry.backoff : 'exponential';
+  if (!_isFunction(backoff) && !_BACKOFFS[backoff]) {
+    throw new InvalidArgumentError('retry.backoff must be "exponential", "linear" or a function');
+  }
+  if (retry.shouldRetry != null && !_isFunction(retry.shouldRetry)) {
+    throw new InvalidArgumentError('retry.shouldRetry must be a function');
+  }
+  if (retry.onRetry != null && !_isFunction(retry.onRetry)) {
+    throw new InvalidArgumentError('retry.onRetry must be a function');
+  }
+  // true means full jitter; a number is the fraction of each delay that is randomized
+  var jitter = retry.jitter === true ? 1 : Number(retry.jitter) || 0;
+  return {
+    retries: opts.retries != null ? opts.retries : 2,
+    retryDelay: opts.retryDelay != null ? opts.retryDelay : 100,
+    timeout: opts.timeout != null ? opts.timeout : 0,
+    signal: signal,
+    shouldRetry: retry.shouldRetry || isRetryable,
+    jitter: Math.min(Math.max(jitter, 0), 1),
+    maxDelay: retry.maxDelay > 0 ? retry.maxDelay : Infinity,
+    backoff: backoff,
+    onRetry: retry.onRetry || null
+  };
+}
+
+/**
+ * Default retry predicate: permission denials and invalid arguments fail the same way on every
+ * attempt, so only other errors are retried
+ * @param {Error} err - Error of the failed attempt, already mapped to a NowClipboardError where possible
+ * @returns {boolean}
+ */
+export function isRetryable(err) {
+  return !(err instanceof PermissionDeniedError || err instanceof InsecureContextError || err instanceof TypeError);
+}
+
+/**
+ * Delay before the next attempt
+ * @param {Object} cfg - Parsed retry config
+ * @param {number} attempt - Number of failed attempts so far (1-based)
+ * @returns {number}
+ */
+function retryDelayFor(cfg, attempt) {
+  var delay;
+  if (_isFunction(cfg.backoff)) {
+    delay = Number(cfg.backoff(attempt, cfg.retryDelay)) || 0;
+  } else if (cfg.backoff === 'linear') {
+    delay = attempt * cfg.retryDelay;
+  } else {
+    delay = Math.pow(2, attempt - 1) * cfg.retryDelay;
+  }
+  delay = Math.min(Math.max(delay, 0), cfg.maxDelay);
+  return cfg.jitter ? Math.round(delay * (1 - Math.random() * cfg.jitter)) : delay;
+}
+
+/**
+ * Add timeout to Promise
+ * @param {Promise} promise - Original Promise
+ * @param {number} ms - Timeout in ms, <=0 means no limit
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms) {
+  if (!ms || ms <= 0) return promise;
+  return new Promise(function (resolve, reject) {
+    var timer = setTimeout(function () {
+      reject(new TimeoutError('Operation timed out after ' + ms + 'ms'));
+    }, ms);
+    promise.then(function (val) {
+      clearTimeout(timer);
+      resolve(val);
+    }, function (err) {
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Retry mechanism with configurable retries, delay, timeout and AbortController support
+ * `config.retry` tunes the policy: shouldRetry(err, attempt), jitter, maxDelay, backoff and onRetry(info).
+ * Errors are passed through _clipboardError() with `method` and the number of attempts.
+ * @param {Function} fn - Function that returns a Promise
+ * @param {Object|number} config - Config object or max retries (backward compatible)
+ * @param {string} [method] - Public method name recorded on the error, e.g. 'NowClipboard.copy()'
+ */
+export function retryOperation(fn, config, method) {
+  var cfg;
+  try {
+    cfg = parseRetryConfig(config);
+  } catch (e) {
+    e.method = method || null;
+    return rejectedPromise(e);
+  }
+  var attempt = 0;
+  // Attempts started, including one still running when the timeout fires
+  var started = 0;
+  var signal = cfg.signal;
+  // Set once the timeout fires so no further attempt (and no new child process) is started
+  var expired = false;
+
+  // Check if already aborted before starting
+  if (signal && signal.aborted) {
+    return rejectedPromise(new AbortError('Operation aborted', { method: method }));
+  }
+
+  function tryOnce() {
+    // Check abort before each attempt
+    if (signal && signal.aborted) {
+      return rejectedPromise(new AbortError('Operation aborted', { method: method, attempts: started }));
+    }
+
+    started++;
+    return fn().catch(function (err) {
+      attempt++;
+      // A process killed on timeout/abort is final; retrying would only spawn another one
+      if (attempt > cfg.retries || expired || (err && err.killed)) {
+        return rejectedPromise(err);
+      }
+      // Check abort before retry delay, keeping a more specific AbortError (e.g. a killed process)
+      if (signal && signal.aborted) {
+        return rejectedPromise(err && err.name === 'AbortError' ? err : new AbortError('Operation aborted', { cause: err, method: method, attempts: started }));
+      }
+      err = _clipboardError(err, { method: method, attempts: started });
+      var delay;
+      try {
+        if (!cfg.shouldRetry(err, attempt)) return rejectedPromise(err);
+        delay = retryDelayFor(cfg, attempt);
+      } catch (e) {
+        return rejectedPromise(e);
+      }
+      if (cfg.onRetry) {
+        try {
+          cfg.onRetry({ error: err, attempt: attempt, delay: delay, method: method || null });
+        } catch (e) { /* ignore */ }
+      }
+      return new Promise(function (resolve, reject) {
+        var onAbort = null;
+        var timer = setTimeout(function () {
+          // Clean up abort listener before resolving to prevent memory leak
+          if (onAbort && signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+          if (expired) {
+            reject(err);
+            return;
+          }
+          resolve();
+        }, delay);
+        // Listen for abort during delay
+        if (signal) {
+          onAbort = function () {
+            clearTimeout(timer);
+            reject(new AbortError('Operation aborted', { cause: err, method: method, attempts: started }));
+          };
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+      }).then(tryOnce);
+    });
+  }
+
+  var result = withTimeout(tryOnce(), cfg.timeout);
+  if (cfg.timeout > 0) {
+    result.catch(function () {
+      expired = true;
+    });
+  }
+  return result.catch(function (err) {
+    throw _clipboardError(err, { method: method, attempts: started });
+  });
+}
+
+// ========================================
+// 7. Selections
+// ========================================
+
+/**
+ * Supported clipboard selections
+ * 'primary' and 'secondary' are X11 selections (also 'primary' on Wayland), only available on Linux
+ */
+export var SELECTIONS = ['clipboard', 'primary', 'secondary'];
+
+/**
+ * Validate the `selection` option for an operation
+ * @param {string} [selection] - 'clipboard' | 'primary' | 'secondary'
+ * @param {string} method - Method name used in error messages
+ * @returns {Error|null} Error to reject with, or null when the selection is usable
+ */
+export function _checkSelection(selection, method) {
+  if (selection == null || selection === 'clipboard') return null;
+  if (SELECTIONS.indexOf(selection) === -1) {
+    return new InvalidArgumentError(method + ' expects selection to be "clipboard", "primary" or "secondary"', { method: method });
+  }
+  if (_isBrowser || !_isNode || process.platform !== 'linux') {
+    return new NotSupportedError(method + ': the "' + selection + '" selection is only available in Node.js on Linux (X11/Wayland)', { method: method });
+  }
+  var display = _linuxDisplay();
+  if (selection === 'secondary' && display.wayland && !display.x11) {
+    return new NotSupportedError(method + ': the "secondary" selection is not supported on Wayland (wl-clipboard only offers clipboard and primary)', { method: method });
+  }
+  return null;
+}
+
+// ========================================
+// 8. Capability Probing & Diagnostics
+// ========================================
+
+/**
+ * Cached Node.js diagnose() report
+ */
+var _diagnosis = null;
+
+/**
+ * Browser: report which clipboard APIs are available
+ * @returns {Object} diagnose() report
+ */
+function _diagnoseBrowser() {
+  var secure = typeof window.isSecureContext === 'boolean' ? window.isSecureContext : null;
+  var httpsHint = secure === false ? 'Serve the page over HTTPS or from localhost' : 'Use a modern browser';
+  var itemReason = isClipboardItemSupported()
+    ? 'navigator.clipboard.write and ClipboardItem are available'
+    : 'ClipboardItem or navigator.clipboard.write is unavailable';
+
+  var text;
+  if (isClipboardAPIAvailable()) {
+    text = { supported: true, backend: 'clipboard-api', reason: 'navigator.clipboard.writeText is available', hint: null };
+  } else if (isExecCommandSupported('copy')) {
+    text = { supported: true, backend: 'exec-command', reason: 'document.execCommand(\'copy\') is available', hint: null };
+  } else {
+    text = {
+      supported: false,
+      backend: null,
+      reason: 'Neither navigator.clipboard.writeText nor document.execCommand(\'copy\') is available',
+      hint: httpsHint
+    };
+  }
+
+  var canRead = navigator.clipboard != null && typeof navigator.clipboard.readText === 'function';
+  var canWriteItems = isClipboardItemSupported();
+
+  return {
+    environment: 'browser',
+    platform: null,
+    display: null,
+    tty: false,
+    ssh: false,
+    secureContext: secure,
+    commands: {},
+    overrides: null,
+    operations: {
+      text: text,
+      image: { supported: canWriteItems, backend: canWriteItems ? 'clipboard-api' : null, reason: itemReason, hint: canWriteItems ? null : httpsHint },
+      read: canRead
+        ? { supported: true, backend: 'clipboard-api', reason: 'navigator.clipboard.readText is available', hint: null }
+        : { supported: false, backend: null, reason: 'navigator.clipboard.readText is unavailable', hint: httpsHint },
+      formats: { supported: canWriteItems, backend: canWriteItems ? 'clipboard-api' : null, reason: itemReason, hint: canWriteItems ? null : httpsHint }
+    }
+  };
+}
+
+
+// ========================================
+// 9. Promise Helpers
+// ========================================
+
+export function resolvedPromise(val) {
+  return Promise.resolve(val);
+}
+
+export function rejectedPromise(err) {
+  return Promise.reject(err);
+}
+
+/**
+ * Query clipboard permission status
+ * @param {string} permissionName - Permission name ('clipboard-read' or 'clipboard-write')
+ * @returns {Promise<{ state: string }>}
+ */
+function queryClipboardPermission(permissionName) {
+  if (!_isBrowser || !navigator.permissions ||
+      !_isFunction(navigator.permissions.query)) {
+    return resolvedPromise({ state: 'prompt' });
+  }
+  try {
+    return navigator.permissions.query({ name: permissionName }).then(function (result) {
+      return { state: result.state };
+    }).catch(function () {
+      return { state: 'prompt' };
+    });
+  } catch (e) {
+    return resolvedPromise({ state: 'prompt' });
+  }
+}
+
+// ========================================
+// 10. Text API
+// ========================================
+
+/**
+ * Listeners called after copy() and cut() succeed (the sync module broadcasts through these)
+ * @type {Function[]}
+ */
+var _copyListeners = [];
+
+/**
+ * Listen for successful copy()/cut() calls
+ * @param {Function} listener - Called with (type, text), type is 'copy' or 'cut'
+ * @returns {Function} Removes the listener
+ */
+export function _onCopied(listener) {
+  _copyListeners.push(listener);
+  return function () {
+    var idx = _copyListeners.indexOf(listener);
+    if (idx !== -1) {
+      _copyListeners.splice(idx, 1);
+    }
+  };
+}
+
+/**
+ * Notify the copy listeners, passing the copied text through
+ * @param {string} type - 'copy' | 'cut'
+ * @param {string} text
+ * @returns {string}
+ */
+function _notifyCopied(type, text) {
+  var listeners = _copyListeners.slice();
+  for (var i = 0; i < listeners.length; i++) {
+    try {
+      listeners[i](type, text);
+    } catch (e) { /* ignore */ }
+  }
+  return text;
+}
+
+/**
+ * Static copy method - copy text directly
+ * @param {string} text - Text to copy
+ * @param {Object} [options] - Options (retries/retryDelay/timeout/signal/container)
+ * @returns {Promise<string>}
+ */
+export function copy(text, options) {
+  if (!_isString(text)) {
+    return rejectedPromise(new InvalidArgumentError('NowClipboard.copy() expects a string argument', { method: 'NowClipboard.copy()' }));
+  }
+  return copyText(text, options, 'NowClipboard.copy()').then(function (result) {
+    return _notifyCopied('copy', result);
+  });
+}
+
+/**
+ * Static cut method - cut element content
+ * @param {Element} element - Target element
+ * @param {Object} [options] - Retry options (retries/retryDelay/timeout/signal)
+ * @returns {Promise<string>}
+ */
+export function cut(element, options) {
+  if (!_isBrowser) {
+    return rejectedPromise(new NotSupportedError('NowClipboard.cut() is only available in browser environment', { method: 'NowClipboard.cut()' }));
+  }
+  if (!_isElement(element)) {
+    return rejectedPromise(new InvalidArgumentError('NowClipboard.cut() expects an HTMLElement argument', { method: 'NowClipboard.cut()' }));
+  }
+  return performCut(element, options, 'NowClipboard.cut()').then(function (result) {
+    return _notifyCopied('cut', result);
+  });
+}
+
+/**
+ * Static read method - read clipboard text
+ * Node.js only: `raw: true` keeps the content exactly (no trailing newline removed);
+ * `encoding` decodes with another Buffer encoding, or returns the raw bytes with 'buffer'.
+ * @param {Object} [options] - Options (retries/retryDelay/timeout/signal/selection/raw/encoding)
+ * @returns {Promise<string|Buffer>}
+ */
+export function read(options) {
+  var opts = options || {};
+  var selectionError = _checkSelection(opts.selection, 'NowClipboard.read()');
+  if (selectionError) {
+    return rejectedPromise(selectionError);
+  }
+  if (opts.encoding != null) {
+    if (_isBrowser || !_isNode) {
+      return rejectedPromise(new InvalidArgumentError('NowClipboard.read() encoding option is only available in Node.js', { method: 'NowClipboard.read()' }));
+    }
+    if (opts.encoding !== 'buffer' && !Buffer.isEncoding(opts.encoding)) {
+      return rejectedPromise(new InvalidArgumentError('NowClipboard.read() encoding must be \'buffer\' or a Buffer encoding, got: ' + opts.encoding, { method: 'NowClipboard.read()' }));
+    }
+  }
+  return readText(options, 'NowClipboard.read()');
+}
+
+/**
+ * List the MIME types currently on the clipboard without reading their content
+ * In browser: the types of clipboard.read() items (no blob is fetched)
+ * In Node.js: xclip TARGETS / wl-paste --list-types on Linux, osascript on macOS, PowerShell on Windows
+ * @param {Object} [options] - Options (retries/retryDelay/timeout/signal/selection)
+ * @returns {Promise<string[]>} e.g. ['text/plain', 'text/html', 'image/png']
+ */
+export function types(options) {
+  var selectionError = _checkSelection((options || {}).selection, 'NowClipboard.types()');
+  if (selectionError) {
+    return rejectedPromise(selectionError);
+  }
+
+  var opts = options || {};
+  var unsupportedMessage = _isBrowser
+    ? 'clipboard.read() API not supported. Requires HTTPS and a modern browser'
+    : 'NowClipboard.types() is not supported in this environment';
+
+  return retryOperation(function () {
+    return runProviders('types', [], opts, unsupportedMessage);
+  }, opts, 'NowClipboard.types()');
+}
+
+/**
+ * checkSupport() action names to diagnose() operations
+ */
+var CHECK_SUPPORT_ACTIONS = {
+  copy: 'text',
+  cut: 'text',
+  write: 'text',
+  read: 'read',
+  image: 'image',
+  formats: 'formats'
+};
+
+/**
+ * Check if current environment supports clipboard operations (built on diagnose())
+ * @param {string|string[]} [actions] - Actions to check: copy/cut/write/read/image/formats (default: ['copy', 'cut'])
+ * @returns {boolean}
+ */
+export function checkSupport(actions) {
+  // Normalize actions parameter
+  var actionList = actions || ['copy', 'cut'];
+  if (_isString(actionList)) actionList = [actionList];
+
+  var operations = diagnose().operations;
+  for (var i = 0; i < actionList.length; i++) {
+    var op = CHECK_SUPPORT_ACTIONS[actionList[i]];
+    if (!op || !operations[op].supported) return false;
+  }
+  return true;
+}
+
+/**
+ * Probe the clipboard backends of the current environment
+ * Node.js: looks for the clipboard commands on PATH, the display server (DISPLAY/WAYLAND_DISPLAY)
+ * and a terminal for OSC 52, honouring NOWCLIPBOARD_BACKEND / .nowclipboardrc (reported in `overrides`).
+ * Browser: checks the Clipboard API and execCommand.
+ * The Node.js probe is cached; pass { refresh: true } after changing the environment.
+ * @param {Object} [options] - { refresh }
+ * @returns {{ environment: string, platform: string|null, display: Object|null, tty: boolean, ssh: boolean,
+ *   commands: Object, overrides: Object|null, operations: { text: Object, image: Object, read: Object, formats: Object } }}
+ *   Each operation is { supported, backend, reason, hint }
+ */
+export function diagnose(options) {
+  // Browser capabilities are cheap to check and can change at runtime
+  if (_isBrowser) return _diagnoseBrowser();
+
+  if (!_isNode || !_nodeAdapter) {
+    var none = _isNode
+      ? { supported: false, backend: null, reason: 'The Node.js adapter is not loaded', hint: 'Import \'nowclipboard/node\' or the full \'nowclipboard\' entry' }
+      : { supported: false, backend: null, reason: 'Neither a browser nor Node.js environment', hint: null };
+    return {
+      environment: _isNode ? 'node' : 'unknown',
+      platform: null,
+      display: null,
+      tty: false,
+      ssh: false,
+      commands: {},
+      overrides: null,
+      operations: { text: none, image: none, read: none, formats: none }
+    };
+  }
+
+  if (!_diagnosis || (options && options.refresh)) {
+    _diagnosis = _nodeAdapter.diagnose();
+  }
+  return _diagnosis;
+}
+
+/**
+ * Node.js-only controls
+ *   startHelper()     - Keep one helper process (sh, or PowerShell on Windows) running and send every
+ *                       clipboard command to it instead of spawning a new process per call
+ *   stopHelper()      - Stop the helper; calls go back to spawning per call
+ *   isHelperRunning() - Whether the helper is running
+ *   reloadConfig()    - Read .nowclipboardrc / NOWCLIPBOARD_CONFIG again on the next call (it is loaded
+ *                       once per working directory)
+ * If the helper dies, its unanswered requests and all later calls spawn their command directly.
+ *   createWriteStream([options]) - Writable piped into the clipboard command's stdin
+ *   createReadStream([options])  - Readable of the clipboard command's stdout
+ * Streams always spawn their own command (the helper is not used).
+ */
+export var node = {
+  startHelper: function () {
+    return _nodeAdapter ? _nodeAdapter.startHelper() : rejectedPromise(_nodeOnlyError('NowClipboard.node.startHelper()'));
+  },
+  stopHelper: function () {
+    return _nodeAdapter ? _nodeAdapter.stopHelper() : resolvedPromise();
+  },
+  isHelperRunning: function () {
+    return _nodeAdapter ? _nodeAdapter.isHelperRunning() : false;
+  },
+  reloadConfig: function () {
+    if (_nodeAdapter) _nodeAdapter.reloadConfig();
+  },
+  createWriteStream: function (options) {
+    if (!_nodeAdapter) throw _nodeOnlyError('NowClipboard.node.createWriteStream()');
+    return _nodeAdapter.createWriteStream(options);
+  },
+  createReadStream: function (options) {
+    if (!_nodeAdapter) throw _nodeOnlyError('NowClipboard.node.createReadStream()');
+    return _nodeAdapter.createReadStream(options);
+  }
+};
+
+/**
+ * Query clipboard permission status
+ * @param {string} name - Permission name: 'read' or 'write'
+ * @returns {Promise<{ state: string }>} state: 'granted'|'denied'|'prompt'
+ */
+export function queryPermission(name) {
+  if (name !== 'read' && name !== 'write') {
+    return rejectedPromise(new InvalidArgumentError('queryPermission() expects "read" or "write"', { method: 'NowClipboard.queryPermission()' }));
+  }
+  if (_isNode && !_isBrowser) {
+    return resolvedPromise({ state: 'granted' });
+  }
+  return queryClipboardPermission('clipboard-' + name);
+}
+
+/**
+ * Static onChange listener - watches the clipboard for changes
+ * Browsers poll readText() at a fixed interval. Node.js uses native change notification
+ * when the platform offers it (wl-paste --watch on Wayland) and otherwise polls with an
+ * adaptive interval that backs off while the clipboard stays unchanged.
+ * @param {Function} callback - Callback, receives { text: string }
+ * @param {number|Object} [options] - Polling interval in ms, or options (read options such as
+ *   selection/backend/providers are passed to readText)
+ * @param {number} [options.interval=1000] - Polling interval in ms
+ * @param {number} [options.maxInterval] - Longest idle polling interval (Node.js default: interval * 5)
+ * @param {boolean} [options.native=true] - Use native change notification when available (Node.js)
+ * @param {Function} [options.onError] - Receives read errors and watcher failures (ignored by default)
+ * @returns {{ destroy: Function }}
+ */
+export function onChange(callback, options) {
+  if (!_isBrowser && !_isNode) {
+    // Return a destroyable stub so callers can safely call .destroy()
+    return {
+      destroy: function () {
+        // No-op: onChange needs a browser or Node.js
+      }
+    };
+  }
+  if (!_isFunction(callback)) {
+    throw new InvalidArgumentError('NowClipboard.onChange() expects a callback function', { method: 'NowClipboard.onChange()' });
+  }
+
+  var opts = typeof options === 'number' ? { interval: options } : (options || {});
+  var onError = _isFunction(opts.onError) ? opts.onError : null;
+  var pollInterval = opts.interval || 1000;
+  var adaptive = !_isBrowser;
+  var maxInterval = adaptive ? Math.max(opts.maxInterval || pollInterval * 5, pollInterval) : pollInterval;
+  var readOptions = _assign({}, opts, { retries: opts.retries != null ? opts.retries : 0 });
+  var lastText = null;
+  var timer = null;
+  var watcher = null;
+  var destroyed = false;
+  var initialized = false;
+  var delay = pollInterval;
+
+  function reportError(err) {
+    if (!onError) return;
+    try {
+      onError(err);
+    } catch (e) {
+      if (typeof console !== 'undefined' && console.warn) {
+        console.warn('NowClipboard onChange onError callback error:', e);
+      }
+    }
+  }
+
+  // Resolves with true when the clipboard changed
+  function check() {
+    return readText(readOptions, 'NowClipboard.onChange()').then(function (text) {
+      if (destroyed) return false;
+      if (!initialized) {
+        // First read: initialize without triggering callback
+        lastText = text;
+        initialized = true;
+        return false;
+      }
+      if (text === lastText) return false;
+      lastText = text;
+      try {
+        callback({ text: text });
+      } catch (e) {
+        // Don't let callback errors break the polling loop, but warn for debugging
+        if (typeof console !== 'undefined' && console.warn) {
+          console.warn('NowClipboard onChange callback error:', e);
+        }
+      }
+      return true;
+    }, function (err) {
+      // Read errors (page not focused, permission denied, missing command) don't stop watching
+      if (!destroyed) reportError(err);
+      return null;
+    });
+  }
+
+  function poll() {
+    timer = null;
+    if (destroyed) return;
+    check().then(function (changed) {
+      if (destroyed) return;
+      if (changed) {
+        delay = pollInterval;
+      } else {
+        // Back off while idle (unchanged: 1.5x, error: 2x), up to maxInterval
+        delay = Math.min(Math.round(delay * (changed === null ? 2 : 1.5)), maxInterval);
+      }
+      timer = setTimeout(poll, delay);
+    });
+  }
+
+  function startNative() {
+    if (!adaptive || opts.native === false || (opts.backend && opts.backend !== 'auto')) return false;
+    var candidates;
+    try {
+      candidates = providerCandidates('readText', readOptions);
+    } catch (e) {
+      return false;
+    }
+    // Only the system clipboard can be watched natively
+    if (candidates[0] !== nodeProvider) return false;
+
+    watcher = _nodeAdapter.watch(function () {
+      check();
+    }, function (err) {
+      watcher = null;
+      if (destroyed) return;
+      // A missing wl-paste is not an error, polling takes over either way
+      if (!err.spawnError) reportError(err);
+      poll();
+    }, readOptions);
+    return watcher !== null;
+  }
+
+  if (startNative()) {
+    // Initial read
+    check();
+  } else {
+    poll();
+  }
+
+  return {
+    destroy: function () {
+      destroyed = true;
+      if (timer !== null) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      if (watcher) {
+        watcher.stop();
+        watcher = null;
+      }
+    }
+  };
+}
+
+/**
+ * Write text to clipboard (works in both browser and Node.js)
+ * Alias for copy() in browser, uses system commands in Node.js
+ * @param {string} text - Text to write
+ * @param {Object} [options] - Options (retries/retryDelay/timeout/signal/container/selection)
+ * @returns {Promise<string>}
+ */
+export function write(text, options) {
+  if (!_isString(text)) {
+    return rejectedPromise(new InvalidArgumentError('NowClipboard.write() expects a string argument', { method: 'NowClipboard.write()' }));
+  }
+  var selectionError = _checkSelection((options || {}).selection, 'NowClipboard.write()');
+  if (selectionError) {
+    return rejectedPromise(selectionError);
+  }
+  return copyText(text, options, 'NowClipboard.write()');
+}
+
+/**
+ * Put files on the clipboard so file managers can paste them (Node.js only)
+ * Linux: x-special/gnome-copied-files or text/uri-list via xclip / wl-copy;
+ * macOS: NSPasteboard file URLs; Windows: file drop list
+ * @param {string|string[]} paths - File paths, resolved against the working directory
+ * @param {Object} [options] - Options (retries/retryDelay/timeout/signal/selection)
+ * @param {string} [options.operation] - 'copy' (default) or 'cut'
+ * @returns {Promise<string[]>} The absolute paths
+ */
+export function copyFiles(paths, options) {
+  var list = _isString(paths) ? [paths] : paths;
+  if (!Array.isArray(list) || list.length === 0 || !list.every(_isString)) {
+    return rejectedPromise(new InvalidArgumentError('NowClipboard.copyFiles() expects a file path or an array of file paths', { method: 'NowClipboard.copyFiles()' }));
+  }
+
+  var opts = options || {};
+  if (opts.operation != null && opts.operation !== 'copy' && opts.operation !== 'cut') {
+    return rejectedPromise(new InvalidArgumentError('NowClipboard.copyFiles() expects operation to be "copy" or "cut"', { method: 'NowClipboard.copyFiles()' }));
+  }
+
+  var selectionError = _checkSelection(opts.selection, 'NowClipboard.copyFiles()');
+  if (selectionError) {
+    return rejectedPromise(selectionError);
+  }
+  if (_isBrowser || !_nodeAdapter) {
+    return rejectedPromise(_nodeOnlyError('NowClipboard.copyFiles()'));
+  }
+
+  var path = _nodeRequire('path');
+  var fs = _nodeRequire('fs');
+  var absolute = list.map(function (file) {
+    return path.resolve(file);
+  });
+  for (var i = 0; i < absolute.length; i++) {
+    if (!fs.existsSync(absolute[i])) {
+      return rejectedPromise(new InvalidArgumentError('File not found: ' + absolute[i], { method: 'NowClipboard.copyFiles()' }));
+    }
+  }
+
+  return retryOperation(function () {
+    return _nodeAdapter.copyFiles(absolute, opts);
+  }, opts, 'NowClipboard.copyFiles()');
+}
+
+/**
+ * Read the files on the clipboard (Node.js only)
+ * @param {Object} [options] - Options (retries/retryDelay/timeout/signal/selection)
+ * @returns {Promise<{ operation: string, paths: string[] }>} operation is 'copy' or 'cut'
+ */
+export function readFiles(options) {
+  var opts = options || {};
+  var selectionError = _checkSelection(opts.selection, 'NowClipboard.readFiles()');
+  if (selectionError) {
+    return rejectedPromise(selectionError);
+  }
+  if (_isBrowser || !_nodeAdapter) {
+    return rejectedPromise(_nodeOnlyError('NowClipboard.readFiles()'));
+  }
+
+  return retryOperation(function () {
+    return _nodeAdapter.readFiles(opts);
+  }, opts, 'NowClipboard.readFiles()');
+}
+
+
+/**
+ * Register a clipboard provider (or replace an existing one with the same name)
+ * New providers are appended to the global order; use setProviders() or the per-call
+ * `providers` option to change their priority.
+ * @param {string} name - Provider name
+ * @param {Object} provider - { isSupported?(op, options), writeText?, readText?, write?, read?, types? }
+ * @returns {void}
+ */
+export function registerProvider(name, provider) {
+  if (!_isString(name) || !name) {
+    throw new InvalidArgumentError('registerProvider() expects a provider name string', { method: 'NowClipboard.registerProvider()' });
+  }
+  if (!provider || typeof provider !== 'object') {
+    throw new InvalidArgumentError('registerProvider() expects a provider object', { method: 'NowClipboard.registerProvider()' });
+  }
+  var implemented = PROVIDER_OPERATIONS.filter(function (op) {
+    return _isFunction(provider[op]);
+  });
+  if (implemented.length === 0) {
+    throw new InvalidArgumentError('Provider "' + name + '" must implement at least one of: ' + PROVIDER_OPERATIONS.join(', '), { method: 'NowClipboard.registerProvider()' });
+  }
+
+  _providers[name] = provider;
+  if (_providerOrder.indexOf(name) === -1) {
+    _providerOrder.push(name);
+  }
+}
+
+/**
+ * Remove a registered provider and drop it from the global order
+ * @param {string} name - Provider name
+ * @returns {boolean} Whether a provider was removed
+ */
+export function unregisterProvider(name) {
+  if (!_providers[name]) return false;
+  delete _providers[name];
+  var idx = _providerOrder.indexOf(name);
+  if (idx !== -1) {
+    _providerOrder.splice(idx, 1);
+  }
+  return true;
+}
+
+/**
+ * Set the global provider order
+ * @param {string[]} order - Registered provider names, tried first to last
+ * @returns {void}
+ */
+export function setProviders(order) {
+  if (!Array.isArray(order)) {
+    throw new InvalidArgumentError('setProviders() expects an array of provider names', { method: 'NowClipboard.setProviders()' });
+  }
+  for (var i = 0; i < order.length; i++) {
+    if (!_providers[order[i]]) {
+      throw new InvalidArgumentError('Unknown clipboard provider "' + order[i] + '"');
+    }
+  }
+  _providerOrder = order.slice();
+}
+
+/**
+ * Get the global provider order
+ * @returns {string[]}
+ */
+export function getProviders() {
+  return _providerOrder.slice();
+}
+
@@ -0,0 +1,436 @@
+/**
+ * NowClipboard DOM Binding
+ * The NowClipboard class: declarative data-nc-* attributes, click delegation,
+ * instance events, and the onPaste() listener.
+ */
+
+import {
+  clearSelection, copyFromElement, copyText, EventEmitter, InvalidArgumentError, _isBrowser,
+  _isElement, _isFunction, _isNodeList, _isString, performCut
+} from './core.js';
+import { copyRichText } from './rich.js';
+
+// ========================================
+// 1. DOM Attribute Binding & Event Delegation
+// ========================================
+
+/**
+ * Get element's data-nc-* attribute value
+ */
+function getAttr(name, element) {
+  var attr = 'data-nc-' + name;
+  if (element.hasAttribute(attr)) {
+    return element.getAttribute(attr);
+  }
+  return undefined;
+}
+
+/**
+ * Find closest ancestor matching selector (including self)
+ */
+function closest(element, selector) {
+  if (element.closest) {
+    return element.closest(selector);
+  }
+  // Fallback
+  var el = element;
+  while (el && el.nodeType === 1) {
+    if (matches(el, selector)) return el;
+    el = el.parentNode;
+  }
+  return null;
+}
+
+function matches(el, selector) {
+  var fn = el.matches || el.matchesSelector || el.msMatchesSelector ||
+    el.mozMatchesSelector || el.webkitMatchesSelector || el.oMatchesSelector;
+  return fn ? fn.call(el, selector) : false;
+}
+
+/**
+ * Event delegation - listen on container, delegate to matching child elements
+ */
+function delegateEvent(container, selector, eventType, handler) {
+  function listener(e) {
+    var target = closest(e.target, selector);
+    if (target) {
+      e.delegateTarget = target;
+      handler.call(target, e);
+    }
+  }
+
+  container.addEventListener(eventType, listener, false);
+
+  return {
+    destroy: function () {
+      container.removeEventListener(eventType, listener, false);
+    }
+  };
+}
+
+/**
+ * Bind event listener - supports selector string, Element, NodeList
+ * Note: Throws synchronously for invalid arguments (programming error, not runtime error)
+ */
+function bindListener(target, eventType, handler) {
+  if (_isString(target)) {
+    // Selector -> event delegation
+    return delegateEvent(document.body, target, eventType, handler);
+  }
+
+  if (_isElement(target)) {
+    target.addEventListener(eventType, handler, false);
+    return {
+      destroy: function () {
+        target.removeEventListener(eventType, handler, false);
+      }
+    };
+  }
+
+  if (_isNodeList(target)) {
+    var destroyers = [];
+    for (var i = 0; i < target.length; i++) {
+      (function (el) {
+        el.addEventListener(eventType, handler, false);
+        destroyers.push(function () {
+          el.removeEventListener(eventType, handler, false);
+        });
+      })(target[i]);
+    }
+    return {
+      destroy: function () {
+        for (var j = 0; j < destroyers.length; j++) {
+          destroyers[j]();
+        }
+      }
+    };
+  }
+
+  throw new InvalidArgumentError('First argument must be a String selector, HTMLElement, or NodeList');
+}
+
+/**
+ * Extract data from paste event's clipboardData
+ * @param {DataTransfer} clipboardData - Event's clipboardData object
+ * @returns {{ text: string, html: string, files: File[] }}
+ */
+function parsePasteData(clipboardData) {
+  var result = { text: '', html: '', files: [] };
+  if (!clipboardData) return result;
+
+  try { result.text = clipboardData.getData('text/plain') || ''; } catch (e) { /* ignore */ }
+  try { result.html = clipboardData.getData('text/html') || ''; } catch (e) { /* ignore */ }
+  try {
+    if (clipboardData.files && clipboardData.files.length > 0) {
+      result.files = Array.prototype.slice.call(clipboardData.files);
+    }
+  } catch (e) { /* ignore */ }
+
+  return result;
+}
+
+/**
+ * Bind paste event listener
+ * @param {string|Element|null} target - Selector, element, or null (defaults to document)
+ * @param {Function} callback - Callback, receives { text, html, files, originalEvent }
+ * @returns {{ destroy: Function }}
+ */
+function bindPasteListener(target, callback) {
+  if (!_isFunction(callback)) {
+    throw new InvalidArgumentError('Callback must be a function');
+  }
+
+  function pasteHandler(e) {
+    var delegateEl = e.delegateTarget || e.currentTarget || e.target;
+    var data = parsePasteData(e.clipboardData);
+    data.originalEvent = e;
+    data.trigger = delegateEl;
+    callback(data);
+  }
+
+  // null / undefined -> document
+  if (target == null) {
+    document.addEventListener('paste', pasteHandler, false);
+    return {
+      destroy: function () {
+        document.removeEventListener('paste', pasteHandler, false);
+      }
+    };
+  }
+
+  // Selector string -> event delegation
+  if (_isString(target)) {
+    return delegateEvent(document.body, target, 'paste', pasteHandler);
+  }
+
+  // Element
+  if (_isElement(target)) {
+    target.addEventListener('paste', pasteHandler, false);
+    return {
+      destroy: function () {
+        target.removeEventListener('paste', pasteHandler, false);
+      }
+    };
+  }
+
+  throw new InvalidArgumentError('Target must be a String selector, HTMLElement, or null');
+}
+
+// ========================================
+// 2. NowClipboard Main Class
+// ========================================
+
+/**
+ * NowClipboard constructor
+ * @param {string|Element|NodeList} trigger - Trigger element or selector
+ * @param {Object} [options] - Options
+ * @param {Function|string} [options.action] - Action type (copy/cut)
+ * @param {Function} [options.target] - Function to get target element
+ * @param {Function|string} [options.text] - Function or string to get copy text
+ * @param {Element} [options.container] - Container element (defaults to document.body)
+ * @param {AbortSignal} [options.signal] - AbortSignal to cancel operations
+ */
+export function NowClipboard(trigger, options) {
+  if (!(this instanceof NowClipboard)) {
+    return new NowClipboard(trigger, options);
+  }
+
+  EventEmitter.call(this);
+  this._destroyed = false;
+  this._listener = null;
+
+  this.resolveOptions(options || {});
+
+  if (_isBrowser && trigger) {
+    this.listenClick(trigger);
+  }
+}
+
+// Inherit EventEmitter
+NowClipboard.prototype = Object.create(EventEmitter.prototype);
+NowClipboard.prototype.constructor = NowClipboard;
+
+/**
+ * Check if instance has been destroyed, throw if so
+ */
+NowClipboard.prototype._checkDestroyed = function () {
+  if (this._destroyed) {
+    throw new Error('NowClipboard instance has been destroyed. Create a new instance.');
+  }
+};
+
+/**
+ * Resolve options
+ */
+NowClipboard.prototype.resolveOptions = function (opts) {
+  this.action = _isFunction(opts.action) ? opts.action : this.defaultAction;
+  this.target = _isFunction(opts.target) ? opts.target : this.defaultTarget;
+  this.text = _isFunction(opts.text) ? opts.text : this.defaultText;
+  this.container = _isElement(opts.container) ? opts.container : (_isBrowser ? document.body : null);
+  this.retries = opts.retries != null ? opts.retries : 2;
+  this.retryDelay = opts.retryDelay != null ? opts.retryDelay : 100;
+  this.timeout = opts.timeout != null ? opts.timeout : 0;
+  this.signal = opts.signal || null;
+  this.retry = opts.retry || null;
+};
+
+/**
+ * Bind click event
+ */
+NowClipboard.prototype.listenClick = function (trigger) {
+  var self = this;
+  this._listener = bindListener(trigger, 'click', function (e) {
+    self.onClick(e);
+  });
+};
+
+/**
+ * Click event handler
+ */
+NowClipboard.prototype.onClick = function (e) {
+  this._checkDestroyed();
+
+  var trigger = e.delegateTarget || e.currentTarget;
+  var actionName = this.action(trigger) || 'copy';
+  var targetEl = this.target(trigger);
+  var text = this.text(trigger);
+  var self = this;
+
+  // Validate action type
+  if (actionName !== 'copy' && actionName !== 'cut') {
+    self.emit('error', {
+      action: actionName,
+      trigger: trigger,
+      error: new InvalidArgumentError('Invalid action "' + actionName + '", use "copy" or "cut"'),
+      clearSelection: clearSelection
+    });
+    return;
+  }
+
+  // Determine operation
+  var operationPromise;
+
+  // Check if rich text copy mode (data-nc-html="true")
+  var isRichCopy = getAttr('html', trigger) === 'true';
+
+  // Build retry options with instance-level signal
+  var retryOpts = {
+    container: self.container,
+    retries: self.retries,
+    retryDelay: self.retryDelay,
+    timeout: self.timeout,
+    signal: self.signal,
+    retry: self.retry
+  };
+  // Recorded as the failing method on errors
+  var method = 'NowClipboard#' + actionName + '()';
+
+  if (text) {
+    // Text specified, copy directly
+    operationPromise = copyText(text, retryOpts, method);
+  } else if (targetEl) {
+    if (actionName === 'cut') {
+      // Validate element for cut operation
+      if (targetEl.hasAttribute('readonly') || targetEl.hasAttribute('disabled')) {
+        self.emit('error', {
+          action: actionName,
+          trigger: trigger,
+          error: new InvalidArgumentError('Cannot cut from elements with "readonly" or "disabled" attributes', { method: method }),
+          clearSelection: clearSelection
+        });
+        return;
+      }
+      operationPromise = performCut(targetEl, retryOpts, method);
+    } else if (isRichCopy) {
+      // Rich text copy: copy HTML and plain text simultaneously
+      var richHtml = targetEl.innerHTML;
+      var richText = targetEl.textContent || targetEl.innerText || '';
+      operationPromise = copyRichText({
+        text: richText,
+        html: richHtml,
+        container: self.container,
+        retries: self.retries,
+        retryDelay: self.retryDelay,
+        timeout: self.timeout,
+        signal: self.signal,
+        retry: self.retry
+      }, method).then(function (result) {
+        return result.text;
+      });
+    } else {
+      // Copy is allowed from disabled elements (only cut is restricted)
+      operationPromise = copyFromElement(targetEl, retryOpts, method);
+    }
+  } else {
+    self.emit('error', {
+      action: actionName,
+      trigger: trigger,
+      error: new InvalidArgumentError('No text or target specified', { method: method }),
+      clearSelection: clearSelection
+    });
+    return;
+  }
+
+  operationPromise.then(function (copiedText) {
+    self.emit('success', {
+      action: actionName,
+      text: copiedText,
+      trigger: trigger,
+      clearSelection: clearSelection
+    });
+  }).catch(function (err) {
+    self.emit('error', {
+      action: actionName,
+      trigger: trigger,
+      error: err,
+      clearSelection: clearSelection
+    });
+  });
+};
+
+/**
+ * Override EventEmitter methods to check destroyed state
+ */
+var _originalOn = NowClipboard.prototype.on;
+NowClipboard.prototype.on = function () {
+  this._checkDestroyed();
+  return _originalOn.apply(this, arguments);
+};
+
+var _originalOnce = NowClipboard.prototype.once;
+NowClipboard.prototype.once = function () {
+  this._checkDestroyed();
+  return _originalOnce.apply(this, arguments);
+};
+
+var _originalOff = NowClipboard.prototype.off;
+NowClipboard.prototype.off = function () {
+  this._checkDestroyed();
+  return _originalOff.apply(this, arguments);
+};
+
+/**
+ * Default action: get from data-nc-action attribute
+ */
+NowClipboard.prototype.defaultAction = function (trigger) {
+  return getAttr('action', trigger) || 'copy';
+};
+
+/**
+ * Default target: get from data-nc-target attribute
+ */
+NowClipboard.prototype.defaultTarget = function (trigger) {
+  var selector = getAttr('target', trigger);
+  if (selector) {
+    return document.querySelector(selector);
+  }
+  return undefined;
+};
+
+/**
+ * Default text: get from data-nc-text attribute
+ */
+NowClipboard.prototype.defaultText = function (trigger) {
+  return getAttr('text', trigger);
+};
+
+/**
+ * Destroy instance, clean up all resources
+ */
+NowClipboard.prototype.destroy = function () {
+  if (this._destroyed) return;
+  this._destroyed = true;
+
+  if (this._listener) {
+    this._listener.destroy();
+    this._listener = null;
+  }
+
+  this.removeAllListeners();
+  this.action = null;
+  this.target = null;
+  this.text = null;
+  this.container = null;
+  this.signal = null;
+  this.retry = null;
+};
+
+/**
+ * Static paste listener - listen to paste events
+ * @param {string|Element|null} target - Selector, element, or null (defaults to document)
+ * @param {Function} callback - Callback, receives { text, html, files, originalEvent, trigger }
+ * @returns {{ destroy: Function }}
+ */
+export function onPaste(target, callback) {
+  if (!_isBrowser) {
+    // Return a destroyable stub so callers can safely call .destroy()
+    // The returned object does nothing but prevents TypeError
+    return {
+      destroy: function () {
+        // No-op: onPaste not supported outside browser
+      }
+    };
+  }
+  return bindPasteListener(target, callback);
+}
+
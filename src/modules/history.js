@@ -0,0 +1,192 @@
+/**
+ * NowClipboard History
+ * Records clipboard changes reported by onChange() in memory or Web Storage.
+ */
+
+import { _assign, _isString, onChange } from './core.js';
+
+// ========================================
+// 1. ClipboardHistory
+// ========================================
+
+/**
+ * ClipboardHistory - Records clipboard changes automatically
+ * @constructor
+ * @param {Object} [options] - Configuration
+ * @param {number} [options.maxSize=50] - Maximum number of history entries
+ * @param {string} [options.storage='memory'] - Storage type: 'memory' | 'localStorage' | 'sessionStorage'
+ * @param {string} [options.storageKey='nowclipboard_history'] - Key for storage
+ * @param {number} [options.pollInterval=1000] - Polling interval for onChange (ms)
+ * @param {Function} [options.onError] - Receives clipboard read and watcher errors
+ * @param {Function} [options.onEntry] - Called with each new entry once it is recorded
+ * @param {Object} [options.watch] - Extra onChange options (selection, maxInterval, native, ...)
+ */
+function ClipboardHistory(options) {
+  if (!(this instanceof ClipboardHistory)) {
+    return new ClipboardHistory(options);
+  }
+
+  var opts = options || {};
+  this._maxSize = opts.maxSize || 50;
+  this._storageType = opts.storage || 'memory';
+  this._storageKey = opts.storageKey || 'nowclipboard_history';
+  this._pollInterval = opts.pollInterval || 1000;
+  this._onError = opts.onError || null;
+  this._onEntry = opts.onEntry || null;
+  this._watchOptions = opts.watch || {};
+  this._entries = [];
+  this._watcher = null;
+  this._destroyed = false;
+
+  // Load from storage if persistent
+  if (this._storageType === 'localStorage' || this._storageType === 'sessionStorage') {
+    this._loadFromStorage();
+  }
+}
+
+/**
+ * Start monitoring clipboard changes
+ * @returns {ClipboardHistory} this
+ */
+ClipboardHistory.prototype.start = function () {
+  if (this._destroyed) throw new Error('ClipboardHistory has been destroyed');
+  if (this._watcher) return this; // Already started
+
+  var self = this;
+  this._watcher = onChange(function (data) {
+    self._addEntry(data.text);
+  }, _assign({}, this._watchOptions, { interval: this._pollInterval, onError: this._onError }));
+
+  return this;
+};
+
+/**
+ * Stop monitoring clipboard changes
+ * @returns {ClipboardHistory} this
+ */
+ClipboardHistory.prototype.stop = function () {
+  if (this._watcher) {
+    this._watcher.destroy();
+    this._watcher = null;
+  }
+  return this;
+};
+
+/**
+ * Add an entry to history (internal)
+ */
+ClipboardHistory.prototype._addEntry = function (text) {
+  if (this._destroyed) return;
+  var entry = {
+    text: text,
+    timestamp: Date.now(),
+    type: 'text'
+  };
+
+  this._entries.push(entry);
+
+  // Enforce max size
+  while (this._entries.length > this._maxSize) {
+    this._entries.shift();
+  }
+
+  this._saveToStorage();
+  if (this._onEntry) this._onEntry(entry);
+};
+
+/**
+ * Get all history entries
+ * @returns {Array<{text: string, timestamp: number, type: string}>}
+ */
+ClipboardHistory.prototype.list = function () {
+  if (this._destroyed) throw new Error('ClipboardHistory has been destroyed');
+  return this._entries.slice();
+};
+
+/**
+ * Search history entries by keyword
+ * @param {string} keyword - Search keyword
+ * @returns {Array<{text: string, timestamp: number, type: string}>}
+ */
+ClipboardHistory.prototype.search = function (keyword) {
+  if (this._destroyed) throw new Error('ClipboardHistory has been destroyed');
+  if (!_isString(keyword)) {
+    throw new TypeError('search() expects a string keyword');
+  }
+  var lower = keyword.toLowerCase();
+  return this._entries.filter(function (entry) {
+    return entry.text.toLowerCase().indexOf(lower) !== -1;
+  });
+};
+
+/**
+ * Get the most recent entry
+ * @returns {{text: string, timestamp: number, type: string}|null}
+ */
+ClipboardHistory.prototype.latest = function () {
+  if (this._destroyed) throw new Error('ClipboardHistory has been destroyed');
+  return this._entries.length > 0 ? this._entries[this._entries.length - 1] : null;
+};
+
+/**
+ * Clear all history entries
+ */
+ClipboardHistory.prototype.clear = function () {
+  if (this._destroyed) throw new Error('ClipboardHistory has been destroyed');
+  this._entries = [];
+  this._saveToStorage();
+};
+
+/**
+ * Get current history size
+ * @returns {number}
+ */
+ClipboardHistory.prototype.size = function () {
+  return this._entries.length;
+};
+
+/**
+ * Load entries from Web Storage
+ */
+ClipboardHistory.prototype._loadFromStorage = function () {
+  try {
+    var storage = this._storageType === 'localStorage' ? localStorage : sessionStorage;
+    var data = storage.getItem(this._storageKey);
+    if (data) {
+      this._entries = JSON.parse(data);
+      // Enforce max size after loading
+      while (this._entries.length > this._maxSize) {
+        this._entries.shift();
+      }
+    }
+  } catch (e) {
+    this._entries = [];
+  }
+};
+
+/**
+ * Save entries to Web Storage
+ */
+ClipboardHistory.prototype._saveToStorage = function () {
+  if (this._storageType === 'memory') return;
+  try {
+    var storage = this._storageType === 'localStorage' ? localStorage : sessionStorage;
+    storage.setItem(this._storageKey, JSON.stringify(this._entries));
+  } catch (e) {
+    // Storage full or unavailable - silently degrade to memory-only
+  }
+};
+
+/**
+ * Destroy the history instance, stop monitoring and clean up
+ */
+ClipboardHistory.prototype.destroy = function () {
+  if (this._destroyed) return;
+  this._destroyed = true;
+  this.stop();
+  this._entries = [];
+};
+
+// Expose ClipboardHistory as static property
+export { ClipboardHistory as History };
+
@@ -0,0 +1,388 @@
+/**
+ * NowClipboard Image
+ * Copy images and Blobs in the browser, write and read images on every
+ * platform. Node.js image data is resolved here too so that the adapter in
+ * node.js and the browser code share one type-detection path.
+ */
+
+import {
+  _assign, _checkSelection, _clipboardError, FetchFailedError, InvalidArgumentError, _isBrowser,
+  isClipboardItemSupported, _isNode, _isString, _nodeRequire, NotSupportedError, NowClipboardError,
+  providerCandidates, rejectedPromise, resolvedPromise, retryOperation, runProviders
+} from './core.js';
+
+// ========================================
+// 1. Image Sources
+// ========================================
+
+/**
+ * Convert various image sources to Blob
+ * @param {Blob|File|HTMLImageElement|HTMLCanvasElement|string} source
+ * @returns {Promise<Blob>}
+ */
+function fetchImageBlob(source) {
+  // Blob or File: return directly
+  if (source instanceof Blob) {
+    return resolvedPromise(source);
+  }
+
+  // HTMLCanvasElement
+  if (typeof HTMLCanvasElement !== 'undefined' && source instanceof HTMLCanvasElement) {
+    return new Promise(function (resolve, reject) {
+      try {
+        source.toBlob(function (blob) {
+          if (blob) {
+            resolve(blob);
+          } else {
+            reject(new FetchFailedError('Canvas toBlob returned null'));
+          }
+        }, 'image/png');
+      } catch (e) {
+        reject(new FetchFailedError('Canvas toBlob failed: ' + e.message));
+      }
+    });
+  }
+
+  // HTMLImageElement
+  if (typeof HTMLImageElement !== 'undefined' && source instanceof HTMLImageElement) {
+    var src = source.src;
+    if (!src) {
+      return rejectedPromise(new InvalidArgumentError('Image element has no src'));
+    }
+    return _fetchAsBlob(src);
+  }
+
+  // URL string (including data: URLs)
+  if (_isString(source)) {
+    return _fetchAsBlob(source);
+  }
+
+  return rejectedPromise(new InvalidArgumentError('Unsupported image source type'));
+}
+
+/**
+ * Internal helper: fetch a URL as Blob
+ * Handles data: URLs efficiently without full fetch overhead
+ * @param {string} url
+ * @returns {Promise<Blob>}
+ */
+function _fetchAsBlob(url) {
+  // Fast path for data: URLs - convert directly without fetch overhead
+  if (url.indexOf('data:') === 0) {
+    try {
+      var parts = url.split(',');
+      var mimeMatch = parts[0].match(/data:([^;]+)/);
+      var mime = mimeMatch ? mimeMatch[1] : 'image/png';
+      var isBase64 = parts[0].indexOf('base64') !== -1;
+      var data = parts.slice(1).join(',');
+      var bytes;
+      if (isBase64) {
+        var binary = atob(data);
+        bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) {
+          bytes[i] = binary.charCodeAt(i);
+        }
+      } else {
+        // Use TextEncoder for proper UTF-8 encoding (handles BMP+ characters like emoji)
+        bytes = new Uint8Array(new TextEncoder().encode(decodeURIComponent(data)));
+      }
+      return resolvedPromise(new Blob([bytes], { type: mime }));
+    } catch (e) {
+      return rejectedPromise(new FetchFailedError('Failed to parse data URL: ' + e.message));
+    }
+  }
+
+  return fetch(url).then(function (response) {
+    if (!response.ok) {
+      throw new FetchFailedError('Failed to fetch image: HTTP ' + response.status);
+    }
+    return response.blob();
+  }, function (err) {
+    throw new FetchFailedError('Failed to fetch image (CORS or network error): ' + err.message);
+  });
+}
+
+/**
+ * Node.js: resolve an image source to a Buffer
+ * @param {Buffer|Blob|string} source - Image data or file path
+ * @returns {Promise<Buffer>}
+ */
+export function _readNodeImage(source) {
+  if (typeof Buffer !== 'undefined' && source instanceof Buffer) {
+    return resolvedPromise(source);
+  }
+  if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    // Node 18+ Blob
+    return source.arrayBuffer().then(function (ab) {
+      return Buffer.from(ab);
+    });
+  }
+  if (_isString(source)) {
+    // File path - read file
+    return new Promise(function (resolve, reject) {
+      try {
+        _nodeRequire('fs').readFile(source, function (err, data) {
+          if (err) reject(err);
+          else resolve(data);
+        });
+      } catch (e) {
+        reject(new FetchFailedError('Failed to read image file: ' + e.message));
+      }
+    });
+  }
+  return rejectedPromise(new InvalidArgumentError('writeImage() expects Buffer, Blob, or file path string in Node.js'));
+}
+
+/**
+ * Node.js: wrap image bytes in a Blob for consistency with the browser
+ * @param {Buffer} buffer
+ * @param {string} [type='image/png']
+ * @returns {Blob|Buffer} Buffer on Node.js < 18 without Blob support
+ */
+export function _toImageBlob(buffer, type) {
+  try {
+    return new Blob([buffer], { type: type || 'image/png' });
+  } catch (e) {
+    return buffer;
+  }
+}
+
+/**
+ * Detect an image MIME type from its magic bytes
+ * @param {Buffer|Uint8Array} bytes
+ * @returns {string|null} e.g. 'image/png', null when unknown
+ */
+export function _sniffImageType(bytes) {
+  function startsWith(signature, offset) {
+    if (bytes.length < (offset || 0) + signature.length) return false;
+    for (var i = 0; i < signature.length; i++) {
+      if (signature[i] !== null && bytes[(offset || 0) + i] !== signature[i]) return false;
+    }
+    return true;
+  }
+
+  if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith([0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith([0x47, 0x49, 0x46, 0x38])) return 'image/gif';
+  if (startsWith([0x52, 0x49, 0x46, 0x46]) && startsWith([0x57, 0x45, 0x42, 0x50], 8)) return 'image/webp';
+  if (startsWith([0x42, 0x4d])) return 'image/bmp';
+  if (startsWith([0x49, 0x49, 0x2a, 0x00]) || startsWith([0x4d, 0x4d, 0x00, 0x2a])) return 'image/tiff';
+
+  // SVG is text: look for an <svg root near the start (after an optional XML prolog/comments)
+  var head = '';
+  for (var j = 0; j < Math.min(bytes.length, 1024); j++) head += String.fromCharCode(bytes[j]);
+  if (/^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE svg[^>]*>\s*)?<svg[\s>]/i.test(head)) return 'image/svg+xml';
+
+  return null;
+}
+
+/**
+ * Image MIME types by file extension
+ */
+var IMAGE_EXTENSIONS = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  bmp: 'image/bmp',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  svg: 'image/svg+xml'
+};
+
+/**
+ * Node.js: detect the MIME type of image data
+ * Magic bytes win over the file extension, which wins over the declared type.
+ * @param {Buffer} buffer
+ * @param {*} source - The original source; its extension is used when it is a file path
+ * @param {string} [declared] - Type given by the caller, e.g. a writeFormats() key
+ * @returns {string} Falls back to 'image/png' for unrecognized data
+ */
+export function _detectNodeImageType(buffer, source, declared) {
+  var sniffed = _sniffImageType(buffer);
+  if (sniffed) return sniffed;
+  var ext = _isString(source) ? /\.([a-z]+)$/i.exec(source) : null;
+  if (ext && IMAGE_EXTENSIONS[ext[1].toLowerCase()]) return IMAGE_EXTENSIONS[ext[1].toLowerCase()];
+  return declared && declared.indexOf('image/') === 0 ? declared : 'image/png';
+}
+
+// ========================================
+// 2. Image/Blob Copy
+// ========================================
+
+/**
+ * Copy Blob to clipboard via ClipboardItem
+ * @param {Blob} blob
+ * @param {string} mimeType
+ * @returns {Promise<Blob>}
+ */
+function copyImageBlob(blob, mimeType) {
+  var type = mimeType || blob.type || 'image/png';
+  var itemData = {};
+  // Safari requires Promise<Blob> as value
+  itemData[type] = Promise.resolve(blob);
+  var item = new ClipboardItem(itemData);
+  return navigator.clipboard.write([item]).then(function () {
+    return blob;
+  });
+}
+
+/**
+ * Unified image copy entry (with retry support)
+ * @param {Blob|File|HTMLImageElement|HTMLCanvasElement|string} source
+ * @param {Object} [options] - Retry options
+ * @returns {Promise<Blob>}
+ */
+function _copyImageSource(source, options) {
+  return fetchImageBlob(source).then(function (blob) {
+    return retryOperation(function () {
+      return copyImageBlob(blob, blob.type);
+    }, options, 'NowClipboard.copyImage()');
+  }, function (err) {
+    throw _clipboardError(err, { method: 'NowClipboard.copyImage()' });
+  });
+}
+
+// ========================================
+// 3. Image API
+// ========================================
+
+/**
+ * Copy image to clipboard (browser only, requires HTTPS + modern browser)
+ * @param {Blob|File|HTMLImageElement|HTMLCanvasElement|string} source - Image source
+ * @param {Object} [options] - Retry options (retries/retryDelay/timeout/signal)
+ * @returns {Promise<Blob>}
+ */
+export function copyImage(source, options) {
+  if (!_isBrowser) {
+    return rejectedPromise(new NotSupportedError('NowClipboard.copyImage() is only available in browser environment', { method: 'NowClipboard.copyImage()' }));
+  }
+  if (!isClipboardItemSupported()) {
+    return rejectedPromise(new NotSupportedError('ClipboardItem API not supported. Requires HTTPS and a modern browser', { method: 'NowClipboard.copyImage()' }));
+  }
+  return _copyImageSource(source, options);
+}
+
+/**
+ * Copy any Blob to clipboard (browser only)
+ * @param {Blob} blob - Blob data
+ * @param {string} [mimeType] - MIME type, defaults to blob.type
+ * @param {Object} [options] - Retry options (retries/retryDelay/timeout/signal)
+ * @returns {Promise<Blob>}
+ */
+export function copyBlob(blob, mimeType, options) {
+  if (!_isBrowser) {
+    return rejectedPromise(new NotSupportedError('NowClipboard.copyBlob() is only available in browser environment', { method: 'NowClipboard.copyBlob()' }));
+  }
+  if (!isClipboardItemSupported()) {
+    return rejectedPromise(new NotSupportedError('ClipboardItem API not supported. Requires HTTPS and a modern browser', { method: 'NowClipboard.copyBlob()' }));
+  }
+  if (!(blob instanceof Blob)) {
+    return rejectedPromise(new InvalidArgumentError('NowClipboard.copyBlob() expects a Blob argument', { method: 'NowClipboard.copyBlob()' }));
+  }
+  var type = mimeType || blob.type;
+  return retryOperation(function () {
+    return copyImageBlob(blob, type);
+  }, options, 'NowClipboard.copyBlob()');
+}
+
+/**
+ * Write image to clipboard (works in both browser and Node.js)
+ * In browser: uses ClipboardItem API (requires HTTPS + modern browser)
+ * In Node.js: uses system commands (macOS pbcopy with PNG, Linux wl-copy/xclip, Windows PowerShell);
+ * the image type is detected from the magic bytes or the file extension
+ * @param {Blob|File|HTMLImageElement|HTMLCanvasElement|string|Buffer} source - Image source
+ * @param {Object} [options] - Options (retries/retryDelay/timeout/signal/selection)
+ * @returns {Promise<Blob>}
+ */
+export function writeImage(source, options) {
+  var selectionError = _checkSelection((options || {}).selection, 'NowClipboard.writeImage()');
+  if (selectionError) {
+    return rejectedPromise(selectionError);
+  }
+
+  var opts = options || {};
+  var unsupportedMessage = _isBrowser
+    ? 'ClipboardItem API not supported. Requires HTTPS and a modern browser'
+    : 'NowClipboard.writeImage() is not supported in this environment';
+
+  // Fail fast before fetching/reading the image when nothing can write it
+  try {
+    if (providerCandidates('write', opts).length === 0) {
+      return rejectedPromise(new NotSupportedError(unsupportedMessage, { method: 'NowClipboard.writeImage()' }));
+    }
+  } catch (e) {
+    return rejectedPromise(e);
+  }
+
+  // Browser: image elements / URLs become Blobs; Node.js: Buffer, Blob or file path become a Buffer
+  var imagePromise = _isBrowser ? fetchImageBlob(source) : _readNodeImage(source);
+
+  return imagePromise.then(function (image) {
+    // Node.js Buffers carry no type: detect it from the magic bytes or the file extension
+    var type = _isBrowser ? image.type || 'image/png' : _detectNodeImageType(image, source);
+    var items = {};
+    items[type] = image;
+    return retryOperation(function () {
+      return runProviders('write', [items], opts, unsupportedMessage);
+    }, opts, 'NowClipboard.writeImage()').then(function () {
+      return _isBrowser ? image : _toImageBlob(image, type);
+    });
+  }, function (err) {
+    throw _clipboardError(err, { method: 'NowClipboard.writeImage()' });
+  });
+}
+
+/**
+ * Read an image from the clipboard (works in both browser and Node.js)
+ * In browser: uses clipboard.read() (requires HTTPS + modern browser)
+ * In Node.js: uses system commands (Linux wl-paste/xclip, macOS osascript, Windows PowerShell)
+ * @param {Object} [options] - Options (retries/retryDelay/timeout/signal/selection)
+ * @param {string} [options.path] - Node.js: also save the image to this file path
+ * @param {string} [options.encoding] - Node.js: 'buffer' resolves the raw bytes instead of a Blob
+ * @returns {Promise<Blob|Buffer>} Blob typed with the detected image MIME type
+ */
+export function readImage(options) {
+  var selectionError = _checkSelection((options || {}).selection, 'NowClipboard.readImage()');
+  if (selectionError) {
+    return rejectedPromise(selectionError);
+  }
+
+  var opts = options || {};
+  if ((opts.path != null || opts.encoding === 'buffer') && (_isBrowser || !_isNode)) {
+    return rejectedPromise(new InvalidArgumentError('NowClipboard.readImage() path and encoding options are only available in Node.js', { method: 'NowClipboard.readImage()' }));
+  }
+  var unsupportedMessage = _isBrowser
+    ? 'clipboard.read() API not supported. Requires HTTPS and a modern browser'
+    : 'NowClipboard.readImage() is not supported in this environment';
+  var readOptions = _assign({}, opts, { types: ['image/*'] });
+
+  return retryOperation(function () {
+    return runProviders('read', [], readOptions, unsupportedMessage);
+  }, opts, 'NowClipboard.readImage()').then(function (items) {
+    var types = Object.keys(items || {});
+    for (var i = 0; i < types.length; i++) {
+      if (types[i].indexOf('image/') === 0) {
+        return { type: types[i], value: items[types[i]] };
+      }
+    }
+    throw new NowClipboardError('The clipboard does not contain an image', { method: 'NowClipboard.readImage()' });
+  }).then(function (image) {
+    if (_isBrowser) {
+      return image.value instanceof Blob ? image.value : new Blob([image.value], { type: image.type });
+    }
+
+    return _readNodeImage(image.value).then(function (buffer) {
+      var result = opts.encoding === 'buffer' ? buffer : _toImageBlob(buffer, _sniffImageType(buffer) || image.type);
+      if (opts.path == null) return result;
+
+      return new Promise(function (resolve, reject) {
+        _nodeRequire('fs').writeFile(opts.path, buffer, function (err) {
+          if (err) reject(new NowClipboardError('Failed to save clipboard image: ' + err.message, { cause: err, method: 'NowClipboard.readImage()' }));
+          else resolve(result);
+        });
+      });
+    });
+  });
+}
@@ -0,0 +1,10 @@
+/**
+ * NowClipboard Node.js Built-in Loader
+ * A CommonJS `require` for native ES modules on Node.js versions without
+ * process.getBuiltinModule() (older than 20.16). The bundles replace this module
+ * with `null`: they run where `require` exists, or in browsers.
+ */
+
+import { createRequire } from 'module';
+
+export default createRequire(import.meta.url);
@@ -0,0 +1,3635 @@
+/**
+ * NowClipboard Node.js Adapter
+ * System clipboard access for Node.js: platform commands, OSC 52, the helper
+ * process, the file backend and the built-in X11 client. Importing this module
+ * installs the adapter into core; nothing else in the package depends on it.
+ */
+
+import {
+  AbortError, _assign, BackendMissingError, _checkSelection, _installNodeAdapter,
+  InvalidArgumentError, _isFunction, _isNode, _isString, _linuxDisplay, _nodeRequire,
+  NotSupportedError, NowClipboardError, PermissionDeniedError, rejectedPromise, resolvedPromise,
+  SELECTIONS, TimeoutError
+} from './core.js';
+import { _detectNodeImageType, _readNodeImage, _sniffImageType, _toImageBlob } from './image.js';
+import _builtinRequire from './node-require.js';
+
+// ========================================
+// 1. Platform Clipboard Commands
+// ========================================
+
+/**
+ * Build the PowerShell invocation args for a script (EncodedCommand avoids quoting issues)
+ * @param {string} psScript
+ * @returns {string[]}
+ */
+function _powershellArgs(psScript) {
+  return ['-NoProfile', '-NonInteractive', '-EncodedCommand',
+    Buffer.from(psScript, 'utf16le').toString('base64')];
+}
+
+/**
+ * Resolve the ordered list of clipboard commands for an operation on the current platform
+ * On Linux, Wayland sessions use wl-clipboard; X11 tools are only tried when there is no
+ * Wayland display or when an X server is reachable as well (XWayland)
+ * @param {string} op - 'copy' | 'read' | 'image' | 'readImage' | 'targets'
+ *   (Linux only: 'readTyped' | 'writeTyped')
+ * @param {string} [selection='clipboard'] - Linux selection to target
+ * @param {string} [type] - MIME type / X11 target for 'readTyped' and 'writeTyped', image type for 'image' (default image/png)
+ * @param {string} [backend] - 'xclip' | 'xsel' | 'wl' | 'x11' to use only that command set, regardless of the display
+ * @returns {Array<{ cmd: string, args: string[] }>} The 'x11' command runs in-process (see _x11Run)
+ */
+function _nodeClipboardCommands(op, selection, type, backend) {
+  var platform = process.platform;
+  var sel = selection || 'clipboard';
+
+  if (platform === 'win32') {
+    if (op === 'read') {
+      // Prints the exact clipboard text as base64-encoded UTF-8, so neither the console encoding
+      // nor the line ending PowerShell appends to its output can alter it
+      return [{ cmd: 'powershell', args: _powershellArgs(
+        '[Console]::Out.Write([Convert]::ToBase64String([System.Text.Encoding]::UTF8.GetBytes([string](Get-Clipboard -Raw))))'
+      ) }];
+    }
+    if (op === 'readImage') {
+      // Prints the clipboard image as base64-encoded PNG
+      return [{ cmd: 'powershell', args: _powershellArgs([
+        'Add-Type -AssemblyName System.Windows.Forms',
+        'Add-Type -AssemblyName System.Drawing',
+        '$img = [System.Windows.Forms.Clipboard]::GetImage()',
+        // No output when there is no image; the caller reports it (no `exit`, which would end the helper)
+        'if ($img -ne $null) {',
+        '$ms = New-Object System.IO.MemoryStream',
+        '$img.Save($ms, [System.Drawing.Imaging.ImageFormat]::Png)',
+        '[Console]::Out.Write([Convert]::ToBase64String($ms.ToArray()))',
+        '$img.Dispose()',
+        '$ms.Dispose()',
+        '}'
+      ].join(';')) }];
+    }
+    if (op === 'targets') {
+      // Prints one clipboard format name per line
+      return [{ cmd: 'powershell', args: _powershellArgs([
+        'Add-Type -AssemblyName System.Windows.Forms',
+        '$data = [System.Windows.Forms.Clipboard]::GetDataObject()',
+        'if ($data -ne $null) { $data.GetFormats() | ForEach-Object { [Console]::Out.WriteLine($_) } }'
+      ].join(';')) }];
+    }
+    // copy / image scripts embed their payload and are built by the caller
+    return [];
+  }
+
+  if (platform === 'darwin') {
+    if (op === 'read') return [{ cmd: 'pbpaste', args: [] }];
+    // pbpaste is text only; AppleScript prints the PNG data as «data PNGf<hex>»
+    if (op === 'readImage') return [{ cmd: 'osascript', args: ['-e', 'the clipboard as \u00abclass PNGf\u00bb'] }];
+    // Prints "«class PNGf», 1234, string, 5, ..." (type, size pairs)
+    if (op === 'targets') return [{ cmd: 'osascript', args: ['-e', 'clipboard info'] }];
+    // pbcopy accepts both text and PNG via stdin
+    return [{ cmd: 'pbcopy', args: [] }];
+  }
+
+  var display = _linuxDisplay();
+  var forced = LINUX_BACKENDS.indexOf(backend) !== -1 ? backend : null;
+  var commands = [];
+
+  if (forced === 'x11') {
+    return [{ cmd: 'x11', args: [op, sel].concat(op === 'image' ? [type || 'image/png'] : type ? [type] : []) }];
+  }
+
+  // wl-clipboard has no secondary selection
+  if ((forced ? forced === 'wl' : display.wayland) && sel !== 'secondary') {
+    var wlArgs = sel === 'primary' ? ['--primary'] : [];
+    if (op === 'read') {
+      commands.push({ cmd: 'wl-paste', args: wlArgs.concat(['--no-newline']) });
+    } else if (op === 'readImage') {
+      commands.push({ cmd: 'wl-paste', args: wlArgs.concat(['--type', 'image/png']) });
+    } else if (op === 'image') {
+      commands.push({ cmd: 'wl-copy', args: wlArgs.concat(['--type', type || 'image/png']) });
+    } else if (op === 'targets') {
+      commands.push({ cmd: 'wl-paste', args: wlArgs.concat(['--list-types']) });
+    } else if (op === 'readTyped') {
+      commands.push({ cmd: 'wl-paste', args: wlArgs.concat(['--no-newline', '--type', type]) });
+    } else if (op === 'writeTyped') {
+      commands.push({ cmd: 'wl-copy', args: wlArgs.concat(['--type', type]) });
+    } else {
+      commands.push({ cmd: 'wl-copy', args: wlArgs });
+    }
+  }
+
+  if (forced ? forced !== 'wl' : !display.wayland || display.x11) {
+    if (op === 'read') {
+      commands.push({ cmd: 'xclip', args: ['-selection', sel, '-o'] });
+      commands.push({ cmd: 'xsel', args: ['--' + sel, '--output'] });
+    } else if (op === 'readImage') {
+      commands.push({ cmd: 'xclip', args: ['-selection', sel, '-t', 'image/png', '-o'] });
+    } else if (op === 'image') {
+      // xsel cannot set typed targets, so images require xclip
+      commands.push({ cmd: 'xclip', args: ['-selection', sel, '-t', type || 'image/png'] });
+    } else if (op === 'targets') {
+      commands.push({ cmd: 'xclip', args: ['-selection', sel, '-t', 'TARGETS', '-o'] });
+    } else if (op === 'readTyped') {
+      commands.push({ cmd: 'xclip', args: ['-selection', sel, '-t', type, '-o'] });
+    } else if (op === 'writeTyped') {
+      commands.push({ cmd: 'xclip', args: ['-selection', sel, '-t', type] });
+    } else {
+      commands.push({ cmd: 'xclip', args: ['-selection', sel] });
+      commands.push({ cmd: 'xsel', args: ['--' + sel, '--input'] });
+    }
+  }
+
+  if (forced && forced !== 'wl') {
+    commands = commands.filter(function (command) {
+      return command.cmd === forced;
+    });
+  }
+  return commands;
+}
+
+/**
+ * Human-readable install hint for a list of clipboard commands
+ * @param {Array<{ cmd: string }>} commands
+ * @returns {string}
+ */
+function _installHint(commands) {
+  var names = [];
+  for (var i = 0; i < commands.length; i++) {
+    var name = commands[i].cmd.indexOf('wl-') === 0 ? 'wl-clipboard' : commands[i].cmd;
+    if (names.indexOf(name) === -1) names.push(name);
+  }
+  if (names.length <= 1) return 'Install ' + (names[0] || 'a clipboard command') + '.';
+  return 'Install ' + names.slice(0, -1).join(', ') + ' or ' + names[names.length - 1] + '.';
+}
+
+/**
+ * Kill a spawned clipboard command together with the processes it started
+ * On POSIX the command leads its own process group (spawned detached), so the whole group
+ * gets SIGTERM and, if still alive a second later, SIGKILL. Windows uses taskkill /T.
+ * @param {ChildProcess} proc
+ */
+function _killProcessTree(proc) {
+  if (!proc.pid) return;
+
+  if (process.platform === 'win32') {
+    var killer = _nodeRequire('child_process').spawn('taskkill', ['/pid', String(proc.pid), '/T', '/F'], { stdio: 'ignore' });
+    killer.on('error', function () {
+      proc.kill();
+    });
+    return;
+  }
+
+  function killGroup(signal) {
+    try {
+      process.kill(-proc.pid, signal);
+    } catch (e) {
+      // The group is gone already (ESRCH)
+      if (signal === 'SIGTERM') proc.kill(signal);
+    }
+  }
+
+  killGroup('SIGTERM');
+  var timer = setTimeout(function () {
+    killGroup('SIGKILL');
+  }, 1000);
+  if (timer.unref) timer.unref();
+}
+
+/**
+ * Error for a clipboard command killed on abort or timeout
+ * @param {{ cmd: string }} command
+ * @param {number|null} timeout - The elapsed timeout, null for an abort
+ * @returns {Error} AbortError / TimeoutError with `killed` and `command` set
+ */
+function _killedError(command, timeout) {
+  var err = timeout === null
+    ? new AbortError('Operation aborted, killed ' + command.cmd)
+    : new TimeoutError(command.cmd + ' timed out after ' + timeout + 'ms and was killed');
+  err.killed = true;
+  err.command = command.cmd;
+  return err;
+}
+
+/**
+ * Call `callback(code)` once a write command has exited, then let go of its stderr pipe
+ * xclip and wl-copy leave a forked child serving the selection that inherits the pipe; keeping
+ * it open would hold the event loop until another application takes the selection. A failing
+ * command gets a moment to flush its message first.
+ * @param {ChildProcess} proc
+ * @param {Function} callback
+ */
+function _onWriterExit(proc, callback) {
+  proc.on('exit', function (code) {
+    var stderr = proc.stderr;
+    if (!stderr || code === 0) {
+      if (stderr) stderr.destroy();
+      callback(code);
+      return;
+    }
+    var done = false;
+    var timer = setTimeout(release, 100);
+    stderr.once('close', release);
+    function release() {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      stderr.destroy();
+      callback(code);
+    }
+  });
+}
+
+/**
+ * Spawn a single clipboard command
+ * Write commands (xclip, wl-copy) fork into the background to serve the selection, so they
+ * are considered finished on 'exit'; read commands wait for 'close' to drain stdout.
+ * Spawn errors (e.g. ENOENT for a missing binary) are rejected as-is with `spawnError` set.
+ * While the persistent helper runs (see startHelper), the command is sent to it instead.
+ * The 'x11' command is not spawned but served by the built-in X11 client (see _x11Run).
+ * When `options.signal` aborts or `options.timeout` elapses first, the process tree is killed and
+ * the promise rejects with an AbortError / TimeoutError carrying `killed: true` and `command`.
+ * @param {{ cmd: string, args: string[] }} command
+ * @param {string|Buffer|null} input - Data written to stdin, null for none
+ * @param {boolean|string} capture - Collect stdout ('buffer' keeps the raw bytes)
+ * @param {Object} [options] - { signal, timeout }
+ * @returns {Promise<{ code: number, stdout: string|Buffer, stderr: string }>}
+ */
+function _spawnClipboardCommand(command, input, capture, options) {
+  var opts = options || {};
+  var signal = opts.signal && typeof opts.signal.aborted !== 'undefined' ? opts.signal : null;
+
+  if (signal && signal.aborted) {
+    return rejectedPromise(new AbortError('Operation aborted'));
+  }
+
+  if (command.cmd === 'x11') {
+    return _x11Run(command, input, capture, opts);
+  }
+
+  if (_helper) {
+    var line = _helperCommandLine(command, input);
+    if (line !== null) {
+      return _helperRun(command, line, input, capture, opts);
+    }
+  }
+
+  return new Promise(function (resolve, reject) {
+    var spawn = _nodeRequire('child_process').spawn;
+    var proc = spawn(command.cmd, command.args, {
+      stdio: [input !== null ? 'pipe' : 'ignore', capture ? 'pipe' : 'ignore', 'pipe'],
+      // Own process group on POSIX so a hung command and its children can be killed together
+      detached: process.platform !== 'win32'
+    });
+    var chunks = [];
+    var errOutput = '';
+    var finished = false;
+    var timer = null;
+
+    function cleanup() {
+      if (timer) clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+
+    function terminate(err) {
+      if (finished) return;
+      finished = true;
+      cleanup();
+      _killProcessTree(proc);
+      reject(err);
+    }
+
+    function onAbort() {
+      terminate(_killedError(command, null));
+    }
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    if (opts.timeout > 0) {
+      timer = setTimeout(function () {
+        terminate(_killedError(command, opts.timeout));
+      }, opts.timeout);
+    }
+
+    if (capture) {
+      // Decoded once at the end so multi-byte characters split across chunks survive
+      proc.stdout.on('data', function (chunk) {
+        chunks.push(chunk);
+      });
+    }
+
+    proc.stderr.on('data', function (chunk) {
+      errOutput += chunk.toString('utf8');
+    });
+
+    proc.on('error', function (err) {
+      if (!finished) {
+        finished = true;
+        cleanup();
+        err.spawnError = true;
+        reject(err);
+      }
+    });
+
+    function onEnd(code) {
+      if (!finished) {
+        finished = true;
+        cleanup();
+        var stdout = Buffer.concat(chunks);
+        resolve({ code: code, stdout: capture === 'buffer' ? stdout : stdout.toString('utf8'), stderr: errOutput.trim() });
+      }
+    }
+
+    if (capture) {
+      proc.on('close', onEnd);
+    } else {
+      _onWriterExit(proc, onEnd);
+    }
+
+    if (input !== null) {
+      // Ignore EPIPE when the command exits without consuming stdin
+      proc.stdin.on('error', function () {});
+      proc.stdin.write(input);
+      proc.stdin.end();
+    }
+  });
+}
+
+/**
+ * Run clipboard commands in order until one can be spawned
+ * A missing binary moves on to the next candidate; a non-zero exit code is final.
+ * @param {Array<{ cmd: string, args: string[] }>} commands
+ * @param {string|Buffer|null} input
+ * @param {boolean|string} capture - See _spawnClipboardCommand
+ * @param {string} label - Operation label used in error messages
+ * @param {Object} [options] - { signal, timeout } applied to each spawned command
+ * @returns {Promise<{ command: Object, stdout: string|Buffer }>}
+ */
+function _runClipboardCommands(commands, input, capture, label, options) {
+  if (commands.length === 0) {
+    var backend = options && LINUX_BACKENDS.indexOf(options.backend) !== -1 ? options.backend : null;
+    return rejectedPromise(new NotSupportedError(label + ' is not supported ' +
+      (backend ? 'by the "' + backend + '" backend' : 'on platform: ' + process.platform)));
+  }
+
+  var index = 0;
+  var lastError = null;
+
+  function next() {
+    if (index >= commands.length) {
+      var hint = commands.length > 1 || process.platform === 'linux' ? ' ' + _installHint(commands) : '';
+      return rejectedPromise(new BackendMissingError('No clipboard command available for ' + label + '.' + hint +
+        (lastError ? ' ' + lastError.message : ''), { cause: lastError || undefined }));
+    }
+    var command = commands[index++];
+    var result;
+    try {
+      result = _spawnClipboardCommand(command, input, capture, options);
+    } catch (e) {
+      return rejectedPromise(new NowClipboardError('Failed to spawn clipboard process: ' + command.cmd + ' - ' + e.message, { cause: e }));
+    }
+    return result.then(function (res) {
+      if (res.code !== 0) {
+        throw new NowClipboardError(command.cmd + ' exited with code: ' + res.code +
+          (res.stderr ? ' - ' + res.stderr : ''));
+      }
+      return { command: command, stdout: res.stdout };
+    }, function (err) {
+      if (!err.spawnError) throw err;
+      lastError = err;
+      return next();
+    });
+  }
+
+  return next();
+}
+
+/**
+ * Copy text to system clipboard in Node.js environment
+ * @param {string} text
+ * @param {Object} [options] - { selection, backend, fallback, file, signal, timeout }
+ * @returns {Promise<string>}
+ */
+function nodeClipboardCopy(text, options) {
+  if (!_isNode) {
+    return rejectedPromise(new NotSupportedError('Not running in Node.js environment'));
+  }
+
+  var opts;
+  try {
+    opts = _nodeOptions(options);
+  } catch (e) {
+    return rejectedPromise(e);
+  }
+  var backendError = _checkBackend(opts.backend);
+  if (backendError) {
+    return rejectedPromise(backendError);
+  }
+  if (_useOsc52(opts)) {
+    return osc52Copy(text, opts);
+  }
+  if (_useFileClipboard(opts, 'copy')) {
+    return _fileClipboardWrite({ 'text/plain': Buffer.from(text, 'utf8') }, opts).then(function () {
+      return text;
+    });
+  }
+
+  var commands;
+  var input = text;
+  if (process.platform === 'win32') {
+    // Use PowerShell EncodedCommand to avoid stdin encoding issues with Unicode/Chinese text.
+    // Base64-encode the text and pass it directly, bypassing stdin entirely.
+    var psScript = 'Set-Clipboard -Value ([System.Text.Encoding]::UTF8.GetString([Convert]::FromBase64String(\'' +
+      Buffer.from(text, 'utf8').toString('base64') + '\')))';
+    commands = [{ cmd: 'powershell', args: _powershellArgs(psScript) }];
+    input = null;
+  } else {
+    commands = _nodeClipboardCommands('copy', opts.selection, null, opts.backend);
+  }
+
+  return _runClipboardCommands(commands, input, false, 'write', opts).then(function () {
+    return text;
+  });
+}
+
+/**
+ * Read text from system clipboard in Node.js environment
+ * The output is collected as bytes and decoded once. Unless `raw` is set, one trailing newline
+ * is removed; `encoding: 'buffer'` returns the bytes untouched.
+ * @param {Object} [options] - { selection, backend, fallback, file, signal, timeout, raw, encoding }
+ * @returns {Promise<string|Buffer>}
+ */
+function nodeClipboardRead(options) {
+  if (!_isNode) {
+    return rejectedPromise(new NotSupportedError('Not running in Node.js environment'));
+  }
+
+  var opts;
+  try {
+    opts = _nodeOptions(options);
+  } catch (e) {
+    return rejectedPromise(e);
+  }
+  var backendError = _checkBackend(opts.backend);
+  if (backendError) {
+    return rejectedPromise(backendError);
+  }
+  if (opts.backend === 'osc52') {
+    return rejectedPromise(new NotSupportedError('The OSC 52 backend is write-only; reading the clipboard requires a system clipboard command'));
+  }
+
+  var bytes;
+  if (_useFileClipboard(opts, 'read')) {
+    bytes = _fileClipboardRead(function (types) {
+      return types.indexOf('text/plain') !== -1 ? ['text/plain'] : [];
+    }, opts).then(function (items) {
+      return items['text/plain'] || Buffer.alloc(0);
+    });
+  } else {
+    bytes = _runClipboardCommands(_nodeClipboardCommands('read', opts.selection, null, opts.backend), null, 'buffer', 'read', opts).then(function (res) {
+      if (process.platform !== 'win32') return res.stdout;
+      return Buffer.from(res.stdout.toString('utf8').trim(), 'base64');
+    });
+  }
+
+  return bytes.then(function (buffer) {
+    if (opts.encoding === 'buffer') return buffer;
+
+    var text = buffer.toString(opts.encoding || 'utf8');
+    // Trim trailing newline
+    return opts.raw ? text : text.replace(/\r?\n$/, '');
+  });
+}
+
+/**
+ * Native clipboard change notification (wl-paste --watch on Wayland)
+ * The watch command drains the new content and prints a line, which triggers `onNotify`.
+ * @param {Function} onNotify - Called whenever the clipboard may have changed
+ * @param {Function} onEnd - Called once with an Error when the watcher fails to start or exits
+ *   (`err.spawnError` is set when wl-paste is not installed)
+ * @param {Object} [options] - { selection }
+ * @returns {{ stop: Function }|null} null when the platform offers no notification
+ */
+function nodeClipboardWatch(onNotify, onEnd, options) {
+  var opts;
+  try {
+    opts = _nodeOptions(options);
+  } catch (e) {
+    return null;
+  }
+  var selection = opts.selection || 'clipboard';
+  if (process.platform !== 'linux' || selection === 'secondary' || !_linuxDisplay().wayland) {
+    return null;
+  }
+  // A forced backend other than wl-clipboard (including the file backend) is polled
+  if (opts.backend && opts.backend !== 'auto' && opts.backend !== 'wl') {
+    return null;
+  }
+
+  var args = ['--watch', 'sh', '-c', 'cat > /dev/null; echo'];
+  if (selection === 'primary') args.unshift('--primary');
+
+  var proc = _nodeRequire('child_process').spawn('wl-paste', args, { stdio: ['ignore', 'pipe', 'ignore'] });
+  var ended = false;
+
+  function end(err) {
+    if (ended) return;
+    ended = true;
+    onEnd(err);
+  }
+
+  proc.stdout.on('data', function () {
+    if (!ended) onNotify();
+  });
+  proc.on('error', function (err) {
+    err.spawnError = true;
+    end(err);
+  });
+  proc.on('exit', function (code, signal) {
+    end(new NowClipboardError('wl-paste --watch exited with ' + (signal ? 'signal: ' + signal : 'code: ' + code)));
+  });
+
+  return {
+    stop: function () {
+      if (ended) return;
+      ended = true;
+      proc.kill();
+    }
+  };
+}
+
+/**
+ * Check the options of a clipboard stream
+ * @param {Object} opts
+ * @param {string} method - Method name used in error messages
+ * @returns {Error|null}
+ */
+function _nodeStreamError(opts, method) {
+  if (!_isNode) {
+    return new NotSupportedError(method + ' requires Node.js');
+  }
+  var error = _checkSelection(opts.selection, method) || _checkBackend(opts.backend);
+  if (error) return error;
+  if (_useOsc52(opts)) {
+    // OSC 52 needs the whole content to base64-encode it into one escape sequence
+    return new NotSupportedError(method + ' is not supported by the OSC 52 backend; use write() instead');
+  }
+  if (_useFileClipboard(opts, 'copy')) {
+    return new NotSupportedError(method + ' is not supported by the file backend; use write() / read() instead');
+  }
+  if (opts.backend === 'x11') {
+    return new NotSupportedError(method + ' is not supported by the x11 backend; use write() / read() instead');
+  }
+  return null;
+}
+
+/**
+ * Pick the first clipboard command found on PATH
+ * Data already streamed to a command cannot be replayed to the next candidate, so the
+ * command is resolved before spawning.
+ * @param {Array<{ cmd: string, args: string[] }>} commands
+ * @param {string} label
+ * @returns {{ cmd: string, args: string[] }}
+ * @throws {Error} When none is installed
+ */
+function _pickClipboardCommand(commands, label) {
+  for (var i = 0; i < commands.length; i++) {
+    if (_findExecutable(commands[i].cmd)) return commands[i];
+  }
+  throw new BackendMissingError('No clipboard command available for ' + label + '. ' + _installHint(commands));
+}
+
+/**
+ * Spawn the clipboard command behind a stream
+ * `onEnd(err)` is called once: with null when the command exits with code 0, otherwise with the
+ * exit error, a spawn error, or the AbortError / TimeoutError of options.signal / options.timeout
+ * (the process tree is killed in that case).
+ * @param {{ cmd: string, args: string[] }} command
+ * @param {Array} stdio
+ * @param {string} endEvent - 'exit' for writers (the command may fork to serve the selection), 'close' for readers
+ * @param {Object} opts - { signal, timeout }
+ * @param {Function} onEnd
+ * @returns {{ proc: ChildProcess, kill: Function }} kill() stops the command without calling onEnd
+ */
+function _spawnStreamCommand(command, stdio, endEvent, opts, onEnd) {
+  var signal = opts.signal && typeof opts.signal.aborted !== 'undefined' ? opts.signal : null;
+  var proc = _nodeRequire('child_process').spawn(command.cmd, command.args, {
+    stdio: stdio,
+    detached: process.platform !== 'win32'
+  });
+  var errOutput = '';
+  var timer = null;
+  var ended = false;
+
+  function settle() {
+    if (ended) return false;
+    ended = true;
+    if (timer) clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+    return true;
+  }
+
+  function finish(err) {
+    if (settle()) onEnd(err);
+  }
+
+  function terminate(timeout) {
+    if (!settle()) return;
+    _killProcessTree(proc);
+    onEnd(_killedError(command, timeout));
+  }
+
+  function kill() {
+    if (settle()) _killProcessTree(proc);
+  }
+
+  function onAbort() {
+    terminate(null);
+  }
+
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+  if (opts.timeout > 0) {
+    timer = setTimeout(function () {
+      terminate(opts.timeout);
+    }, opts.timeout);
+  }
+
+  proc.stderr.on('data', function (chunk) {
+    errOutput += chunk.toString('utf8');
+  });
+  proc.on('error', function (err) {
+    finish(new NowClipboardError('Failed to spawn clipboard process: ' + command.cmd + ' - ' + err.message, { cause: err }));
+  });
+  function onExit(code) {
+    finish(code === 0 ? null : new NowClipboardError(command.cmd + ' exited with code: ' + code +
+      (errOutput.trim() ? ' - ' + errOutput.trim() : '')));
+  }
+
+  if (endEvent === 'exit') {
+    _onWriterExit(proc, onExit);
+  } else {
+    proc.on(endEvent, onExit);
+  }
+
+  return { proc: proc, kill: kill };
+}
+
+/**
+ * A stream that fails right away, for a signal that is already aborted
+ * @param {Function} StreamClass
+ * @returns {Stream}
+ */
+function _abortedStream(StreamClass) {
+  var stream = new StreamClass();
+  process.nextTick(function () {
+    stream.destroy(new AbortError('Operation aborted'));
+  });
+  return stream;
+}
+
+/**
+ * Node.js: Writable that pipes straight into the clipboard command's stdin
+ * Writes respect the command's backpressure; 'finish' is emitted once the command has exited
+ * successfully, i.e. the clipboard holds the data.
+ * @param {Object} [options] - { selection, backend, signal, timeout }
+ * @returns {Writable}
+ * @throws {Error} For invalid options or when no clipboard command is installed
+ */
+function nodeClipboardWriteStream(options) {
+  var opts = _nodeOptions(options);
+  var method = 'NowClipboard.node.createWriteStream()';
+  var error = _nodeStreamError(opts, method);
+  if (error) throw error;
+
+  var stream = _nodeRequire('stream');
+  if (opts.signal && opts.signal.aborted) return _abortedStream(stream.Writable);
+
+  var command = process.platform === 'win32'
+    ? { cmd: 'powershell', args: _powershellArgs(
+      '[Console]::InputEncoding = New-Object System.Text.UTF8Encoding($false); Set-Clipboard -Value ([Console]::In.ReadToEnd())'
+    ) }
+    : _pickClipboardCommand(_nodeClipboardCommands('copy', opts.selection, null, opts.backend), method);
+
+  var finalCallback = null;
+  var result;
+  var writable;
+  var child = _spawnStreamCommand(command, ['pipe', 'ignore', 'pipe'], 'exit', opts, function (err) {
+    result = { error: err };
+    if (finalCallback) {
+      finalCallback(err);
+    } else {
+      // Exited (or was killed) while data was still expected
+      writable.destroy(err || new NowClipboardError(command.cmd + ' exited before the stream was finished'));
+    }
+  });
+  // Errors such as EPIPE surface through the exit code
+  child.proc.stdin.on('error', function () {});
+
+  writable = new stream.Writable({
+    write: function (chunk, encoding, callback) {
+      if (child.proc.stdin.write(chunk)) {
+        callback();
+      } else {
+        child.proc.stdin.once('drain', function () {
+          callback();
+        });
+      }
+    },
+    final: function (callback) {
+      child.proc.stdin.end();
+      if (result) callback(result.error);
+      else finalCallback = callback;
+    },
+    destroy: function (err, callback) {
+      child.kill();
+      callback(err);
+    }
+  });
+  return writable;
+}
+
+/**
+ * Node.js: Readable of the clipboard command's stdout
+ * The bytes are passed through untouched (no trailing newline removed); `encoding` sets the
+ * Readable encoding. The stream errors if the command fails.
+ * @param {Object} [options] - { selection, backend, encoding, signal, timeout }
+ * @returns {Readable}
+ * @throws {Error} For invalid options or when no clipboard command is installed
+ */
+function nodeClipboardReadStream(options) {
+  var opts = _nodeOptions(options);
+  var method = 'NowClipboard.node.createReadStream()';
+  var error = _nodeStreamError(opts, method);
+  if (error) throw error;
+  if (opts.backend === 'osc52') {
+    throw new NotSupportedError('The OSC 52 backend is write-only; reading the clipboard requires a system clipboard command');
+  }
+
+  var stream = _nodeRequire('stream');
+  if (opts.signal && opts.signal.aborted) return _abortedStream(stream.PassThrough);
+
+  var command = process.platform === 'win32'
+    ? { cmd: 'powershell', args: _powershellArgs(
+      '[Console]::OutputEncoding = New-Object System.Text.UTF8Encoding($false); [Console]::Out.Write([string](Get-Clipboard -Raw))'
+    ) }
+    : _pickClipboardCommand(_nodeClipboardCommands('read', opts.selection, null, opts.backend), method);
+
+  var readable = new stream.PassThrough();
+  var child = _spawnStreamCommand(command, ['ignore', 'pipe', 'pipe'], 'close', opts, function (err) {
+    if (err) readable.destroy(err);
+    else readable.end();
+  });
+
+  // 'close' fires after stdout is drained, so end() above always follows the last chunk
+  child.proc.stdout.pipe(readable, { end: false });
+  readable.on('close', function () {
+    // Destroyed by the consumer before the command finished
+    child.kill();
+  });
+  if (opts.encoding) readable.setEncoding(opts.encoding);
+  return readable;
+}
+
+// ========================================
+// 2. OSC 52 Terminal Backend
+// ========================================
+
+/**
+ * Node.js backends that can be forced with the `backend` option
+ *   auto  - Detect from the platform and display server (the default)
+ *   xclip / xsel / wl - Only that Linux command set (wl = wl-clipboard)
+ *   x11   - Built-in X11 client, no external command (see 5.6)
+ *   osc52 - Terminal escape sequence (write-only)
+ *   file  - File-backed clipboard shared by processes (see 5.5)
+ *   none  - Clipboard access disabled
+ */
+var NODE_BACKENDS = ['auto', 'xclip', 'xsel', 'wl', 'x11', 'osc52', 'file', 'none'];
+
+/**
+ * Backends that restrict the Linux clipboard commands
+ */
+var LINUX_BACKENDS = ['xclip', 'xsel', 'wl', 'x11'];
+
+/**
+ * Default OSC 52 payload limit in bytes (many terminals drop larger sequences)
+ */
+var OSC52_MAX_BYTES = 100000;
+
+/**
+ * Validate the `backend` option
+ * @param {string} [backend]
+ * @returns {Error|null} TypeError for an unknown backend, Error when the backend cannot be used
+ *   here ('none', or a Linux command set on another platform)
+ */
+function _checkBackend(backend) {
+  if (backend == null) return null;
+  if (NODE_BACKENDS.indexOf(backend) === -1) {
+    return new InvalidArgumentError('Unknown clipboard backend "' + backend + '", expected one of: ' + NODE_BACKENDS.join(', '));
+  }
+  if (backend === 'none') {
+    return new NotSupportedError('Clipboard access is disabled (backend: none)');
+  }
+  if (LINUX_BACKENDS.indexOf(backend) !== -1 && process.platform !== 'linux') {
+    return new NotSupportedError('The "' + backend + '" backend is only available on Linux');
+  }
+  return null;
+}
+
+/**
+ * Whether a write should go through OSC 52
+ * Forced with `backend: 'osc52'`, or picked automatically in SSH sessions without a display
+ * @param {Object} opts
+ * @returns {boolean}
+ */
+function _useOsc52(opts) {
+  if (opts.backend && opts.backend !== 'auto') return opts.backend === 'osc52';
+  if (!process.env.SSH_TTY) return false;
+  if (process.platform === 'win32' || process.platform === 'darwin') return false;
+  var display = _linuxDisplay();
+  return !display.wayland && !display.x11;
+}
+
+/**
+ * Detect a terminal multiplexer that needs DCS passthrough wrapping
+ * @returns {string} 'tmux' | 'screen' | 'none'
+ */
+function _osc52Multiplexer() {
+  var env = process.env;
+  if (env.TMUX) return 'tmux';
+  if (env.STY || /^screen/.test(env.TERM || '')) return 'screen';
+  return 'none';
+}
+
+/**
+ * Build the OSC 52 escape sequence for `text`
+ * @param {string} text
+ * @param {Object} [options] - { selection, osc52: { maxBytes, passthrough } }
+ * @returns {string}
+ * @throws {Error} When the sequence exceeds the size limit
+ */
+function osc52Sequence(text, options) {
+  var opts = options || {};
+  var config = opts.osc52 || {};
+  var maxBytes = config.maxBytes != null ? config.maxBytes : OSC52_MAX_BYTES;
+  var target = opts.selection === 'primary' ? 'p' : opts.selection === 'secondary' ? 'q' : 'c';
+  var seq = '\x1b]52;' + target + ';' + Buffer.from(text, 'utf8').toString('base64') + '\x07';
+
+  if (maxBytes > 0 && seq.length > maxBytes) {
+    throw new InvalidArgumentError('OSC 52 sequence of ' + seq.length + ' bytes exceeds the limit of ' + maxBytes + ' bytes');
+  }
+
+  var mux = config.passthrough || _osc52Multiplexer();
+  if (mux === 'tmux') {
+    // tmux forwards DCS payloads with doubled ESC characters
+    return '\x1bPtmux;' + seq.replace(/\x1b/g, '\x1b\x1b') + '\x1b\\';
+  }
+  if (mux === 'screen') {
+    // screen limits DCS strings, so the sequence is split into small passthrough chunks
+    var out = '';
+    for (var i = 0; i < seq.length; i += 76) {
+      out += '\x1bP' + seq.slice(i, i + 76) + '\x1b\\';
+    }
+    return out;
+  }
+  return seq;
+}
+
+/**
+ * Write bytes to the controlling terminal
+ * @param {string} data
+ * @returns {Promise<void>}
+ */
+function _writeToTTY(data) {
+  return new Promise(function (resolve, reject) {
+    var fs = _nodeRequire('fs');
+    fs.open('/dev/tty', 'w', function (err, fd) {
+      if (err) {
+        reject(new NotSupportedError('OSC 52 requires a controlling terminal: ' + err.message, { cause: err }));
+        return;
+      }
+      fs.write(fd, data, function (writeErr) {
+        fs.close(fd, function () {
+          if (writeErr) reject(new NowClipboardError('Failed to write OSC 52 sequence: ' + writeErr.message, { cause: writeErr }));
+          else resolve();
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Copy text by emitting an OSC 52 escape sequence to the terminal
+ * The terminal emulator on the user's side places the text on its clipboard.
+ * @param {string} text
+ * @param {Object} [options] - { selection, osc52: { stream, maxBytes, passthrough } }
+ * @returns {Promise<string>}
+ */
+function osc52Copy(text, options) {
+  var opts = options || {};
+  var stream = opts.osc52 && opts.osc52.stream;
+  var seq;
+  try {
+    seq = osc52Sequence(text, opts);
+  } catch (e) {
+    return rejectedPromise(e);
+  }
+
+  if (stream) {
+    return new Promise(function (resolve, reject) {
+      stream.write(seq, function (err) {
+        if (err) reject(new NowClipboardError('Failed to write OSC 52 sequence: ' + err.message, { cause: err }));
+        else resolve(text);
+      });
+    });
+  }
+
+  return _writeToTTY(seq).then(function () {
+    return text;
+  });
+}
+
+// ========================================
+// 3. Capability Probing
+// ========================================
+
+/**
+ * Find an executable on PATH
+ * @param {string} name
+ * @returns {string|null} Full path, or null when not found
+ */
+function _findExecutable(name) {
+  var fs = _nodeRequire('fs');
+  var win = process.platform === 'win32';
+  var dirs = (process.env.PATH || '').split(win ? ';' : ':');
+  var exts = win ? (process.env.PATHEXT || '.EXE;.CMD;.BAT;.COM').split(';') : [''];
+
+  for (var i = 0; i < dirs.length; i++) {
+    if (!dirs[i]) continue;
+    for (var j = 0; j < exts.length; j++) {
+      var candidate = dirs[i] + (win ? '\\' : '/') + name + exts[j];
+      try {
+        fs.accessSync(candidate, win ? fs.constants.F_OK : fs.constants.X_OK);
+        if (fs.statSync(candidate).isFile()) return candidate;
+      } catch (e) {
+        // Not here
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether a controlling terminal is available for OSC 52
+ * @returns {boolean}
+ */
+function _hasTTY() {
+  if (process.platform === 'win32') return false;
+  var fs = _nodeRequire('fs');
+  try {
+    fs.closeSync(fs.openSync('/dev/tty', 'w'));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Probe one operation against its candidate commands
+ * @param {Array<{ cmd: string }>} commands - Candidates in the order they would run
+ * @param {Object} found - Map of command name to path (filled in as commands are probed)
+ * @returns {{ supported: boolean, backend: string|null, reason: string, hint: string|null }}
+ */
+function _probeCommands(commands, found) {
+  var names = [];
+  for (var i = 0; i < commands.length; i++) {
+    var cmd = commands[i].cmd;
+    if (!(cmd in found)) found[cmd] = _findExecutable(cmd);
+    if (found[cmd]) {
+      return { supported: true, backend: cmd, reason: cmd + ' found at ' + found[cmd], hint: null };
+    }
+    if (names.indexOf(cmd) === -1) names.push(cmd);
+  }
+  return {
+    supported: false,
+    backend: null,
+    reason: names.length ? 'None of ' + names.join(', ') + ' found on PATH' : 'No clipboard command for platform: ' + process.platform,
+    hint: commands.length ? _installHint(commands) : null
+  };
+}
+
+/**
+ * Node.js: probe the system clipboard backends
+ * A backend forced through NOWCLIPBOARD_BACKEND or the config file is probed instead of the
+ * detected ones; `overrides` tells which source won for each option.
+ * @returns {Object} diagnose() report
+ */
+function _diagnoseNode() {
+  var platform = process.platform;
+  var found = {};
+  var linux = platform === 'linux';
+  var display = linux ? _linuxDisplay() : null;
+  var tty = _hasTTY();
+  var ssh = !!process.env.SSH_TTY;
+  var operations = {};
+  var overrides;
+
+  function unsupported(reason, hint) {
+    return { supported: false, backend: null, reason: reason, hint: hint || null };
+  }
+
+  // A diagnosis reports the config file as it is now
+  _reloadNodeConfig();
+  try {
+    overrides = _nodeOverrides();
+  } catch (e) {
+    overrides = {
+      config: _findNodeConfig(), backend: null, selection: null, timeout: null, fallback: null, dir: null, error: e.message
+    };
+  }
+  var forced = overrides.backend && overrides.backend.value !== 'auto' ? overrides.backend : null;
+  var forcedError = forced ? _checkBackend(forced.value) : null;
+
+  function probeForced(op, type) {
+    var commands = _nodeClipboardCommands(op, null, type, forced.value);
+    return commands.length
+      ? _probeCommands(commands, found)
+      : unsupported('Not supported by the "' + forced.value + '" backend (set by ' + forced.source + ')');
+  }
+
+  if (overrides.error || forcedError) {
+    var overrideError = overrides.error || forcedError.message + ' (set by ' + forced.source + ')';
+    var overrideHint = 'Fix or unset ' + (forced ? forced.source : overrides.config || 'the NOWCLIPBOARD_* variables');
+    operations.text = unsupported(overrideError, overrideHint);
+    operations.image = operations.text;
+    operations.read = operations.text;
+    operations.formats = operations.text;
+  } else if (forced && forced.value === 'file') {
+    var root = _fileClipboardRoot({ file: { dir: overrides.dir && overrides.dir.value } });
+    operations.text = { supported: true, backend: 'file', reason: 'Set by ' + forced.source + '; stored in ' + root, hint: null };
+    operations.image = operations.text;
+    operations.read = operations.text;
+    operations.formats = operations.text;
+  } else if (forced && forced.value === 'osc52') {
+    var writeOnly = 'The OSC 52 backend (set by ' + forced.source + ') only writes text';
+    operations.text = tty
+      ? { supported: true, backend: 'osc52', reason: 'Set by ' + forced.source, hint: null }
+      : unsupported('There is no controlling terminal for OSC 52', 'Run in a terminal');
+    operations.image = unsupported(writeOnly);
+    operations.read = unsupported(writeOnly);
+    operations.formats = unsupported(writeOnly);
+  } else if (forced && forced.value === 'x11') {
+    operations.text = _x11Probe();
+    operations.image = operations.text;
+    operations.read = operations.text;
+    operations.formats = operations.text;
+  } else if (forced) {
+    operations.text = probeForced('copy');
+    operations.image = probeForced('image');
+    operations.read = probeForced('read');
+    operations.formats = probeForced('writeTyped', 'text/html');
+  } else if (platform === 'win32') {
+    var powershell = _probeCommands([{ cmd: 'powershell' }], found);
+    operations.text = powershell;
+    operations.image = powershell;
+    operations.read = powershell;
+    operations.formats = powershell.supported
+      ? _assign({}, powershell, { reason: powershell.reason + '; plain text and images only' })
+      : powershell;
+  } else if (linux && !display.wayland && !display.x11) {
+    // Without a display server the X11/Wayland tools cannot reach a clipboard
+    var noDisplay = 'DISPLAY and WAYLAND_DISPLAY are not set';
+    var displayHint = 'Run inside a graphical session, or use { backend: \'osc52\' } in a terminal';
+    if (_useOsc52({})) {
+      operations.text = tty
+        ? { supported: true, backend: 'osc52', reason: noDisplay + '; SSH session writes through OSC 52', hint: null }
+        : unsupported(noDisplay + ' and there is no controlling terminal for OSC 52', displayHint);
+    } else {
+      operations.text = unsupported(noDisplay, displayHint);
+    }
+    operations.image = unsupported(noDisplay, 'Run inside a graphical session');
+    operations.read = unsupported(noDisplay, 'Run inside a graphical session');
+    operations.formats = unsupported(noDisplay, 'Run inside a graphical session');
+  } else {
+    operations.text = _probeCommands(_nodeClipboardCommands('copy'), found);
+    operations.image = _probeCommands(_nodeClipboardCommands('image'), found);
+    operations.read = _probeCommands(_nodeClipboardCommands('read'), found);
+    if (linux) {
+      operations.formats = _probeCommands(_nodeClipboardCommands('writeTyped', null, 'text/html'), found);
+    } else {
+      operations.formats = operations.text.supported
+        ? _assign({}, operations.text, { reason: operations.text.reason + '; plain text and images only' })
+        : operations.text;
+    }
+    if (_useOsc52({}) && tty) {
+      // SSH sessions prefer OSC 52 for text when there is no display
+      operations.text = { supported: true, backend: 'osc52', reason: 'SSH session writes through OSC 52', hint: null };
+    }
+  }
+
+  if (!forced && overrides.fallback && overrides.fallback.value === 'file') {
+    var fallbackRoot = _fileClipboardRoot({ file: { dir: overrides.dir && overrides.dir.value } });
+    Object.keys(operations).forEach(function (op) {
+      if (operations[op].supported) return;
+      operations[op] = {
+        supported: true,
+        backend: 'file',
+        reason: operations[op].reason + '; falls back to files in ' + fallbackRoot + ' (set by ' + overrides.fallback.source + ')',
+        hint: null
+      };
+    });
+  }
+
+  return {
+    environment: 'node',
+    platform: platform,
+    display: display,
+    tty: tty,
+    ssh: ssh,
+    commands: found,
+    overrides: overrides,
+    operations: operations
+  };
+}
+
+// ========================================
+// 4. Persistent Helper Process
+// ========================================
+
+/**
+ * Largest stdin payload sent through the helper; bigger inputs (e.g. images) are spawned directly
+ */
+var HELPER_MAX_INPUT = 64 * 1024;
+
+/**
+ * POSIX helper: one request per line, `<id> <base64 stdin|-> <command>`.
+ * Each command is exec'd in the background so its pid can be reported (`<id> pid <pid>`) and
+ * killed on abort; the reply is `<id> done <exit code> <base64 stdout> <base64 stderr>`.
+ * $1 is the base64 decode flag (-d, or -D on macOS).
+ */
+var HELPER_POSIX_SCRIPT = [
+  'dir=$(mktemp -d "${TMPDIR:-/tmp}/nowclipboard.XXXXXX") || exit 1',
+  'trap \'rm -rf "$dir"\' EXIT',
+  'command -v base64 >/dev/null 2>&1 || { echo "base64 not found" >&2; exit 127; }',
+  'echo ready',
+  'while read -r id input cmd; do',
+  '  if [ "$input" = - ]; then : > "$dir/in"; else printf %s "$input" | base64 "$1" > "$dir/in"; fi',
+  '  eval "$cmd" < "$dir/in" > "$dir/out" 2> "$dir/err" &',
+  '  pid=$!',
+  '  echo "$id pid $pid"',
+  '  wait "$pid"',
+  '  code=$?',
+  '  echo "$id done $code $(base64 < "$dir/out" | tr -d \'\\n\') $(base64 < "$dir/err" | tr -d \'\\n\')"',
+  'done'
+].join('\n');
+
+/**
+ * Windows helper: the same protocol, where the command is the -EncodedCommand script of a
+ * PowerShell clipboard command, run in the helper's own session. Console writes of the script
+ * are captured along with its pipeline output so they cannot interleave with the replies.
+ */
+var HELPER_POWERSHELL_SCRIPT = [
+  '$utf8 = New-Object System.Text.UTF8Encoding($false)',
+  '$stdout = [Console]::Out; $stderr = [Console]::Error',
+  '$stdout.WriteLine("ready"); $stdout.Flush()',
+  'while ($null -ne ($line = [Console]::In.ReadLine())) {',
+  '  $parts = $line.Split(" ")',
+  '  $code = 0; $out = ""; $err = ""',
+  '  $outWriter = New-Object System.IO.StringWriter; $errWriter = New-Object System.IO.StringWriter',
+  '  [Console]::SetOut($outWriter); [Console]::SetError($errWriter)',
+  '  try {',
+  '    $script = [System.Text.Encoding]::Unicode.GetString([Convert]::FromBase64String($parts[2]))',
+  '    $out = (& ([ScriptBlock]::Create($script)) | Out-String)',
+  '  } catch { $code = 1; $err = $_.Exception.Message }',
+  '  finally { [Console]::SetOut($stdout); [Console]::SetError($stderr) }',
+  '  $out = $outWriter.ToString() + $out; $err = $errWriter.ToString() + $err',
+  '  $stdout.WriteLine($parts[0] + " done " + $code + " " + [Convert]::ToBase64String($utf8.GetBytes($out)) + ' +
+    '" " + [Convert]::ToBase64String($utf8.GetBytes($err)))',
+  '  $stdout.Flush()',
+  '}'
+].join('\n');
+
+/**
+ * Running helper: { proc, pending, nextId, buffer, ready, stopped, onReady, onFail }
+ */
+var _helper = null;
+
+/**
+ * Quote a value for sh
+ * @param {string} value
+ * @returns {string}
+ */
+function _shellQuote(value) {
+  return '\'' + String(value).replace(/'/g, '\'\\\'\'') + '\'';
+}
+
+/**
+ * Encode a command for the helper protocol
+ * @param {{ cmd: string, args: string[] }} command
+ * @param {string|Buffer|null} input
+ * @returns {string|null} The command field, or null when the command must be spawned directly
+ */
+function _helperCommandLine(command, input) {
+  if (input !== null && Buffer.byteLength(input) > HELPER_MAX_INPUT) return null;
+
+  if (process.platform === 'win32') {
+    // Every Windows command is a PowerShell script; stdin is never used there
+    var index = command.args.indexOf('-EncodedCommand');
+    if (command.cmd !== 'powershell' || index === -1 || input !== null) return null;
+    return command.args[index + 1];
+  }
+
+  var line = 'exec ' + [command.cmd].concat(command.args).map(_shellQuote).join(' ');
+  return /[\r\n]/.test(line) ? null : line;
+}
+
+/**
+ * Keep the event loop alive only while the helper has requests in flight
+ * @param {Object} helper
+ * @param {boolean} active
+ */
+function _helperRef(helper, active) {
+  var method = active ? 'ref' : 'unref';
+  [helper.proc, helper.proc.stdin, helper.proc.stdout, helper.proc.stderr].forEach(function (handle) {
+    if (handle && _isFunction(handle[method])) handle[method]();
+  });
+}
+
+/**
+ * Handle one line of helper output
+ * @param {Object} helper
+ * @param {string} line
+ */
+function _helperLine(helper, line) {
+  var parts = line.replace(/\r$/, '').split(' ');
+  if (parts[0] === 'ready' && parts.length === 1) {
+    helper.onReady();
+    return;
+  }
+
+  var request = helper.pending[parts[0]];
+  if (!request) return;
+
+  if (parts[1] === 'pid') {
+    request.pid = Number(parts[2]);
+    // Aborted while queued behind another request
+    if (request.settled) _helperKill(helper, request);
+    return;
+  }
+
+  if (parts[1] === 'done') {
+    delete helper.pending[parts[0]];
+    if (!Object.keys(helper.pending).length) _helperRef(helper, false);
+    if (request.settled) return;
+
+    var code = Number(parts[2]);
+    var stdout = Buffer.from(parts[3] || '', 'base64');
+    var stderr = Buffer.from(parts[4] || '', 'base64').toString('utf8');
+    if (code === 127 && process.platform !== 'win32') {
+      // sh could not exec the command: report it like a failed spawn so the next candidate is tried
+      var err = new Error('spawn ' + request.command.cmd + ' ENOENT');
+      err.code = 'ENOENT';
+      err.spawnError = true;
+      request.finish(err);
+      return;
+    }
+    request.finish(null, {
+      code: code,
+      stdout: request.capture === 'buffer' ? stdout : request.capture ? stdout.toString('utf8') : '',
+      stderr: stderr.trim()
+    });
+  }
+}
+
+/**
+ * Stop the command of an aborted or timed-out request
+ * POSIX kills the exec'd command by pid; Windows runs it inside the helper, so the helper is killed
+ * (its other requests then fall back to spawning).
+ */
+function _helperKill(helper, request) {
+  if (process.platform === 'win32') {
+    _killProcessTree(helper.proc);
+  } else if (request.pid) {
+    try {
+      process.kill(request.pid, 'SIGTERM');
+    } catch (e) {
+      // Already exited
+    }
+  }
+}
+
+/**
+ * Run a clipboard command through the helper
+ * @returns {Promise<{ code: number, stdout: string|Buffer, stderr: string }>}
+ */
+function _helperRun(command, line, input, capture, opts) {
+  var helper = _helper;
+  var signal = opts.signal && typeof opts.signal.aborted !== 'undefined' ? opts.signal : null;
+
+  return new Promise(function (resolve, reject) {
+    var id = String(helper.nextId++);
+    var timer = null;
+    var request = {
+      command: command,
+      input: input,
+      capture: capture,
+      options: opts,
+      pid: null,
+      settled: false,
+      finish: function (err, result) {
+        if (request.settled) return;
+        request.settled = true;
+        if (timer) clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        if (err) reject(err);
+        else resolve(result);
+      }
+    };
+
+    function terminate(timeout) {
+      if (request.settled) return;
+      request.finish(_killedError(command, timeout));
+      _helperKill(helper, request);
+    }
+
+    function onAbort() {
+      terminate(null);
+    }
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    if (opts.timeout > 0) {
+      timer = setTimeout(function () {
+        terminate(opts.timeout);
+      }, opts.timeout);
+    }
+
+    helper.pending[id] = request;
+    _helperRef(helper, true);
+    var payload = input === null ? '-' : Buffer.from(input).toString('base64');
+    helper.proc.stdin.write(id + ' ' + payload + ' ' + line + '\n');
+  });
+}
+
+/**
+ * Called once when the helper process exits: requests it did not answer are retried by
+ * spawning their command directly
+ */
+function _helperExited(helper) {
+  if (_helper === helper) _helper = null;
+
+  var pending = helper.pending;
+  helper.pending = {};
+  Object.keys(pending).forEach(function (id) {
+    var request = pending[id];
+    if (request.settled) return;
+    _spawnClipboardCommand(request.command, request.input, request.capture, request.options).then(function (res) {
+      request.finish(null, res);
+    }, function (err) {
+      request.finish(err);
+    });
+  });
+}
+
+/**
+ * Start the persistent helper process
+ * @returns {Promise<void>} Resolves once the helper accepts requests
+ */
+function startHelper() {
+  if (!_isNode) {
+    return rejectedPromise(new NotSupportedError('NowClipboard.node.startHelper() requires Node.js', { method: 'NowClipboard.node.startHelper()' }));
+  }
+  if (_helper) return _helper.ready;
+
+  var command = process.platform === 'win32'
+    ? { cmd: 'powershell', args: ['-Sta'].concat(_powershellArgs(HELPER_POWERSHELL_SCRIPT)) }
+    : { cmd: 'sh', args: ['-c', HELPER_POSIX_SCRIPT, 'sh', process.platform === 'darwin' ? '-D' : '-d'] };
+
+  var proc = _nodeRequire('child_process').spawn(command.cmd, command.args, {
+    stdio: ['pipe', 'pipe', 'pipe'],
+    // Own session on POSIX, like directly spawned commands
+    detached: process.platform !== 'win32'
+  });
+  var helper = { proc: proc, pending: {}, nextId: 1, buffer: '', ready: null, stopped: null, onReady: null, onFail: null };
+  var errOutput = '';
+  var started = false;
+  _helper = helper;
+
+  helper.ready = new Promise(function (resolve, reject) {
+    helper.onReady = function () {
+      if (started) return;
+      started = true;
+      if (!Object.keys(helper.pending).length) _helperRef(helper, false);
+      resolve();
+    };
+    helper.onFail = function (message) {
+      if (started) return;
+      started = true;
+      reject(new NowClipboardError('Failed to start the clipboard helper: ' + message));
+    };
+  });
+  helper.stopped = new Promise(function (resolve) {
+    proc.on('exit', function (code, signal) {
+      helper.onFail((errOutput.trim() || command.cmd) + ' exited with ' +
+        (signal ? 'signal: ' + signal : 'code: ' + code));
+      _helperExited(helper);
+      resolve();
+    });
+  });
+
+  proc.on('error', function (err) {
+    helper.onFail(err.message);
+    _helperExited(helper);
+  });
+  proc.stdin.on('error', function () {});
+  proc.stderr.on('data', function (chunk) {
+    errOutput += chunk.toString('utf8');
+  });
+  proc.stdout.on('data', function (chunk) {
+    var lines = (helper.buffer + chunk.toString('utf8')).split('\n');
+    helper.buffer = lines.pop();
+    lines.forEach(function (line) {
+      _helperLine(helper, line);
+    });
+  });
+
+  return helper.ready;
+}
+
+/**
+ * Stop the persistent helper process
+ * Requests already sent are still answered; new ones spawn their command directly.
+ * @returns {Promise<void>} Resolves once the helper has exited
+ */
+function stopHelper() {
+  var helper = _helper;
+  if (!helper) return resolvedPromise();
+  _helper = null;
+  _helperRef(helper, true);
+  helper.proc.stdin.end();
+  return helper.stopped;
+}
+
+
+// ========================================
+// 5. Environment & Config File Overrides
+// ========================================
+
+/**
+ * Options that can be forced without code changes, and their environment variables
+ * Precedence: option passed to the call > environment variable > config file
+ */
+var NODE_OVERRIDES = {
+  backend: 'NOWCLIPBOARD_BACKEND',
+  selection: 'NOWCLIPBOARD_SELECTION',
+  timeout: 'NOWCLIPBOARD_TIMEOUT',
+  fallback: 'NOWCLIPBOARD_FALLBACK',
+  dir: 'NOWCLIPBOARD_DIR'
+};
+
+/**
+ * Values of the `fallback` option: 'file' uses the file-backed clipboard when there is no
+ * system clipboard, 'none' (the default) reports the missing backend
+ */
+var NODE_FALLBACKS = ['none', 'file'];
+
+/**
+ * Config file name, looked up from the working directory upwards and then in the home directory
+ */
+var NODE_CONFIG_FILE = '.nowclipboardrc';
+
+/**
+ * Locate the config file
+ * NOWCLIPBOARD_CONFIG names it explicitly; otherwise the nearest .nowclipboardrc wins.
+ * @returns {string|null} Absolute path, or null when there is none
+ */
+function _findNodeConfig() {
+  var fs = _nodeRequire('fs');
+  var path = _nodeRequire('path');
+  if (process.env.NOWCLIPBOARD_CONFIG) return path.resolve(process.env.NOWCLIPBOARD_CONFIG);
+
+  var candidates = [];
+  var dir = process.cwd();
+  for (;;) {
+    candidates.push(path.join(dir, NODE_CONFIG_FILE));
+    var parent = path.dirname(dir);
+    if (parent === dir) break;
+    dir = parent;
+  }
+  candidates.push(path.join(_nodeRequire('os').homedir(), NODE_CONFIG_FILE));
+
+  for (var i = 0; i < candidates.length; i++) {
+    try {
+      if (fs.statSync(candidates[i]).isFile()) return candidates[i];
+    } catch (e) {
+      // Not here
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate an overridden value
+ * @param {string} key - Key of NODE_OVERRIDES
+ * @param {*} value - Raw value (environment variables are strings)
+ * @param {string} source - Variable name or config file path, used in error messages
+ * @param {string|null} config - Config file path; relative directories in it are resolved against its folder
+ * @returns {string|number}
+ * @throws {TypeError}
+ */
+function _checkOverride(key, value, source, config) {
+  if (key === 'dir') {
+    var path = _nodeRequire('path');
+    return source === config ? path.resolve(path.dirname(config), String(value)) : path.resolve(String(value));
+  }
+  if (key === 'timeout') {
+    var ms = Number(value);
+    if (!isFinite(ms) || ms < 0 || String(value).trim() === '') {
+      throw new InvalidArgumentError(source + ': timeout must be a number of milliseconds >= 0, got "' + value + '"');
+    }
+    return ms;
+  }
+  var list = key === 'backend' ? NODE_BACKENDS : key === 'fallback' ? NODE_FALLBACKS : SELECTIONS;
+  if (list.indexOf(value) === -1) {
+    throw new InvalidArgumentError(source + ': unknown ' + key + ' "' + value + '", expected one of: ' + list.join(', '));
+  }
+  return value;
+}
+
+/**
+ * Loaded config files by NOWCLIPBOARD_CONFIG, working directory and home directory (see _nodeConfig)
+ */
+var _nodeConfigs = {};
+
+/**
+ * Find and parse the config file, once per NOWCLIPBOARD_CONFIG value, working and home directory
+ * A file that cannot be loaded keeps failing until _reloadNodeConfig() is called.
+ * @returns {{ config: string|null, values: Object }}
+ * @throws {InvalidArgumentError} When the config file cannot be read or is not a JSON object; `path` is the file
+ */
+function _nodeConfig() {
+  var key = [process.env.NOWCLIPBOARD_CONFIG || '', process.cwd(), _nodeRequire('os').homedir()].join('\0');
+  if (!_nodeConfigs[key]) {
+    var config = _findNodeConfig();
+    var loaded = { config: config, values: {}, error: null };
+    if (config) {
+      try {
+        loaded.values = JSON.parse(_nodeRequire('fs').readFileSync(config, 'utf8'));
+        if (!loaded.values || typeof loaded.values !== 'object' || Array.isArray(loaded.values)) {
+          loaded.error = new InvalidArgumentError('Cannot load ' + config + ': expected a JSON object');
+        }
+      } catch (e) {
+        loaded.error = new InvalidArgumentError('Cannot load ' + config + ': ' + e.message, { cause: e });
+      }
+      if (loaded.error) loaded.error.path = config;
+    }
+    _nodeConfigs[key] = loaded;
+  }
+  var cached = _nodeConfigs[key];
+  if (cached.error) throw cached.error;
+  return cached;
+}
+
+/**
+ * Forget the loaded config files, so the next operation looks them up and reads them again
+ */
+function _reloadNodeConfig() {
+  _nodeConfigs = {};
+}
+
+/**
+ * Read the overrides from the environment and the config file
+ * The config file is JSON, e.g. { "backend": "xsel", "selection": "primary", "timeout": 2000 }.
+ * It is cached (see _nodeConfig); environment variables are read on every call.
+ * @returns {{ config: string|null, backend: Object|null, selection: Object|null, timeout: Object|null,
+ *   fallback: Object|null, dir: Object|null }}
+ *   Each overridden option is { value, source }, source being the variable name or the file path
+ * @throws {Error} When the config file cannot be read or a value is invalid
+ */
+function _nodeOverrides() {
+  var loaded = _nodeConfig();
+  var config = loaded.config;
+  var fromFile = loaded.values;
+
+  var result = { config: config };
+  for (var key in NODE_OVERRIDES) {
+    var name = NODE_OVERRIDES[key];
+    var value = process.env[name];
+    var source = name;
+    if (value == null || value === '') {
+      value = fromFile[key];
+      source = config;
+    }
+    result[key] = value == null || value === '' ? null : { value: _checkOverride(key, value, source, config), source: source };
+  }
+  return result;
+}
+
+/**
+ * Apply the overrides to the options of a Node.js clipboard operation
+ * Explicit options win. An overridden selection the current platform or display server does
+ * not offer is ignored, so one setting can be shared between machines.
+ * @param {Object} [options]
+ * @returns {Object} New options object
+ * @throws {Error} When the overrides are invalid
+ */
+function _nodeOptions(options) {
+  var opts = _assign({}, options);
+  if (!_isNode) return opts;
+
+  var overrides = _nodeOverrides();
+  if (opts.backend == null && overrides.backend) {
+    opts.backend = overrides.backend.value;
+  }
+  if (opts.selection == null && overrides.selection && !_checkSelection(overrides.selection.value, 'selection')) {
+    opts.selection = overrides.selection.value;
+  }
+  if (opts.timeout == null && overrides.timeout) {
+    opts.timeout = overrides.timeout.value;
+  }
+  if (opts.fallback == null && overrides.fallback) {
+    opts.fallback = overrides.fallback.value;
+  }
+  if (overrides.dir && !(opts.file && opts.file.dir)) {
+    opts.file = _assign({}, opts.file, { dir: overrides.dir.value });
+  }
+  if (opts.fallback != null && NODE_FALLBACKS.indexOf(opts.fallback) === -1) {
+    throw new InvalidArgumentError('Unknown fallback "' + opts.fallback + '", expected one of: ' + NODE_FALLBACKS.join(', '));
+  }
+  return opts;
+}
+
+// ========================================
+// 6. File-Backed Clipboard
+// ========================================
+
+/**
+ * How long to wait for another process to release the clipboard lock (ms)
+ */
+var FILE_LOCK_TIMEOUT = 5000;
+
+/**
+ * Age after which a lock is considered left behind by a crashed process (ms)
+ */
+var FILE_LOCK_STALE = 10000;
+
+/**
+ * Root directory of the file-backed clipboard
+ * `file.dir` (or NOWCLIPBOARD_DIR), else $XDG_RUNTIME_DIR/nowclipboard, else a per-user
+ * directory in the system temp directory
+ * @param {Object} opts
+ * @returns {string}
+ */
+function _fileClipboardRoot(opts) {
+  var path = _nodeRequire('path');
+  if (opts.file && opts.file.dir) return path.resolve(opts.file.dir);
+  if (process.env.XDG_RUNTIME_DIR) return path.join(process.env.XDG_RUNTIME_DIR, 'nowclipboard');
+  return _fileClipboardTempRoot();
+}
+
+/**
+ * Per-user fallback root in the system temp directory
+ * Its name is predictable in a directory everyone can write to, see _checkFileClipboardRoot().
+ * @returns {string}
+ */
+function _fileClipboardTempRoot() {
+  var os = _nodeRequire('os');
+  return _nodeRequire('path').join(os.tmpdir(), 'nowclipboard-' + (process.getuid ? process.getuid() : os.userInfo().username));
+}
+
+/**
+ * Make sure the fallback root in the temp directory is ours before using it
+ * Another user could have created it (or a symlink) first, so it must be a real directory owned
+ * by this user with mode 0700.
+ * @param {string} root
+ * @throws {PermissionDeniedError} When the directory is not private to this user
+ */
+function _checkFileClipboardRoot(root) {
+  var stat = _nodeRequire('fs').lstatSync(root);
+  var owned = !process.getuid || (stat.uid === process.getuid() && (stat.mode & 511) === 448); // 0777, 0700
+  if (!stat.isDirectory() || !owned) {
+    throw new PermissionDeniedError('Refusing to use the file clipboard directory ' + root +
+      ': it is not a private directory owned by this user');
+  }
+}
+
+/**
+ * Whether the platform offers a system clipboard for an operation
+ * @param {string} op - Operation of _nodeClipboardCommands
+ * @param {string} [selection]
+ * @returns {boolean}
+ */
+function _hasSystemClipboard(op, selection) {
+  var platform = process.platform;
+  if (platform === 'win32') return !!_findExecutable('powershell');
+  if (platform === 'linux') {
+    var display = _linuxDisplay();
+    if (!display.wayland && !display.x11) return false;
+  }
+  var commands = _nodeClipboardCommands(op, selection);
+  for (var i = 0; i < commands.length; i++) {
+    if (_findExecutable(commands[i].cmd)) return true;
+  }
+  return false;
+}
+
+/**
+ * Whether an operation goes to the file-backed clipboard
+ * Forced with `backend: 'file'`, or picked with `fallback: 'file'` when there is no system
+ * clipboard (no display server on Linux, or none of the commands on PATH)
+ * @param {Object} opts
+ * @param {string} op - Operation of _nodeClipboardCommands
+ * @returns {boolean}
+ */
+function _useFileClipboard(opts, op) {
+  if (opts.backend && opts.backend !== 'auto') return opts.backend === 'file';
+  return opts.fallback === 'file' && !_hasSystemClipboard(op, opts.selection);
+}
+
+/**
+ * Whether a lock file was left behind: its owner is gone, or it is older than FILE_LOCK_STALE
+ * @param {string} lock
+ * @returns {fs.Stats|null} The stats of the lock when it is stale, null otherwise
+ */
+function _staleFileLock(lock) {
+  var fs = _nodeRequire('fs');
+  try {
+    var stat = fs.statSync(lock);
+    var pid = parseInt(fs.readFileSync(lock, 'utf8'), 10);
+    if (pid > 0) {
+      try {
+        process.kill(pid, 0);
+      } catch (e) {
+        if (e.code === 'ESRCH') return stat;
+      }
+    }
+    return Date.now() - stat.mtimeMs > FILE_LOCK_STALE ? stat : null;
+  } catch (e) {
+    // Released in the meantime
+    return null;
+  }
+}
+
+/**
+ * Remove a stale lock without racing another process that replaced it
+ * The lock is renamed to a unique name first; if that turns out to be a different file than the
+ * one found stale (it was released and taken again in between), it is linked back in place.
+ * @param {string} lock
+ * @param {fs.Stats} stale - Stats of the lock when it was found stale
+ * @throws {Error} fs errors other than ENOENT (the lock is gone already)
+ */
+function _removeStaleFileLock(lock, stale) {
+  var fs = _nodeRequire('fs');
+  var moved = lock + '.' + process.pid + '.' + _nodeRequire('crypto').randomBytes(4).toString('hex') + '.stale';
+  try {
+    fs.renameSync(lock, moved);
+  } catch (e) {
+    if (e.code === 'ENOENT') return;
+    throw e;
+  }
+  var stat = fs.statSync(moved);
+  if (stat.ino !== stale.ino || stat.mtimeMs !== stale.mtimeMs) {
+    try {
+      fs.linkSync(moved, lock);
+    } catch (e) {
+      // EEXIST: the lock was taken again in the meantime, which is just as good
+      if (e.code !== 'EEXIST') throw e;
+    }
+  }
+  fs.unlinkSync(moved);
+}
+
+/**
+ * Error for a failed file system call of the file backend
+ * @param {string} message
+ * @param {Error} err - The fs error, kept as `cause`
+ * @returns {NowClipboardError} PermissionDeniedError when access was denied
+ */
+function _fileClipboardError(message, err) {
+  var denied = err.code === 'EACCES' || err.code === 'EPERM' || err.code === 'EROFS';
+  return new (denied ? PermissionDeniedError : NowClipboardError)(message + ': ' + err.message, { cause: err });
+}
+
+/**
+ * Run `fn(dir)` on one selection of the file-backed clipboard while holding its lock
+ * The lock is a `<selection>.lock` file created exclusively; readers take it too, so they never
+ * see a write half done.
+ * @param {Object} opts - { selection, file: { dir } }
+ * @param {Function} fn - Receives the selection directory, runs synchronously
+ * @returns {Promise<*>} Resolves with the return value of fn
+ */
+function _withFileClipboard(opts, fn) {
+  var fs = _nodeRequire('fs');
+  var path = _nodeRequire('path');
+  var root = _fileClipboardRoot(opts);
+  var dir = path.join(root, opts.selection || 'clipboard');
+  var lock = dir + '.lock';
+  var started = Date.now();
+
+  return new Promise(function (resolve, reject) {
+    function attempt() {
+      var fd;
+      var stale;
+      try {
+        fs.mkdirSync(root, { recursive: true, mode: 448 }); // 0700
+        if (root === _fileClipboardTempRoot()) _checkFileClipboardRoot(root);
+        fd = fs.openSync(lock, 'wx', 384); // 0600
+      } catch (e) {
+        if (e instanceof NowClipboardError) {
+          reject(e);
+        } else if (e.code !== 'EEXIST') {
+          reject(_fileClipboardError('Cannot lock the file clipboard in ' + root, e));
+        } else if (Date.now() - started > FILE_LOCK_TIMEOUT) {
+          reject(new TimeoutError('Timed out waiting for the file clipboard lock ' + lock));
+        } else if ((stale = _staleFileLock(lock))) {
+          try {
+            _removeStaleFileLock(lock, stale);
+          } catch (removeError) {
+            reject(_fileClipboardError('Cannot remove the stale file clipboard lock ' + lock, removeError));
+            return;
+          }
+          setTimeout(attempt, 0);
+        } else {
+          setTimeout(attempt, 10);
+        }
+        return;
+      }
+
+      var result;
+      var error = null;
+      try {
+        fs.writeSync(fd, String(process.pid));
+        fs.closeSync(fd);
+        result = fn(dir);
+      } catch (e) {
+        error = e;
+      }
+      try {
+        fs.unlinkSync(lock);
+      } catch (e) {
+        // Taken over as stale
+      }
+      if (error) reject(error);
+      else resolve(result);
+    }
+    attempt();
+  });
+}
+
+/**
+ * Replace the content of the file-backed clipboard
+ * Each format is written to a temporary file and renamed into place, so a crash never leaves a
+ * truncated format; formats of the previous content are removed.
+ * @param {Object} items - Map of MIME type to Buffer
+ * @param {Object} opts - { selection, file: { dir } }
+ * @returns {Promise<void>}
+ */
+function _fileClipboardWrite(items, opts) {
+  var fs = _nodeRequire('fs');
+  var path = _nodeRequire('path');
+  return _withFileClipboard(opts, function (dir) {
+    fs.mkdirSync(dir, { recursive: true, mode: 448 });
+    var names = {};
+    Object.keys(items).forEach(function (type) {
+      var name = encodeURIComponent(type);
+      var tmp = path.join(dir, '.' + name + '.' + process.pid + '.' + _nodeRequire('crypto').randomBytes(4).toString('hex') + '.tmp');
+      // 'wx' never follows a file or symlink someone else put in place
+      fs.writeFileSync(tmp, items[type], { mode: 384, flag: 'wx' });
+      fs.renameSync(tmp, path.join(dir, name));
+      names[name] = true;
+    });
+    fs.readdirSync(dir).forEach(function (name) {
+      if (!names[name]) fs.unlinkSync(path.join(dir, name));
+    });
+  });
+}
+
+/**
+ * List the MIME types stored in the file-backed clipboard
+ * @param {string} dir - Selection directory
+ * @returns {string[]} Sorted MIME types, empty when nothing was written yet
+ */
+function _fileClipboardList(dir) {
+  var names;
+  try {
+    names = _nodeRequire('fs').readdirSync(dir);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  return names.filter(function (name) {
+    return name.charAt(0) !== '.';
+  }).map(decodeURIComponent).sort();
+}
+
+/**
+ * Read formats from the file-backed clipboard
+ * @param {Function|null} pick - Receives the stored types, returns the ones to read (null: all)
+ * @param {Object} opts - { selection, file: { dir } }
+ * @returns {Promise<Object>} Map of MIME type to Buffer
+ */
+function _fileClipboardRead(pick, opts) {
+  var fs = _nodeRequire('fs');
+  var path = _nodeRequire('path');
+  return _withFileClipboard(opts, function (dir) {
+    var types = _fileClipboardList(dir);
+    var wanted = pick ? pick(types) : types;
+    var items = {};
+    for (var i = 0; i < wanted.length; i++) {
+      items[wanted[i]] = fs.readFileSync(path.join(dir, encodeURIComponent(wanted[i])));
+    }
+    return items;
+  });
+}
+
+/**
+ * List the MIME types of the file-backed clipboard
+ * @param {Object} opts - { selection, file: { dir } }
+ * @returns {Promise<string[]>}
+ */
+function _fileClipboardTypes(opts) {
+  return _withFileClipboard(opts, _fileClipboardList);
+}
+
+// ========================================
+// 7. X11 Selection Client
+// ========================================
+
+/**
+ * Built-in X11 client behind `backend: 'x11'`
+ * Speaks the X protocol over the display socket, so neither xclip nor xsel is needed. A write
+ * makes this process the selection owner: the content is served from memory, answering
+ * SelectionRequest events for every target offered, until another client takes the selection
+ * or the process exits. Reads use ConvertSelection, including INCR transfers of large data.
+ */
+
+/**
+ * Milliseconds to wait for each answer of the selection owner when no `timeout` is set
+ */
+var X11_CONVERT_TIMEOUT = 5000;
+
+/**
+ * Predefined atoms (X protocol, appendix B)
+ */
+var X11_ATOMS = { PRIMARY: 1, SECONDARY: 2, ATOM: 4, INTEGER: 19, STRING: 31 };
+
+/**
+ * Event codes used by the selection protocol
+ */
+var X11_PROPERTY_NOTIFY = 28;
+var X11_SELECTION_CLEAR = 29;
+var X11_SELECTION_REQUEST = 30;
+var X11_SELECTION_NOTIFY = 31;
+
+/**
+ * PropertyChangeMask: PropertyNotify events for a window
+ */
+var X11_PROPERTY_CHANGE_MASK = 0x400000;
+
+/**
+ * Error names by X11 error code, for error messages
+ */
+var X11_ERRORS = [null, 'Request', 'Value', 'Window', 'Pixmap', 'Atom', 'Cursor', 'Font', 'Match',
+  'Drawable', 'Access', 'Alloc', 'Colormap', 'GContext', 'IDChoice', 'Name', 'Length', 'Implementation'];
+
+/**
+ * Targets offered for text/plain, and tried in this order when reading text
+ */
+var X11_TEXT_TARGETS = ['UTF8_STRING', 'text/plain;charset=utf-8', 'text/plain', 'STRING', 'TEXT'];
+
+/**
+ * Selection owners by display name (Promise of { conn, window, selections, transfers, writes })
+ */
+var _x11Owners = {};
+
+/**
+ * Pad a buffer to a multiple of 4 bytes
+ * @param {Buffer} buffer
+ * @returns {Buffer}
+ */
+function _x11Pad(buffer) {
+  var rest = buffer.length % 4;
+  return rest ? Buffer.concat([buffer, Buffer.alloc(4 - rest)]) : buffer;
+}
+
+/**
+ * Encode 32-bit values (little-endian)
+ * @param {number[]} values
+ * @returns {Buffer}
+ */
+function _x11Words(values) {
+  var buffer = Buffer.alloc(values.length * 4);
+  for (var i = 0; i < values.length; i++) {
+    buffer.writeUInt32LE(values[i] >>> 0, i * 4);
+  }
+  return buffer;
+}
+
+/**
+ * Resolve the socket of an X display name
+ *   ":0" / "unix:0"       - /tmp/.X11-unix/X0
+ *   "/path/socket:0"      - that socket (XQuartz-style launchd sockets)
+ *   "host:0"              - TCP port 6000 on host
+ * @param {string} name - DISPLAY value
+ * @returns {{ path: string|null, host: string|null, port: number|null, number: string }}
+ * @throws {Error} For a malformed display name
+ */
+function _x11ParseDisplay(name) {
+  var match = /^(.*):(\d+)(?:\.\d+)?$/.exec(name || '');
+  if (!match) {
+    throw new InvalidArgumentError('Invalid X11 display name "' + name + '"');
+  }
+  var host = match[1];
+  var number = match[2];
+  if (host.charAt(0) === '/') {
+    return { path: host + ':' + number, host: null, port: null, number: number };
+  }
+  if (host === '' || host === 'unix') {
+    return { path: '/tmp/.X11-unix/X' + number, host: null, port: null, number: number };
+  }
+  return { path: null, host: host.replace(/^\[(.*)\]$/, '$1'), port: 6000 + Number(number), number: number };
+}
+
+/**
+ * Find the MIT-MAGIC-COOKIE-1 of a display in $XAUTHORITY (default ~/.Xauthority)
+ * Entries for this host (FamilyLocal) or any host (FamilyWild) win over the others.
+ * @param {Object} display - From _x11ParseDisplay
+ * @returns {{ name: string, data: Buffer }|null} null when there is none (the server may not need one)
+ */
+function _x11Auth(display) {
+  var os = _nodeRequire('os');
+  var file = process.env.XAUTHORITY || _nodeRequire('path').join(os.homedir(), '.Xauthority');
+  var buffer;
+  try {
+    buffer = _nodeRequire('fs').readFileSync(file);
+  } catch (e) {
+    return null;
+  }
+
+  var hostname = os.hostname();
+  var offset = 0;
+  var fallback = null;
+
+  function field() {
+    var length = buffer.readUInt16BE(offset);
+    var value = buffer.slice(offset + 2, offset + 2 + length);
+    offset += 2 + length;
+    return value;
+  }
+
+  try {
+    while (offset < buffer.length) {
+      var family = buffer.readUInt16BE(offset);
+      offset += 2;
+      var address = field().toString('latin1');
+      var number = field().toString('latin1');
+      var name = field().toString('latin1');
+      var data = field();
+      if (name !== 'MIT-MAGIC-COOKIE-1' || (number !== '' && number !== display.number)) continue;
+      var entry = { name: name, data: data };
+      if (family === 65535 || (family === 256 && address === hostname)) return entry;
+      if (!fallback) fallback = entry;
+    }
+  } catch (e) {
+    // Truncated file: use what was found
+  }
+  return fallback;
+}
+
+/**
+ * X11Connection - One client connection to an X server (see _x11Connect)
+ * @constructor
+ * @param {net.Socket} socket
+ */
+function X11Connection(socket) {
+  this._socket = socket;
+  this._buffer = Buffer.alloc(0);
+  this._seq = 0;
+  this._replies = {};
+  this._waiters = [];
+  this._atoms = {};
+  this._names = {};
+  this._nextId = 0;
+  this._closed = false;
+  this.root = 0;
+  this.maxData = 0;
+  /** Receives events no waiter took */
+  this.onEvent = null;
+  /** Receives errors of requests without a reply */
+  this.onError = null;
+  /** Called once when the connection ends */
+  this.onClose = null;
+}
+
+/**
+ * Read the connection setup reply
+ * @param {Buffer} reply
+ */
+X11Connection.prototype._setup = function (reply) {
+  var vendorLength = reply.readUInt16LE(24);
+  var formats = reply[29];
+  this._idBase = reply.readUInt32LE(12);
+  this._idMask = reply.readUInt32LE(16);
+  // Largest property chunk that fits in one ChangeProperty request (24-byte header)
+  this.maxData = Math.min(reply.readUInt16LE(26) * 4 - 24, 0x40000);
+  this.root = reply.readUInt32LE(40 + _x11Pad(Buffer.alloc(vendorLength)).length + formats * 8);
+};
+
+/**
+ * Dispatch the complete replies, errors and events in the buffer
+ */
+X11Connection.prototype._read = function () {
+  while (this._buffer.length >= 32) {
+    var kind = this._buffer[0];
+    var length = kind === 1 ? 32 + this._buffer.readUInt32LE(4) * 4 : 32;
+    if (this._buffer.length < length) return;
+    var message = this._buffer.slice(0, length);
+    this._buffer = this._buffer.slice(length);
+    var pending = this._replies[message.readUInt16LE(2)];
+
+    if (kind === 1) {
+      delete this._replies[message.readUInt16LE(2)];
+      if (pending) pending.resolve(message);
+    } else if (kind === 0) {
+      var err = new NowClipboardError('X11 error Bad' + (X11_ERRORS[message[1]] || message[1]) + ' in request ' + message[10]);
+      err.x11Code = message[1];
+      if (pending) {
+        delete this._replies[message.readUInt16LE(2)];
+        pending.reject(err);
+      } else if (this.onError) {
+        this.onError(err);
+      }
+    } else {
+      this._event(message);
+    }
+  }
+};
+
+/**
+ * Decode an event and hand it to the first matching waiter, else to onEvent
+ * @param {Buffer} message
+ */
+X11Connection.prototype._event = function (message) {
+  var code = message[0] & 0x7f;
+  var event = { code: code };
+  if (code === X11_PROPERTY_NOTIFY) {
+    event.window = message.readUInt32LE(4);
+    event.atom = message.readUInt32LE(8);
+    event.time = message.readUInt32LE(12);
+    event.deleted = message[16] === 1;
+  } else if (code === X11_SELECTION_CLEAR) {
+    event.time = message.readUInt32LE(4);
+    event.owner = message.readUInt32LE(8);
+    event.selection = message.readUInt32LE(12);
+  } else if (code === X11_SELECTION_REQUEST) {
+    event.time = message.readUInt32LE(4);
+    event.owner = message.readUInt32LE(8);
+    event.requestor = message.readUInt32LE(12);
+    event.selection = message.readUInt32LE(16);
+    event.target = message.readUInt32LE(20);
+    event.property = message.readUInt32LE(24);
+  } else if (code === X11_SELECTION_NOTIFY) {
+    event.time = message.readUInt32LE(4);
+    event.requestor = message.readUInt32LE(8);
+    event.selection = message.readUInt32LE(12);
+    event.target = message.readUInt32LE(16);
+    event.property = message.readUInt32LE(20);
+  }
+
+  for (var i = 0; i < this._waiters.length; i++) {
+    if (this._waiters[i].match(event)) {
+      this._waiters.splice(i, 1)[0].resolve(event);
+      return;
+    }
+  }
+  if (this.onEvent) this.onEvent(event);
+};
+
+/**
+ * End the connection with an error: pending replies and waiters reject
+ * @param {Error} err
+ */
+X11Connection.prototype._fail = function (err) {
+  if (this._closed) return;
+  this._closed = true;
+  var replies = this._replies;
+  var waiters = this._waiters;
+  this._replies = {};
+  this._waiters = [];
+  Object.keys(replies).forEach(function (seq) {
+    replies[seq].reject(err);
+  });
+  waiters.forEach(function (waiter) {
+    waiter.reject(err);
+  });
+  this._socket.destroy();
+  if (this.onClose) this.onClose(err);
+};
+
+/**
+ * Send a request
+ * @param {number} opcode
+ * @param {number} data - Second header byte
+ * @param {Buffer} body - Request body after the 4-byte header
+ * @param {boolean} [reply] - Whether the request has a reply
+ * @returns {Promise<Buffer>|undefined} The reply, for requests that have one
+ */
+X11Connection.prototype.request = function (opcode, data, body, reply) {
+  if (this._closed) {
+    return reply ? rejectedPromise(new NowClipboardError('The X11 connection is closed')) : undefined;
+  }
+  var padded = _x11Pad(body);
+  var header = Buffer.alloc(4);
+  header[0] = opcode;
+  header[1] = data;
+  header.writeUInt16LE(1 + padded.length / 4, 2);
+  this._seq = (this._seq + 1) & 0xffff;
+  this._socket.write(Buffer.concat([header, padded]));
+  if (!reply) return undefined;
+
+  var replies = this._replies;
+  var seq = this._seq;
+  return new Promise(function (resolve, reject) {
+    replies[seq] = { resolve: resolve, reject: reject };
+  });
+};
+
+/**
+ * Wait for an event
+ * @param {Function} match - Receives each decoded event
+ * @param {number} timeout - Milliseconds before rejecting with a TimeoutError
+ * @returns {Promise<Object>}
+ */
+X11Connection.prototype.waitEvent = function (match, timeout) {
+  var waiters = this._waiters;
+  return new Promise(function (resolve, reject) {
+    var waiter = {
+      match: match,
+      resolve: function (event) {
+        clearTimeout(timer);
+        resolve(event);
+      },
+      reject: function (err) {
+        clearTimeout(timer);
+        reject(err);
+      }
+    };
+    var timer = setTimeout(function () {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      var err = new TimeoutError('x11: the selection owner timed out after ' + timeout + 'ms');
+      err.command = 'x11';
+      reject(err);
+    }, timeout);
+    waiters.push(waiter);
+  });
+};
+
+/**
+ * Intern an atom (cached)
+ * @param {string} name
+ * @returns {Promise<number>}
+ */
+X11Connection.prototype.atom = function (name) {
+  if (X11_ATOMS[name]) return resolvedPromise(X11_ATOMS[name]);
+  if (!this._atoms[name]) {
+    var bytes = Buffer.from(name, 'latin1');
+    var header = Buffer.alloc(4);
+    header.writeUInt16LE(bytes.length, 0);
+    this._atoms[name] = this.request(16, 0, Buffer.concat([header, bytes]), true).then(function (reply) {
+      return reply.readUInt32LE(8);
+    });
+  }
+  return this._atoms[name];
+};
+
+/**
+ * Name of an atom (cached)
+ * @param {number} atom
+ * @returns {Promise<string>}
+ */
+X11Connection.prototype.atomName = function (atom) {
+  if (!this._names[atom]) {
+    this._names[atom] = this.request(17, 0, _x11Words([atom]), true).then(function (reply) {
+      return reply.slice(32, 32 + reply.readUInt16LE(8)).toString('latin1');
+    });
+  }
+  return this._names[atom];
+};
+
+/**
+ * Create an unmapped 1x1 InputOnly window on the root window
+ * @param {number} eventMask
+ * @returns {number} Window id
+ */
+X11Connection.prototype.createWindow = function (eventMask) {
+  var id = (this._idBase | (++this._nextId & this._idMask)) >>> 0;
+  var body = Buffer.alloc(32);
+  body.writeUInt32LE(id, 0);
+  body.writeUInt32LE(this.root, 4);
+  body.writeUInt16LE(1, 12); // width
+  body.writeUInt16LE(1, 14); // height
+  body.writeUInt16LE(2, 18); // class: InputOnly
+  body.writeUInt32LE(0x800, 24); // value-mask: event-mask
+  body.writeUInt32LE(eventMask, 28);
+  this.request(1, 0, body);
+  return id;
+};
+
+/**
+ * Set the events this client receives for a window (ChangeWindowAttributes)
+ * @param {number} window
+ * @param {number} eventMask
+ */
+X11Connection.prototype.selectInput = function (window, eventMask) {
+  this.request(2, 0, _x11Words([window, 0x800, eventMask]));
+};
+
+/**
+ * Replace a window property
+ * @param {number} window
+ * @param {number} property
+ * @param {number} type
+ * @param {number} format - 8 or 32
+ * @param {Buffer} data
+ */
+X11Connection.prototype.changeProperty = function (window, property, type, format, data) {
+  var header = _x11Words([window, property, type, format, data.length / (format / 8)]);
+  this.request(18, 0, Buffer.concat([header, data]));
+};
+
+/**
+ * Read a whole window property
+ * @param {number} window
+ * @param {number} property
+ * @returns {Promise<{ type: number, format: number, data: Buffer }>}
+ */
+X11Connection.prototype.getProperty = function (window, property) {
+  return this.request(20, 0, _x11Words([window, property, 0, 0, 0x3fffffff]), true).then(function (reply) {
+    var format = reply[1];
+    var length = reply.readUInt32LE(16) * (format / 8);
+    return { type: reply.readUInt32LE(8), format: format, data: Buffer.from(reply.slice(32, 32 + length)) };
+  });
+};
+
+/**
+ * Delete a window property
+ * @param {number} window
+ * @param {number} property
+ */
+X11Connection.prototype.deleteProperty = function (window, property) {
+  this.request(19, 0, _x11Words([window, property]));
+};
+
+/**
+ * Take a selection (CurrentTime)
+ * @param {number} window
+ * @param {number} selection
+ */
+X11Connection.prototype.setSelectionOwner = function (window, selection) {
+  this.request(22, 0, _x11Words([window, selection, 0]));
+};
+
+/**
+ * Current owner of a selection
+ * @param {number} selection
+ * @returns {Promise<number>} Window id, 0 for none
+ */
+X11Connection.prototype.getSelectionOwner = function (selection) {
+  return this.request(23, 0, _x11Words([selection]), true).then(function (reply) {
+    return reply.readUInt32LE(8);
+  });
+};
+
+/**
+ * Ask the selection owner to convert the selection into a property of `requestor`
+ * @param {number} requestor
+ * @param {number} selection
+ * @param {number} target
+ * @param {number} property
+ */
+X11Connection.prototype.convertSelection = function (requestor, selection, target, property) {
+  this.request(24, 0, _x11Words([requestor, selection, target, property, 0]));
+};
+
+/**
+ * Tell a requestor that its conversion is done (SendEvent of a SelectionNotify)
+ * @param {Object} request - The SelectionRequest event
+ * @param {number} property - Property holding the data, 0 when the conversion was refused
+ */
+X11Connection.prototype.notifySelection = function (request, property) {
+  var event = Buffer.alloc(32);
+  event[0] = X11_SELECTION_NOTIFY;
+  event.writeUInt32LE(request.time, 4);
+  event.writeUInt32LE(request.requestor, 8);
+  event.writeUInt32LE(request.selection, 12);
+  event.writeUInt32LE(request.target, 16);
+  event.writeUInt32LE(property, 20);
+  this.request(25, 0, Buffer.concat([_x11Words([request.requestor, 0]), event]));
+};
+
+/**
+ * Close the connection
+ */
+X11Connection.prototype.close = function () {
+  if (this._closed) return;
+  this._closed = true;
+  this._socket.end();
+};
+
+/**
+ * Open a connection to an X server
+ * @param {string} name - Display name
+ * @returns {Promise<X11Connection>}
+ */
+function _x11Connect(name) {
+  var display;
+  try {
+    display = _x11ParseDisplay(name);
+  } catch (e) {
+    return rejectedPromise(e);
+  }
+
+  return new Promise(function (resolve, reject) {
+    var net = _nodeRequire('net');
+    var socket = display.path ? net.connect(display.path) : net.connect(display.port, display.host);
+    var conn = new X11Connection(socket);
+    var connected = false;
+
+    function fail(err) {
+      if (connected) {
+        conn._fail(err);
+        return;
+      }
+      connected = true;
+      socket.destroy();
+      reject(err);
+    }
+
+    socket.on('connect', function () {
+      var auth = _x11Auth(display);
+      var authName = Buffer.from(auth ? auth.name : '', 'latin1');
+      var authData = auth ? auth.data : Buffer.alloc(0);
+      var header = Buffer.alloc(12);
+      header[0] = 0x6c; // 'l': little-endian
+      header.writeUInt16LE(11, 2); // protocol 11.0
+      header.writeUInt16LE(authName.length, 6);
+      header.writeUInt16LE(authData.length, 8);
+      socket.write(Buffer.concat([header, _x11Pad(authName), _x11Pad(authData)]));
+    });
+
+    socket.on('data', function (chunk) {
+      conn._buffer = Buffer.concat([conn._buffer, chunk]);
+      if (!connected) {
+        if (conn._buffer.length < 8) return;
+        var length = 8 + conn._buffer.readUInt16LE(6) * 4;
+        if (conn._buffer.length < length) return;
+        var reply = conn._buffer.slice(0, length);
+        conn._buffer = conn._buffer.slice(length);
+        if (reply[0] !== 1) {
+          var reason = reply[0] === 0 ? reply.slice(8, 8 + reply[1]).toString('latin1').trim() : 'further authentication is required';
+          fail(new PermissionDeniedError('The X server refused the connection to display "' + name + '": ' + reason));
+          return;
+        }
+        conn._setup(reply);
+        connected = true;
+        resolve(conn);
+      }
+      conn._read();
+    });
+
+    socket.on('error', function (err) {
+      fail(connected ? err : new NotSupportedError('Cannot open X11 display "' + name + '": ' + err.message, { cause: err }));
+    });
+    socket.on('close', function () {
+      fail(new NowClipboardError('The X server closed the connection to display "' + name + '"'));
+    });
+  });
+}
+
+/**
+ * The X display to use
+ * @returns {string}
+ * @throws {Error} When DISPLAY is not set
+ */
+function _x11Display() {
+  if (!process.env.DISPLAY) {
+    throw new NotSupportedError('The "x11" backend needs an X display, but DISPLAY is not set');
+  }
+  return process.env.DISPLAY;
+}
+
+/**
+ * Convert a selection into `target` and read the result, following INCR transfers
+ * @param {X11Connection} conn
+ * @param {number} window - Requestor window (selects PropertyChange)
+ * @param {number} selection - Selection atom
+ * @param {string} target
+ * @param {number} timeout - Milliseconds to wait for each answer of the owner
+ * @returns {Promise<{ type: number, format: number, data: Buffer }|null>} null when the owner refused
+ */
+function _x11Convert(conn, window, selection, target, timeout) {
+  return Promise.all([conn.atom(target), conn.atom('NOWCLIPBOARD_SELECTION'), conn.atom('INCR')]).then(function (atoms) {
+    var property = atoms[1];
+    var incr = atoms[2];
+
+    function newValue() {
+      return conn.waitEvent(function (event) {
+        return event.code === X11_PROPERTY_NOTIFY && event.window === window && event.atom === property && !event.deleted;
+      }, timeout);
+    }
+
+    var notified = conn.waitEvent(function (event) {
+      return event.code === X11_SELECTION_NOTIFY && event.requestor === window && event.selection === selection;
+    }, timeout);
+    conn.convertSelection(window, selection, atoms[0], property);
+
+    return notified.then(function (event) {
+      if (!event.property) return null;
+      return conn.getProperty(window, property).then(function (value) {
+        if (value.type !== incr) {
+          conn.deleteProperty(window, property);
+          return value;
+        }
+
+        // INCR: each deletion of the property asks the owner for the next chunk; an empty one ends
+        var chunks = [];
+        function next() {
+          var written = newValue();
+          conn.deleteProperty(window, property);
+          return written.then(function () {
+            return conn.getProperty(window, property);
+          }).then(function (chunk) {
+            if (!chunk.data.length) {
+              conn.deleteProperty(window, property);
+              return { type: chunk.type, format: chunk.format, data: Buffer.concat(chunks) };
+            }
+            chunks.push(chunk.data);
+            return next();
+          });
+        }
+        return next();
+      });
+    });
+  });
+}
+
+/**
+ * Read from a selection over a short-lived connection
+ * @param {string} op - 'read' | 'readImage' | 'readTyped' | 'targets'
+ * @param {string} selection
+ * @param {string} [type] - Target for 'readTyped'
+ * @param {number} timeout
+ * @returns {Promise<{ code: number, data: Buffer, stderr: string }>}
+ */
+function _x11Read(op, selection, type, timeout) {
+  var display;
+  try {
+    display = _x11Display();
+  } catch (e) {
+    return rejectedPromise(e);
+  }
+
+  return _x11Connect(display).then(function (conn) {
+    var window = conn.createWindow(X11_PROPERTY_CHANGE_MASK);
+
+    var result = conn.atom(selection.toUpperCase()).then(function (sel) {
+      if (op === 'targets') {
+        return _x11Convert(conn, window, sel, 'TARGETS', timeout).then(function (value) {
+          var atoms = [];
+          for (var i = 0; value && i + 4 <= value.data.length; i += 4) {
+            atoms.push(conn.atomName(value.data.readUInt32LE(i)));
+          }
+          return Promise.all(atoms);
+        }).then(function (names) {
+          return { code: 0, data: Buffer.from(names.join('\n'), 'latin1'), stderr: '' };
+        });
+      }
+
+      if (op === 'read') {
+        // An empty selection reads as empty text, like xsel
+        return _x11Convert(conn, window, sel, 'UTF8_STRING', timeout).then(function (value) {
+          return value || _x11Convert(conn, window, sel, 'STRING', timeout);
+        }).then(function (value) {
+          return { code: 0, data: value ? value.data : Buffer.alloc(0), stderr: '' };
+        });
+      }
+
+      // Like xclip, a missing target is a failure
+      var target = op === 'readImage' ? 'image/png' : type;
+      return _x11Convert(conn, window, sel, target, timeout).then(function (value) {
+        return value
+          ? { code: 0, data: value.data, stderr: '' }
+          : { code: 1, data: Buffer.alloc(0), stderr: 'target ' + target + ' not available' };
+      });
+    });
+
+    return result.then(function (res) {
+      conn.close();
+      return res;
+    }, function (err) {
+      conn.close();
+      throw err;
+    });
+  });
+}
+
+/**
+ * Answer a SelectionRequest from the data this process owns
+ * TARGETS lists every target offered; data larger than one request goes out with INCR.
+ * @param {Object} owner
+ * @param {Object} request - SelectionRequest event
+ */
+function _x11Answer(owner, request) {
+  var conn = owner.conn;
+  var offered = owner.selections[request.selection];
+  // Obsolete clients leave the property as None and expect the target name
+  var property = request.property || request.target;
+
+  Promise.all([conn.atom('TARGETS'), conn.atom('TIMESTAMP'), conn.atom('INCR')]).then(function (atoms) {
+    var item = offered && offered.targets[request.target];
+    if (!offered) {
+      property = 0;
+    } else if (request.target === atoms[0]) {
+      conn.changeProperty(request.requestor, property, X11_ATOMS.ATOM, 32, _x11Words([atoms[0], atoms[1]].concat(offered.order)));
+    } else if (request.target === atoms[1]) {
+      conn.changeProperty(request.requestor, property, X11_ATOMS.INTEGER, 32, _x11Words([offered.time]));
+    } else if (!item) {
+      property = 0;
+    } else if (item.data.length <= conn.maxData) {
+      conn.changeProperty(request.requestor, property, item.type, 8, item.data);
+    } else {
+      // The requestor deletes the INCR property to ask for each chunk (see _x11Serve)
+      conn.selectInput(request.requestor, X11_PROPERTY_CHANGE_MASK);
+      conn.changeProperty(request.requestor, property, atoms[2], 32, _x11Words([item.data.length]));
+      owner.transfers.push({ requestor: request.requestor, property: property, type: item.type, data: item.data, offset: 0 });
+    }
+    conn.notifySelection(request, property);
+  }, function () {
+    // The connection is gone; the requestor times out
+  });
+}
+
+/**
+ * Handle the events of an owner connection
+ * @param {Object} owner
+ * @param {Object} event
+ */
+function _x11Serve(owner, event) {
+  if (event.code === X11_SELECTION_REQUEST) {
+    _x11Answer(owner, event);
+  } else if (event.code === X11_SELECTION_CLEAR) {
+    // Another client took the selection
+    delete owner.selections[event.selection];
+    _x11Hold(owner);
+  } else if (event.code === X11_PROPERTY_NOTIFY && event.deleted) {
+    for (var i = 0; i < owner.transfers.length; i++) {
+      var transfer = owner.transfers[i];
+      if (transfer.requestor !== event.window || transfer.property !== event.atom) continue;
+      var chunk = transfer.data.slice(transfer.offset, transfer.offset + owner.conn.maxData);
+      transfer.offset += chunk.length;
+      owner.conn.changeProperty(transfer.requestor, transfer.property, transfer.type, 8, chunk);
+      if (!chunk.length) {
+        owner.transfers.splice(i, 1);
+        owner.conn.selectInput(transfer.requestor, 0);
+      }
+      return;
+    }
+  }
+}
+
+/**
+ * Keep the event loop alive only while this process owns a selection or is taking one
+ * In X11 the owner serves the content, so exiting would leave the selection empty.
+ * @param {Object} owner
+ */
+function _x11Hold(owner) {
+  var method = owner.writes || Object.keys(owner.selections).length ? 'ref' : 'unref';
+  owner.conn._socket[method]();
+}
+
+/**
+ * Connection that owns selections on a display (shared by all writes)
+ * The socket keeps the process alive while it owns a selection (see _x11Hold); the connection
+ * is dropped when it fails.
+ * @param {string} display
+ * @returns {Promise<Object>} { conn, window, selections, transfers, writes }
+ */
+function _x11Owner(display) {
+  if (!_x11Owners[display]) {
+    _x11Owners[display] = _x11Connect(display).then(function (conn) {
+      var owner = { conn: conn, window: conn.createWindow(0), selections: {}, transfers: [], writes: 0 };
+      conn.onEvent = function (event) {
+        _x11Serve(owner, event);
+      };
+      conn.onError = function () {
+        // BadWindow and the like when a requestor goes away mid-transfer
+      };
+      conn.onClose = function () {
+        delete _x11Owners[display];
+      };
+      return owner;
+    }, function (err) {
+      delete _x11Owners[display];
+      throw err;
+    });
+  }
+  return _x11Owners[display];
+}
+
+/**
+ * Own a selection with one or more MIME types
+ * text/plain is also offered as UTF8_STRING, STRING and TEXT.
+ * @param {Object} items - Map of MIME type to Buffer
+ * @param {string} selection - 'clipboard' | 'primary' | 'secondary'
+ * @returns {Promise<void>}
+ */
+function _x11Own(items, selection) {
+  var display;
+  try {
+    display = _x11Display();
+  } catch (e) {
+    return rejectedPromise(e);
+  }
+
+  return _x11Owner(display).then(function (owner) {
+    var conn = owner.conn;
+    var names = [];
+    owner.writes++;
+    _x11Hold(owner);
+    var values = [];
+    Object.keys(items).forEach(function (type) {
+      var targets = type === 'text/plain' ? X11_TEXT_TARGETS : [type];
+      targets.forEach(function (target) {
+        names.push(target);
+        values.push(items[type]);
+      });
+    });
+
+    return Promise.all([conn.atom(selection.toUpperCase()), conn.atom('UTF8_STRING')].concat(names.map(function (name) {
+      return conn.atom(name);
+    }))).then(function (atoms) {
+      var sel = atoms[0];
+      var offered = { targets: {}, order: [], time: 0 };
+      for (var i = 0; i < names.length; i++) {
+        var atom = atoms[i + 2];
+        // TEXT is a request for any text encoding; answer with UTF-8
+        offered.targets[atom] = { type: names[i] === 'TEXT' ? atoms[1] : atom, data: values[i] };
+        offered.order.push(atom);
+      }
+      owner.selections[sel] = offered;
+      conn.setSelectionOwner(owner.window, sel);
+      return conn.getSelectionOwner(sel).then(function (current) {
+        if (current !== owner.window) {
+          delete owner.selections[sel];
+          throw new NowClipboardError('Could not take ownership of the X11 ' + selection + ' selection');
+        }
+      });
+    }).then(function () {
+      owner.writes--;
+      _x11Hold(owner);
+    }, function (err) {
+      owner.writes--;
+      _x11Hold(owner);
+      throw err;
+    });
+  });
+}
+
+/**
+ * Run an 'x11' clipboard command (see _nodeClipboardCommands) in this process
+ * Resolves like a spawned command; a target the owner does not offer gives code 1.
+ * @param {{ cmd: string, args: string[] }} command - args: [op, selection, type]
+ * @param {string|Buffer|null} input
+ * @param {boolean|string} capture - See _spawnClipboardCommand
+ * @param {Object} [options] - { signal, timeout }
+ * @returns {Promise<{ code: number, stdout: string|Buffer, stderr: string }>}
+ */
+function _x11Run(command, input, capture, options) {
+  var opts = options || {};
+  var signal = opts.signal && typeof opts.signal.aborted !== 'undefined' ? opts.signal : null;
+  var op = command.args[0];
+  var selection = command.args[1];
+  var type = command.args[2];
+
+  if (signal && signal.aborted) {
+    return rejectedPromise(new AbortError('Operation aborted'));
+  }
+
+  var work;
+  if (op === 'copy' || op === 'image' || op === 'writeTyped') {
+    var items = {};
+    items[op === 'copy' ? 'text/plain' : type] = Buffer.isBuffer(input) ? input : Buffer.from(input || '', 'utf8');
+    work = _x11Own(items, selection).then(function () {
+      return { code: 0, data: Buffer.alloc(0), stderr: '' };
+    });
+  } else {
+    work = _x11Read(op, selection, type, opts.timeout > 0 ? opts.timeout : X11_CONVERT_TIMEOUT);
+  }
+
+  var result = work.then(function (res) {
+    return {
+      code: res.code,
+      stdout: capture === 'buffer' ? res.data : res.data.toString('utf8'),
+      stderr: res.stderr
+    };
+  });
+  if (!signal) return result;
+
+  return new Promise(function (resolve, reject) {
+    function onAbort() {
+      reject(new AbortError('Operation aborted'));
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    result.then(function (res) {
+      signal.removeEventListener('abort', onAbort);
+      resolve(res);
+    }, function (err) {
+      signal.removeEventListener('abort', onAbort);
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Whether the built-in X11 client can reach the display, for diagnose()
+ * @returns {{ supported: boolean, backend: string|null, reason: string, hint: string|null }}
+ */
+function _x11Probe() {
+  var display;
+  try {
+    display = _x11ParseDisplay(_x11Display());
+  } catch (e) {
+    return { supported: false, backend: null, reason: e.message, hint: 'Run inside an X11 session' };
+  }
+  if (display.path && !_nodeRequire('fs').existsSync(display.path)) {
+    return { supported: false, backend: null, reason: 'No X server socket at ' + display.path, hint: 'Start the X server or fix DISPLAY' };
+  }
+  return { supported: true, backend: 'x11', reason: 'Built-in X11 client for display ' + process.env.DISPLAY, hint: null };
+}
+
+// ========================================
+// 8. Formats, Images & Files
+// ========================================
+
+/**
+ * Image types the writeImage() command of a platform can take
+ * Linux offers any type as a typed target; Windows converts through System.Drawing
+ */
+var NODE_IMAGE_WRITE_TYPES = {
+  darwin: ['image/png'],
+  win32: ['image/png', 'image/jpeg', 'image/gif', 'image/bmp', 'image/tiff']
+};
+
+/**
+ * Node.js: write image to system clipboard
+ * The detected image type is the xclip / wl-copy target and the type of the returned Blob.
+ * @param {Buffer|Blob|string} source - Image data or file path
+ * @param {Object} [options] - { selection, backend, signal, timeout, imageType }
+ * @returns {Promise<Blob>}
+ */
+function nodeClipboardWriteImage(source, options) {
+  var opts;
+  try {
+    opts = _nodeOptions(options);
+  } catch (e) {
+    return rejectedPromise(e);
+  }
+  var backendError = _checkBackend(opts.backend);
+  if (backendError) {
+    return rejectedPromise(backendError);
+  }
+  if (opts.backend === 'osc52') {
+    return rejectedPromise(new NotSupportedError('writeImage() is not supported by the OSC 52 backend (text only)'));
+  }
+
+  var platform = process.platform;
+  var file = _useFileClipboard(opts, 'image');
+
+  return _readNodeImage(source).then(function (buffer) {
+    var commands, stdinData;
+    var type = _detectNodeImageType(buffer, source, opts.imageType);
+    if (file) {
+      var items = {};
+      items[type] = buffer;
+      return _fileClipboardWrite(items, opts).then(function () {
+        return _toImageBlob(buffer, type);
+      });
+    }
+
+    var supported = NODE_IMAGE_WRITE_TYPES[platform];
+    if (supported && supported.indexOf(type) === -1) {
+      throw new NotSupportedError('writeImage() cannot put ' + type + ' on the ' + (platform === 'darwin' ? 'macOS' : 'Windows') +
+        ' clipboard (supported: ' + supported.join(', ') + ')');
+    }
+
+    if (platform === 'darwin' || platform === 'linux') {
+      // macOS: pbcopy accepts PNG via stdin
+      // Linux: wl-copy / xclip with the detected image type
+      commands = _nodeClipboardCommands('image', opts.selection, type, opts.backend);
+      stdinData = buffer;
+    } else if (platform === 'win32') {
+      // Windows: PowerShell Set-Clipboard doesn't support images directly
+      // Use a PowerShell script to create a temp file and set the clipboard image
+      var psScript = [
+        'Add-Type -AssemblyName System.Windows.Forms',
+        'Add-Type -AssemblyName System.Drawing',
+        '$ms = New-Object System.IO.MemoryStream(,([Convert]::FromBase64String(\'' + buffer.toString('base64') + '\')))',
+        '$img = [System.Drawing.Image]::FromStream($ms)',
+        '[System.Windows.Forms.Clipboard]::SetImage($img)',
+        '$img.Dispose()',
+        '$ms.Dispose()'
+      ].join(';');
+      commands = [{ cmd: 'powershell', args: _powershellArgs(psScript) }];
+      stdinData = null;
+    } else {
+      throw new NotSupportedError('writeImage() is not supported on platform: ' + platform);
+    }
+
+    return _runClipboardCommands(commands, stdinData, false, 'writeImage()', opts).then(function () {
+      // Return a Blob-like object for consistency
+      return _toImageBlob(buffer, type);
+    });
+  });
+}
+
+/**
+ * Node.js: read an image from the system clipboard
+ * Linux: wl-paste / xclip with the image/png target; macOS: osascript; Windows: PowerShell
+ * @param {Object} [options] - { selection, backend }
+ * @returns {Promise<Buffer>}
+ */
+function nodeClipboardReadImage(options) {
+  var opts;
+  try {
+    opts = _nodeOptions(options);
+  } catch (e) {
+    return rejectedPromise(e);
+  }
+  var backendError = _checkBackend(opts.backend);
+  if (backendError) {
+    return rejectedPromise(backendError);
+  }
+  if (opts.backend === 'osc52') {
+    return rejectedPromise(new NotSupportedError('readImage() is not supported by the OSC 52 backend (write-only)'));
+  }
+  if (_useFileClipboard(opts, 'readImage')) {
+    return _fileClipboardRead(function (types) {
+      return types.filter(function (type) { return type.indexOf('image/') === 0; }).slice(0, 1);
+    }, opts).then(function (items) {
+      var type = Object.keys(items)[0];
+      if (!type) throw new NowClipboardError('The clipboard does not contain an image');
+      return items[type];
+    });
+  }
+
+  var platform = process.platform;
+  var commands = _nodeClipboardCommands('readImage', opts.selection, null, opts.backend);
+
+  return _runClipboardCommands(commands, null, 'buffer', 'readImage()', opts).then(function (res) {
+    var buffer = res.stdout;
+    if (platform === 'darwin') {
+      var match = /\u00abdata PNGf([0-9a-fA-F]*)\u00bb/.exec(buffer.toString('utf8'));
+      buffer = match ? Buffer.from(match[1], 'hex') : Buffer.alloc(0);
+    } else if (platform === 'win32') {
+      buffer = Buffer.from(buffer.toString('utf8').trim(), 'base64');
+    }
+    if (buffer.length === 0) {
+      throw new NowClipboardError('The clipboard does not contain an image');
+    }
+    return buffer;
+  });
+}
+
+/**
+ * Native clipboard format names (X11 targets, macOS clipboard info, Windows formats) to MIME types
+ */
+var NATIVE_CLIPBOARD_TYPES = {
+  // X11
+  'UTF8_STRING': 'text/plain',
+  'STRING': 'text/plain',
+  'TEXT': 'text/plain',
+  'COMPOUND_TEXT': 'text/plain',
+  // macOS
+  '\u00abclass utf8\u00bb': 'text/plain',
+  '\u00abclass ut16\u00bb': 'text/plain',
+  'string': 'text/plain',
+  'Unicode text': 'text/plain',
+  '\u00abclass HTML\u00bb': 'text/html',
+  '\u00abclass RTF \u00bb': 'text/rtf',
+  '\u00abclass PNGf\u00bb': 'image/png',
+  '\u00abclass TIFF\u00bb': 'image/tiff',
+  '\u00abclass JPEG\u00bb': 'image/jpeg',
+  'GIF picture': 'image/gif',
+  '\u00abclass furl\u00bb': 'text/uri-list',
+  // Windows (bitmaps are read back as PNG)
+  'UnicodeText': 'text/plain',
+  'Text': 'text/plain',
+  'System.String': 'text/plain',
+  'HTML Format': 'text/html',
+  'Rich Text Format': 'text/rtf',
+  'PNG': 'image/png',
+  'Bitmap': 'image/png',
+  'System.Drawing.Bitmap': 'image/png',
+  'DeviceIndependentBitmap': 'image/png',
+  'FileDrop': 'text/uri-list'
+};
+
+/**
+ * Node.js: list the MIME types on the system clipboard without reading the content
+ * Linux: xclip TARGETS / wl-paste --list-types; macOS: osascript clipboard info; Windows: PowerShell
+ * Native names are mapped to MIME types; X11 meta targets (TARGETS, TIMESTAMP, ...) are left out.
+ * @param {Object} [options] - { selection, backend }
+ * @returns {Promise<string[]>}
+ */
+function nodeClipboardTypes(options) {
+  var opts;
+  try {
+    opts = _nodeOptions(options);
+  } catch (e) {
+    return rejectedPromise(e);
+  }
+  var backendError = _checkBackend(opts.backend);
+  if (backendError) {
+    return rejectedPromise(backendError);
+  }
+  if (opts.backend === 'osc52') {
+    return rejectedPromise(new NotSupportedError('The OSC 52 backend is write-only; reading the clipboard requires a system clipboard command'));
+  }
+
+  if (_useFileClipboard(opts, 'targets')) {
+    return _fileClipboardTypes(opts);
+  }
+
+  var darwin = process.platform === 'darwin';
+  return _runClipboardCommands(_nodeClipboardCommands('targets', opts.selection, null, opts.backend), null, true, 'types()', opts).then(function (res) {
+    var names = darwin
+      ? res.stdout.split(/,\s*/).filter(function (name, i) { return i % 2 === 0; })
+      : res.stdout.split(/\r?\n/);
+    var types = [];
+    for (var i = 0; i < names.length; i++) {
+      var name = names[i].trim();
+      var type = NATIVE_CLIPBOARD_TYPES[name] ||
+        (/^[\w.+-]+\/[\w.+-]+/.test(name) ? name.split(';')[0].trim() : null);
+      if (type && types.indexOf(type) === -1) types.push(type);
+    }
+    return types;
+  });
+}
+
+/**
+ * Read every value of a format map into a Buffer
+ * @param {Object} items - Map of MIME type to string, Buffer or Blob
+ * @returns {Promise<Object>} Map of MIME type to Buffer
+ */
+function _nodeFormatBuffers(items) {
+  var types = Object.keys(items);
+  return Promise.all(types.map(function (type) {
+    var value = items[type];
+    return _readNodeImage(_isString(value) ? Buffer.from(value, 'utf8') : value);
+  })).then(function (buffers) {
+    var result = {};
+    types.forEach(function (type, i) {
+      result[type] = buffers[i];
+    });
+    return result;
+  });
+}
+
+/**
+ * Wrap an HTML fragment in the Windows "HTML Format" (CF_HTML) header
+ * The offsets count UTF-8 bytes from the start of the header.
+ * @param {Buffer} html - UTF-8 fragment
+ * @returns {Buffer}
+ */
+function _windowsHtmlFormat(html) {
+  var prefix = Buffer.from('<html><body>\r\n<!--StartFragment-->', 'utf8');
+  var suffix = Buffer.from('<!--EndFragment-->\r\n</body></html>', 'utf8');
+  var fields = ['StartHTML', 'EndHTML', 'StartFragment', 'EndFragment'];
+  // Version line plus one "Name:0000000000\r\n" line per field
+  var headerLength = 'Version:0.9\r\n'.length + fields.reduce(function (sum, name) {
+    return sum + name.length + 13;
+  }, 0);
+  var offsets = [
+    headerLength,
+    headerLength + prefix.length + html.length + suffix.length,
+    headerLength + prefix.length,
+    headerLength + prefix.length + html.length
+  ];
+  var header = 'Version:0.9\r\n' + fields.map(function (name, i) {
+    return name + ':' + ('0000000000' + offsets[i]).slice(-10) + '\r\n';
+  }).join('');
+  return Buffer.concat([Buffer.from(header, 'latin1'), prefix, html, suffix]);
+}
+
+/**
+ * Windows: put plain text and HTML on the clipboard together (CF_UNICODETEXT and HTML Format)
+ * @param {Object} buffers - Map of 'text/plain' and/or 'text/html' to Buffer
+ * @param {Object} opts
+ * @returns {Promise<void>}
+ */
+function _windowsWriteText(buffers, opts) {
+  var lines = [
+    'Add-Type -AssemblyName System.Windows.Forms',
+    '$data = New-Object System.Windows.Forms.DataObject'
+  ];
+  if (buffers['text/plain']) {
+    lines.push('$data.SetText([System.Text.Encoding]::UTF8.GetString([Convert]::FromBase64String(\'' +
+      buffers['text/plain'].toString('base64') + '\')), [System.Windows.Forms.TextDataFormat]::UnicodeText)');
+  }
+  if (buffers['text/html']) {
+    // A stream is copied to the clipboard byte for byte, so the UTF-8 offsets stay valid
+    lines.push('$data.SetData(\'HTML Format\', (New-Object System.IO.MemoryStream(,([Convert]::FromBase64String(\'' +
+      _windowsHtmlFormat(buffers['text/html']).toString('base64') + '\')))))');
+  }
+  lines.push('[System.Windows.Forms.Clipboard]::SetDataObject($data, $true)');
+  return _runClipboardCommands([{ cmd: 'powershell', args: _powershellArgs(lines.join(';')) }], null, false, 'writeFormats()', opts);
+}
+
+/**
+ * Node.js: write several MIME types on a best-effort basis
+ * Windows puts text/plain and text/html on the clipboard together. Otherwise the system commands
+ * offer a single type per write: images win, then HTML, then plain text, then custom types.
+ * Every other type is reported to `options.onDropped` as [{ type, reason }]. The file and x11
+ * backends keep every type.
+ * @param {Object} items - Map of MIME type to string, Buffer or Blob
+ * @param {Object} [options] - { selection, backend, onDropped }
+ * @returns {Promise<Object>} The subset of items that was written
+ */
+function nodeClipboardWriteFormats(items, options) {
+  var opts;
+  try {
+    opts = _nodeOptions(options);
+  } catch (e) {
+    return rejectedPromise(e);
+  }
+  var backendError = _checkBackend(opts.backend);
+  if (backendError) {
+    return rejectedPromise(backendError);
+  }
+
+  if (_useFileClipboard(opts, 'copy')) {
+    // The file backend keeps every format
+    return _nodeFormatBuffers(items).then(function (buffers) {
+      return _fileClipboardWrite(buffers, opts);
+    }).then(function () {
+      return _assign({}, items);
+    });
+  }
+
+  var platform = process.platform;
+  if (opts.backend === 'x11' && platform === 'linux') {
+    // The built-in X11 client offers every format from one selection owner
+    return _nodeFormatBuffers(items).then(function (buffers) {
+      return _x11Own(buffers, opts.selection || 'clipboard');
+    }).then(function () {
+      return _assign({}, items);
+    });
+  }
+
+  var osc52 = _useOsc52(opts);
+
+  function unsupportedReason(type) {
+    if (osc52) return type === 'text/plain' ? null : 'the OSC 52 backend only writes plain text';
+    if (platform === 'linux' || type === 'text/plain' || type.indexOf('image/') === 0) return null;
+    if (platform === 'win32' && type === 'text/html') return null;
+    return 'not supported on platform: ' + platform;
+  }
+
+  // Types written together in one Windows data object
+  function windowsText(type) {
+    return !osc52 && platform === 'win32' && (type === 'text/plain' || type === 'text/html');
+  }
+
+  function rank(type) {
+    if (type.indexOf('image/') === 0) return 0;
+    if (type === 'text/html') return 1;
+    if (type === 'text/plain') return 2;
+    return 3;
+  }
+
+  var types = Object.keys(items).sort(function (a, b) {
+    return rank(a) - rank(b);
+  });
+  var chosen = [];
+  var dropped = [];
+
+  for (var i = 0; i < types.length; i++) {
+    var reason = unsupportedReason(types[i]);
+    if (reason) {
+      dropped.push({ type: types[i], reason: reason });
+    } else if (!chosen.length || (windowsText(chosen[0]) && windowsText(types[i]))) {
+      chosen.push(types[i]);
+    } else {
+      dropped.push({
+        type: types[i],
+        reason: 'the system clipboard command offers one type at a time (kept ' + chosen[0] + ')' +
+          (platform === 'linux' ? '; the x11 backend offers every type' : '')
+      });
+    }
+  }
+
+  if (!chosen.length) {
+    return rejectedPromise(new NotSupportedError('None of the formats can be written in Node.js: ' + dropped.map(function (d) {
+      return d.type + ' (' + d.reason + ')';
+    }).join(', ')));
+  }
+
+  var result = {};
+  chosen.forEach(function (type) {
+    result[type] = items[type];
+  });
+
+  var first = chosen[0];
+  var written;
+  if (first.indexOf('image/') === 0) {
+    written = nodeClipboardWriteImage(items[first], _assign({}, opts, { imageType: first }));
+  } else if (windowsText(first) && (chosen.length > 1 || first === 'text/html')) {
+    written = _nodeFormatBuffers(result).then(function (buffers) {
+      return _windowsWriteText(buffers, opts);
+    });
+  } else {
+    written = _readNodeImage(_isString(items[first]) ? Buffer.from(items[first], 'utf8') : items[first]).then(function (buffer) {
+      if (first === 'text/plain') return nodeClipboardCopy(buffer.toString('utf8'), opts);
+      return _runClipboardCommands(_nodeClipboardCommands('writeTyped', opts.selection, first, opts.backend), buffer, false, 'writeFormats()', opts);
+    });
+  }
+
+  return written.then(function () {
+    if (dropped.length && _isFunction(opts.onDropped)) {
+      opts.onDropped(dropped);
+    }
+    return result;
+  });
+}
+
+/**
+ * Node.js: read a typed clipboard target as a Buffer (Linux)
+ * @param {string} type
+ * @param {Object} opts
+ * @returns {Promise<Buffer>}
+ */
+function _nodeReadTyped(type, opts) {
+  return _runClipboardCommands(_nodeClipboardCommands('readTyped', opts.selection, type, opts.backend), null, 'buffer', 'readRich()', opts)
+    .then(function (res) {
+      return res.stdout;
+    });
+}
+
+/**
+ * Decode HTML clipboard data (browsers on X11 may offer it as UTF-16 with a BOM)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function _decodeHtml(buffer) {
+  if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return buffer.slice(2).toString('utf16le');
+  }
+  return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+/**
+ * Node.js: read text, HTML and images from the system clipboard
+ * Linux lists the available types (xclip TARGETS / wl-paste --list-types) and reads each;
+ * other platforms read text plus an image when there is one.
+ * `options.types` limited to image types only reads the image.
+ * @param {Object} [options] - { selection, backend, types }
+ * @returns {Promise<Object>} Map of MIME type to string (text) or Blob (images)
+ */
+function nodeClipboardReadFormats(options) {
+  var opts;
+  try {
+    opts = _nodeOptions(options);
+  } catch (e) {
+    return rejectedPromise(e);
+  }
+  var backendError = _checkBackend(opts.backend);
+  if (backendError) {
+    return rejectedPromise(backendError);
+  }
+  if (opts.backend === 'osc52') {
+    return rejectedPromise(new NotSupportedError('The OSC 52 backend is write-only; reading the clipboard requires a system clipboard command'));
+  }
+
+  var imagesOnly = Array.isArray(opts.types) && opts.types.length > 0 && opts.types.every(function (type) {
+    return type.indexOf('image/') === 0;
+  });
+  var items = {};
+  // text/plain is always a string here, whatever read() encoding readImage() was given
+  var textOpts = _assign({}, opts, { encoding: null });
+
+  function addImage(buffer, type) {
+    var imageType = _sniffImageType(buffer) || type || 'image/png';
+    items[imageType] = _toImageBlob(buffer, imageType);
+  }
+
+  if (_useFileClipboard(opts, 'read')) {
+    return _fileClipboardRead(function (types) {
+      return types.filter(function (type) {
+        return type.indexOf('image/') === 0 || (!imagesOnly && (type === 'text/plain' || type === 'text/html'));
+      });
+    }, opts).then(function (stored) {
+      Object.keys(stored).forEach(function (type) {
+        if (type.indexOf('image/') === 0) items[type] = _toImageBlob(stored[type], type);
+        else if (type === 'text/html') items[type] = _decodeHtml(stored[type]);
+        else items[type] = opts.raw ? stored[type].toString('utf8') : stored[type].toString('utf8').replace(/\r?\n$/, '');
+      });
+      return items;
+    });
+  }
+
+  if (imagesOnly) {
+    return nodeClipboardReadImage(opts).then(function (buffer) {
+      addImage(buffer);
+      return items;
+    });
+  }
+
+  if (process.platform !== 'linux') {
+    return nodeClipboardRead(textOpts).then(function (text) {
+      items['text/plain'] = text;
+    }).then(function () {
+      return nodeClipboardReadImage(opts).then(addImage, function () {
+        // No image on the clipboard
+      });
+    }).then(function () {
+      return items;
+    });
+  }
+
+  return nodeClipboardTypes(opts).then(function (targets) {
+    var tasks = [];
+
+    if (targets.indexOf('text/plain') !== -1) {
+      tasks.push(nodeClipboardRead(textOpts).then(function (text) {
+        items['text/plain'] = text;
+      }));
+    }
+    if (targets.indexOf('text/html') !== -1) {
+      tasks.push(_nodeReadTyped('text/html', opts).then(function (buffer) {
+        items['text/html'] = _decodeHtml(buffer);
+      }));
+    }
+    // Image targets are usually conversions of one image; prefer PNG
+    var imageTargets = targets.filter(function (t) { return t.indexOf('image/') === 0; });
+    if (imageTargets.length) {
+      var imageType = imageTargets.indexOf('image/png') !== -1 ? 'image/png' : imageTargets[0];
+      tasks.push(_nodeReadTyped(imageType, opts).then(function (buffer) {
+        addImage(buffer, imageType);
+      }));
+    }
+
+    return Promise.all(tasks).then(function () {
+      return items;
+    });
+  }, function (err) {
+    // Without a tool that lists targets (e.g. only xsel) fall back to plain text
+    if (!(err instanceof BackendMissingError)) throw err;
+    return nodeClipboardRead(textOpts).then(function (text) {
+      items['text/plain'] = text;
+      return items;
+    });
+  });
+}
+
+/**
+ * Desktops whose file managers (Nautilus, Nemo, Caja, Thunar, ...) paste x-special/gnome-copied-files
+ */
+var GNOME_FILES_DESKTOPS = /GNOME|Unity|Cinnamon|MATE|Pantheon|Budgie|XFCE/i;
+
+/**
+ * Quote a string for a PowerShell single-quoted literal
+ * @param {string} value
+ * @returns {string}
+ */
+function _psQuote(value) {
+  return '\'' + String(value).replace(/'/g, '\'\'') + '\'';
+}
+
+/**
+ * Parse a URI list (text/uri-list or x-special/gnome-copied-files) into local paths
+ * Comments, blank lines and non-file URIs are skipped.
+ * @param {string} text
+ * @param {boolean} gnome - The first line is the operation ('copy' or 'cut')
+ * @returns {{ operation: string, paths: string[] }}
+ */
+function _parseFileList(text, gnome) {
+  var lines = text.split(/\r?\n/);
+  var operation = gnome && lines.shift().trim() === 'cut' ? 'cut' : 'copy';
+  var fileURLToPath = _nodeRequire('url').fileURLToPath;
+  var paths = [];
+
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i].trim();
+    if (!line || line.charAt(0) === '#') continue;
+    try {
+      paths.push(fileURLToPath(line));
+    } catch (e) {
+      // Not a local file URI
+    }
+  }
+  return { operation: operation, paths: paths };
+}
+
+/**
+ * Node.js: put files on the clipboard for file managers to paste
+ * Linux: the x11 backend offers x-special/gnome-copied-files, text/uri-list (with the KDE cut
+ * marker) and the plain paths together. xclip and wl-copy take one target per write:
+ * x-special/gnome-copied-files on GNOME-family desktops and for cuts, text/uri-list otherwise.
+ * macOS writes file URLs with NSPasteboard (copy only); Windows writes a file drop list with the
+ * Preferred DropEffect.
+ * @param {string[]} paths - Absolute paths
+ * @param {Object} options - { operation, selection, backend }
+ * @returns {Promise<string[]>}
+ */
+function nodeClipboardCopyFiles(paths, options) {
+  var opts;
+  try {
+    opts = _nodeOptions(options);
+  } catch (e) {
+    return rejectedPromise(e);
+  }
+  var backendError = _checkBackend(opts.backend);
+  if (backendError) {
+    return rejectedPromise(backendError);
+  }
+  if (_useOsc52(opts)) {
+    return rejectedPromise(new NotSupportedError('copyFiles() is not supported by the OSC 52 backend (text only)'));
+  }
+  if (_useFileClipboard(opts, 'copy')) {
+    return rejectedPromise(new NotSupportedError('copyFiles() is not supported by the file backend'));
+  }
+
+  var platform = process.platform;
+  var cut = opts.operation === 'cut';
+  var commands;
+  var input = null;
+
+  if (platform === 'linux') {
+    var pathToFileURL = _nodeRequire('url').pathToFileURL;
+    var uris = paths.map(function (file) {
+      return pathToFileURL(file).href;
+    });
+    var targets = {
+      'x-special/gnome-copied-files': (cut ? 'cut' : 'copy') + '\n' + uris.join('\n'),
+      'text/uri-list': uris.join('\r\n') + '\r\n',
+      'text/plain': paths.join('\n')
+    };
+    if (cut) targets['application/x-kde-cutselection'] = '1';
+
+    if (opts.backend === 'x11') {
+      var buffers = {};
+      Object.keys(targets).forEach(function (target) {
+        buffers[target] = Buffer.from(targets[target], 'utf8');
+      });
+      return _x11Own(buffers, opts.selection || 'clipboard').then(function () {
+        return paths;
+      });
+    }
+
+    var gnome = cut || GNOME_FILES_DESKTOPS.test(process.env.XDG_CURRENT_DESKTOP || '');
+    var type = gnome ? 'x-special/gnome-copied-files' : 'text/uri-list';
+    input = targets[type];
+    commands = _nodeClipboardCommands('writeTyped', opts.selection, type, opts.backend);
+  } else if (platform === 'darwin') {
+    if (cut) {
+      return rejectedPromise(new NotSupportedError('copyFiles() cannot mark files as cut on macOS (Finder moves copied files with Option-Command-V)'));
+    }
+    commands = [{ cmd: 'osascript', args: ['-l', 'JavaScript', '-e', [
+      'ObjC.import("AppKit")',
+      'var pb = $.NSPasteboard.generalPasteboard',
+      'pb.clearContents',
+      'pb.writeObjects($(' + JSON.stringify(paths) + '.map(function (p) { return $.NSURL.fileURLWithPath(p); })))',
+      'undefined'
+    ].join(';')] }];
+  } else if (platform === 'win32') {
+    commands = [{ cmd: 'powershell', args: _powershellArgs([
+      'Add-Type -AssemblyName System.Windows.Forms',
+      '$files = New-Object System.Collections.Specialized.StringCollection'
+    ].concat(paths.map(function (file) {
+      return '[void]$files.Add(' + _psQuote(file) + ')';
+    }), [
+      '$data = New-Object System.Windows.Forms.DataObject',
+      '$data.SetFileDropList($files)',
+      // DROPEFFECT_MOVE for cut; DROPEFFECT_COPY | DROPEFFECT_LINK for copy, like Explorer
+      '$data.SetData(\'Preferred DropEffect\', (New-Object System.IO.MemoryStream(,[byte[]](' + (cut ? 2 : 5) + ',0,0,0))))',
+      '[System.Windows.Forms.Clipboard]::SetDataObject($data, $true)'
+    ]).join(';')) }];
+  } else {
+    return rejectedPromise(new NotSupportedError('copyFiles() is not supported on platform: ' + platform));
+  }
+
+  return _runClipboardCommands(commands, input, false, 'copyFiles()', opts).then(function () {
+    return paths;
+  });
+}
+
+/**
+ * Node.js: read the files on the clipboard
+ * Linux prefers x-special/gnome-copied-files, then text/uri-list (with the KDE cut marker);
+ * macOS reads file URLs with NSPasteboard; Windows reads the file drop list.
+ * @param {Object} options - { selection, backend }
+ * @returns {Promise<{ operation: string, paths: string[] }>}
+ */
+function nodeClipboardReadFiles(options) {
+  var opts;
+  try {
+    opts = _nodeOptions(options);
+  } catch (e) {
+    return rejectedPromise(e);
+  }
+  var backendError = _checkBackend(opts.backend);
+  if (backendError) {
+    return rejectedPromise(backendError);
+  }
+  if (opts.backend === 'osc52') {
+    return rejectedPromise(new NotSupportedError('The OSC 52 backend is write-only; reading the clipboard requires a system clipboard command'));
+  }
+  if (_useFileClipboard(opts, 'read')) {
+    return rejectedPromise(new NotSupportedError('readFiles() is not supported by the file backend'));
+  }
+
+  var platform = process.platform;
+  var read;
+
+  if (platform === 'linux') {
+    read = nodeClipboardTypes(opts).then(function (types) {
+      if (types.indexOf('x-special/gnome-copied-files') !== -1) {
+        return _nodeReadTyped('x-special/gnome-copied-files', opts).then(function (buffer) {
+          return _parseFileList(buffer.toString('utf8'), true);
+        });
+      }
+      if (types.indexOf('text/uri-list') === -1) {
+        return { operation: 'copy', paths: [] };
+      }
+      return _nodeReadTyped('text/uri-list', opts).then(function (buffer) {
+        var files = _parseFileList(buffer.toString('utf8'), false);
+        if (types.indexOf('application/x-kde-cutselection') === -1) return files;
+        return _nodeReadTyped('application/x-kde-cutselection', opts).then(function (marker) {
+          if (marker.toString('utf8').trim() === '1') files.operation = 'cut';
+          return files;
+        });
+      });
+    });
+  } else if (platform === 'darwin') {
+    read = _runClipboardCommands([{ cmd: 'osascript', args: ['-l', 'JavaScript', '-e', [
+      'ObjC.import("AppKit")',
+      'var urls = $.NSPasteboard.generalPasteboard.readObjectsForClassesOptions($([$.NSURL]), $({}))',
+      'var out = []',
+      'if (urls) for (var i = 0; i < urls.count; i++) { var url = urls.objectAtIndex(i); if (url.isFileURL) out.push(url.absoluteString.js); }',
+      'out.join("\\n")'
+    ].join(';')] }], null, true, 'readFiles()', opts).then(function (res) {
+      return _parseFileList(res.stdout, false);
+    });
+  } else if (platform === 'win32') {
+    // Prints base64 of the operation followed by one path per line
+    read = _runClipboardCommands([{ cmd: 'powershell', args: _powershellArgs([
+      'Add-Type -AssemblyName System.Windows.Forms',
+      '$op = \'copy\'',
+      '$effect = [System.Windows.Forms.Clipboard]::GetData(\'Preferred DropEffect\')',
+      'if ($effect -ne $null) { $bytes = New-Object byte[] 4; [void]$effect.Read($bytes, 0, 4); if (($bytes[0] -band 2) -ne 0) { $op = \'cut\' } }',
+      '$lines = @($op) + @([System.Windows.Forms.Clipboard]::GetFileDropList())',
+      '[Console]::Out.Write([Convert]::ToBase64String([System.Text.Encoding]::UTF8.GetBytes(($lines -join "`n"))))'
+    ].join(';')) }], null, true, 'readFiles()', opts).then(function (res) {
+      var lines = Buffer.from(res.stdout.trim(), 'base64').toString('utf8').split('\n');
+      return { operation: lines.shift() === 'cut' ? 'cut' : 'copy', paths: lines.filter(Boolean) };
+    });
+  } else {
+    return rejectedPromise(new NotSupportedError('readFiles() is not supported on platform: ' + platform));
+  }
+
+  return read.then(function (files) {
+    if (files.paths.length === 0) {
+      throw new NowClipboardError('The clipboard does not contain files');
+    }
+    return files;
+  });
+}
+
+
+// ========================================
+// 9. Adapter Installation
+// ========================================
+
+_installNodeAdapter({
+  writeText: nodeClipboardCopy,
+  readText: nodeClipboardRead,
+  write: nodeClipboardWriteFormats,
+  read: nodeClipboardReadFormats,
+  types: nodeClipboardTypes,
+  watch: nodeClipboardWatch,
+  diagnose: _diagnoseNode,
+  copyFiles: nodeClipboardCopyFiles,
+  readFiles: nodeClipboardReadFiles,
+  startHelper: startHelper,
+  stopHelper: stopHelper,
+  reloadConfig: _reloadNodeConfig,
+  isHelperRunning: function () {
+    return _helper !== null;
+  },
+  createWriteStream: nodeClipboardWriteStream,
+  createReadStream: nodeClipboardReadStream,
+  require: _builtinRequire
+});
+
+export { node, copyFiles, readFiles } from './core.js';
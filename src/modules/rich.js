@@ -0,0 +1,197 @@
+/**
+ * NowClipboard Rich Content
+ * HTML + plain text copy and read, and writing arbitrary MIME formats.
+ */
+
+import {
+  _checkSelection, clearSelection, InvalidArgumentError, _isBrowser, isClipboardItemSupported,
+  _isString, NotSupportedError, rejectedPromise, resolvedPromise, retryOperation, runProviders
+} from './core.js';
+
+// ========================================
+// 1. Rich Text Copy (HTML + Plain Text)
+// ========================================
+
+/**
+ * Copy rich text using ClipboardItem (modern method)
+ * @param {string} text - Plain text
+ * @param {string} html - HTML content
+ * @returns {Promise<{text: string, html: string}>}
+ */
+function copyRichTextModern(text, html) {
+  var textBlob = new Blob([text], { type: 'text/plain' });
+  var htmlBlob = new Blob([html], { type: 'text/html' });
+  // Safari requires Promise<Blob> as value
+  var item = new ClipboardItem({
+    'text/plain': Promise.resolve(textBlob),
+    'text/html': Promise.resolve(htmlBlob)
+  });
+  return navigator.clipboard.write([item]).then(function () {
+    return { text: text, html: html };
+  });
+}
+
+/**
+ * Copy rich text using execCommand fallback
+ * @param {string} text - Plain text
+ * @param {string} html - HTML content
+ * @param {Element} [container]
+ * @returns {Promise<{text: string, html: string}>}
+ */
+function copyRichTextLegacy(text, html, container) {
+  var el = document.createElement('div');
+  el.style.position = 'absolute';
+  el.style.opacity = '0';
+  el.style.pointerEvents = 'none';
+
+  var isRTL = document.documentElement.getAttribute('dir') === 'rtl';
+  el.style[isRTL ? 'right' : 'left'] = '-9999px';
+
+  var yPos = window.pageYOffset || document.documentElement.scrollTop;
+  el.style.top = yPos + 'px';
+
+  el.innerHTML = html;
+
+  var containerEl = container || document.body;
+  containerEl.appendChild(el);
+
+  var selection = window.getSelection();
+  var range = document.createRange();
+  range.selectNodeContents(el);
+  selection.removeAllRanges();
+  selection.addRange(range);
+
+  var succeeded = false;
+  try {
+    succeeded = document.execCommand('copy');
+  } catch (e) {
+    succeeded = false;
+  }
+
+  if (el.parentNode) {
+    el.parentNode.removeChild(el);
+  }
+  clearSelection();
+
+  if (succeeded) {
+    return resolvedPromise({ text: text, html: html });
+  }
+  return rejectedPromise(new NotSupportedError('execCommand copy failed for rich text'));
+}
+
+/**
+ * Unified rich text copy entry (with retry support)
+ * @param {Object} options - { text, html, container?, retries?, retryDelay?, timeout?, signal? }
+ * @returns {Promise<{text: string, html: string}>}
+ */
+export function copyRichText(options, method) {
+  var text = options.text;
+  var html = options.html;
+  var container = options.container || (_isBrowser ? document.body : null);
+
+  return retryOperation(function () {
+    if (isClipboardItemSupported()) {
+      return copyRichTextModern(text, html).catch(function () {
+        return copyRichTextLegacy(text, html, container);
+      });
+    }
+    return copyRichTextLegacy(text, html, container);
+  }, options, method);
+}
+
+/**
+ * Static readRich method - read clipboard with rich content (text, html, images)
+ * In browser: requires HTTPS + modern browser with ClipboardItem API
+ * In Node.js: Linux reads the types listed by xclip TARGETS / wl-paste --list-types;
+ * macOS and Windows read text and image
+ * @param {Object} [options] - Options (retries/retryDelay/timeout/signal/selection)
+ * @returns {Promise<{text: string, html: string, images: Blob[]}>}
+ */
+export function readRich(options) {
+  var selectionError = _checkSelection((options || {}).selection, 'NowClipboard.readRich()');
+  if (selectionError) {
+    return rejectedPromise(selectionError);
+  }
+
+  var opts = options || {};
+  var unsupportedMessage = _isBrowser
+    ? 'clipboard.read() API not supported. Requires HTTPS and a modern browser'
+    : 'NowClipboard.readRich() is not supported in this environment';
+
+  return retryOperation(function () {
+    return runProviders('read', [], opts, unsupportedMessage).then(function (items) {
+      var result = { text: '', html: '', images: [] };
+      var promises = [];
+
+      Object.keys(items || {}).forEach(function (type) {
+        var value = items[type];
+        if (type === 'text/plain' || type === 'text/html') {
+          var key = type === 'text/plain' ? 'text' : 'html';
+          promises.push(resolvedPromise(_isString(value) ? value : value.text()).then(function (text) {
+            result[key] = text;
+          }));
+        } else if (type.indexOf('image/') === 0) {
+          result.images.push(value);
+        }
+      });
+
+      return Promise.all(promises).then(function () {
+        return result;
+      });
+    });
+  }, opts, 'NowClipboard.readRich()');
+}
+
+
+/**
+ * Copy rich text (HTML + plain text) to clipboard (browser only)
+ * @param {Object} options - { text: string, html: string, container?, retries?, retryDelay?, timeout?, signal? }
+ * @returns {Promise<{text: string, html: string}>}
+ */
+export function copyRich(options) {
+  if (!options || !_isString(options.text) || !_isString(options.html)) {
+    return rejectedPromise(new InvalidArgumentError('NowClipboard.copyRich() requires { text: string, html: string }', { method: 'NowClipboard.copyRich()' }));
+  }
+  if (!_isBrowser) {
+    return rejectedPromise(new NotSupportedError('NowClipboard.copyRich() is only available in browser environment', { method: 'NowClipboard.copyRich()' }));
+  }
+  return copyRichText(options, 'NowClipboard.copyRich()');
+}
+
+/**
+ * Write multiple formats to clipboard at once (runs the provider chain, browser ClipboardItem by default)
+ * In Node.js, Windows takes plain text and HTML together; the other system commands hold one type
+ * at a time (images, then HTML, then plain text), and the others are reported to `options.onDropped`.
+ * @param {Object} formats - Map of MIME type to string or Blob, e.g. { 'text/plain': 'hello', 'text/html': '<b>hello</b>' }
+ * @param {Object} [options] - Options (retries/retryDelay/timeout/signal/selection)
+ * @param {Function} [options.onDropped] - Node.js: receives [{ type, reason }] for types that were not written
+ * @returns {Promise<Object>} - The formats object that was written
+ */
+export function writeFormats(formats, options) {
+  if (!formats || typeof formats !== 'object') {
+    return rejectedPromise(new InvalidArgumentError('NowClipboard.writeFormats() expects an object of MIME types', { method: 'NowClipboard.writeFormats()' }));
+  }
+
+  var keys = Object.keys(formats);
+  if (keys.length === 0) {
+    return rejectedPromise(new InvalidArgumentError('NowClipboard.writeFormats() requires at least one MIME type', { method: 'NowClipboard.writeFormats()' }));
+  }
+
+  var selectionError = _checkSelection((options || {}).selection, 'NowClipboard.writeFormats()');
+  if (selectionError) {
+    return rejectedPromise(selectionError);
+  }
+
+  var opts = options || {};
+  var unsupportedMessage = _isBrowser
+    ? 'ClipboardItem API not supported. Requires HTTPS and a modern browser'
+    : 'NowClipboard.writeFormats() is not supported in this environment';
+
+  return retryOperation(function () {
+    return runProviders('write', [formats], opts, unsupportedMessage).then(function (written) {
+      // Providers that cannot store every type resolve with the subset they wrote
+      return written && typeof written === 'object' ? written : formats;
+    });
+  }, opts, 'NowClipboard.writeFormats()');
+}
+
@@ -0,0 +1,120 @@
+/**
+ * NowClipboard Sync
+ * Cross-tab notifications for copy/cut over BroadcastChannel.
+ */
+
+import { _isBrowser, _isFunction, _onCopied } from './core.js';
+
+// ========================================
+// 1. Cross-Tab Sync (BroadcastChannel)
+// ========================================
+
+/**
+ * Start cross-tab synchronization via BroadcastChannel
+ * When clipboard operations (copy/cut) happen in one tab, other tabs are notified
+ * @param {Object} [options] - Configuration
+ * @param {string} [options.channel='nowclipboard'] - BroadcastChannel name
+ * @param {boolean} [options.autoSync=true] - Automatically sync copy/cut operations
+ * @returns {{ destroy: Function, broadcast: Function }}
+ */
+export function onSync(options) {
+  if (!_isBrowser) {
+    return {
+      destroy: function () {},
+      broadcast: function () {}
+    };
+  }
+
+  // Check BroadcastChannel support
+  if (typeof BroadcastChannel === 'undefined') {
+    // Silently return stub if not supported
+    return {
+      destroy: function () {},
+      broadcast: function () {}
+    };
+  }
+
+  var opts = options || {};
+  var channelName = opts.channel || 'nowclipboard';
+  var autoSync = opts.autoSync !== false; // default true
+  var bc = new BroadcastChannel(channelName);
+  var listeners = [];
+  var destroyed = false;
+
+  // Listen for broadcasts from other tabs
+  bc.onmessage = function (event) {
+    var data = event.data;
+    if (!data || !data.type) return;
+
+    for (var i = 0; i < listeners.length; i++) {
+      try {
+        listeners[i](data);
+      } catch (e) {
+        if (typeof console !== 'undefined' && console.warn) {
+          console.warn('NowClipboard onSync callback error:', e);
+        }
+      }
+    }
+  };
+
+  // Auto-sync: broadcast successful copy/cut operations
+  var removeCopyListener = autoSync ? _onCopied(function (type, text) {
+    if (!destroyed) {
+      try {
+        bc.postMessage({ type: type, text: text, timestamp: Date.now() });
+      } catch (e) { /* ignore */ }
+    }
+  }) : null;
+
+  return {
+    /**
+     * Broadcast a custom message to other tabs
+     * @param {Object} data - Data to broadcast
+     */
+    broadcast: function (data) {
+      if (!destroyed) {
+        try {
+          bc.postMessage(data);
+        } catch (e) { /* ignore */ }
+      }
+    },
+
+    /**
+     * Add a listener for sync events
+     * @param {Function} callback - Callback function
+     */
+    addListener: function (callback) {
+      if (_isFunction(callback)) {
+        listeners.push(callback);
+      }
+    },
+
+    /**
+     * Remove a listener
+     * @param {Function} callback - Callback function to remove
+     */
+    removeListener: function (callback) {
+      var idx = listeners.indexOf(callback);
+      if (idx !== -1) {
+        listeners.splice(idx, 1);
+      }
+    },
+
+    /**
+     * Destroy the sync instance and restore original methods
+     */
+    destroy: function () {
+      if (destroyed) return;
+      destroyed = true;
+
+      // Stop broadcasting copy/cut operations
+      if (removeCopyListener) {
+        removeCopyListener();
+      }
+
+      bc.close();
+      listeners = [];
+    }
+  };
+}
+
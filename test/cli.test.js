@@ -0,0 +1,215 @@
+// @vitest-environment node
+/**
+ * NowClipboard CLI Test Suite
+ * Runs the `nowclipboard` command against the in-memory fake clipboard
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { PassThrough } from 'stream';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync, spawn, fork } from 'child_process';
+import NowClipboard from '../src/NowClipboard.js';
+import { installFakeClipboard, uninstallFakeClipboard, expectClipboard } from '../src/NowClipboard.testing.js';
+import cli from '../bin/nowclipboard.js';
+
+/**
+ * Run the CLI with captured stdio
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+ */
+function runCli(argv, stdinText) {
+  var stdin = new PassThrough();
+  var stdout = new PassThrough();
+  var stderr = new PassThrough();
+  var out = '';
+  var err = '';
+  stdout.on('data', function (d) { out += d; });
+  stderr.on('data', function (d) { err += d; });
+  if (stdinText != null) stdin.end(stdinText);
+
+  return cli.run(argv, { NowClipboard: NowClipboard, stdin: stdin, stdout: stdout, stderr: stderr })
+    .then(function (code) {
+      return { code: code, stdout: out, stderr: err };
+    });
+}
+
+describe('parseArgs()', () => {
+  it('should parse commands, positional arguments and flags', () => {
+    var parsed = cli.parseArgs(['copy', '--selection', 'primary', '-t=500', 'a', '--json', '--', '--raw']);
+    expect(parsed.command).toBe('copy');
+    expect(parsed.args).toEqual(['a', '--raw']);
+    expect(parsed.selection).toBe('primary');
+    expect(parsed.timeout).toBe(500);
+    expect(parsed.json).toBe(true);
+    expect(parsed.raw).toBe(false);
+  });
+
+  it('should reject unknown options and missing values', () => {
+    expect(() => cli.parseArgs(['copy', '--nope'])).toThrow('Unknown option');
+    expect(() => cli.parseArgs(['paste', '--timeout'])).toThrow('requires a value');
+    expect(() => cli.parseArgs(['paste', '--timeout', 'soon'])).toThrow('milliseconds');
+  });
+});
+
+describe('nowclipboard CLI', () => {
+  var fake;
+
+  beforeEach(() => {
+    fake = installFakeClipboard({ mode: 'provider' });
+  });
+
+  afterEach(() => {
+    uninstallFakeClipboard();
+  });
+
+  it('should copy arguments', async () => {
+    var result = await runCli(['copy', 'hello', 'world']);
+    expect(result.code).toBe(0);
+    expectClipboard().toHaveText('hello world');
+  });
+
+  it('should copy stdin without the trailing newline', async () => {
+    await runCli(['copy'], 'from stdin\n');
+    expectClipboard().toHaveText('from stdin');
+
+    await runCli(['copy', '--raw'], 'kept\n');
+    expectClipboard().toHaveText('kept\n');
+  });
+
+  it('should paste to stdout', async () => {
+    fake.setText('clip');
+    var result = await runCli(['paste']);
+    expect(result).toEqual({ code: 0, stdout: 'clip', stderr: '' });
+  });
+
+  it('should keep the trailing newline of the clipboard with --raw', async () => {
+    fake.setText('exact\n');
+    expect((await runCli(['paste', '--raw'])).stdout).toBe('exact\n');
+  });
+
+  it('should print JSON results', async () => {
+    fake.setText('json');
+    var paste = await runCli(['paste', '--json']);
+    expect(JSON.parse(paste.stdout)).toEqual({ ok: true, command: 'paste', text: 'json' });
+
+    var copy = await runCli(['copy', '-j', 'abc']);
+    expect(JSON.parse(copy.stdout)).toEqual({ ok: true, command: 'copy', length: 3 });
+  });
+
+  it('should copy image files', async () => {
+    var file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'nowclipboard-cli-')), 'pic.png');
+    fs.writeFileSync(file, Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    try {
+      var result = await runCli(['copy-image', file, '--json']);
+      expect(result.code).toBe(0);
+      expect(JSON.parse(result.stdout)).toMatchObject({ ok: true, command: 'copy-image', size: 4 });
+      expectClipboard().toHaveType('image/png');
+    } finally {
+      fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+  });
+
+  it('should exit with 1 and the library error message on failure', async () => {
+    fake.setPermission('read', 'denied');
+    var result = await runCli(['paste']);
+    expect(result.code).toBe(1);
+    expect(result.stdout).toBe('');
+    expect(result.stderr).toMatch(/^nowclipboard: .+\n$/);
+
+    var json = await runCli(['paste', '--json']);
+    expect(JSON.parse(json.stdout)).toMatchObject({ ok: false, error: { name: 'PermissionDeniedError', code: 'PERMISSION_DENIED' }, exitCode: 1 });
+  });
+
+  it('should exit with 124 when the operation times out', async () => {
+    fake.setLatency(200);
+    var result = await runCli(['paste', '--timeout', '20']);
+    expect(result.code).toBe(124);
+    expect(result.stderr).toContain('timed out');
+  });
+
+  it('should exit with 2 on usage errors', async () => {
+    expect((await runCli([])).code).toBe(2);
+    expect((await runCli(['frobnicate'])).stderr).toContain('Unknown command: frobnicate');
+    expect((await runCli(['copy-image'])).code).toBe(2);
+    expect((await runCli(['paste', '--selection', 'tertiary'])).code).toBe(2);
+  });
+
+  it('should print help and version', async () => {
+    expect((await runCli(['--help'])).stdout).toContain('Usage: nowclipboard');
+    expect((await runCli(['-v'])).stdout.trim()).toMatch(/^\d+\.\d+\.\d+/);
+  });
+});
+
+describe('nowclipboard executable', () => {
+  var dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nowclipboard-bin-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  var bin = path.resolve(__dirname, '../bin/nowclipboard.js');
+
+  /**
+   * Environment using the file-backed clipboard in `dir`
+   */
+  function fileEnv() {
+    return Object.assign({}, process.env, { NOWCLIPBOARD_BACKEND: 'file', NOWCLIPBOARD_DIR: dir });
+  }
+
+  /**
+   * Run bin/nowclipboard.js in a child process against the file-backed clipboard in `dir`
+   */
+  function exec(args, input) {
+    return execFileSync(process.execPath, [bin].concat(args), {
+      cwd: dir,
+      input: input,
+      encoding: 'utf8',
+      timeout: 10000,
+      env: fileEnv()
+    });
+  }
+
+  it('should run the library sources when started as a command', () => {
+    expect(exec(['copy', '--json'], 'from the shell\n')).toBe('{"ok":true,"command":"copy","length":14}\n');
+    expect(exec(['paste'])).toBe('from the shell');
+  });
+
+  it('should write to stdout when started with an IPC channel', async () => {
+    exec(['copy'], 'forked');
+    var child = fork(bin, ['paste'], { cwd: dir, env: fileEnv(), silent: true });
+    var out = '';
+    child.stdout.on('data', function (d) { out += d; });
+    var code = await new Promise(function (resolve) { child.on('close', resolve); });
+    expect(code).toBe(0);
+    expect(out).toBe('forked');
+  });
+
+  it('should start the daemon and stop it on SIGTERM', async () => {
+    var socketPath = path.join(dir, 'cli.sock');
+    var child = spawn(process.execPath, [bin, 'daemon', '--no-http', '--socket', socketPath, '--json'], { cwd: dir, env: fileEnv() });
+    var exited = new Promise(function (resolve) {
+      child.on('exit', resolve);
+    });
+    try {
+      var out = '';
+      await new Promise(function (resolve, reject) {
+        child.stdout.on('data', function (d) {
+          out += d;
+          if (out.indexOf('\n') !== -1) resolve();
+        });
+        child.on('exit', function () {
+          reject(new Error('daemon exited early: ' + out));
+        });
+      });
+      expect(JSON.parse(out)).toMatchObject({ ok: true, command: 'daemon', socket: socketPath, url: null });
+    } finally {
+      child.kill('SIGTERM');
+    }
+    expect(await exited).toBe(0);
+    expect(fs.existsSync(socketPath)).toBe(false);
+  });
+});
@@ -0,0 +1,464 @@
+// @vitest-environment node
+/**
+ * NowClipboard Daemon Test Suite
+ * Drives the daemon over its local socket, HTTP and WebSocket against the in-memory fake clipboard
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PassThrough } from 'stream';
+import net from 'net';
+import { spawn } from 'child_process';
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import NowClipboard from '../src/NowClipboard.js';
+import { installFakeClipboard, uninstallFakeClipboard, expectClipboard } from '../src/NowClipboard.testing.js';
+import { startDaemon, ClipboardDaemon } from '../src/NowClipboard.daemon.js';
+import cli from '../bin/nowclipboard.js';
+
+/**
+ * Newline-delimited JSON client for the local socket
+ */
+function socketClient(socketPath) {
+  return new Promise(function (resolve, reject) {
+    var conn = net.connect(socketPath);
+    var buffered = '';
+    var messages = [];
+    var waiting = [];
+    var nextId = 1;
+
+    function dispatch() {
+      waiting = waiting.filter(function (w) {
+        var index = messages.findIndex(w.match);
+        if (index === -1) return true;
+        w.resolve(messages.splice(index, 1)[0]);
+        return false;
+      });
+    }
+
+    conn.setEncoding('utf8');
+    conn.on('data', function (chunk) {
+      buffered += chunk;
+      var lines = buffered.split('\n');
+      buffered = lines.pop();
+      lines.forEach(function (line) {
+        messages.push(JSON.parse(line));
+      });
+      dispatch();
+    });
+    conn.on('error', reject);
+    conn.on('connect', function () {
+      resolve({
+        next: function (match) {
+          return new Promise(function (res) {
+            waiting.push({ match: match, resolve: res });
+            dispatch();
+          });
+        },
+        request: function (method, params) {
+          var id = nextId++;
+          conn.write(JSON.stringify({ id: id, method: method, params: params }) + '\n');
+          return this.next(function (m) { return m.id === id; });
+        },
+        sendRaw: function (text) {
+          conn.write(text);
+        },
+        close: function () {
+          conn.destroy();
+        }
+      });
+    });
+  });
+}
+
+/**
+ * HTTP request against the daemon
+ * @returns {Promise<{ status: number, headers: Object, body: Object|null }>}
+ */
+function request(daemon, method, pathname, options) {
+  var opts = options || {};
+  return new Promise(function (resolve, reject) {
+    var req = http.request({
+      host: '127.0.0.1',
+      port: daemon.port,
+      method: method,
+      path: pathname,
+      headers: opts.headers || {}
+    }, function (res) {
+      var data = '';
+      res.setEncoding('utf8');
+      res.on('data', function (d) { data += d; });
+      res.on('end', function () {
+        resolve({ status: res.statusCode, headers: res.headers, body: data ? JSON.parse(data) : null });
+      });
+    });
+    req.on('error', reject);
+    req.end(opts.body);
+  });
+}
+
+function auth(daemon, headers) {
+  return Object.assign({ Authorization: 'Bearer ' + daemon.token }, headers);
+}
+
+/**
+ * Minimal WebSocket client: masked text frames out, JSON messages in
+ */
+function webSocketClient(daemon, pathname) {
+  return new Promise(function (resolve, reject) {
+    var key = crypto.randomBytes(16).toString('base64');
+    var req = http.request({
+      host: '127.0.0.1',
+      port: daemon.port,
+      path: pathname,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': key,
+        'Sec-WebSocket-Version': '13'
+      }
+    });
+    req.on('response', function (res) {
+      reject(new Error('Handshake refused with ' + res.statusCode));
+    });
+    req.on('error', reject);
+    req.on('upgrade', function (res, socket) {
+      var accept = crypto.createHash('sha1').update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+      expect(res.headers['sec-websocket-accept']).toBe(accept);
+
+      var buffer = Buffer.alloc(0);
+      var messages = [];
+      var waiting = [];
+
+      function dispatch() {
+        while (waiting.length && messages.length) {
+          waiting.shift()(messages.shift());
+        }
+      }
+
+      socket.on('data', function (chunk) {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (buffer.length >= 2) {
+          var opcode = buffer[0] & 0x0f;
+          var length = buffer[1] & 0x7f;
+          var offset = 2;
+          if (length === 126) {
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+          }
+          if (buffer.length < offset + length) return;
+          var payload = buffer.slice(offset, offset + length);
+          buffer = buffer.slice(offset + length);
+          messages.push({ opcode: opcode, data: opcode === 0x1 ? JSON.parse(payload.toString('utf8')) : payload });
+        }
+        dispatch();
+      });
+
+      function send(opcode, payload, fin) {
+        var mask = crypto.randomBytes(4);
+        var masked = Buffer.from(payload);
+        for (var i = 0; i < masked.length; i++) masked[i] ^= mask[i % 4];
+        var header = masked.length < 126
+          ? Buffer.from([(fin === false ? 0 : 0x80) | opcode, 0x80 | masked.length])
+          : Buffer.from([(fin === false ? 0 : 0x80) | opcode, 0x80 | 126, masked.length >> 8, masked.length & 0xff]);
+        socket.write(Buffer.concat([header, mask, masked]));
+      }
+
+      resolve({
+        next: function () {
+          return new Promise(function (res) {
+            waiting.push(res);
+            dispatch();
+          });
+        },
+        send: send,
+        close: function () {
+          socket.destroy();
+        }
+      });
+    });
+    req.end();
+  });
+}
+
+describe('ClipboardDaemon', () => {
+  var fake;
+  var dir;
+  var daemon;
+
+  beforeEach(() => {
+    fake = installFakeClipboard({ mode: 'provider', text: 'start' });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nowclipboard-daemon-'));
+    daemon = null;
+  });
+
+  afterEach(async () => {
+    if (daemon) await daemon.close();
+    uninstallFakeClipboard();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function start(options) {
+    return startDaemon(Object.assign({ socket: path.join(dir, 'daemon.sock'), history: { pollInterval: 10 } }, options))
+      .then(function (d) {
+        daemon = d;
+        return d;
+      });
+  }
+
+  describe('local socket', () => {
+    it('should answer copy, paste, types and history requests', async () => {
+      await start();
+      expect(fs.statSync(daemon.socketPath).mode & 0o777).toBe(0o600);
+      // The private directory the socket was bound in is gone
+      expect(fs.readdirSync(dir)).toEqual(['daemon.sock']);
+      var client = await socketClient(daemon.socketPath);
+      try {
+        expect(await client.request('copy', { text: 'over the socket' })).toEqual({ id: 1, result: { length: 15 } });
+        expectClipboard().toHaveText('over the socket');
+
+        fake.setText('from elsewhere');
+        expect((await client.request('paste')).result).toEqual({ text: 'from elsewhere' });
+        expect((await client.request('types')).result).toEqual({ types: ['text/plain'] });
+
+        await vi.waitFor(() => expect(daemon.history.latest().text).toBe('from elsewhere'));
+        var history = await client.request('history', { limit: 1 });
+        expect(history.result.entries).toEqual([expect.objectContaining({ text: 'from elsewhere', type: 'text' })]);
+      } finally {
+        client.close();
+      }
+    });
+
+    it('should report errors per request', async () => {
+      await start();
+      var client = await socketClient(daemon.socketPath);
+      try {
+        expect(await client.request('eject')).toEqual({ id: 1, error: { name: 'NotSupportedError', message: 'Unknown method: eject', code: 'NOT_SUPPORTED' } });
+        expect((await client.request('copy', { text: 42 })).error).toMatchObject({ code: 'INVALID_ARGUMENT', message: expect.stringContaining('params.text') });
+
+        fake.setPermission('read', 'denied');
+        expect((await client.request('paste')).error).toMatchObject({ name: 'PermissionDeniedError', code: 'PERMISSION_DENIED' });
+
+        client.sendRaw('not json\n');
+        expect(await client.next(function (m) { return m.id === null; })).toEqual({
+          id: null,
+          error: { name: 'InvalidArgumentError', message: 'Invalid JSON message', code: 'INVALID_ARGUMENT' }
+        });
+      } finally {
+        client.close();
+      }
+    });
+
+    it('should push change events to subscribers', async () => {
+      var onEntry = vi.fn();
+      await start({ history: { pollInterval: 10, onEntry: onEntry } });
+      var client = await socketClient(daemon.socketPath);
+      try {
+        expect((await client.request('subscribe')).result).toEqual({ subscribed: true });
+        var event = client.next(function (m) { return m.event === 'change' && m.entry.text === 'changed'; });
+        fake.setText('changed');
+        expect((await event).entry).toMatchObject({ text: 'changed', type: 'text' });
+        expect(onEntry).toHaveBeenCalledWith(expect.objectContaining({ text: 'changed' }));
+
+        expect((await client.request('unsubscribe')).result).toEqual({ subscribed: false });
+        expect(daemon._subscribers).toHaveLength(0);
+      } finally {
+        client.close();
+      }
+    });
+
+    it('should replace a stale socket file and refuse to start twice', async () => {
+      var socketPath = path.join(dir, 'daemon.sock');
+      // A daemon that was killed leaves its socket file behind
+      var crashed = spawn(process.execPath, ['-e', 'require("net").createServer().listen(process.argv[1])', socketPath]);
+      await vi.waitFor(() => expect(fs.existsSync(socketPath)).toBe(true));
+      crashed.kill('SIGKILL');
+      await new Promise(function (r) { crashed.on('exit', r); });
+      expect(fs.existsSync(socketPath)).toBe(true);
+
+      await start();
+      await expect(startDaemon({ socket: socketPath, history: { pollInterval: 10 } }))
+        .rejects.toThrow('A NowClipboard daemon is already listening on ' + socketPath);
+
+      await daemon.close();
+      expect(fs.existsSync(socketPath)).toBe(false);
+
+      fs.writeFileSync(socketPath, 'not a socket');
+      await expect(startDaemon({ socket: socketPath })).rejects.toMatchObject({
+        code: 'INVALID_ARGUMENT',
+        message: socketPath + ' exists and is not a socket'
+      });
+      await expect(startDaemon({ socket: socketPath, token: '' })).rejects.toMatchObject({ code: 'INVALID_ARGUMENT', method: 'ClipboardDaemon()' });
+      expect(fs.readFileSync(socketPath, 'utf8')).toBe('not a socket');
+      await expect(daemon.closed).resolves.toBeUndefined();
+    });
+  });
+
+  describe('HTTP', () => {
+    it('should serve the REST routes with the token', async () => {
+      await start({ socket: false, port: 0, token: 'secret' });
+      expect(daemon.url).toBe('http://127.0.0.1:' + daemon.port);
+
+      var copy = await request(daemon, 'POST', '/copy', { headers: auth(daemon, { 'Content-Type': 'text/plain' }), body: 'posted' });
+      expect(copy).toMatchObject({ status: 200, body: { length: 6 } });
+      expectClipboard().toHaveText('posted');
+
+      var json = await request(daemon, 'POST', '/copy?selection=clipboard', {
+        headers: auth(daemon, { 'Content-Type': 'application/json' }),
+        body: JSON.stringify({ text: 'as json' })
+      });
+      expect(json.body).toEqual({ length: 7 });
+
+      fake.setText('pasted');
+      expect((await request(daemon, 'GET', '/paste', { headers: auth(daemon) })).body).toEqual({ text: 'pasted' });
+      expect((await request(daemon, 'GET', '/paste?raw=1&token=secret')).body).toEqual({ text: 'pasted' });
+      expect((await request(daemon, 'GET', '/types', { headers: auth(daemon) })).body).toEqual({ types: ['text/plain'] });
+      expect((await request(daemon, 'GET', '/history?limit=5', { headers: auth(daemon) })).body.entries).toEqual(expect.any(Array));
+    });
+
+    it('should reject missing tokens, foreign hosts and origins', async () => {
+      await start({ socket: false, port: 0, origins: ['http://app.test'] });
+      expect(daemon.token).toMatch(/^[0-9a-f]{48}$/);
+
+      var missing = await request(daemon, 'GET', '/paste');
+      expect(missing.status).toBe(401);
+      expect(missing.headers['www-authenticate']).toBe('Bearer');
+      expect(missing.body.error).toEqual({ name: 'PermissionDeniedError', message: 'Missing token', code: 'PERMISSION_DENIED' });
+      expect((await request(daemon, 'GET', '/paste', { headers: { Authorization: 'Bearer nope' } })).status).toBe(401);
+
+      var rebinding = await request(daemon, 'GET', '/paste', { headers: auth(daemon, { Host: 'evil.test:' + daemon.port }) });
+      expect(rebinding.status).toBe(403);
+      var foreign = await request(daemon, 'GET', '/paste', { headers: auth(daemon, { Origin: 'http://evil.test' }) });
+      expect(foreign.status).toBe(403);
+
+      var allowed = await request(daemon, 'GET', '/paste', { headers: auth(daemon, { Origin: 'http://app.test' }) });
+      expect(allowed.status).toBe(200);
+      expect(allowed.headers['access-control-allow-origin']).toBe('http://app.test');
+
+      var preflight = await request(daemon, 'OPTIONS', '/copy', { headers: { Origin: 'http://app.test' } });
+      expect(preflight.status).toBe(204);
+      expect(preflight.headers['access-control-allow-headers']).toContain('Authorization');
+
+      expect((await request(daemon, 'GET', '/nope', { headers: auth(daemon) })).status).toBe(404);
+      var wrongMethod = await request(daemon, 'GET', '/copy', { headers: auth(daemon) });
+      expect(wrongMethod.status).toBe(405);
+      expect(wrongMethod.headers.allow).toBe('POST');
+      expect((await request(daemon, 'GET', '/events', { headers: auth(daemon) })).status).toBe(426);
+    });
+
+    it('should stream changes and answer requests over a WebSocket', async () => {
+      await start({ socket: false, port: 0 });
+      await expect(webSocketClient(daemon, '/events')).rejects.toThrow('401');
+
+      var ws = await webSocketClient(daemon, '/events?token=' + daemon.token);
+      try {
+        var first = ws.next();
+        fake.setText('live');
+        expect((await first).data).toMatchObject({ event: 'change', entry: { text: 'live' } });
+
+        // A fragmented message
+        var message = JSON.stringify({ id: 'a', method: 'copy', params: { text: 'from the browser' } });
+        ws.send(0x1, Buffer.from(message.slice(0, 10)), false);
+        ws.send(0x0, Buffer.from(message.slice(10)));
+        var replies = [await ws.next(), await ws.next()];
+        expect(replies.map(function (r) { return r.data; })).toContainEqual({ id: 'a', result: { length: 16 } });
+        expectClipboard().toHaveText('from the browser');
+
+        ws.send(0x9, Buffer.from('hi'));
+        var pong = await ws.next();
+        while (pong.opcode !== 0xA) pong = await ws.next();
+        expect(pong.data.toString()).toBe('hi');
+      } finally {
+        ws.close();
+      }
+    });
+
+    it('should keep frames sent together with the handshake', async () => {
+      await start({ socket: false, port: 0 });
+      var socket = net.connect(daemon.port, '127.0.0.1');
+      try {
+        var payload = Buffer.from(JSON.stringify({ id: 'early', method: 'history', params: { limit: 1 } }));
+        var mask = crypto.randomBytes(4);
+        var masked = Buffer.from(payload);
+        for (var i = 0; i < masked.length; i++) masked[i] ^= mask[i % 4];
+        socket.write(Buffer.concat([
+          Buffer.from('GET /events?token=' + daemon.token + ' HTTP/1.1\r\n' +
+            'Host: 127.0.0.1\r\n' +
+            'Connection: Upgrade\r\n' +
+            'Upgrade: websocket\r\n' +
+            'Sec-WebSocket-Key: ' + crypto.randomBytes(16).toString('base64') + '\r\n' +
+            'Sec-WebSocket-Version: 13\r\n\r\n'),
+          Buffer.from([0x81, 0x80 | masked.length]),
+          mask,
+          masked
+        ]));
+
+        var received = '';
+        await new Promise(function (resolve) {
+          socket.on('data', function (chunk) {
+            received += chunk.toString('latin1');
+            if (received.indexOf('"early"') !== -1) resolve();
+          });
+        });
+        expect(received).toContain('HTTP/1.1 101');
+        expect(received).toContain('{"id":"early","result":{"entries":[');
+      } finally {
+        socket.destroy();
+      }
+    });
+  });
+
+  it('should validate its options', () => {
+    expect(() => new ClipboardDaemon({ token: '' })).toThrow(NowClipboard.InvalidArgumentError);
+    expect(new ClipboardDaemon({ socket: false }).socketPath).toBeNull();
+  });
+});
+
+describe('nowclipboard daemon', () => {
+  var dir;
+
+  beforeEach(() => {
+    installFakeClipboard({ mode: 'provider' });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nowclipboard-daemon-cli-'));
+  });
+
+  afterEach(() => {
+    uninstallFakeClipboard();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should run until the daemon is closed', async () => {
+    var stdout = new PassThrough();
+    var out = '';
+    stdout.on('data', function (d) { out += d; });
+    var started;
+    var daemonModule = {
+      startDaemon: function (options) {
+        started = startDaemon(Object.assign({}, options, { history: { pollInterval: 10 } }));
+        return started;
+      }
+    };
+
+    var exit = cli.run(['daemon', '--socket', path.join(dir, 'cli.sock'), '--port', '0', '--origin', 'http://app.test', '--json'], {
+      NowClipboard: NowClipboard,
+      daemon: daemonModule,
+      stdout: stdout,
+      stderr: new PassThrough()
+    });
+    var daemon = await started;
+    await vi.waitFor(() => expect(out).not.toBe(''));
+    expect(JSON.parse(out)).toEqual({ ok: true, command: 'daemon', socket: path.join(dir, 'cli.sock'), url: daemon.url, token: daemon.token });
+    expect(daemon.origins).toEqual(['http://app.test']);
+
+    await daemon.close();
+    expect(await exit).toBe(0);
+  });
+
+  it('should reject a daemon without transports', async () => {
+    var stderr = new PassThrough();
+    var code = await cli.run(['daemon', '--no-socket', '--no-http'], { NowClipboard: NowClipboard, daemon: {}, stderr: stderr });
+    expect(code).toBe(2);
+    expect(() => cli.parseArgs(['daemon', '--port', 'http'])).toThrow('port number');
+  });
+});
@@ -0,0 +1,1577 @@
+// @vitest-environment node
+/**
+ * NowClipboard Node.js Adapter Test Suite
+ * Exercises the system command backends with fake clipboard binaries on PATH
+ */
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import childProcess from 'child_process';
+import vm from 'vm';
+import { pathToFileURL } from 'url';
+import * as esbuild from 'esbuild';
+import { Writable, Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import NowClipboard from '../src/NowClipboard.js';
+import { installFakeClipboard, expectClipboard } from '../src/NowClipboard.testing.js';
+
+var ENV_KEYS = ['PATH', 'WAYLAND_DISPLAY', 'DISPLAY', 'SSH_TTY', 'TMUX', 'STY', 'TERM', 'TMPDIR', 'XDG_CURRENT_DESKTOP', 'HOME',
+  'NOWCLIPBOARD_BACKEND', 'NOWCLIPBOARD_SELECTION', 'NOWCLIPBOARD_TIMEOUT', 'NOWCLIPBOARD_CONFIG', 'NOWCLIPBOARD_FALLBACK',
+  'NOWCLIPBOARD_DIR', 'XDG_RUNTIME_DIR'];
+
+/**
+ * Create a fake clipboard command that records its args and stdin into `dir`
+ * and prints the contents of `<dir>/<name>.stdout` (if present)
+ */
+function fakeCommand(dir, name) {
+  var file = path.join(dir, name);
+  fs.writeFileSync(file, [
+    '#!/bin/sh',
+    'echo "$@" > "' + file + '.args"',
+    'if [ -t 0 ]; then :; else /bin/cat > "' + file + '.stdin"; fi',
+    'if [ -f "' + file + '.stdout" ]; then /bin/cat "' + file + '.stdout"; fi',
+    'exit 0'
+  ].join('\n'));
+  fs.chmodSync(file, 0o755);
+  return {
+    args: function () { return fs.readFileSync(file + '.args', 'utf8').trim(); },
+    stdin: function () { return fs.readFileSync(file + '.stdin'); },
+    setStdout: function (data) { fs.writeFileSync(file + '.stdout', data); },
+    called: function () { return fs.existsSync(file + '.args'); }
+  };
+}
+
+/**
+ * Create a fake clipboard command that answers each argument string with its own output
+ * and records the stdin of every call into `<dir>/<name>.stdin`
+ * @param {Object} responses - Map of joined args (e.g. '-selection clipboard -o') to output
+ */
+function fakeCommandWithResponses(dir, name, responses) {
+  var file = path.join(dir, name);
+  var lines = ['#!/bin/sh', 'echo "$@" >> "' + file + '.args"', 'case "$*" in'];
+  Object.keys(responses).forEach(function (args, i) {
+    fs.writeFileSync(file + '.out' + i, responses[args]);
+    lines.push('  "' + args + '") /bin/cat "' + file + '.out' + i + '"; exit 0 ;;');
+  });
+  lines.push('esac');
+  lines.push('if [ -t 0 ]; then :; else /bin/cat > "' + file + '.stdin"; fi');
+  lines.push('exit 0');
+  fs.writeFileSync(file, lines.join('\n'));
+  fs.chmodSync(file, 0o755);
+  return {
+    calls: function () { return fs.readFileSync(file + '.args', 'utf8').trim().split('\n'); },
+    stdin: function () { return fs.readFileSync(file + '.stdin'); }
+  };
+}
+
+/**
+ * Fake TTY stream that collects everything written to it
+ */
+function fakeTTY() {
+  var chunks = [];
+  var stream = new Writable({
+    write: function (chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    }
+  });
+  stream.output = function () { return Buffer.concat(chunks).toString(); };
+  return stream;
+}
+
+describe.skipIf(process.platform !== 'linux')('Node.js adapter (Linux)', () => {
+  var dir;
+  var savedEnv;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nowclipboard-'));
+    savedEnv = {};
+    ENV_KEYS.forEach(function (key) { savedEnv[key] = process.env[key]; });
+    // Only the fake commands are visible
+    process.env.PATH = dir;
+    ENV_KEYS.slice(1).forEach(function (key) { delete process.env[key]; });
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach(function (key) {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('Wayland backend', () => {
+    beforeEach(() => {
+      process.env.WAYLAND_DISPLAY = 'wayland-0';
+    });
+
+    it('should write text through wl-copy', async () => {
+      var wlCopy = fakeCommand(dir, 'wl-copy');
+      var xclip = fakeCommand(dir, 'xclip');
+
+      await expect(NowClipboard.write('hello wayland')).resolves.toBe('hello wayland');
+      expect(wlCopy.stdin().toString()).toBe('hello wayland');
+      expect(xclip.called()).toBe(false);
+    });
+
+    it('should read text through wl-paste', async () => {
+      var wlPaste = fakeCommand(dir, 'wl-paste');
+      wlPaste.setStdout('from wayland');
+
+      await expect(NowClipboard.read({ retries: 0 })).resolves.toBe('from wayland');
+      expect(wlPaste.args()).toBe('--no-newline');
+    });
+
+    it('should write images through wl-copy with an image type', async () => {
+      var wlCopy = fakeCommand(dir, 'wl-copy');
+      var png = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+
+      await NowClipboard.writeImage(png);
+      expect(wlCopy.args()).toBe('--type image/png');
+      expect(wlCopy.stdin().equals(png)).toBe(true);
+    });
+
+    it('should fall back to X11 tools under XWayland', async () => {
+      process.env.DISPLAY = ':0';
+      var xclip = fakeCommand(dir, 'xclip');
+
+      await NowClipboard.write('via xwayland', { retries: 0 });
+      expect(xclip.args()).toBe('-selection clipboard');
+      expect(xclip.stdin().toString()).toBe('via xwayland');
+    });
+
+    it('should not try X11 tools without an X display', async () => {
+      var xclip = fakeCommand(dir, 'xclip');
+
+      await expect(NowClipboard.write('nothing', { retries: 0 })).rejects.toThrow('wl-clipboard');
+      expect(xclip.called()).toBe(false);
+    });
+  });
+
+  describe('X11 backend', () => {
+    it('should write through xclip', async () => {
+      var xclip = fakeCommand(dir, 'xclip');
+
+      await NowClipboard.write('hello x11', { retries: 0 });
+      expect(xclip.args()).toBe('-selection clipboard');
+      expect(xclip.stdin().toString()).toBe('hello x11');
+    });
+
+    it('should fall back to xsel when xclip is missing', async () => {
+      var xsel = fakeCommand(dir, 'xsel');
+      xsel.setStdout('from xsel\n');
+
+      await expect(NowClipboard.read({ retries: 0 })).resolves.toBe('from xsel');
+      expect(xsel.args()).toBe('--clipboard --output');
+    });
+
+    it('should decode output once so multi-byte characters survive chunk boundaries', async () => {
+      var xclip = fakeCommand(dir, 'xclip');
+      // Far larger than one pipe chunk, with 3-byte characters straddling the chunk edges
+      var text = 'a' + '€'.repeat(100000);
+      xclip.setStdout(text);
+
+      await expect(NowClipboard.read({ retries: 0 })).resolves.toBe(text);
+    });
+
+    it('should keep the trailing newline with raw and return bytes with the buffer encoding', async () => {
+      var xclip = fakeCommand(dir, 'xclip');
+      xclip.setStdout('line\n');
+
+      await expect(NowClipboard.read({ retries: 0 })).resolves.toBe('line');
+      await expect(NowClipboard.read({ raw: true, retries: 0 })).resolves.toBe('line\n');
+
+      var bytes = Buffer.from([0xff, 0x00, 0xe9, 0x0a]);
+      xclip.setStdout(bytes);
+      var buffer = await NowClipboard.read({ encoding: 'buffer', retries: 0 });
+      expect(Buffer.isBuffer(buffer)).toBe(true);
+      expect(buffer.equals(bytes)).toBe(true);
+      await expect(NowClipboard.read({ encoding: 'latin1', retries: 0 })).resolves.toBe('\u00ff\u0000\u00e9');
+    });
+
+    it('should reject unknown encodings', async () => {
+      await expect(NowClipboard.read({ encoding: 'utf9' })).rejects.toThrow(TypeError);
+    });
+
+    it('should report install hints when no command exists', async () => {
+      await expect(NowClipboard.write('x', { retries: 0 })).rejects.toThrow('Install xclip or xsel');
+    });
+  });
+
+  describe('selection option', () => {
+    it('should map primary and secondary to xclip/xsel flags', async () => {
+      var xclip = fakeCommand(dir, 'xclip');
+      await NowClipboard.write('middle click', { selection: 'primary', retries: 0 });
+      expect(xclip.args()).toBe('-selection primary');
+
+      await NowClipboard.writeImage(Buffer.from('png'), { selection: 'secondary' });
+      expect(xclip.args()).toBe('-selection secondary -t image/png');
+    });
+
+    it('should read the primary selection via xsel fallback', async () => {
+      var xsel = fakeCommand(dir, 'xsel');
+      xsel.setStdout('selected');
+
+      await expect(NowClipboard.read({ selection: 'primary', retries: 0 })).resolves.toBe('selected');
+      expect(xsel.args()).toBe('--primary --output');
+    });
+
+    it('should pass --primary to wl-copy and wl-paste', async () => {
+      process.env.WAYLAND_DISPLAY = 'wayland-0';
+      var wlCopy = fakeCommand(dir, 'wl-copy');
+      var wlPaste = fakeCommand(dir, 'wl-paste');
+
+      await NowClipboard.write('wl primary', { selection: 'primary', retries: 0 });
+      expect(wlCopy.args()).toBe('--primary');
+      await NowClipboard.read({ selection: 'primary', retries: 0 });
+      expect(wlPaste.args()).toBe('--primary --no-newline');
+    });
+
+    it('should reject secondary on Wayland without an X display', async () => {
+      process.env.WAYLAND_DISPLAY = 'wayland-0';
+      await expect(NowClipboard.read({ selection: 'secondary' })).rejects.toThrow('not supported on Wayland');
+    });
+
+    it('should reject unknown selections with a TypeError', async () => {
+      await expect(NowClipboard.write('x', { selection: 'nope' })).rejects.toThrow(TypeError);
+    });
+  });
+
+  describe('writeImage() type detection', () => {
+    var jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46]);
+
+    beforeEach(() => {
+      process.env.DISPLAY = ':0';
+    });
+
+    it('should pass the sniffed type to xclip and the returned Blob', async () => {
+      var xclip = fakeCommand(dir, 'xclip');
+
+      var blob = await NowClipboard.writeImage(jpeg, { retries: 0 });
+      expect(xclip.args()).toBe('-selection clipboard -t image/jpeg');
+      expect(blob.type).toBe('image/jpeg');
+
+      await NowClipboard.writeImage(Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"/>'), { retries: 0 });
+      expect(xclip.args()).toBe('-selection clipboard -t image/svg+xml');
+    });
+
+    it('should fall back to the file extension, then the declared type', async () => {
+      var xclip = fakeCommand(dir, 'xclip');
+      var file = path.join(dir, 'photo.WEBP');
+      fs.writeFileSync(file, 'not really webp');
+
+      expect((await NowClipboard.writeImage(file, { retries: 0 })).type).toBe('image/webp');
+      expect(xclip.args()).toBe('-selection clipboard -t image/webp');
+
+      await NowClipboard.writeFormats({ 'image/gif': Buffer.from('opaque') }, { retries: 0 });
+      expect(xclip.args()).toBe('-selection clipboard -t image/gif');
+
+      // Magic bytes win over a wrong extension
+      var misnamed = path.join(dir, 'photo.png');
+      fs.writeFileSync(misnamed, jpeg);
+      expect((await NowClipboard.writeImage(misnamed, { retries: 0 })).type).toBe('image/jpeg');
+    });
+
+    it('should reject types the platform command cannot take', async () => {
+      var platform = Object.getOwnPropertyDescriptor(process, 'platform');
+      Object.defineProperty(process, 'platform', { value: 'darwin' });
+      try {
+        await expect(NowClipboard.writeImage(jpeg, { retries: 0 }))
+          .rejects.toThrow('writeImage() cannot put image/jpeg on the macOS clipboard (supported: image/png)');
+        await expect(NowClipboard.write('x', { backend: 'xclip', retries: 0 }))
+          .rejects.toMatchObject({ code: 'NOT_SUPPORTED', message: 'The "xclip" backend is only available on Linux' });
+      } finally {
+        Object.defineProperty(process, 'platform', platform);
+      }
+    });
+  });
+
+  describe('readImage()', () => {
+    var png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from([0x00, 0xff, 0xfe, 0x80, 0x0a])]);
+
+    it('should read PNG bytes through xclip without corrupting them', async () => {
+      var xclip = fakeCommand(dir, 'xclip');
+      xclip.setStdout(png);
+
+      var blob = await NowClipboard.readImage({ retries: 0 });
+      expect(xclip.args()).toBe('-selection clipboard -t image/png -o');
+      expect(blob.type).toBe('image/png');
+      expect(Buffer.from(await blob.arrayBuffer()).equals(png)).toBe(true);
+    });
+
+    it('should read through wl-paste and sniff the real type', async () => {
+      process.env.WAYLAND_DISPLAY = 'wayland-0';
+      var wlPaste = fakeCommand(dir, 'wl-paste');
+      var jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+      wlPaste.setStdout(jpeg);
+
+      var blob = await NowClipboard.readImage({ selection: 'primary', retries: 0 });
+      expect(wlPaste.args()).toBe('--primary --type image/png');
+      expect(blob.type).toBe('image/jpeg');
+
+      var buffer = await NowClipboard.readImage({ encoding: 'buffer', retries: 0 });
+      expect(Buffer.isBuffer(buffer)).toBe(true);
+      expect(buffer.equals(jpeg)).toBe(true);
+    });
+
+    it('should save the image to a file path', async () => {
+      fakeCommand(dir, 'xclip').setStdout(png);
+      var file = path.join(dir, 'shot.png');
+
+      await NowClipboard.readImage({ path: file, retries: 0 });
+      expect(fs.readFileSync(file).equals(png)).toBe(true);
+    });
+
+    it('should reject when the clipboard holds no image', async () => {
+      fakeCommand(dir, 'xclip');
+      await expect(NowClipboard.readImage({ retries: 0 })).rejects.toMatchObject({ code: 'UNKNOWN', message: 'The clipboard does not contain an image' });
+      await expect(NowClipboard.readImage({ backend: 'osc52', retries: 0 })).rejects.toThrow('OSC 52');
+    });
+  });
+
+  describe('writeFormats() and readRich()', () => {
+    var png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x01, 0xff]);
+
+    it('should keep HTML when xclip can offer one type and report the rest', async () => {
+      var xclip = fakeCommand(dir, 'xclip');
+      var onDropped = vi.fn();
+
+      var written = await NowClipboard.writeFormats(
+        { 'text/plain': 'Hi', 'text/html': '<b>Hi</b>', 'application/x-demo': 'x' },
+        { onDropped: onDropped, retries: 0 }
+      );
+      expect(written).toEqual({ 'text/html': '<b>Hi</b>' });
+      expect(xclip.args()).toBe('-selection clipboard -t text/html');
+      expect(xclip.stdin().toString()).toBe('<b>Hi</b>');
+      var reason = 'the system clipboard command offers one type at a time (kept text/html); the x11 backend offers every type';
+      expect(onDropped).toHaveBeenCalledWith([
+        { type: 'text/plain', reason: reason },
+        { type: 'application/x-demo', reason: reason }
+      ]);
+
+      await NowClipboard.writeFormats({ 'text/plain': 'Hi', 'application/x-demo': 'x' }, { retries: 0 });
+      expect(xclip.args()).toBe('-selection clipboard');
+      expect(xclip.stdin().toString()).toBe('Hi');
+    });
+
+    it('should put plain text and HTML on the Windows clipboard together', async () => {
+      var powershell = fakeCommand(dir, 'powershell');
+      var platform = Object.getOwnPropertyDescriptor(process, 'platform');
+      Object.defineProperty(process, 'platform', { value: 'win32' });
+      var onDropped = vi.fn();
+      try {
+        var written = await NowClipboard.writeFormats(
+          { 'text/plain': 'Hé', 'text/html': '<b>Hé</b>', 'application/x-demo': 'x' },
+          { onDropped: onDropped, retries: 0 }
+        );
+      } finally {
+        Object.defineProperty(process, 'platform', platform);
+      }
+      expect(written).toEqual({ 'text/plain': 'Hé', 'text/html': '<b>Hé</b>' });
+      expect(onDropped).toHaveBeenCalledWith([{ type: 'application/x-demo', reason: 'not supported on platform: win32' }]);
+
+      var script = Buffer.from(powershell.args().split(' ').pop(), 'base64').toString('utf16le');
+      expect(script).toContain('$data.SetText([System.Text.Encoding]::UTF8.GetString([Convert]::FromBase64String(\'' +
+        Buffer.from('Hé').toString('base64') + '\')), [System.Windows.Forms.TextDataFormat]::UnicodeText)');
+      expect(script).toContain('[System.Windows.Forms.Clipboard]::SetDataObject($data, $true)');
+
+      var cfHtml = Buffer.from(/'HTML Format', .*?FromBase64String\('([^']*)'/.exec(script)[1], 'base64');
+      var header = cfHtml.toString('latin1');
+      function offset(name) {
+        return Number(new RegExp(name + ':(\\d{10})\r\n').exec(header)[1]);
+      }
+      expect(cfHtml.slice(offset('StartFragment'), offset('EndFragment')).toString('utf8')).toBe('<b>Hé</b>');
+      expect(cfHtml.slice(offset('StartHTML'), offset('EndHTML')).toString('utf8'))
+        .toBe('<html><body>\r\n<!--StartFragment--><b>Hé</b><!--EndFragment-->\r\n</body></html>');
+      expect(offset('EndHTML')).toBe(cfHtml.length);
+    });
+
+    it('should write plain text and custom types through wl-copy', async () => {
+      process.env.WAYLAND_DISPLAY = 'wayland-0';
+      var wlCopy = fakeCommand(dir, 'wl-copy');
+
+      await NowClipboard.writeFormats({ 'text/plain': 'plain' }, { retries: 0 });
+      expect(wlCopy.args()).toBe('');
+      expect(wlCopy.stdin().toString()).toBe('plain');
+
+      await NowClipboard.writeFormats({ 'application/x-demo': new Blob(['{"a":1}']) }, { selection: 'primary', retries: 0 });
+      expect(wlCopy.args()).toBe('--primary --type application/x-demo');
+      expect(wlCopy.stdin().toString()).toBe('{"a":1}');
+    });
+
+    it('should prefer images over text', async () => {
+      var xclip = fakeCommand(dir, 'xclip');
+      var onDropped = vi.fn();
+
+      await NowClipboard.writeFormats({ 'text/html': '<img>', 'image/png': png }, { onDropped: onDropped, retries: 0 });
+      expect(xclip.args()).toBe('-selection clipboard -t image/png');
+      expect(xclip.stdin().equals(png)).toBe(true);
+      expect(onDropped.mock.calls[0][0].map(function (d) { return d.type; })).toEqual(['text/html']);
+    });
+
+    it('should reject with a report when nothing can be written', async () => {
+      var tty = fakeTTY();
+      await expect(NowClipboard.writeFormats({ 'text/html': '<b>x</b>' }, {
+        backend: 'osc52', osc52: { stream: tty }, retries: 0
+      })).rejects.toThrow('None of the formats can be written in Node.js: text/html (the OSC 52 backend only writes plain text)');
+      expect(tty.output()).toBe('');
+    });
+
+    it('should read text, HTML and images listed by xclip TARGETS', async () => {
+      var xclip = fakeCommandWithResponses(dir, 'xclip', {
+        '-selection clipboard -t TARGETS -o': 'TARGETS\nUTF8_STRING\ntext/html\nimage/bmp\nimage/png\n',
+        '-selection clipboard -o': 'plain text\n',
+        '-selection clipboard -t text/html -o': Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('<b>rich</b>', 'utf16le')]),
+        '-selection clipboard -t image/png -o': png
+      });
+
+      var rich = await NowClipboard.readRich({ retries: 0 });
+      expect(rich.text).toBe('plain text');
+      expect(rich.html).toBe('<b>rich</b>');
+      expect(rich.images.length).toBe(1);
+      expect(rich.images[0].type).toBe('image/png');
+      expect(Buffer.from(await rich.images[0].arrayBuffer()).equals(png)).toBe(true);
+      expect(xclip.calls()).not.toContain('-selection clipboard -t image/bmp -o');
+    });
+
+    it('should list types with wl-paste on Wayland', async () => {
+      process.env.WAYLAND_DISPLAY = 'wayland-0';
+      fakeCommandWithResponses(dir, 'wl-paste', {
+        '--list-types': 'text/html\ntext/plain;charset=utf-8\n',
+        '--no-newline': 'wl text',
+        '--no-newline --type text/html': '<i>wl</i>'
+      });
+
+      await expect(NowClipboard.readRich({ retries: 0 })).resolves.toEqual({ text: 'wl text', html: '<i>wl</i>', images: [] });
+    });
+
+    it('should list MIME types without reading the content', async () => {
+      var xclip = fakeCommandWithResponses(dir, 'xclip', {
+        '-selection primary -t TARGETS -o': 'TIMESTAMP\nTARGETS\nMULTIPLE\nUTF8_STRING\nSTRING\ntext/html\nimage/png\n'
+      });
+
+      await expect(NowClipboard.types({ selection: 'primary', retries: 0 })).resolves.toEqual(['text/plain', 'text/html', 'image/png']);
+      expect(xclip.calls()).toEqual(['-selection primary -t TARGETS -o']);
+    });
+
+    it('should list types through wl-paste --list-types', async () => {
+      process.env.WAYLAND_DISPLAY = 'wayland-0';
+      fakeCommandWithResponses(dir, 'wl-paste', {
+        '--list-types': 'text/plain;charset=utf-8\ntext/plain\nTEXT\napplication/x-demo\n'
+      });
+
+      await expect(NowClipboard.types({ retries: 0 })).resolves.toEqual(['text/plain', 'application/x-demo']);
+    });
+
+    it('should ask for xclip or wl-clipboard when types cannot be listed', async () => {
+      fakeCommand(dir, 'xsel');
+      await expect(NowClipboard.types({ retries: 0 })).rejects.toThrow('No clipboard command available for types(). Install xclip');
+      await expect(NowClipboard.types({ retries: 0 })).rejects.toMatchObject({
+        name: 'BackendMissingError',
+        code: 'BACKEND_MISSING',
+        method: 'NowClipboard.types()',
+        environment: 'node'
+      });
+    });
+
+    it('should fall back to plain text without a tool that lists targets', async () => {
+      var xsel = fakeCommand(dir, 'xsel');
+      xsel.setStdout('only text');
+
+      await expect(NowClipboard.readRich({ retries: 0 })).resolves.toEqual({ text: 'only text', html: '', images: [] });
+    });
+  });
+
+  describe('copyFiles() and readFiles()', () => {
+    var files;
+
+    beforeEach(() => {
+      process.env.DISPLAY = ':0';
+      var folder = path.join(dir, 'build out');
+      fs.mkdirSync(folder);
+      files = [path.join(folder, 'app #1.zip'), path.join(folder, 'notes.txt')];
+      files.forEach(function (file) { fs.writeFileSync(file, ''); });
+    });
+
+    it('should write file URIs as text/uri-list', async () => {
+      var xclip = fakeCommand(dir, 'xclip');
+
+      await expect(NowClipboard.copyFiles(files, { retries: 0 })).resolves.toEqual(files);
+      expect(xclip.args()).toBe('-selection clipboard -t text/uri-list');
+      expect(xclip.stdin().toString()).toBe(
+        'file://' + dir + '/build%20out/app%20%231.zip\r\nfile://' + dir + '/build%20out/notes.txt\r\n'
+      );
+    });
+
+    it('should write x-special/gnome-copied-files on GNOME and for cuts', async () => {
+      process.env.WAYLAND_DISPLAY = 'wayland-0';
+      var wlCopy = fakeCommand(dir, 'wl-copy');
+
+      await NowClipboard.copyFiles(files[1], { operation: 'cut', retries: 0 });
+      expect(wlCopy.args()).toBe('--type x-special/gnome-copied-files');
+      expect(wlCopy.stdin().toString()).toBe('cut\nfile://' + dir + '/build%20out/notes.txt');
+
+      process.env.XDG_CURRENT_DESKTOP = 'ubuntu:GNOME';
+      await NowClipboard.copyFiles(path.relative(process.cwd(), files[1]), { retries: 0 });
+      expect(wlCopy.stdin().toString()).toBe('copy\nfile://' + dir + '/build%20out/notes.txt');
+    });
+
+    it('should validate paths and the operation', async () => {
+      await expect(NowClipboard.copyFiles([])).rejects.toThrow(TypeError);
+      await expect(NowClipboard.copyFiles(files, { operation: 'move' })).rejects.toThrow(TypeError);
+      await expect(NowClipboard.copyFiles(path.join(dir, 'missing.txt'))).rejects.toThrow('File not found: ' + dir);
+    });
+
+    it('should read text/uri-list with the KDE cut marker', async () => {
+      fakeCommandWithResponses(dir, 'xclip', {
+        '-selection clipboard -t TARGETS -o': 'TARGETS\ntext/uri-list\napplication/x-kde-cutselection\n',
+        '-selection clipboard -t text/uri-list -o': '# dragged\r\nfile:///srv/a%20b.txt\r\nhttps://example.com/\r\nfile:///srv/c\r\n',
+        '-selection clipboard -t application/x-kde-cutselection -o': '1'
+      });
+
+      await expect(NowClipboard.readFiles({ retries: 0 })).resolves.toEqual({ operation: 'cut', paths: ['/srv/a b.txt', '/srv/c'] });
+    });
+
+    it('should prefer x-special/gnome-copied-files', async () => {
+      var xclip = fakeCommandWithResponses(dir, 'xclip', {
+        '-selection clipboard -t TARGETS -o': 'text/uri-list\nx-special/gnome-copied-files\n',
+        '-selection clipboard -t x-special/gnome-copied-files -o': 'copy\nfile:///home/me/%E6%96%87%E4%BB%B6.txt'
+      });
+
+      await expect(NowClipboard.readFiles({ retries: 0 })).resolves.toEqual({ operation: 'copy', paths: ['/home/me/文件.txt'] });
+      expect(xclip.calls()).not.toContain('-selection clipboard -t text/uri-list -o');
+    });
+
+    it('should reject when the clipboard holds no files', async () => {
+      fakeCommandWithResponses(dir, 'xclip', {
+        '-selection clipboard -t TARGETS -o': 'UTF8_STRING\n'
+      });
+
+      await expect(NowClipboard.readFiles({ retries: 0 })).rejects.toMatchObject({
+        name: 'NowClipboardError', code: 'UNKNOWN', message: 'The clipboard does not contain files', method: 'NowClipboard.readFiles()'
+      });
+    });
+  });
+
+  describe('diagnose()', () => {
+    it('should find X11 tools on PATH', () => {
+      process.env.DISPLAY = ':0';
+      fakeCommand(dir, 'xclip');
+
+      var report = NowClipboard.diagnose({ refresh: true });
+      expect(report.environment).toBe('node');
+      expect(report.display).toEqual({ wayland: false, x11: true });
+      expect(report.commands.xclip).toBe(path.join(dir, 'xclip'));
+      ['text', 'image', 'read', 'formats'].forEach(function (op) {
+        expect(report.operations[op]).toMatchObject({ supported: true, backend: 'xclip', hint: null });
+      });
+      expect(NowClipboard.checkSupport(['copy', 'read', 'image', 'formats'])).toBe(true);
+    });
+
+    it('should explain missing commands with install hints', () => {
+      process.env.WAYLAND_DISPLAY = 'wayland-0';
+      fakeCommand(dir, 'xsel');
+
+      var report = NowClipboard.diagnose({ refresh: true });
+      expect(report.operations.text).toEqual({
+        supported: false, backend: null, reason: 'None of wl-copy found on PATH', hint: 'Install wl-clipboard.'
+      });
+      expect(NowClipboard.checkSupport('copy')).toBe(false);
+    });
+
+    it('should report per-operation support', () => {
+      process.env.DISPLAY = ':0';
+      fakeCommand(dir, 'xsel');
+
+      var ops = NowClipboard.diagnose({ refresh: true }).operations;
+      expect(ops.text.backend).toBe('xsel');
+      expect(ops.read.backend).toBe('xsel');
+      // Typed targets need xclip
+      expect(ops.image).toMatchObject({ supported: false, hint: 'Install xclip.' });
+      expect(ops.formats.supported).toBe(false);
+      expect(NowClipboard.checkSupport('copy')).toBe(true);
+      expect(NowClipboard.checkSupport(['copy', 'image'])).toBe(false);
+    });
+
+    it('should report a missing display server', () => {
+      fakeCommand(dir, 'xclip');
+
+      var report = NowClipboard.diagnose({ refresh: true });
+      expect(report.operations.read.supported).toBe(false);
+      expect(report.operations.read.reason).toContain('DISPLAY and WAYLAND_DISPLAY are not set');
+      expect(report.operations.text.hint).toContain('osc52');
+
+      process.env.SSH_TTY = '/dev/pts/3';
+      report = NowClipboard.diagnose({ refresh: true });
+      expect(report.ssh).toBe(true);
+      expect(report.operations.text.backend).toBe(report.tty ? 'osc52' : null);
+    });
+
+    it('should cache the probe until refreshed', () => {
+      process.env.DISPLAY = ':0';
+      var first = NowClipboard.diagnose({ refresh: true });
+      expect(first.operations.text.supported).toBe(false);
+
+      fakeCommand(dir, 'xclip');
+      expect(NowClipboard.diagnose()).toBe(first);
+      expect(NowClipboard.checkSupport('copy')).toBe(false);
+      expect(NowClipboard.diagnose({ refresh: true }).operations.text.supported).toBe(true);
+    });
+  });
+
+  describe('backend overrides', () => {
+    it('should force the backend from NOWCLIPBOARD_BACKEND', async () => {
+      process.env.WAYLAND_DISPLAY = 'wayland-0';
+      var xsel = fakeCommand(dir, 'xsel');
+      var wlCopy = fakeCommand(dir, 'wl-copy');
+
+      process.env.NOWCLIPBOARD_BACKEND = 'xsel';
+      await NowClipboard.write('forced', { retries: 0 });
+      expect(xsel.args()).toBe('--clipboard --input');
+      expect(xsel.stdin().toString()).toBe('forced');
+      expect(wlCopy.called()).toBe(false);
+      // xsel cannot set typed targets
+      await expect(NowClipboard.writeImage(Buffer.from('png'), { retries: 0 })).rejects.toThrow('not supported by the "xsel" backend');
+
+      // An explicit option wins over the environment
+      await NowClipboard.write('auto', { backend: 'auto', retries: 0 });
+      expect(wlCopy.stdin().toString()).toBe('auto');
+    });
+
+    it('should use wl-clipboard for the wl backend without a Wayland display', async () => {
+      process.env.DISPLAY = ':0';
+      process.env.NOWCLIPBOARD_BACKEND = 'wl';
+      var wlPaste = fakeCommand(dir, 'wl-paste');
+      wlPaste.setStdout('from wayland');
+
+      await expect(NowClipboard.read({ retries: 0 })).resolves.toBe('from wayland');
+      expect(wlPaste.args()).toBe('--no-newline');
+    });
+
+    it('should disable clipboard access with the none backend', async () => {
+      process.env.DISPLAY = ':0';
+      process.env.NOWCLIPBOARD_BACKEND = 'none';
+      var xclip = fakeCommand(dir, 'xclip');
+
+      await expect(NowClipboard.write('x', { retries: 0 })).rejects.toThrow('Clipboard access is disabled');
+      await expect(NowClipboard.read({ retries: 0 })).rejects.toThrow('Clipboard access is disabled');
+      expect(() => NowClipboard.node.createWriteStream()).toThrow('Clipboard access is disabled');
+      expect(xclip.called()).toBe(false);
+    });
+
+    it('should apply the selection and timeout from the environment', async () => {
+      process.env.DISPLAY = ':0';
+      process.env.NOWCLIPBOARD_SELECTION = 'primary';
+      var xclip = fakeCommand(dir, 'xclip');
+
+      await NowClipboard.write('middle', { retries: 0 });
+      expect(xclip.args()).toBe('-selection primary');
+      await NowClipboard.write('ctrl-v', { selection: 'clipboard', retries: 0 });
+      expect(xclip.args()).toBe('-selection clipboard');
+
+      fs.writeFileSync(path.join(dir, 'xclip'), '#!/bin/sh\nexec /bin/sleep 5\n');
+      process.env.NOWCLIPBOARD_TIMEOUT = '100';
+      await expect(NowClipboard.read({ retries: 0 })).rejects.toMatchObject({ name: 'TimeoutError', killed: true });
+    });
+
+    it('should read .nowclipboardrc with lower precedence than the environment', async () => {
+      process.env.DISPLAY = ':0';
+      process.env.HOME = dir;
+      fs.writeFileSync(path.join(dir, '.nowclipboardrc'), JSON.stringify({ backend: 'xsel', selection: 'secondary' }));
+      var xsel = fakeCommand(dir, 'xsel');
+      var xclip = fakeCommand(dir, 'xclip');
+
+      await NowClipboard.write('from rc', { retries: 0 });
+      expect(xsel.args()).toBe('--secondary --input');
+      expect(xclip.called()).toBe(false);
+
+      process.env.NOWCLIPBOARD_BACKEND = 'xclip';
+      await NowClipboard.write('from env', { retries: 0 });
+      expect(xclip.args()).toBe('-selection secondary');
+    });
+
+    it('should reject invalid overrides naming their source', async () => {
+      process.env.DISPLAY = ':0';
+      fakeCommand(dir, 'xclip');
+
+      process.env.NOWCLIPBOARD_BACKEND = 'pbcopy';
+      await expect(NowClipboard.write('x', { retries: 0 })).rejects.toThrow('NOWCLIPBOARD_BACKEND: unknown backend "pbcopy"');
+      delete process.env.NOWCLIPBOARD_BACKEND;
+
+      process.env.NOWCLIPBOARD_TIMEOUT = 'soon';
+      await expect(NowClipboard.write('x', { retries: 0 })).rejects.toThrow(TypeError);
+      delete process.env.NOWCLIPBOARD_TIMEOUT;
+
+      var config = path.join(dir, 'broken.json');
+      fs.writeFileSync(config, '{ backend: xsel');
+      process.env.NOWCLIPBOARD_CONFIG = config;
+      await expect(NowClipboard.write('x', { retries: 0 })).rejects.toMatchObject({
+        name: 'InvalidArgumentError', code: 'INVALID_ARGUMENT', message: expect.stringContaining('Cannot load ' + config), path: config
+      });
+    });
+
+    it('should load the config file once until reloadConfig()', async () => {
+      process.env.DISPLAY = ':0';
+      var config = path.join(dir, 'clipboard.json');
+      fs.writeFileSync(config, JSON.stringify({ backend: 'xsel' }));
+      process.env.NOWCLIPBOARD_CONFIG = config;
+      var xsel = fakeCommand(dir, 'xsel');
+      var xclip = fakeCommand(dir, 'xclip');
+
+      await NowClipboard.write('first', { retries: 0 });
+      fs.writeFileSync(config, JSON.stringify({ backend: 'xclip' }));
+      await NowClipboard.write('cached', { retries: 0 });
+      expect(xsel.stdin().toString()).toBe('cached');
+      expect(xclip.called()).toBe(false);
+
+      NowClipboard.node.reloadConfig();
+      await NowClipboard.write('reloaded', { retries: 0 });
+      expect(xclip.stdin().toString()).toBe('reloaded');
+    });
+
+    it('should report which override won in diagnose()', () => {
+      process.env.DISPLAY = ':0';
+      process.env.NOWCLIPBOARD_BACKEND = 'xsel';
+      var config = path.join(dir, 'clipboard.json');
+      fs.writeFileSync(config, JSON.stringify({ backend: 'xclip', timeout: 2000 }));
+      process.env.NOWCLIPBOARD_CONFIG = config;
+      fakeCommand(dir, 'xclip');
+      fakeCommand(dir, 'xsel');
+
+      var report = NowClipboard.diagnose({ refresh: true });
+      expect(report.overrides).toEqual({
+        config: config,
+        backend: { value: 'xsel', source: 'NOWCLIPBOARD_BACKEND' },
+        selection: null,
+        timeout: { value: 2000, source: config },
+        fallback: null,
+        dir: null
+      });
+      expect(report.operations.text).toMatchObject({ supported: true, backend: 'xsel' });
+      expect(report.operations.image.reason).toContain('Not supported by the "xsel" backend');
+
+      process.env.NOWCLIPBOARD_BACKEND = 'none';
+      report = NowClipboard.diagnose({ refresh: true });
+      expect(report.operations.read).toMatchObject({ supported: false, hint: 'Fix or unset NOWCLIPBOARD_BACKEND' });
+      expect(NowClipboard.checkSupport('copy')).toBe(false);
+    });
+  });
+
+  describe('file backend', () => {
+    var store;
+
+    beforeEach(() => {
+      store = path.join(dir, 'store');
+      process.env.NOWCLIPBOARD_DIR = store;
+    });
+
+    it('should store each format in the directory', async () => {
+      process.env.NOWCLIPBOARD_BACKEND = 'file';
+
+      await NowClipboard.write('in a file\n', { retries: 0 });
+      expect(fs.readFileSync(path.join(store, 'clipboard', 'text%2Fplain'), 'utf8')).toBe('in a file\n');
+      expect(fs.statSync(path.join(store, 'clipboard', 'text%2Fplain')).mode & 0o777).toBe(0o600);
+      await expect(NowClipboard.read({ retries: 0 })).resolves.toBe('in a file');
+      await expect(NowClipboard.types({ retries: 0 })).resolves.toEqual(['text/plain']);
+
+      var jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00]);
+      var blob = await NowClipboard.writeImage(jpeg, { retries: 0 });
+      expect(blob.type).toBe('image/jpeg');
+      await expect(NowClipboard.types({ retries: 0 })).resolves.toEqual(['image/jpeg']);
+      var image = await NowClipboard.readImage({ encoding: 'buffer', retries: 0 });
+      expect(image.equals(jpeg)).toBe(true);
+      await expect(NowClipboard.read({ retries: 0 })).resolves.toBe('');
+
+      // Selections are kept apart, and no temporary files or locks are left behind
+      await NowClipboard.write('middle', { selection: 'primary', retries: 0 });
+      expect(fs.readdirSync(store).sort()).toEqual(['clipboard', 'primary']);
+      expect(fs.readdirSync(path.join(store, 'clipboard'))).toEqual(['image%2Fjpeg']);
+    });
+
+    it('should keep every format written with writeFormats()', async () => {
+      process.env.NOWCLIPBOARD_BACKEND = 'file';
+      var dropped = vi.fn();
+
+      await NowClipboard.writeFormats({
+        'text/plain': 'Hi',
+        'text/html': '<b>Hi</b>',
+        'image/png': new Blob([Buffer.from([0x89, 0x50, 0x4e, 0x47])], { type: 'image/png' })
+      }, { onDropped: dropped, retries: 0 });
+      expect(dropped).not.toHaveBeenCalled();
+      await expect(NowClipboard.types({ retries: 0 })).resolves.toEqual(['image/png', 'text/html', 'text/plain']);
+
+      var rich = await NowClipboard.readRich({ retries: 0 });
+      expect(rich.text).toBe('Hi');
+      expect(rich.html).toBe('<b>Hi</b>');
+      expect(rich.images.length).toBe(1);
+    });
+
+    it('should share the clipboard with other processes', async () => {
+      var script = 'require(' + JSON.stringify(path.resolve('src/NowClipboard.js')) + ')' +
+        '.write("from another process", { backend: "file" }).catch(function () { process.exit(1); })';
+      childProcess.execFileSync(process.execPath, ['-e', script], { env: process.env });
+
+      await expect(NowClipboard.read({ backend: 'file', retries: 0 })).resolves.toBe('from another process');
+    });
+
+    it('should wait for a held lock and break a stale one', async () => {
+      process.env.NOWCLIPBOARD_BACKEND = 'file';
+      fs.mkdirSync(store);
+      var lock = path.join(store, 'clipboard.lock');
+
+      fs.writeFileSync(lock, String(process.pid));
+      setTimeout(function () { fs.unlinkSync(lock); }, 100);
+      var start = Date.now();
+      await NowClipboard.write('after the lock', { retries: 0 });
+      expect(Date.now() - start).toBeGreaterThanOrEqual(90);
+
+      // Left behind by a process that no longer exists
+      var gone = childProcess.spawnSync(process.execPath, ['-e', 'console.log(process.pid)']).stdout.toString().trim();
+      fs.writeFileSync(lock, gone);
+      await NowClipboard.write('stale lock', { retries: 0 });
+      expect(fs.existsSync(lock)).toBe(false);
+      await expect(NowClipboard.read({ retries: 0 })).resolves.toBe('stale lock');
+    });
+
+    it('should leave a lock alone that was taken again while removing a stale one', async () => {
+      process.env.NOWCLIPBOARD_BACKEND = 'file';
+      fs.mkdirSync(store);
+      var lock = path.join(store, 'clipboard.lock');
+      var gone = childProcess.spawnSync(process.execPath, ['-e', 'console.log(process.pid)']).stdout.toString().trim();
+      fs.writeFileSync(lock, gone);
+
+      // Another process breaks the stale lock and takes a fresh one right before this one does
+      var realRename = fs.renameSync;
+      var rename = vi.spyOn(fs, 'renameSync').mockImplementationOnce(function (from, to) {
+        fs.writeFileSync(lock + '.other', String(process.pid));
+        realRename(lock + '.other', lock);
+        setTimeout(function () { fs.unlinkSync(lock); }, 100);
+        return realRename(from, to);
+      });
+      try {
+        var start = Date.now();
+        await NowClipboard.write('after the other writer', { retries: 0 });
+        expect(Date.now() - start).toBeGreaterThanOrEqual(90);
+      } finally {
+        rename.mockRestore();
+      }
+      expect(fs.readdirSync(store)).toEqual(['clipboard']);
+      await expect(NowClipboard.read({ retries: 0 })).resolves.toBe('after the other writer');
+    });
+
+    it('should only use a private fallback directory in the temp directory', async () => {
+      delete process.env.NOWCLIPBOARD_DIR;
+      process.env.TMPDIR = dir;
+      process.env.NOWCLIPBOARD_BACKEND = 'file';
+      var root = path.join(dir, 'nowclipboard-' + process.getuid());
+
+      fs.mkdirSync(root, { mode: 0o755 });
+      fs.chmodSync(root, 0o755);
+      await expect(NowClipboard.write('x', { retries: 0 })).rejects.toMatchObject({
+        name: 'PermissionDeniedError',
+        message: 'Refusing to use the file clipboard directory ' + root + ': it is not a private directory owned by this user'
+      });
+
+      fs.rmdirSync(root);
+      fs.mkdirSync(path.join(dir, 'elsewhere'), { mode: 0o700 });
+      fs.symlinkSync(path.join(dir, 'elsewhere'), root);
+      await expect(NowClipboard.write('x', { retries: 0 })).rejects.toThrow('not a private directory');
+      expect(fs.readdirSync(path.join(dir, 'elsewhere'))).toEqual([]);
+
+      fs.unlinkSync(root);
+      await NowClipboard.write('private', { retries: 0 });
+      expect(fs.statSync(root).mode & 0o777).toBe(0o700);
+      await expect(NowClipboard.read({ retries: 0 })).resolves.toBe('private');
+    });
+
+    it('should reject with coded errors when the lock cannot be taken', async () => {
+      process.env.NOWCLIPBOARD_BACKEND = 'file';
+      fs.mkdirSync(store);
+      var lock = path.join(store, 'clipboard.lock');
+      var gone = childProcess.spawnSync(process.execPath, ['-e', 'console.log(process.pid)']).stdout.toString().trim();
+      fs.writeFileSync(lock, gone);
+
+      var rename = vi.spyOn(fs, 'renameSync').mockImplementation(function () {
+        throw Object.assign(new Error('EACCES: permission denied, rename'), { code: 'EACCES' });
+      });
+      try {
+        await expect(NowClipboard.write('x', { retries: 0 })).rejects.toMatchObject({
+          name: 'PermissionDeniedError',
+          code: 'PERMISSION_DENIED',
+          message: 'Cannot remove the stale file clipboard lock ' + lock + ': EACCES: permission denied, rename'
+        });
+      } finally {
+        rename.mockRestore();
+      }
+
+      // A lock held by a live process runs into the timeout
+      fs.writeFileSync(lock, String(process.pid));
+      var now = Date.now();
+      var clock = vi.spyOn(Date, 'now').mockReturnValueOnce(now).mockReturnValue(now + 6000);
+      try {
+        await expect(NowClipboard.write('x', { retries: 0 })).rejects.toMatchObject({
+          code: 'TIMEOUT',
+          message: 'Timed out waiting for the file clipboard lock ' + lock
+        });
+      } finally {
+        clock.mockRestore();
+      }
+    });
+
+    it('should fall back to files only when there is no system clipboard', async () => {
+      process.env.NOWCLIPBOARD_FALLBACK = 'file';
+
+      await NowClipboard.write('headless', { retries: 0 });
+      await expect(NowClipboard.read({ retries: 0 })).resolves.toBe('headless');
+      var report = NowClipboard.diagnose({ refresh: true });
+      expect(report.operations.text).toMatchObject({ supported: true, backend: 'file' });
+      expect(report.operations.text.reason).toContain('falls back to files in ' + store);
+
+      process.env.DISPLAY = ':0';
+      var xclip = fakeCommand(dir, 'xclip');
+      await NowClipboard.write('real clipboard', { retries: 0 });
+      expect(xclip.stdin().toString()).toBe('real clipboard');
+      await expect(NowClipboard.write('x', { fallback: 'disk' })).rejects.toThrow('Unknown fallback "disk"');
+    });
+
+    it('should not serve file lists or streams', async () => {
+      process.env.NOWCLIPBOARD_BACKEND = 'file';
+      fs.writeFileSync(path.join(dir, 'a.txt'), 'a');
+
+      await expect(NowClipboard.copyFiles(path.join(dir, 'a.txt'), { retries: 0 })).rejects.toThrow('not supported by the file backend');
+      expect(() => NowClipboard.node.createReadStream()).toThrow('not supported by the file backend');
+    });
+  });
+
+  describe('module systems', () => {
+    var bundles = {};
+
+    /**
+     * Newest Node.js under ~/.nvm without process.getBuiltinModule() (older than 20.16), or null
+     */
+    var olderNode = (function () {
+      var root = path.join(os.homedir(), '.nvm', 'versions', 'node');
+      var best = null;
+      var bestVersion = [0, 0];
+      try {
+        fs.readdirSync(root).forEach(function (name) {
+          var match = /^v(\d+)\.(\d+)\./.exec(name);
+          if (!match) return;
+          var version = [Number(match[1]), Number(match[2])];
+          var old = version[0] < 20 || (version[0] === 20 && version[1] < 16);
+          var newer = version[0] > bestVersion[0] || (version[0] === bestVersion[0] && version[1] > bestVersion[1]);
+          if (old && version[0] >= 12 && newer) {
+            best = path.join(root, name, 'bin', 'node');
+            bestVersion = version;
+          }
+        });
+      } catch (e) {
+        // No nvm installation
+      }
+      return best;
+    })();
+
+    beforeAll(async () => {
+      // Built the way build.mjs does: bundles without the createRequire() loader, plus the esm/ tree
+      bundles.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nowclipboard-bundle-'));
+      bundles.cjs = path.join(bundles.dir, 'NowClipboard.js');
+      bundles.esm = path.join(bundles.dir, 'NowClipboard.esm.mjs');
+      bundles.tree = path.join(bundles.dir, 'esm', 'NowClipboard.js');
+      var withoutNodeRequire = {
+        name: 'without-node-require',
+        setup(build) {
+          build.onResolve({ filter: /\/node-require\.js$/ }, (args) => ({ path: args.path, namespace: 'node-require' }));
+          build.onLoad({ filter: /.*/, namespace: 'node-require' }, () => ({ contents: 'export default null;' }));
+        }
+      };
+      var common = {
+        bundle: true,
+        target: ['es2015'],
+        platform: 'neutral',
+        logLevel: 'silent',
+        external: ['child_process', 'fs', 'net', 'os', 'path', 'stream', 'url'],
+        plugins: [withoutNodeRequire]
+      };
+      await esbuild.build(Object.assign({}, common, {
+        entryPoints: ['src/NowClipboard.js'],
+        format: 'iife',
+        globalName: 'NowClipboard',
+        banner: { js: [
+          '(function (root, factory) {',
+          "  if (typeof module === 'object' && typeof module.exports === 'object') {",
+          '    module.exports = factory();',
+          "  } else if (typeof define === 'function' && define.amd) {",
+          '    define([], factory);',
+          '  } else {',
+          '    root.NowClipboard = factory();',
+          '  }',
+          "})(typeof self !== 'undefined' ? self : this, function () {"
+        ].join('\n') },
+        footer: { js: 'return NowClipboard.default;\n});' },
+        outfile: bundles.cjs
+      }));
+      await esbuild.build(Object.assign({}, common, { entryPoints: ['src/NowClipboard.js'], format: 'esm', outfile: bundles.esm }));
+      await esbuild.build({
+        entryPoints: ['src/NowClipboard.js', 'src/NowClipboard.browser.js'].concat(fs.readdirSync('src/modules').map(function (file) {
+          return 'src/modules/' + file;
+        })),
+        outbase: 'src',
+        outdir: path.join(bundles.dir, 'esm'),
+        format: 'esm',
+        target: ['es2015'],
+        supported: { 'import-meta': true },
+        platform: 'neutral',
+        logLevel: 'silent'
+      });
+      fs.copyFileSync('src/package.json', path.join(bundles.dir, 'esm', 'package.json'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(bundles.dir, { recursive: true, force: true });
+    });
+
+    /**
+     * Copy and paste through xclip from a separate Node.js process
+     * @param {string} kind - 'cjs', 'esm' (the esm/ tree) or 'esm-bundle' (the single-file ESM bundle)
+     * @param {string} [node] - Node.js binary, default the current one
+     */
+    function runScript(kind, node) {
+      var body = 'NowClipboard.write("from " + process.argv[2], { retries: 0 })' +
+        '.then(function () { return NowClipboard.read({ retries: 0 }); })' +
+        '.then(function (text) { process.stdout.write(text); }, function (err) { process.stdout.write(err.message); });\n';
+      var entry = kind === 'esm' ? bundles.tree : bundles.esm;
+      var script = kind === 'cjs'
+        ? 'var NowClipboard = require(' + JSON.stringify(bundles.cjs) + ');\n' + body
+        : 'import NowClipboard from ' + JSON.stringify(pathToFileURL(entry).href) + ';\n' + body;
+      var file = path.join(dir, 'script.' + (kind === 'cjs' ? 'cjs' : 'mjs'));
+      fs.writeFileSync(file, script);
+      return childProcess.execFileSync(node || process.execPath, [file, kind], { env: process.env }).toString();
+    }
+
+    it.each(['cjs', 'esm', 'esm-bundle'])('should copy and paste from %s', (kind) => {
+      process.env.DISPLAY = ':0';
+      var xclip = fakeCommandWithResponses(dir, 'xclip', { '-selection clipboard -o': 'pasted' });
+
+      expect(runScript(kind)).toBe('pasted');
+      expect(xclip.stdin().toString()).toBe('from ' + kind);
+    });
+
+    it.skipIf(!olderNode).each(['cjs', 'esm'])('should copy and paste from %s on Node.js older than 20.16', (kind) => {
+      process.env.DISPLAY = ':0';
+      var xclip = fakeCommandWithResponses(dir, 'xclip', { '-selection clipboard -o': 'pasted' });
+
+      expect(runScript(kind, olderNode)).toBe('pasted');
+      expect(xclip.stdin().toString()).toBe('from ' + kind);
+    });
+
+    it('should load the UMD bundle with an AMD loader or as a global', () => {
+      var code = fs.readFileSync(bundles.cjs, 'utf8');
+      var amd = null;
+      var define = function (deps, factory) {
+        expect(deps).toEqual([]);
+        amd = factory();
+      };
+      define.amd = {};
+      var loader = { define: define };
+      loader.self = loader;
+      vm.runInNewContext(code, loader);
+      expect(typeof amd.copy).toBe('function');
+      expect(loader.NowClipboard).toBeUndefined();
+
+      var page = {};
+      page.self = page;
+      vm.runInNewContext(code, page);
+      expect(typeof page.NowClipboard.copy).toBe('function');
+    });
+
+    it.skipIf(!olderNode)('should explain what the ESM bundle needs on older Node.js versions', () => {
+      process.env.DISPLAY = ':0';
+      fakeCommand(dir, 'xclip');
+
+      expect(runScript('esm-bundle', olderNode)).toContain('from a bundled ES module requires Node.js 20.16 or later');
+    });
+
+    it('should leave unused modules out of a bundle that only imports copy()', async () => {
+      var size = async function (contents) {
+        var result = await esbuild.build({
+          stdin: { contents: contents, resolveDir: process.cwd() },
+          bundle: true,
+          minify: true,
+          write: false,
+          format: 'esm',
+          platform: 'browser',
+          logLevel: 'silent'
+        });
+        return result.outputFiles[0].text;
+      };
+      var full = await size("import NowClipboard from './src/NowClipboard.browser.js'; window.NowClipboard = NowClipboard;");
+      var copyOnly = await size("import { copy } from './src/NowClipboard.browser.js'; window.copy = copy;");
+
+      expect(copyOnly.length).toBeLessThan(full.length / 2);
+      expect(copyOnly).not.toContain('BroadcastChannel');
+      expect(copyOnly).not.toContain('localStorage');
+      expect(copyOnly).not.toContain('data-nc-');
+      expect(full).toContain('BroadcastChannel');
+    });
+
+    it('should ask for the Node.js adapter when only the core module is loaded', () => {
+      var script = 'import { copy, diagnose } from ' + JSON.stringify(pathToFileURL(path.resolve('src/modules/core.js')).href) + ';\n' +
+        'process.stdout.write(JSON.stringify(diagnose()) + "\\n");\n' +
+        'copy("x", { retries: 0 }).catch(function (err) { process.stdout.write(err.message); });\n';
+      var file = path.join(dir, 'core-only.mjs');
+      fs.writeFileSync(file, script);
+      var lines = childProcess.execFileSync(process.execPath, [file], { env: process.env }).toString().split('\n');
+
+      expect(JSON.parse(lines[0])).toMatchObject({ environment: 'node', operations: { text: { supported: false, reason: 'The Node.js adapter is not loaded' } } });
+      expect(lines[1]).toBe('No clipboard method available in this environment');
+    });
+  });
+
+  describe('change watching', () => {
+    var wait = function (ms) {
+      return new Promise(function (r) { setTimeout(r, ms); });
+    };
+
+    it('should use wl-paste --watch notifications on Wayland', async () => {
+      process.env.WAYLAND_DISPLAY = 'wayland-0';
+      var content = path.join(dir, 'content');
+      var notify = path.join(dir, 'notify');
+      fs.writeFileSync(content, 'first');
+      // Reads print the content file; --watch prints a line whenever the notify file appears
+      fs.writeFileSync(path.join(dir, 'wl-paste'), [
+        '#!/bin/sh',
+        'if [ "$1" = "--watch" ]; then',
+        '  echo "$@" > "' + dir + '/watch.args"',
+        '  while :; do',
+        '    if [ -f "' + notify + '" ]; then /bin/rm "' + notify + '"; echo; fi',
+        '    /bin/sleep 0.02',
+        '  done',
+        'fi',
+        '/bin/cat "' + content + '"'
+      ].join('\n'));
+      fs.chmodSync(path.join(dir, 'wl-paste'), 0o755);
+
+      var changes = [];
+      // A long interval proves the change came from the notification, not from polling
+      var watcher = NowClipboard.onChange(function (data) { changes.push(data.text); }, 60000);
+      try {
+        await vi.waitFor(() => expect(fs.existsSync(path.join(dir, 'watch.args'))).toBe(true));
+        expect(fs.readFileSync(path.join(dir, 'watch.args'), 'utf8')).toContain('--watch sh -c');
+        await wait(50);
+
+        fs.writeFileSync(content, 'second');
+        fs.writeFileSync(notify, '');
+        await vi.waitFor(() => expect(changes).toEqual(['second']));
+      } finally {
+        watcher.destroy();
+      }
+    });
+
+    it('should poll when no native notification is available', async () => {
+      process.env.DISPLAY = ':0';
+      var xclip = fakeCommand(dir, 'xclip');
+      xclip.setStdout('before');
+
+      var changes = [];
+      var watcher = NowClipboard.onChange(function (data) { changes.push(data.text); }, { interval: 10, maxInterval: 40 });
+      try {
+        await wait(60);
+        xclip.setStdout('after');
+        await vi.waitFor(() => expect(changes).toEqual(['after']));
+        expect(xclip.args()).toBe('-selection clipboard -o');
+      } finally {
+        watcher.destroy();
+      }
+    });
+
+    it('should fall back to polling when wl-paste is missing', async () => {
+      process.env.WAYLAND_DISPLAY = 'wayland-0';
+      var errors = [];
+      var watcher = NowClipboard.onChange(function () {}, {
+        interval: 10,
+        onError: function (err) { errors.push(err); }
+      });
+      try {
+        // The missing watcher is silent; the failing polls reach the error hook
+        await vi.waitFor(() => expect(errors.length).toBeGreaterThan(0));
+        expect(errors[0].message).toContain('No clipboard command available for read');
+      } finally {
+        watcher.destroy();
+      }
+    });
+  });
+
+  describe('process termination', () => {
+    // Zombies count as dead: orphans are reparented to an init that may never reap them
+    var alive = function (pid) {
+      try {
+        return !/^\d+ \(.*\) Z/.test(fs.readFileSync('/proc/' + pid + '/stat', 'utf8'));
+      } catch (e) {
+        return false;
+      }
+    };
+
+    // A hung xclip that also starts a child, recording both pids and every call
+    var hangingXclip = function () {
+      fs.writeFileSync(path.join(dir, 'xclip'), [
+        '#!/bin/sh',
+        'echo "$$" >> "' + dir + '/xclip.pids"',
+        '/bin/sleep 30 &',
+        'echo "$!" > "' + dir + '/child.pid"',
+        'wait'
+      ].join('\n'));
+      fs.chmodSync(path.join(dir, 'xclip'), 0o755);
+      process.env.DISPLAY = ':0';
+    };
+
+    var pids = function () {
+      return fs.readFileSync(path.join(dir, 'xclip.pids'), 'utf8').trim().split('\n').map(Number)
+        .concat(Number(fs.readFileSync(path.join(dir, 'child.pid'), 'utf8')));
+    };
+
+    it('should kill the process tree when the timeout elapses', async () => {
+      hangingXclip();
+
+      var err = await NowClipboard.read({ timeout: 150 }).catch(function (e) { return e; });
+      expect(err.name).toBe('TimeoutError');
+      expect(err.message).toBe('xclip timed out after 150ms and was killed');
+      expect(err).toMatchObject({ killed: true, command: 'xclip' });
+
+      await vi.waitFor(() => expect(pids().filter(alive)).toEqual([]));
+      // Retries stop once the process was killed
+      expect(pids()).toHaveLength(2);
+    });
+
+    it('should kill the process tree when the signal aborts', async () => {
+      hangingXclip();
+      var controller = new AbortController();
+      setTimeout(function () { controller.abort(); }, 150);
+
+      var err = await NowClipboard.write('never', { signal: controller.signal }).catch(function (e) { return e; });
+      expect(err.name).toBe('AbortError');
+      expect(err.message).toBe('Operation aborted, killed xclip');
+      expect(err.killed).toBe(true);
+
+      await vi.waitFor(() => expect(pids().filter(alive)).toEqual([]));
+    });
+
+    it('should not spawn anything when the signal is already aborted', async () => {
+      var xclip = fakeCommand(dir, 'xclip');
+      process.env.DISPLAY = ':0';
+
+      await expect(NowClipboard.readImage({ signal: AbortSignal.abort() })).rejects.toThrow('aborted');
+      expect(xclip.called()).toBe(false);
+    });
+
+    it('should let the caller exit while a forked write command serves the selection', () => {
+      // Like xclip: the forked child inherits stdio and outlives the command
+      fs.writeFileSync(path.join(dir, 'xclip'), [
+        '#!/bin/sh',
+        '/bin/cat > /dev/null',
+        '/bin/sleep 30 &',
+        'echo "$!" >> "' + dir + '/child.pid"',
+        'exit 0'
+      ].join('\n'));
+      fs.chmodSync(path.join(dir, 'xclip'), 0o755);
+      var script = [
+        'import { Readable } from "stream";',
+        'import { pipeline } from "stream/promises";',
+        'import NowClipboard from ' + JSON.stringify(pathToFileURL(path.resolve(__dirname, '../src/NowClipboard.js')).href) + ';',
+        'await NowClipboard.write("served");',
+        'await pipeline(Readable.from(["streamed"]), NowClipboard.node.createWriteStream());',
+        'console.log("done");'
+      ].join('\n');
+
+      try {
+        var stdout = childProcess.execFileSync(process.execPath, ['--input-type=module', '-e', script], {
+          env: Object.assign({}, process.env, { DISPLAY: ':0' }),
+          timeout: 10000
+        });
+        expect(stdout.toString()).toBe('done\n');
+      } finally {
+        fs.readFileSync(path.join(dir, 'child.pid'), 'utf8').trim().split('\n').forEach(function (pid) {
+          try { process.kill(Number(pid)); } catch (e) { /* already gone */ }
+        });
+      }
+    });
+  });
+
+  describe('streams', () => {
+    beforeEach(() => {
+      process.env.DISPLAY = ':0';
+    });
+
+    var collect = function (readable) {
+      var chunks = [];
+      return new Promise(function (resolve, reject) {
+        readable.on('data', function (chunk) { chunks.push(chunk); });
+        readable.on('end', function () { resolve(chunks); });
+        readable.on('error', reject);
+      });
+    };
+
+    it('should pipe a large payload into the clipboard command', async () => {
+      var xclip = fakeCommand(dir, 'xclip');
+      var line = Buffer.from('log line ' + 'x'.repeat(90) + '\n');
+      var count = 40000;
+      var source = Readable.from((function* () {
+        for (var i = 0; i < count; i++) yield line;
+      })());
+
+      var writable = NowClipboard.node.createWriteStream({ selection: 'primary' });
+      await pipeline(source, writable);
+
+      expect(xclip.args()).toBe('-selection primary');
+      var written = xclip.stdin();
+      expect(written.length).toBe(line.length * count);
+      expect(written.subarray(-line.length).equals(line)).toBe(true);
+    });
+
+    it('should stream the exact clipboard bytes', async () => {
+      var xclip = fakeCommand(dir, 'xclip');
+      var content = Buffer.concat([Buffer.from('€'.repeat(200000)), Buffer.from([0xff, 0x0a])]);
+      xclip.setStdout(content);
+
+      var chunks = await collect(NowClipboard.node.createReadStream());
+      expect(Buffer.concat(chunks).equals(content)).toBe(true);
+      expect(xclip.args()).toBe('-selection clipboard -o');
+
+      var text = (await collect(NowClipboard.node.createReadStream({ encoding: 'utf8' }))).join('');
+      expect(text.slice(0, 3)).toBe('€€€');
+    });
+
+    it('should fail the stream when the command fails', async () => {
+      fs.writeFileSync(path.join(dir, 'xclip'), ['#!/bin/sh', '/bin/cat > /dev/null', 'echo "no display" >&2', 'exit 3'].join('\n'));
+      fs.chmodSync(path.join(dir, 'xclip'), 0o755);
+
+      await expect(pipeline(Readable.from(['data']), NowClipboard.node.createWriteStream()))
+        .rejects.toThrow('xclip exited with code: 3 - no display');
+      await expect(collect(NowClipboard.node.createReadStream())).rejects.toThrow('xclip exited with code: 3');
+      await expect(NowClipboard.read({ retries: 0 })).rejects.toMatchObject({
+        name: 'NowClipboardError', code: 'UNKNOWN', message: 'xclip exited with code: 3 - no display', method: 'NowClipboard.read()'
+      });
+    });
+
+    it('should kill the command when the signal aborts', async () => {
+      fs.writeFileSync(path.join(dir, 'xclip'), ['#!/bin/sh', 'echo partial', 'exec /bin/sleep 30'].join('\n'));
+      fs.chmodSync(path.join(dir, 'xclip'), 0o755);
+      var controller = new AbortController();
+
+      var readable = NowClipboard.node.createReadStream({ signal: controller.signal });
+      readable.once('data', function () { controller.abort(); });
+      var err = await collect(readable).catch(function (e) { return e; });
+      expect(err.name).toBe('AbortError');
+      expect(err.killed).toBe(true);
+    });
+
+    it('should throw for missing commands and the OSC 52 backend', () => {
+      expect(() => NowClipboard.node.createWriteStream()).toThrow('No clipboard command available for NowClipboard.node.createWriteStream(). Install xclip or xsel.');
+      expect(() => NowClipboard.node.createReadStream({ backend: 'osc52' })).toThrow('OSC 52');
+      expect(() => NowClipboard.node.createReadStream({ selection: 'tertiary' })).toThrow(TypeError);
+    });
+  });
+
+  describe('persistent helper', () => {
+    beforeEach(() => {
+      process.env.DISPLAY = ':0';
+      // Keeps the helper's scratch directory inside the test directory
+      process.env.TMPDIR = dir;
+      // The helper script needs a few system tools next to the fake commands
+      ['sh', 'mktemp', 'base64', 'tr', 'rm'].forEach(function (name) {
+        var found = ['/bin', '/usr/bin'].map(function (d) { return path.join(d, name); }).filter(fs.existsSync)[0];
+        fs.symlinkSync(found, path.join(dir, name));
+      });
+    });
+
+    afterEach(async () => {
+      vi.restoreAllMocks();
+      await NowClipboard.node.stopHelper();
+    });
+
+    it('should serve writes and reads without spawning per call', async () => {
+      var xclip = fakeCommand(dir, 'xclip');
+      xclip.setStdout('from helper\n');
+      await NowClipboard.node.startHelper();
+      expect(NowClipboard.node.isHelperRunning()).toBe(true);
+
+      var spawn = vi.spyOn(childProcess, 'spawn');
+      for (var i = 0; i < 3; i++) {
+        await NowClipboard.write('loop ' + i, { retries: 0 });
+      }
+      expect(xclip.stdin().toString()).toBe('loop 2');
+      expect(xclip.args()).toBe('-selection clipboard');
+
+      await expect(NowClipboard.read({ retries: 0 })).resolves.toBe('from helper');
+      expect(spawn).not.toHaveBeenCalled();
+
+      await NowClipboard.node.stopHelper();
+      expect(NowClipboard.node.isHelperRunning()).toBe(false);
+      await NowClipboard.write('direct', { retries: 0 });
+      expect(spawn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should move on to the next command when one is missing', async () => {
+      var xsel = fakeCommand(dir, 'xsel');
+      xsel.setStdout('it\'s xsel');
+      await NowClipboard.node.startHelper();
+
+      await expect(NowClipboard.read({ retries: 0 })).resolves.toBe('it\'s xsel');
+      expect(xsel.args()).toBe('--clipboard --output');
+    });
+
+    it('should kill a hung command and keep serving', async () => {
+      fs.writeFileSync(path.join(dir, 'xclip'), [
+        '#!/bin/sh',
+        'if [ -f "' + dir + '/hang" ]; then /bin/rm "' + dir + '/hang"; exec /bin/sleep 30; fi',
+        'echo recovered'
+      ].join('\n'));
+      fs.chmodSync(path.join(dir, 'xclip'), 0o755);
+      fs.writeFileSync(path.join(dir, 'hang'), '');
+      await NowClipboard.node.startHelper();
+
+      await expect(NowClipboard.read({ timeout: 150 })).rejects.toThrow('xclip timed out after 150ms and was killed');
+      expect(NowClipboard.node.isHelperRunning()).toBe(true);
+      await expect(NowClipboard.read({ retries: 0 })).resolves.toBe('recovered');
+    });
+
+    it('should fall back to spawning when the helper dies', async () => {
+      fs.writeFileSync(path.join(dir, 'xclip'), ['#!/bin/sh', 'echo "$PPID"'].join('\n'));
+      fs.chmodSync(path.join(dir, 'xclip'), 0o755);
+      await NowClipboard.node.startHelper();
+
+      var helperPid = Number(await NowClipboard.read({ retries: 0 }));
+      process.kill(helperPid, 'SIGKILL');
+      await vi.waitFor(() => expect(NowClipboard.node.isHelperRunning()).toBe(false));
+
+      expect(Number(await NowClipboard.read({ retries: 0 }))).not.toBe(helperPid);
+    });
+
+    it('should reject when the helper cannot start', async () => {
+      fs.unlinkSync(path.join(dir, 'base64'));
+      await expect(NowClipboard.node.startHelper()).rejects.toThrow('Failed to start the clipboard helper: base64 not found');
+      expect(NowClipboard.node.isHelperRunning()).toBe(false);
+    });
+  });
+
+  describe('OSC 52 backend', () => {
+    var seq = function (text, target) {
+      return '\x1b]52;' + (target || 'c') + ';' + Buffer.from(text).toString('base64') + '\x07';
+    };
+
+    it('should write the escape sequence when forced', async () => {
+      var tty = fakeTTY();
+      var xclip = fakeCommand(dir, 'xclip');
+
+      await expect(NowClipboard.write('héllo', { backend: 'osc52', osc52: { stream: tty } })).resolves.toBe('héllo');
+      expect(tty.output()).toBe(seq('héllo'));
+      expect(xclip.called()).toBe(false);
+    });
+
+    it('should be picked automatically over SSH without a display', async () => {
+      process.env.SSH_TTY = '/dev/pts/3';
+      var tty = fakeTTY();
+
+      await NowClipboard.write('remote', { osc52: { stream: tty } });
+      expect(tty.output()).toBe(seq('remote'));
+    });
+
+    it('should prefer X11 tools over SSH with X forwarding', async () => {
+      process.env.SSH_TTY = '/dev/pts/3';
+      process.env.DISPLAY = 'localhost:10.0';
+      var tty = fakeTTY();
+      var xclip = fakeCommand(dir, 'xclip');
+
+      await NowClipboard.write('forwarded', { osc52: { stream: tty }, retries: 0 });
+      expect(xclip.called()).toBe(true);
+      expect(tty.output()).toBe('');
+    });
+
+    it('should map the primary selection', async () => {
+      var tty = fakeTTY();
+      await NowClipboard.write('p', { backend: 'osc52', selection: 'primary', osc52: { stream: tty } });
+      expect(tty.output()).toBe(seq('p', 'p'));
+    });
+
+    it('should wrap the sequence for tmux passthrough', async () => {
+      process.env.TMUX = '/tmp/tmux-1000/default,1,0';
+      var tty = fakeTTY();
+
+      await NowClipboard.write('tmux', { backend: 'osc52', osc52: { stream: tty } });
+      expect(tty.output()).toBe('\x1bPtmux;\x1b' + seq('tmux') + '\x1b\\');
+    });
+
+    it('should split the sequence into screen passthrough chunks', async () => {
+      process.env.STY = '1234.pts-0.host';
+      var tty = fakeTTY();
+      var text = 'x'.repeat(200);
+
+      await NowClipboard.write(text, { backend: 'osc52', osc52: { stream: tty } });
+      var chunks = tty.output().split('\x1b\\').filter(Boolean);
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(chunks.map(function (c) { return c.slice(2); }).join('')).toBe(seq(text));
+    });
+
+    it('should reject payloads above the size limit', async () => {
+      var tty = fakeTTY();
+      await expect(NowClipboard.write('x'.repeat(100), {
+        backend: 'osc52', retries: 0, osc52: { stream: tty, maxBytes: 50 }
+      })).rejects.toMatchObject({ code: 'INVALID_ARGUMENT', message: expect.stringContaining('exceeds the limit') });
+      expect(tty.output()).toBe('');
+    });
+
+    it('should reject reads and images', async () => {
+      await expect(NowClipboard.read({ backend: 'osc52', retries: 0 })).rejects.toThrow('write-only');
+      await expect(NowClipboard.writeImage(Buffer.from('png'), { backend: 'osc52' })).rejects.toThrow('OSC 52');
+    });
+
+    it('should reject unknown backends', async () => {
+      await expect(NowClipboard.write('x', { backend: 'carrier-pigeon', retries: 0 })).rejects.toThrow('Unknown clipboard backend');
+    });
+  });
+});
+
+describe('Testing kit in Node.js', () => {
+  it('should replace the system clipboard with an in-memory provider', async () => {
+    var fake = installFakeClipboard();
+    try {
+      expect(fake.mode).toBe('provider');
+      await NowClipboard.write('no real clipboard');
+      await NowClipboard.writeFormats({ 'text/plain': 'rich', 'text/html': '<b>rich</b>' });
+      expectClipboard().toHaveText('rich').toHaveHtml('<b>rich</b>').toHaveBeenWritten(2);
+
+      var rich = await NowClipboard.readRich();
+      expect(rich).toEqual({ text: 'rich', html: '<b>rich</b>', images: [] });
+      await expect(NowClipboard.types()).resolves.toEqual(['text/plain', 'text/html']);
+    } finally {
+      fake.uninstall();
+    }
+  });
+
+  it('should record History through onChange', async () => {
+    var fake = installFakeClipboard({ text: 'start' });
+    var history = new NowClipboard.History({ pollInterval: 10 }).start();
+    try {
+      await new Promise(function (r) { setTimeout(r, 30); });
+      fake.setText('node history');
+      await vi.waitFor(() => expect(history.latest() && history.latest().text).toBe('node history'));
+    } finally {
+      history.destroy();
+      fake.uninstall();
+    }
+  });
+
+  it('should report read errors to the History error hook', async () => {
+    var fake = installFakeClipboard();
+    fake.setPermission('read', 'denied');
+    var onError = vi.fn();
+    var history = new NowClipboard.History({ pollInterval: 10, onError: onError }).start();
+    try {
+      await vi.waitFor(() => expect(onError).toHaveBeenCalledWith(expect.objectContaining({ code: 'PERMISSION_DENIED' })));
+      expect(history.size()).toBe(0);
+    } finally {
+      history.destroy();
+      fake.uninstall();
+    }
+  });
+});
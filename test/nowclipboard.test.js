@@ -3,7 +3,7 @@
  * Unit tests for core functionality
  */
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import NowClipboard from '../src/NowClipboard.js';
+import NowClipboard, { registerProvider, setProviders } from '../src/NowClipboard.js';
 
 // ========================================
 // 1. Static Methods - Text Operations
@@ -379,6 +379,17 @@ describe('NowClipboard.write()', () => {
   it('should be a function', () => {
     expect(typeof NowClipboard.write).toBe('function');
   });
+
+  it('should reject X11 selections outside Node.js on Linux', async () => {
+    await expect(NowClipboard.write('x', { selection: 'primary' })).rejects.toThrow('only available in Node.js on Linux');
+    await expect(NowClipboard.read({ selection: 'secondary' })).rejects.toThrow('only available in Node.js on Linux');
+  });
+
+  it('should accept the default clipboard selection', () => {
+    const result = NowClipboard.write('x', { selection: 'clipboard' });
+    expect(result).toBeInstanceOf(Promise);
+    result.catch(() => {});
+  });
 });
 
 describe('NowClipboard.writeImage()', () => {
@@ -513,3 +524,339 @@ describe('NowClipboard.onSync()', () => {
     sync.destroy();
   });
 });
+
+describe('Clipboard providers', () => {
+  var defaultOrder;
+  var store;
+  var virtual;
+
+  beforeEach(() => {
+    defaultOrder = NowClipboard.getProviders();
+    store = {};
+    virtual = {
+      writeText: vi.fn(function (text) { store['text/plain'] = text; return Promise.resolve(text); }),
+      readText: vi.fn(function () { return Promise.resolve(store['text/plain'] || ''); }),
+      write: vi.fn(function (items) { Object.assign(store, items); return Promise.resolve(items); }),
+      read: vi.fn(function () { return Promise.resolve(store); })
+    };
+    NowClipboard.registerProvider('virtual', virtual);
+  });
+
+  afterEach(() => {
+    NowClipboard.unregisterProvider('virtual');
+    NowClipboard.unregisterProvider('broken');
+    NowClipboard.setProviders(defaultOrder);
+  });
+
+  it('should expose the built-in providers in default order', () => {
+    expect(defaultOrder).toEqual(['clipboard-api', 'exec-command', 'node']);
+    expect(NowClipboard.getProviders()).toEqual(['clipboard-api', 'exec-command', 'node', 'virtual']);
+  });
+
+  it('should use a per-call provider order', async () => {
+    await expect(NowClipboard.copy('hi', { providers: ['virtual'] })).resolves.toBe('hi');
+    await expect(NowClipboard.read({ providers: ['virtual'] })).resolves.toBe('hi');
+    expect(virtual.writeText).toHaveBeenCalledWith('hi', expect.objectContaining({ providers: ['virtual'] }));
+  });
+
+  it('should use the global provider order', async () => {
+    NowClipboard.setProviders(['virtual']);
+    await NowClipboard.write('global');
+    expect(store['text/plain']).toBe('global');
+  });
+
+  it('should fall back to the next provider on failure', async () => {
+    NowClipboard.registerProvider('broken', {
+      writeText: function () { return Promise.reject(new Error('broken')); }
+    });
+    await expect(NowClipboard.copy('x', { providers: ['broken', 'virtual'], retries: 0 })).resolves.toBe('x');
+  });
+
+  it('should skip providers whose capability check fails', async () => {
+    var skipped = { isSupported: function () { return false; }, writeText: vi.fn() };
+    NowClipboard.registerProvider('broken', skipped);
+    await NowClipboard.copy('x', { providers: ['broken', 'virtual'] });
+    expect(skipped.writeText).not.toHaveBeenCalled();
+    expect(virtual.writeText).toHaveBeenCalledTimes(1);
+  });
+
+  it('should route writeImage and readRich through providers', async () => {
+    var blob = new Blob(['png'], { type: 'image/png' });
+    await expect(NowClipboard.writeImage(blob, { providers: ['virtual'] })).resolves.toBe(blob);
+    store['text/html'] = '<b>x</b>';
+
+    var rich = await NowClipboard.readRich({ providers: ['virtual'] });
+    expect(rich.html).toBe('<b>x</b>');
+    expect(rich.images).toEqual([blob]);
+  });
+
+  it('should reject unknown provider names', async () => {
+    await expect(NowClipboard.copy('x', { providers: ['nope'] })).rejects.toThrow('Unknown clipboard provider');
+    expect(() => NowClipboard.setProviders(['nope'])).toThrow('Unknown clipboard provider');
+  });
+
+  it('should validate registered providers', () => {
+    expect(() => NowClipboard.registerProvider('', {})).toThrow(TypeError);
+    expect(() => NowClipboard.registerProvider('empty', {})).toThrow('must implement');
+    expect(NowClipboard.unregisterProvider('missing')).toBe(false);
+  });
+
+  it('should register providers through the named exports', async () => {
+    expect(registerProvider('virtual', virtual)).toBeUndefined();
+    expect(setProviders(['virtual'])).toBeUndefined();
+    await NowClipboard.copy('named');
+    expect(virtual.writeText).toHaveBeenCalledWith('named', expect.any(Object));
+  });
+});
+
+describe('Errors', () => {
+  var defaultOrder;
+
+  beforeEach(() => {
+    defaultOrder = NowClipboard.getProviders();
+  });
+
+  afterEach(() => {
+    NowClipboard.unregisterProvider('failing');
+    NowClipboard.setProviders(defaultOrder);
+    vi.unstubAllGlobals();
+  });
+
+  /**
+   * Register a provider whose writeText/readText reject with the given error
+   */
+  function failWith(err) {
+    var provider = {
+      writeText: vi.fn(function () { return Promise.reject(err); }),
+      readText: vi.fn(function () { return Promise.reject(err); })
+    };
+    NowClipboard.registerProvider('failing', provider);
+    NowClipboard.setProviders(['failing']);
+    return provider;
+  }
+
+  it('should export the error classes for instanceof checks', async () => {
+    var mod = await import('../src/NowClipboard.js');
+    expect(mod.NowClipboardError).toBe(NowClipboard.NowClipboardError);
+    expect(new NowClipboard.TimeoutError('t')).toBeInstanceOf(NowClipboard.NowClipboardError);
+    expect(new NowClipboard.TimeoutError('t')).toBeInstanceOf(Error);
+    expect(new NowClipboard.TimeoutError('t')).not.toBeInstanceOf(NowClipboard.AbortError);
+    expect(new Error('plain')).not.toBeInstanceOf(NowClipboard.NowClipboardError);
+    expect(new NowClipboard.FetchFailedError('f').stack).toContain('FetchFailedError: f');
+  });
+
+  it('should reject bad arguments with an InvalidArgumentError that is still a TypeError', async () => {
+    var err = await NowClipboard.copy(42).catch((e) => e);
+    expect(err).toBeInstanceOf(NowClipboard.InvalidArgumentError);
+    expect(err).toBeInstanceOf(NowClipboard.NowClipboardError);
+    expect(err).toBeInstanceOf(TypeError);
+    expect(err).toMatchObject({
+      name: 'InvalidArgumentError',
+      code: 'INVALID_ARGUMENT',
+      method: 'NowClipboard.copy()',
+      attempts: 0,
+      environment: 'browser'
+    });
+  });
+
+  it('should turn a NotAllowedError into a PermissionDeniedError with cause and attempts', async () => {
+    var denied = new DOMException('Document is not focused', 'NotAllowedError');
+    var provider = failWith(denied);
+
+    var err = await NowClipboard.read({ retries: 2, retryDelay: 1, retry: { shouldRetry: () => true } }).catch((e) => e);
+    expect(err).toBeInstanceOf(NowClipboard.PermissionDeniedError);
+    expect(err).toMatchObject({ code: 'PERMISSION_DENIED', method: 'NowClipboard.read()', attempts: 3, cause: denied });
+    expect(err.message).toBe('Document is not focused');
+    expect(provider.readText).toHaveBeenCalledTimes(3);
+  });
+
+  it('should report an insecure context instead of a permission error', async () => {
+    vi.stubGlobal('isSecureContext', false);
+    failWith(new DOMException('Write permission denied', 'NotAllowedError'));
+
+    var err = await NowClipboard.copy('x', { retries: 0 }).catch((e) => e);
+    expect(err).toBeInstanceOf(NowClipboard.InsecureContextError);
+    expect(err).toMatchObject({ code: 'INSECURE_CONTEXT', method: 'NowClipboard.copy()', attempts: 1 });
+  });
+
+  it('should reject timeouts and aborts with TIMEOUT and ABORTED', async () => {
+    NowClipboard.registerProvider('failing', { writeText: function () { return new Promise(function () {}); } });
+    NowClipboard.setProviders(['failing']);
+
+    var timeout = await NowClipboard.copy('x', { timeout: 20 }).catch((e) => e);
+    expect(timeout).toBeInstanceOf(NowClipboard.TimeoutError);
+    expect(timeout).toMatchObject({ code: 'TIMEOUT', method: 'NowClipboard.copy()', attempts: 1 });
+
+    var controller = new AbortController();
+    controller.abort();
+    var aborted = await NowClipboard.write('x', { signal: controller.signal }).catch((e) => e);
+    expect(aborted).toBeInstanceOf(NowClipboard.AbortError);
+    expect(aborted).toMatchObject({ name: 'AbortError', code: 'ABORTED', method: 'NowClipboard.write()', attempts: 0 });
+  });
+
+  it('should name the method of an abort between attempts', async () => {
+    var failure = new Error('busy');
+    NowClipboard.registerProvider('failing', { writeText: function () { return Promise.reject(failure); } });
+    NowClipboard.setProviders(['failing']);
+
+    var controller = new AbortController();
+    var aborted = await NowClipboard.copy('x', {
+      signal: controller.signal,
+      retries: 2,
+      retryDelay: 1,
+      retry: { onRetry: function () { controller.abort(); } }
+    }).catch((e) => e);
+    expect(aborted).toBeInstanceOf(NowClipboard.AbortError);
+    expect(aborted).toMatchObject({ code: 'ABORTED', method: 'NowClipboard.copy()', attempts: 1 });
+  });
+
+  it('should report unsupported operations with NOT_SUPPORTED', async () => {
+    NowClipboard.setProviders([]);
+    var err = await NowClipboard.types({ retries: 0 }).catch((e) => e);
+    expect(err).toBeInstanceOf(NowClipboard.NotSupportedError);
+    expect(err).toMatchObject({ code: 'NOT_SUPPORTED', method: 'NowClipboard.types()', attempts: 1 });
+  });
+
+  it('should report image sources that cannot be loaded with FETCH_FAILED', async () => {
+    vi.stubGlobal('ClipboardItem', function () {});
+    vi.stubGlobal('fetch', vi.fn(function () { return Promise.reject(new Error('offline')); }));
+    Object.defineProperty(navigator, 'clipboard', { value: { write: vi.fn() }, configurable: true });
+    try {
+      var err = await NowClipboard.copyImage('https://example.com/a.png').catch((e) => e);
+      expect(err).toBeInstanceOf(NowClipboard.FetchFailedError);
+      expect(err).toMatchObject({ code: 'FETCH_FAILED', method: 'NowClipboard.copyImage()' });
+      expect(err.message).toContain('offline');
+    } finally {
+      delete navigator.clipboard;
+    }
+  });
+
+  it('should pass other errors through unchanged', async () => {
+    var broken = new Error('broken');
+    failWith(broken);
+    await expect(NowClipboard.copy('x', { retries: 0 })).rejects.toBe(broken);
+  });
+});
+
+describe('Retry policy', () => {
+  var defaultOrder;
+
+  beforeEach(() => {
+    defaultOrder = NowClipboard.getProviders();
+  });
+
+  afterEach(() => {
+    NowClipboard.unregisterProvider('flaky');
+    NowClipboard.setProviders(defaultOrder);
+    vi.restoreAllMocks();
+  });
+
+  /**
+   * Register a provider whose readText rejects with each error in turn, then resolves 'ok'
+   */
+  function flaky(errors) {
+    var provider = {
+      readText: vi.fn(function () {
+        return errors.length ? Promise.reject(errors.shift()) : Promise.resolve('ok');
+      })
+    };
+    NowClipboard.registerProvider('flaky', provider);
+    NowClipboard.setProviders(['flaky']);
+    return provider;
+  }
+
+  it('should not retry permission denials or invalid arguments by default', async () => {
+    var provider = flaky([new DOMException('denied', 'NotAllowedError')]);
+    await expect(NowClipboard.read({ retries: 3, retryDelay: 0 })).rejects.toMatchObject({ code: 'PERMISSION_DENIED', attempts: 1 });
+    expect(provider.readText).toHaveBeenCalledTimes(1);
+
+    provider = flaky([new TypeError('bad input')]);
+    await expect(NowClipboard.read({ retries: 3, retryDelay: 0 })).rejects.toThrow('bad input');
+    expect(provider.readText).toHaveBeenCalledTimes(1);
+
+    expect(NowClipboard.isRetryable(new NowClipboard.InsecureContextError('x'))).toBe(false);
+    expect(NowClipboard.isRetryable(new NowClipboard.InvalidArgumentError('x'))).toBe(false);
+    expect(NowClipboard.isRetryable(new NowClipboard.TimeoutError('x'))).toBe(true);
+    expect(NowClipboard.isRetryable(new Error('busy'))).toBe(true);
+  });
+
+  it('should still retry other failures', async () => {
+    var provider = flaky([new Error('busy'), new Error('busy')]);
+    await expect(NowClipboard.read({ retries: 2, retryDelay: 0 })).resolves.toBe('ok');
+    expect(provider.readText).toHaveBeenCalledTimes(3);
+  });
+
+  it('should use a custom shouldRetry predicate', async () => {
+    var shouldRetry = vi.fn((err) => err.message !== 'fatal');
+    var provider = flaky([new Error('busy'), new Error('fatal')]);
+
+    await expect(NowClipboard.read({ retries: 5, retryDelay: 0, retry: { shouldRetry: shouldRetry } })).rejects.toThrow('fatal');
+    expect(provider.readText).toHaveBeenCalledTimes(2);
+    expect(shouldRetry.mock.calls.map((call) => [call[0].message, call[1]])).toEqual([['busy', 1], ['fatal', 2]]);
+  });
+
+  it('should report each retry through onRetry', async () => {
+    var onRetry = vi.fn();
+    var first = new Error('busy');
+    flaky([first, new Error('busy')]);
+
+    await NowClipboard.read({ retries: 2, retryDelay: 1, retry: { onRetry: onRetry } });
+    expect(onRetry.mock.calls.map((call) => call[0])).toEqual([
+      { error: first, attempt: 1, delay: 1, method: 'NowClipboard.read()' },
+      expect.objectContaining({ attempt: 2, delay: 2 })
+    ]);
+  });
+
+  it('should ignore errors thrown by onRetry', async () => {
+    flaky([new Error('busy')]);
+    var onRetry = () => { throw new Error('logger down'); };
+    await expect(NowClipboard.read({ retryDelay: 0, retry: { onRetry: onRetry } })).resolves.toBe('ok');
+  });
+
+  it('should compute delays from backoff, maxDelay and jitter', async () => {
+    async function delays(retry) {
+      var onRetry = vi.fn();
+      flaky([new Error('1'), new Error('2'), new Error('3'), new Error('4')]);
+      await NowClipboard.read({ retries: 4, retryDelay: 2, retry: Object.assign({ onRetry: onRetry }, retry) });
+      return onRetry.mock.calls.map((call) => call[0].delay);
+    }
+
+    expect(await delays({})).toEqual([2, 4, 8, 16]);
+    expect(await delays({ backoff: 'linear' })).toEqual([2, 4, 6, 8]);
+    expect(await delays({ backoff: (attempt, base) => base + attempt })).toEqual([3, 4, 5, 6]);
+    expect(await delays({ maxDelay: 5 })).toEqual([2, 4, 5, 5]);
+
+    vi.spyOn(Math, 'random').mockReturnValue(0.5);
+    expect(await delays({ jitter: true })).toEqual([1, 2, 4, 8]);
+    expect(await delays({ jitter: 0.5, maxDelay: 8 })).toEqual([2, 3, 6, 6]);
+  });
+
+  it('should reject an invalid retry policy', async () => {
+    flaky([]);
+    await expect(NowClipboard.read({ retry: { backoff: 'random' } })).rejects.toMatchObject({
+      code: 'INVALID_ARGUMENT',
+      method: 'NowClipboard.read()'
+    });
+    await expect(NowClipboard.read({ retry: { shouldRetry: true } })).rejects.toThrow('retry.shouldRetry must be a function');
+  });
+
+  it('should accept retry options on instances', async () => {
+    var onRetry = vi.fn();
+    var btn = document.createElement('button');
+    btn.setAttribute('data-nc-text', 'hello');
+    document.body.appendChild(btn);
+    var writeText = vi.fn()
+      .mockRejectedValueOnce(new Error('busy'))
+      .mockResolvedValue(undefined);
+    NowClipboard.registerProvider('flaky', { writeText: writeText });
+    NowClipboard.setProviders(['flaky']);
+
+    var clipboard = new NowClipboard(btn, { retryDelay: 0, retry: { onRetry: onRetry } });
+    var success = new Promise((resolve) => clipboard.on('success', resolve));
+    btn.click();
+    await success;
+    expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, method: 'NowClipboard#copy()' }));
+    clipboard.destroy();
+    btn.remove();
+  });
+});
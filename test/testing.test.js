@@ -0,0 +1,162 @@
+/**
+ * NowClipboard Testing Kit Test Suite
+ * The fake clipboard driving the public API in jsdom
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import NowClipboard from '../src/NowClipboard.js';
+import { installFakeClipboard, uninstallFakeClipboard, expectClipboard, FakeClipboard, FakeClipboardItem } from '../src/NowClipboard.testing.js';
+
+describe('installFakeClipboard() in a DOM environment', () => {
+  var fake;
+
+  beforeEach(() => {
+    fake = installFakeClipboard();
+  });
+
+  afterEach(() => {
+    uninstallFakeClipboard();
+  });
+
+  it('should shim the browser clipboard APIs', () => {
+    expect(fake.mode).toBe('dom');
+    expect(typeof navigator.clipboard.writeText).toBe('function');
+    expect(typeof ClipboardItem).toBe('function');
+    expect(NowClipboard.getProviders()).toEqual(['clipboard-api', 'exec-command']);
+  });
+
+  it('should capture copy() and serve read()', async () => {
+    await NowClipboard.copy('hello fake');
+    expectClipboard().toHaveText('hello fake').toContainText('fake').toHaveBeenWritten(1);
+    await expect(NowClipboard.read()).resolves.toBe('hello fake');
+  });
+
+  it('should support multiple MIME types via writeFormats() and readRich()', async () => {
+    await NowClipboard.writeFormats({ 'text/plain': 'Hi', 'text/html': '<b>Hi</b>' });
+    expectClipboard().toHaveHtml('<b>Hi</b>').toHaveType('text/plain');
+
+    fake.setItems({ 'text/plain': 'pic', 'image/png': new Blob(['png'], { type: 'image/png' }) });
+    var rich = await NowClipboard.readRich();
+    expect(rich.text).toBe('pic');
+    expect(rich.images.length).toBe(1);
+  });
+
+  it('should list clipboard types without fetching the data', async () => {
+    await expect(NowClipboard.types()).resolves.toEqual([]);
+
+    fake.setItems({ 'text/plain': 'Hi', 'text/html': '<b>Hi</b>' });
+    var getType = vi.spyOn(FakeClipboardItem.prototype, 'getType');
+    await expect(NowClipboard.types()).resolves.toEqual(['text/plain', 'text/html']);
+    expect(getType).not.toHaveBeenCalled();
+    getType.mockRestore();
+  });
+
+  it('should reject the Node.js-only read() encoding option in the browser', async () => {
+    fake.setText('text');
+    await expect(NowClipboard.read({ encoding: 'buffer' })).rejects.toThrow(TypeError);
+    await expect(NowClipboard.read({ raw: true })).resolves.toBe('text');
+  });
+
+  it('should reject copyFiles() and readFiles() outside Node.js', async () => {
+    await expect(NowClipboard.copyFiles('a.txt')).rejects.toThrow('only available in Node.js');
+    await expect(NowClipboard.readFiles()).rejects.toThrow('only available in Node.js');
+  });
+
+  it('should read images with readImage()', async () => {
+    await expect(NowClipboard.readImage({ retries: 0 })).rejects.toMatchObject({
+      name: 'NowClipboardError', code: 'UNKNOWN', message: 'The clipboard does not contain an image', method: 'NowClipboard.readImage()'
+    });
+
+    var png = new Blob(['png'], { type: 'image/png' });
+    fake.setItems({ 'text/plain': 'caption', 'image/png': png });
+    var image = await NowClipboard.readImage();
+    expect(image.type).toBe('image/png');
+    await expect(image.text()).resolves.toBe('png');
+
+    await expect(NowClipboard.readImage({ path: 'shot.png' })).rejects.toThrow(TypeError);
+  });
+
+  it('should simulate permission states', async () => {
+    fake.setPermission('read', 'denied');
+    await expect(NowClipboard.queryPermission('read')).resolves.toEqual({ state: 'denied' });
+    await expect(NowClipboard.read({ retries: 0 })).rejects.toHaveProperty('code', 'PERMISSION_DENIED');
+  });
+
+  it('should fall back to execCommand when the Clipboard API fails', async () => {
+    fake.failNext('write');
+    await expect(NowClipboard.copy('fallback', { retries: 0 })).resolves.toBe('fallback');
+    expectClipboard().toHaveText('fallback');
+  });
+
+  it('should simulate failures and latency', async () => {
+    fake.failNext('read', new Error('boom'));
+    await expect(NowClipboard.read({ retries: 0 })).rejects.toThrow('boom');
+    await expect(NowClipboard.read({ retries: 0 })).resolves.toBe('');
+
+    fake.setLatency(30);
+    var start = Date.now();
+    await NowClipboard.read();
+    expect(Date.now() - start).toBeGreaterThanOrEqual(25);
+  });
+
+  it('should dispatch paste events with clipboard data', () => {
+    var handler = vi.fn();
+    var listener = NowClipboard.onPaste(null, handler);
+    fake.setItems({ 'text/plain': 'pasted', 'text/html': '<i>pasted</i>' });
+
+    fake.paste(document.body);
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ text: 'pasted', html: '<i>pasted</i>' }));
+    listener.destroy();
+  });
+
+  it('should feed onChange and History', async () => {
+    var history = new NowClipboard.History({ pollInterval: 10 }).start();
+    await new Promise(function (r) { setTimeout(r, 20); });
+    fake.setText('changed');
+    await vi.waitFor(() => expect(history.latest() && history.latest().text).toBe('changed'));
+    history.destroy();
+  });
+
+  it('should throw descriptive assertion errors', () => {
+    fake.setText('abc');
+    expect(() => expectClipboard().toContainText('xyz')).toThrow('to contain "xyz"');
+    expect(() => expectClipboard().toBeEmpty()).toThrow('to be empty');
+  });
+
+  it('should be reflected by diagnose() and checkSupport()', () => {
+    var report = NowClipboard.diagnose();
+    expect(report.environment).toBe('browser');
+    expect(report.operations.text).toMatchObject({ supported: true, backend: 'clipboard-api' });
+    expect(report.operations.formats.supported).toBe(true);
+    expect(NowClipboard.checkSupport(['copy', 'cut', 'read', 'image'])).toBe(true);
+
+    fake.uninstall();
+    expect(NowClipboard.diagnose().operations.read).toMatchObject({ supported: false, reason: 'navigator.clipboard.readText is unavailable' });
+    expect(NowClipboard.checkSupport('read')).toBe(false);
+  });
+
+  it('should restore the environment on uninstall', () => {
+    fake.uninstall();
+    expect(navigator.clipboard).toBeUndefined();
+    expect(typeof ClipboardItem).toBe('undefined');
+    expect(NowClipboard.getProviders()).toEqual(['clipboard-api', 'exec-command', 'node']);
+    expect(() => expectClipboard()).toThrow('installFakeClipboard');
+  });
+});
+
+describe('FakeClipboard provider mode', () => {
+  afterEach(() => {
+    uninstallFakeClipboard();
+  });
+
+  it('should serve the API through a NowClipboard provider', async () => {
+    var fake = new FakeClipboard({ mode: 'provider', text: 'initial' }).install();
+    expect(NowClipboard.getProviders()).toEqual(['fake']);
+    await expect(NowClipboard.read()).resolves.toBe('initial');
+
+    await NowClipboard.writeImage(new Blob(['png'], { type: 'image/png' }));
+    expectClipboard(fake).toHaveType('image/png');
+
+    fake.uninstall();
+    expect(NowClipboard.getProviders()).toEqual(['clipboard-api', 'exec-command', 'node']);
+  });
+});
@@ -0,0 +1,454 @@
+// @vitest-environment node
+/**
+ * NowClipboard X11 Backend Test Suite
+ * Runs the built-in X11 client against a scripted fake X server
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import net from 'net';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import NowClipboard from '../src/NowClipboard.js';
+
+var PREDEFINED_ATOMS = { PRIMARY: 1, SECONDARY: 2, ATOM: 4, INTEGER: 19, STRING: 31 };
+
+function pad(length) {
+  return (length + 3) & ~3;
+}
+
+/**
+ * Fake X server with just enough of the protocol for selections
+ * Little-endian clients only. Windows remember the per-client event masks, properties notify
+ * the clients that selected PropertyChange, and selections are handed over like a real server.
+ * @param {string} socketPath
+ * @param {Object} [options] - { cookie: Buffer, maxRequestLength: number (4-byte units) }
+ */
+function fakeXServer(socketPath, options) {
+  var opts = options || {};
+  var atoms = Object.assign({}, PREDEFINED_ATOMS);
+  var names = {};
+  Object.keys(atoms).forEach(function (name) { names[atoms[name]] = name; });
+  var nextAtom = 100;
+  var windows = {};
+  var owners = {};
+  var clients = [];
+  var requests = [];
+  var ROOT = 0x100;
+
+  function intern(name) {
+    if (!atoms[name]) {
+      atoms[name] = nextAtom++;
+      names[atoms[name]] = name;
+    }
+    return atoms[name];
+  }
+
+  function sendEvent(client, event) {
+    if (!client || client.socket.destroyed) return;
+    event.writeUInt16LE(client.seq & 0xffff, 2);
+    client.socket.write(event);
+  }
+
+  function propertyNotify(windowId, atom, deleted) {
+    var win = windows[windowId];
+    if (!win) return;
+    win.masks.forEach(function (mask, client) {
+      if (!(mask & 0x400000)) return;
+      var event = Buffer.alloc(32);
+      event[0] = 28;
+      event.writeUInt32LE(windowId, 4);
+      event.writeUInt32LE(atom, 8);
+      event[16] = deleted ? 1 : 0;
+      sendEvent(client, event);
+    });
+  }
+
+  function reply(client, data, body) {
+    var extra = body ? pad(body.length) : 0;
+    var header = Buffer.alloc(32 + extra);
+    header[0] = 1;
+    header[1] = data || 0;
+    header.writeUInt16LE(client.seq & 0xffff, 2);
+    header.writeUInt32LE(extra / 4, 4);
+    return header;
+  }
+
+  function error(client, code, value, opcode) {
+    var message = Buffer.alloc(32);
+    message[1] = code;
+    message.writeUInt16LE(client.seq & 0xffff, 2);
+    message.writeUInt32LE(value, 4);
+    message[10] = opcode;
+    client.socket.write(message);
+  }
+
+  function handle(client, req) {
+    var opcode = req[0];
+    client.seq++;
+    requests.push(opcode);
+    var out;
+
+    switch (opcode) {
+      case 1: { // CreateWindow
+        var wid = req.readUInt32LE(4);
+        var masks = new Map();
+        masks.set(client, req.readUInt32LE(28) & 0x800 ? req.readUInt32LE(32) : 0);
+        windows[wid] = { client: client, props: {}, masks: masks };
+        break;
+      }
+      case 2: { // ChangeWindowAttributes (event-mask only)
+        var target = windows[req.readUInt32LE(4)];
+        if (!target) return error(client, 3, req.readUInt32LE(4), opcode);
+        target.masks.set(client, req.readUInt32LE(12));
+        break;
+      }
+      case 16: { // InternAtom
+        out = reply(client);
+        out.writeUInt32LE(intern(req.slice(8, 8 + req.readUInt16LE(4)).toString('latin1')), 8);
+        client.socket.write(out);
+        break;
+      }
+      case 17: { // GetAtomName
+        var name = Buffer.from(names[req.readUInt32LE(4)] || '', 'latin1');
+        out = reply(client, 0, name);
+        out.writeUInt16LE(name.length, 8);
+        name.copy(out, 32);
+        client.socket.write(out);
+        break;
+      }
+      case 18: { // ChangeProperty (replace)
+        var changed = windows[req.readUInt32LE(4)];
+        if (!changed) return error(client, 3, req.readUInt32LE(4), opcode);
+        var format = req[16];
+        var bytes = req.readUInt32LE(20) * (format / 8);
+        changed.props[req.readUInt32LE(8)] = { type: req.readUInt32LE(12), format: format, data: Buffer.from(req.slice(24, 24 + bytes)) };
+        propertyNotify(req.readUInt32LE(4), req.readUInt32LE(8), false);
+        break;
+      }
+      case 19: { // DeleteProperty
+        var owner = windows[req.readUInt32LE(4)];
+        if (owner && owner.props[req.readUInt32LE(8)]) {
+          delete owner.props[req.readUInt32LE(8)];
+          propertyNotify(req.readUInt32LE(4), req.readUInt32LE(8), true);
+        }
+        break;
+      }
+      case 20: { // GetProperty
+        var holder = windows[req.readUInt32LE(4)];
+        var prop = holder && holder.props[req.readUInt32LE(8)];
+        var value = prop ? prop.data : Buffer.alloc(0);
+        out = reply(client, prop ? prop.format : 0, value);
+        out.writeUInt32LE(prop ? prop.type : 0, 8);
+        out.writeUInt32LE(prop ? value.length / (prop.format / 8) : 0, 16);
+        value.copy(out, 32);
+        client.socket.write(out);
+        if (prop && req[1]) {
+          delete holder.props[req.readUInt32LE(8)];
+          propertyNotify(req.readUInt32LE(4), req.readUInt32LE(8), true);
+        }
+        break;
+      }
+      case 22: { // SetSelectionOwner
+        var selection = req.readUInt32LE(8);
+        var previous = owners[selection];
+        owners[selection] = req.readUInt32LE(4);
+        if (previous && previous !== owners[selection] && windows[previous]) {
+          var clear = Buffer.alloc(32);
+          clear[0] = 29;
+          clear.writeUInt32LE(previous, 8);
+          clear.writeUInt32LE(selection, 12);
+          sendEvent(windows[previous].client, clear);
+        }
+        break;
+      }
+      case 23: { // GetSelectionOwner
+        out = reply(client);
+        out.writeUInt32LE(owners[req.readUInt32LE(4)] || 0, 8);
+        client.socket.write(out);
+        break;
+      }
+      case 24: { // ConvertSelection
+        var current = owners[req.readUInt32LE(8)];
+        var event = Buffer.alloc(32);
+        if (current && windows[current]) {
+          event[0] = 30;
+          event.writeUInt32LE(current, 8);
+          req.copy(event, 12, 4, 20); // requestor, selection, target, property
+          sendEvent(windows[current].client, event);
+        } else {
+          event[0] = 31;
+          req.copy(event, 8, 4, 16); // requestor, selection, target; property None
+          sendEvent(client, event);
+        }
+        break;
+      }
+      case 25: { // SendEvent
+        var destination = windows[req.readUInt32LE(4)];
+        var sent = Buffer.from(req.slice(12, 44));
+        sent[0] |= 0x80;
+        if (destination) sendEvent(destination.client, sent);
+        break;
+      }
+      default:
+        break;
+    }
+    return undefined;
+  }
+
+  var server = net.createServer(function (socket) {
+    var client = { socket: socket, seq: 0, index: clients.length + 1 };
+    var buffer = Buffer.alloc(0);
+    var ready = false;
+    clients.push(client);
+    socket.on('error', function () {});
+    socket.on('data', function (chunk) {
+      buffer = Buffer.concat([buffer, chunk]);
+      if (!ready) {
+        if (buffer.length < 12) return;
+        var nameLength = buffer.readUInt16LE(6);
+        var dataLength = buffer.readUInt16LE(8);
+        var total = 12 + pad(nameLength) + pad(dataLength);
+        if (buffer.length < total) return;
+        var cookie = buffer.slice(12 + pad(nameLength), 12 + pad(nameLength) + dataLength);
+        buffer = buffer.slice(total);
+        if (opts.cookie && !cookie.equals(opts.cookie)) {
+          var reason = Buffer.from('No protocol specified\n');
+          var refused = Buffer.alloc(8 + pad(reason.length));
+          refused[1] = reason.length;
+          refused.writeUInt16LE(11, 2);
+          refused.writeUInt16LE(pad(reason.length) / 4, 6);
+          reason.copy(refused, 8);
+          socket.end(refused);
+          return;
+        }
+        var setup = Buffer.alloc(84);
+        setup[0] = 1;
+        setup.writeUInt16LE(11, 2);
+        setup.writeUInt16LE((84 - 8) / 4, 6);
+        setup.writeUInt32LE(client.index << 21, 12);
+        setup.writeUInt32LE(0x1fffff, 16);
+        setup.writeUInt16LE(4, 24);
+        setup.writeUInt16LE(opts.maxRequestLength || 65535, 26);
+        setup[28] = 1;
+        setup.write('fake', 40, 'latin1');
+        setup.writeUInt32LE(ROOT, 44);
+        socket.write(setup);
+        ready = true;
+      }
+      while (buffer.length >= 4 && buffer.length >= buffer.readUInt16LE(2) * 4) {
+        var length = buffer.readUInt16LE(2) * 4;
+        handle(client, buffer.slice(0, length));
+        buffer = buffer.slice(length);
+      }
+    });
+  });
+
+  return new Promise(function (resolve) {
+    server.listen(socketPath, function () {
+      resolve({
+        atom: intern,
+        requests: requests,
+        owner: function (selection) {
+          return owners[intern(selection)] || 0;
+        },
+        /** Another client takes the selection */
+        takeSelection: function (selection) {
+          var atom = intern(selection);
+          var previous = owners[atom];
+          owners[atom] = 0x7fffffff;
+          if (previous && windows[previous]) {
+            var clear = Buffer.alloc(32);
+            clear[0] = 29;
+            clear.writeUInt32LE(previous, 8);
+            clear.writeUInt32LE(atom, 12);
+            sendEvent(windows[previous].client, clear);
+          }
+        },
+        close: function () {
+          clients.forEach(function (client) { client.socket.destroy(); });
+          return new Promise(function (r) { server.close(r); });
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Xauthority file with one MIT-MAGIC-COOKIE-1 entry for this host
+ */
+function xauthority(file, number, cookie) {
+  function field(value) {
+    var length = Buffer.alloc(2);
+    length.writeUInt16BE(value.length, 0);
+    return Buffer.concat([length, value]);
+  }
+  var family = Buffer.alloc(2);
+  family.writeUInt16BE(256, 0);
+  fs.writeFileSync(file, Buffer.concat([
+    family,
+    field(Buffer.from(os.hostname())),
+    field(Buffer.from(number)),
+    field(Buffer.from('MIT-MAGIC-COOKIE-1')),
+    field(cookie)
+  ]));
+}
+
+describe('x11 backend', () => {
+  var ENV = ['DISPLAY', 'XAUTHORITY', 'WAYLAND_DISPLAY', 'NOWCLIPBOARD_BACKEND', 'NOWCLIPBOARD_CONFIG'];
+  var saved;
+  var dir;
+  var server;
+  var x11 = { backend: 'x11', retries: 0 };
+
+  beforeEach(() => {
+    saved = {};
+    ENV.forEach(function (key) {
+      saved[key] = process.env[key];
+      delete process.env[key];
+    });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nowclipboard-x11-'));
+    // No stray .nowclipboardrc from the machine running the tests
+    process.env.NOWCLIPBOARD_CONFIG = path.join(dir, '.nowclipboardrc');
+    fs.writeFileSync(process.env.NOWCLIPBOARD_CONFIG, '{}');
+    process.env.XAUTHORITY = path.join(dir, 'Xauthority');
+    process.env.DISPLAY = path.join(dir, 'x') + ':0';
+    server = null;
+  });
+
+  afterEach(async () => {
+    if (server) await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+    ENV.forEach(function (key) {
+      if (saved[key] === undefined) delete process.env[key];
+      else process.env[key] = saved[key];
+    });
+  });
+
+  function start(options) {
+    return fakeXServer(path.join(dir, 'x:0'), options).then(function (s) {
+      server = s;
+      return s;
+    });
+  }
+
+  it.runIf(process.platform === 'linux')('should own the selection and read it back without external commands', async () => {
+    var cookie = Buffer.from('0123456789abcdef');
+    xauthority(process.env.XAUTHORITY, '0', cookie);
+    await start({ cookie: cookie });
+
+    await NowClipboard.write('héllo x11', x11);
+    expect(server.owner('CLIPBOARD')).not.toBe(0);
+    await expect(NowClipboard.read(x11)).resolves.toBe('héllo x11');
+    await expect(NowClipboard.types(x11)).resolves.toEqual(['text/plain']);
+
+    await NowClipboard.write('primary text', Object.assign({ selection: 'primary' }, x11));
+    await expect(NowClipboard.read(Object.assign({ selection: 'primary' }, x11))).resolves.toBe('primary text');
+    await expect(NowClipboard.read(x11)).resolves.toBe('héllo x11');
+  });
+
+  it.runIf(process.platform === 'linux')('should offer several formats from one write', async () => {
+    await start();
+    var onDropped = vi.fn();
+    await NowClipboard.writeFormats({ 'text/plain': 'plain', 'text/html': '<b>rich</b>' }, Object.assign({ onDropped: onDropped }, x11));
+    expect(onDropped).not.toHaveBeenCalled();
+
+    await expect(NowClipboard.types(x11)).resolves.toEqual(['text/plain', 'text/html']);
+    await expect(NowClipboard.readRich(x11)).resolves.toEqual({ text: 'plain', html: '<b>rich</b>', images: [] });
+  });
+
+  it.runIf(process.platform === 'linux')('should offer files to file managers and text fields at once', async () => {
+    await start();
+    var files = [path.join(dir, 'a b.txt'), path.join(dir, 'c.txt')];
+    files.forEach(function (file) { fs.writeFileSync(file, ''); });
+
+    await NowClipboard.copyFiles(files, x11);
+    await expect(NowClipboard.types(x11)).resolves.toEqual(['x-special/gnome-copied-files', 'text/uri-list', 'text/plain']);
+    await expect(NowClipboard.readFiles(x11)).resolves.toEqual({ operation: 'copy', paths: files });
+    await expect(NowClipboard.read(x11)).resolves.toBe(files.join('\n'));
+
+    await NowClipboard.copyFiles(files[0], Object.assign({ operation: 'cut' }, x11));
+    await expect(NowClipboard.types(x11)).resolves.toContain('application/x-kde-cutselection');
+    await expect(NowClipboard.readFiles(x11)).resolves.toEqual({ operation: 'cut', paths: [files[0]] });
+  });
+
+  it.runIf(process.platform === 'linux')('should send and receive large data with INCR', async () => {
+    // 64 words per request leaves 232 bytes for property data
+    await start({ maxRequestLength: 64 });
+    var png = Buffer.alloc(5000);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(png);
+    for (var i = 8; i < png.length; i++) png[i] = i % 251;
+
+    await NowClipboard.writeImage(png, x11);
+    var image = await NowClipboard.readImage(x11);
+    expect(image.type).toBe('image/png');
+    expect(Buffer.from(await image.arrayBuffer()).equals(png)).toBe(true);
+
+    var text = 'x'.repeat(1000) + 'end';
+    await NowClipboard.write(text, x11);
+    await expect(NowClipboard.read(x11)).resolves.toBe(text);
+  });
+
+  it.runIf(process.platform === 'linux')('should let go when another client takes the selection', async () => {
+    await start();
+    await NowClipboard.write('mine', x11);
+    server.takeSelection('CLIPBOARD');
+    // The new owner has no window on the fake server, so the conversion is refused
+    await expect(NowClipboard.read(x11)).resolves.toBe('');
+
+    await NowClipboard.write('mine again', x11);
+    await expect(NowClipboard.read(x11)).resolves.toBe('mine again');
+    await expect(NowClipboard.readImage(x11)).rejects.toThrow('target image/png not available');
+  });
+
+  it.runIf(process.platform === 'linux')('should keep serving a copy from the command line after it exits', async () => {
+    await start();
+    var bin = path.resolve(__dirname, '../bin/nowclipboard.js');
+    var env = Object.assign({}, process.env, { NOWCLIPBOARD_BACKEND: 'x11' });
+    // The fake server runs in this process, so the command must not block it
+    var result = await new Promise(function (resolve, reject) {
+      execFile(process.execPath, [bin, 'copy', '--json', 'from', 'the', 'shell'], { env: env, timeout: 10000 }, function (err, stdout) {
+        if (err) reject(err);
+        else resolve(stdout);
+      });
+    });
+    expect(result).toBe('{"ok":true,"command":"copy","length":14}\n');
+
+    await expect(NowClipboard.read(x11)).resolves.toBe('from the shell');
+    await expect(NowClipboard.read(x11)).resolves.toBe('from the shell');
+    // The detached owner exits once another client takes the selection
+    server.takeSelection('CLIPBOARD');
+  });
+
+  it.runIf(process.platform === 'linux')('should report connection and display errors', async () => {
+    xauthority(process.env.XAUTHORITY, '0', Buffer.from('wrong cookie....'));
+    await start({ cookie: Buffer.from('0123456789abcdef') });
+    await expect(NowClipboard.read(x11)).rejects.toMatchObject({
+      code: 'PERMISSION_DENIED',
+      message: 'The X server refused the connection to display "' + process.env.DISPLAY + '": No protocol specified'
+    });
+
+    process.env.DISPLAY = path.join(dir, 'missing') + ':0';
+    await expect(NowClipboard.write('x', x11)).rejects.toThrow('Cannot open X11 display');
+
+    delete process.env.DISPLAY;
+    await expect(NowClipboard.read(x11)).rejects.toThrow('DISPLAY is not set');
+    expect(() => NowClipboard.node.createReadStream(x11)).toThrow('not supported by the x11 backend');
+  });
+
+  it.runIf(process.platform === 'linux')('should be selected with NOWCLIPBOARD_BACKEND and diagnosed', async () => {
+    await start();
+    process.env.NOWCLIPBOARD_BACKEND = 'x11';
+    await NowClipboard.write('from env', { retries: 0 });
+    await expect(NowClipboard.read({ retries: 0 })).resolves.toBe('from env');
+
+    var report = NowClipboard.diagnose({ refresh: true });
+    expect(report.operations.text).toEqual({
+      supported: true, backend: 'x11', reason: 'Built-in X11 client for display ' + process.env.DISPLAY, hint: null
+    });
+
+    process.env.DISPLAY = path.join(dir, 'missing') + ':0';
+    report = NowClipboard.diagnose({ refresh: true });
+    expect(report.operations.read).toMatchObject({ supported: false, reason: 'No X server socket at ' + path.join(dir, 'missing') + ':0' });
+  });
+});